@@ -3,6 +3,25 @@
  * Handles performance analysis and debugging tools
  */
 
+import {
+  addDays,
+  getProjectTimeZone,
+  getToday,
+  getWeekday,
+  getZonedParts,
+  zonedTimeToUtc,
+} from "./date-utils.js";
+import {
+  buildEnergyModel,
+  MIN_ENERGY_SAMPLES,
+  predictEnergy,
+  rankEnergyHours,
+  weekdayName,
+} from "./energy-model.js";
+import { analyzeGapClosure, isOpenGap } from "./knowledge-gaps.js";
+import { formatTiimoMarkdown, parseBlockTime } from "./schedule-exporters.js";
+import { AVOIDANCE_THRESHOLD } from "./task-completion.js";
+
 export class AnalyticsTools {
   constructor(dataPersistence, projectManagement) {
     this.dataPersistence = dataPersistence;
@@ -12,7 +31,11 @@ export class AnalyticsTools {
   async generateTiimoExport(includeBreaks = true) {
     try {
       const projectId = await this.projectManagement.requireActiveProject();
-      const today = new Date().toISOString().split("T")[0];
+      const config = await this.dataPersistence.loadProjectData(
+        projectId,
+        "config.json",
+      );
+      const today = getToday(getProjectTimeZone(config));
       const schedule = await this.dataPersistence.loadProjectData(
         projectId,
         `day_${today}.json`,
@@ -134,6 +157,51 @@ export class AnalyticsTools {
     }
   }
 
+  async getEnergyProfile() {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(
+        projectId,
+        "config.json",
+      );
+
+      if (!config) {
+        throw new Error("Project configuration not found");
+      }
+
+      const activePath = config.activePath || "general";
+      const timeZone = getProjectTimeZone(config);
+      const learningHistory =
+        (await this.loadLearningHistory(projectId, activePath)) || {};
+      const model = buildEnergyModel(learningHistory.completedTopics || [], timeZone);
+      const today = getToday(timeZone);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: this.formatEnergyProfile(model, today, config),
+          },
+        ],
+        energy_profile: {
+          ...model,
+          time_zone: timeZone,
+          used_for_scheduling: model.samples >= MIN_ENERGY_SAMPLES,
+        },
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("getEnergyProfile", error);
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error building energy profile: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
   async debugTaskSequence() {
     try {
       const projectId = await this.projectManagement.requireActiveProject();
@@ -244,43 +312,7 @@ export class AnalyticsTools {
   }
 
   formatTiimoMarkdown(schedule, includeBreaks) {
-    const blocks = schedule.blocks || [];
-    let markdown = `# Daily Schedule - ${schedule.date}\n\n`;
-
-    for (const block of blocks) {
-      if (!includeBreaks && block.type === "break") continue;
-
-      const icon = this.getTiimoIcon(block.type);
-      const duration = `${block.duration}min`;
-
-      markdown += `## ${block.startTime} - ${block.title} ${icon}\n`;
-      markdown += `Duration: ${duration}\n`;
-
-      if (block.description) {
-        markdown += `${block.description}\n`;
-      }
-
-      if (block.completed) {
-        markdown += `✅ Completed\n`;
-      }
-
-      markdown += `\n`;
-    }
-
-    return markdown;
-  }
-
-  getTiimoIcon(blockType) {
-    const icons = {
-      learning: "📚",
-      meal: "🍽️",
-      break: "☕",
-      habit: "🔄",
-      exercise: "💪",
-      work: "💼",
-    };
-
-    return icons[blockType] || "📋";
+    return formatTiimoMarkdown(schedule, includeBreaks);
   }
 
   async performComprehensiveAnalysis(projectId, config) {
@@ -291,6 +323,7 @@ export class AnalyticsTools {
 
     const completedTopics = learningHistory.completedTopics || [];
     const insights = learningHistory.insights || [];
+    const timeZone = getProjectTimeZone(config);
 
     return {
       overview: {
@@ -306,8 +339,18 @@ export class AnalyticsTools {
         difficultyProgression:
           this.analyzeDifficultyProgression(completedTopics),
         completionVelocity: this.analyzeCompletionVelocity(completedTopics),
-        timeOfDayPatterns: this.analyzeTimeOfDayPatterns(completedTopics),
+        timeOfDayPatterns: this.analyzeTimeOfDayPatterns(
+          completedTopics,
+          timeZone,
+        ),
       },
+      timing: this.analyzeCompletionTiming(completedTopics, timeZone),
+      focus: this.analyzeFocusTime(completedTopics),
+      avoidance: this.analyzeTaskAvoidance(
+        learningHistory.taskAvoidance || [],
+        htaData,
+      ),
+      knowledgeGaps: analyzeGapClosure(learningHistory.knowledgeGaps || []),
       recommendations: this.generatePerformanceRecommendations(
         completedTopics,
         htaData,
@@ -315,6 +358,107 @@ export class AnalyticsTools {
     };
   }
 
+  /**
+   * Time actually spent on blocks, from block timers and focus sessions,
+   * next to the time that was planned for them.
+   * @param {any[]} completedTopics
+   */
+  analyzeFocusTime(completedTopics) {
+    const timed = completedTopics.filter((topic) => Number.isFinite(topic.actualDuration));
+    const sessions = completedTopics.filter((topic) => Number.isFinite(topic.focusMinutes));
+    if (timed.length === 0 && sessions.length === 0) return null;
+
+    /** @param {any[]} items @param {string} field */
+    const sum = (items, field) => items.reduce((total, item) => total + (item[field] || 0), 0);
+    const focusMinutes = sum(sessions, "focusMinutes");
+    const plannedIntervals = sum(sessions, "plannedFocusIntervals");
+    return {
+      timedBlocks: timed.length,
+      trackedMinutes: sum(timed, "actualDuration"),
+      plannedMinutes: sum(timed, "plannedDuration"),
+      sessions: sessions.length,
+      focusMinutes,
+      intervalCompletionRate:
+        plannedIntervals > 0
+          ? Math.round((sum(sessions, "focusIntervals") / plannedIntervals) * 100)
+          : null,
+      interruptionsPerHour:
+        focusMinutes > 0
+          ? Math.round((sum(sessions, "interruptions") / (focusMinutes / 60)) * 10) / 10
+          : null,
+    };
+  }
+
+  /**
+   * How completions line up with the schedule, from the delay between each
+   * block's planned end and when it was actually marked complete.
+   * @param {any[]} completedTopics
+   * @param {string|null} [timeZone]
+   */
+  analyzeCompletionTiming(completedTopics, timeZone = null) {
+    const delays = completedTopics
+      .map((topic) => topic.completionDelayMinutes)
+      .filter((delay) => Number.isFinite(delay));
+    if (delays.length === 0) return null;
+
+    const late = delays.filter((delay) => delay > 15);
+    const sorted = [...delays].sort((a, b) => a - b);
+    return {
+      tracked: delays.length,
+      onTimeRate: Math.round(((delays.length - late.length) / delays.length) * 100),
+      medianDelayMinutes: sorted[Math.floor(sorted.length / 2)],
+      averageLateMinutes:
+        late.length > 0
+          ? Math.round(late.reduce((sum, delay) => sum + delay, 0) / late.length)
+          : 0,
+      loggedNextDay: completedTopics.filter(
+        (topic) =>
+          topic.scheduledDate &&
+          topic.completedAt &&
+          (topic.completedOnDate ||
+            getZonedParts(topic.completedAt, timeZone).date) > topic.scheduledDate,
+      ).length,
+    };
+  }
+
+  /**
+   * Tasks that keep being skipped or deferred, most avoided first. Tasks
+   * completed since then are no longer flagged.
+   * @param {any[]} taskAvoidance
+   * @param {any} htaData
+   */
+  analyzeTaskAvoidance(taskAvoidance, htaData) {
+    const completedIds = new Set(
+      (htaData.frontierNodes || [])
+        .filter((/** @type {any} */ n) => n.completed)
+        .map((/** @type {any} */ n) => n.id),
+    );
+    const byTask = new Map();
+    for (const entry of taskAvoidance) {
+      const key = entry.taskId || entry.topic;
+      if (entry.taskId && completedIds.has(entry.taskId)) continue;
+      const summary = byTask.get(key) || {
+        taskId: entry.taskId || null,
+        topic: entry.topic,
+        skipped: 0,
+        deferred: 0,
+        reasons: [],
+      };
+      summary[entry.action] = (summary[entry.action] || 0) + 1;
+      if (entry.reason) summary.reasons.push(entry.reason);
+      byTask.set(key, summary);
+    }
+
+    const tasks = [...byTask.values()]
+      .map((task) => ({ ...task, total: task.skipped + task.deferred }))
+      .sort((a, b) => b.total - a.total);
+    return {
+      totalSkipped: taskAvoidance.filter((e) => e.action === "skipped").length,
+      totalDeferred: taskAvoidance.filter((e) => e.action === "deferred").length,
+      chronicallyAvoided: tasks.filter((task) => task.total >= AVOIDANCE_THRESHOLD),
+    };
+  }
+
   calculateAverageTaskDifficulty(completedTopics) {
     if (completedTopics.length === 0) return 0;
     const sum = completedTopics.reduce(
@@ -393,12 +537,16 @@ export class AnalyticsTools {
     return velocity;
   }
 
-  analyzeTimeOfDayPatterns(completedTopics) {
+  /**
+   * @param {any[]} completedTopics
+   * @param {string|null} [timeZone] - Hours are counted on this zone's clock.
+   */
+  analyzeTimeOfDayPatterns(completedTopics, timeZone = null) {
     const hourCounts = {};
 
     for (const task of completedTopics) {
       if (task.completedAt) {
-        const hour = new Date(task.completedAt).getHours();
+        const hour = Math.floor(getZonedParts(task.completedAt, timeZone).minutes / 60);
         hourCounts[hour] = (hourCounts[hour] || 0) + 1;
       }
     }
@@ -458,17 +606,26 @@ export class AnalyticsTools {
   }
 
   async generatePeriodReview(projectId, config, days) {
-    const cutoffDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    // The period is today plus the days before it, from local midnight
+    const timeZone = getProjectTimeZone(config);
+    const today = getToday(timeZone);
+    const firstDay = addDays(today, -(Math.max(1, days) - 1));
+    const cutoffDate = zonedTimeToUtc(firstDay, 0, timeZone);
     const activePath = config.activePath || "general";
     const learningHistory =
       (await this.loadLearningHistory(projectId, activePath)) || {};
+    const daySchedules = await this.dataPersistence.loadDaySchedules(
+      projectId,
+      firstDay,
+      today,
+    );
 
     const recentTasks = (learningHistory.completedTopics || []).filter(
-      (task) => new Date(task.completedAt) > cutoffDate,
+      (/** @type {any} */ task) => new Date(task.completedAt) >= cutoffDate,
     );
 
     const recentInsights = (learningHistory.insights || []).filter(
-      (insight) => new Date(insight.timestamp) > cutoffDate,
+      (/** @type {any} */ insight) => new Date(insight.timestamp) >= cutoffDate,
     );
 
     return {
@@ -485,12 +642,33 @@ export class AnalyticsTools {
               ).toFixed(1)
             : 0,
       },
+      schedule: this.summarizeScheduledBlocks(daySchedules),
       highlights: this.extractPeriodHighlights(recentTasks, recentInsights),
       challenges: this.extractPeriodChallenges(recentTasks),
       nextSteps: this.generateNextSteps(recentTasks, learningHistory),
     };
   }
 
+  /**
+   * How the learning blocks planned in a set of day schedules turned out.
+   * @param {Array<{ date: string, schedule: any }>} daySchedules
+   */
+  summarizeScheduledBlocks(daySchedules) {
+    const blocks = daySchedules.flatMap(({ schedule }) =>
+      (schedule?.blocks || []).filter((/** @type {any} */ block) => block.type === "learning"),
+    );
+    const completed = blocks.filter((block) => block.completed).length;
+    return {
+      scheduledDays: daySchedules.length,
+      plannedBlocks: blocks.length,
+      completed,
+      skipped: blocks.filter((block) => block.skipped).length,
+      deferred: blocks.filter((block) => block.deferred).length,
+      completionRate:
+        blocks.length > 0 ? Math.round((completed / blocks.length) * 100) : null,
+    };
+  }
+
   extractPeriodHighlights(recentTasks, recentInsights) {
     const highlights = [];
 
@@ -570,7 +748,7 @@ export class AnalyticsTools {
 
     // Check for knowledge gaps
     const gaps = learningHistory.knowledgeGaps || [];
-    const recentGaps = gaps.filter((g) => !g.addressed).slice(0, 2);
+    const recentGaps = gaps.filter(isOpenGap).slice(0, 2);
     for (const gap of recentGaps) {
       nextSteps.push(`Address knowledge gap: ${gap.question}`);
     }
@@ -824,6 +1002,68 @@ export class AnalyticsTools {
     report += `• Difficulty progression: ${analysis.patterns.difficultyProgression.trend || "No data"}\n`;
     report += `• Most productive hour: ${analysis.patterns.timeOfDayPatterns.mostProductiveHour || "No data"}\n\n`;
 
+    // Timing
+    if (analysis.timing) {
+      report += "**Schedule Timing**:\n";
+      report += `• Finished on time: ${analysis.timing.onTimeRate}% of ${analysis.timing.tracked} tracked blocks\n`;
+      report += `• Median delay after planned end: ${analysis.timing.medianDelayMinutes} min\n`;
+      if (analysis.timing.averageLateMinutes > 0) {
+        report += `• Late blocks run ${analysis.timing.averageLateMinutes} min over on average\n`;
+      }
+      if (analysis.timing.loggedNextDay > 0) {
+        report += `• Logged on a later day: ${analysis.timing.loggedNextDay}\n`;
+      }
+      report += "\n";
+    }
+
+    // Real time spent
+    const { focus } = analysis;
+    if (focus) {
+      report += "**Focus Time**:\n";
+      if (focus.timedBlocks > 0) {
+        report += `• Timed blocks: ${focus.timedBlocks}, ${focus.trackedMinutes} min spent of ${focus.plannedMinutes} planned\n`;
+      }
+      if (focus.sessions > 0) {
+        report += `• Focus sessions: ${focus.sessions}, ${focus.focusMinutes} min of focused work\n`;
+        if (focus.intervalCompletionRate !== null) {
+          report += `• Focus intervals completed: ${focus.intervalCompletionRate}%\n`;
+        }
+        if (focus.interruptionsPerHour !== null) {
+          report += `• Interruptions: ${focus.interruptionsPerHour} per focused hour\n`;
+        }
+      }
+      report += "\n";
+    }
+
+    // Avoidance
+    const { avoidance } = analysis;
+    if (avoidance && avoidance.totalSkipped + avoidance.totalDeferred > 0) {
+      report += "**Skipped & Deferred**:\n";
+      report += `• Blocks skipped: ${avoidance.totalSkipped}, deferred: ${avoidance.totalDeferred}\n`;
+      for (const task of avoidance.chronicallyAvoided) {
+        const reasons = [...new Set(task.reasons)].slice(-3);
+        report += `• ⚠️ ${task.topic}: put off ${task.total} times`;
+        report += reasons.length > 0 ? ` (${reasons.join("; ")})\n` : "\n";
+      }
+      report += "\n";
+    }
+
+    // Open questions
+    const { knowledgeGaps } = analysis;
+    if (knowledgeGaps) {
+      report += "**Knowledge Gaps**:\n";
+      report += `• Closed: ${knowledgeGaps.resolved} of ${knowledgeGaps.total} (${knowledgeGaps.closureRate}%)`;
+      report += knowledgeGaps.answeredByTasks > 0 ? `, ${knowledgeGaps.answeredByTasks} answered by tasks\n` : "\n";
+      if (knowledgeGaps.medianDaysToClose !== null) {
+        report += `• Median time to close: ${knowledgeGaps.medianDaysToClose} days\n`;
+      }
+      report += `• Still open: ${knowledgeGaps.open}, being worked on: ${knowledgeGaps.promoted}\n`;
+      if (knowledgeGaps.repeatedQuestions > 0) {
+        report += `• Questions that came up more than once: ${knowledgeGaps.repeatedQuestions}\n`;
+      }
+      report += "\n";
+    }
+
     // Recommendations
     if (analysis.recommendations.length > 0) {
       report += "**Recommendations**:\n";
@@ -835,6 +1075,89 @@ export class AnalyticsTools {
     return report;
   }
 
+  /**
+   * @param {import("./energy-model.js").EnergyModel} model
+   * @param {string} today
+   * @param {any} config
+   */
+  formatEnergyProfile(model, today, config) {
+    let report = `⚡ **Energy Profile**\n\n`;
+    if (model.samples === 0) {
+      return (
+        report +
+        "No energy ratings yet. Complete blocks with `complete_block` (energy_level is recorded) " +
+        "and your best hours will show up here."
+      );
+    }
+
+    /** @param {number} hour */
+    const hourLabel = (hour) =>
+      `${hour % 12 === 0 ? 12 : hour % 12} ${hour < 12 ? "AM" : "PM"}`;
+    /** @param {number} energy */
+    const bar = (energy) => "▰".repeat(Math.round(energy)) + "▱".repeat(5 - Math.round(energy));
+
+    report += `**Based On**: ${model.samples} completed session(s), average energy ${model.baseline}/5\n\n`;
+
+    report += "**By Hour** (when sessions started):\n";
+    model.byHour.forEach((bucket, hour) => {
+      if (bucket.mean === null) return;
+      report += `• ${hourLabel(hour).padEnd(5)} ${bar(bucket.mean)} ${bucket.mean} (${bucket.count})\n`;
+    });
+
+    report += "\n**By Weekday**:\n";
+    model.byWeekday.forEach((bucket, weekday) => {
+      if (bucket.mean === null) return;
+      report += `• ${weekdayName(weekday)}: ${bucket.mean}/5 (${bucket.count})\n`;
+    });
+
+    const ranked = rankEnergyHours(model);
+    if (ranked.length >= 2) {
+      const peakCount = Math.min(3, Math.floor(ranked.length / 2));
+      report += `\n🔋 **Peak Hours**: ${ranked
+        .slice(0, peakCount)
+        .map((bucket) => hourLabel(bucket.hour))
+        .join(", ")}\n`;
+      report += `🪫 **Low Hours**: ${ranked
+        .slice(Math.max(peakCount, ranked.length - 2))
+        .reverse()
+        .map((bucket) => hourLabel(bucket.hour))
+        .join(", ")}\n`;
+    }
+
+    // Today's forecast over the waking day
+    const preferences = config.life_structure_preferences || {};
+    const wake = this.parseClockHour(preferences.wake_time, 7);
+    const sleep = this.parseClockHour(preferences.sleep_time, 22);
+    const weekday = getWeekday(today);
+    const forecast = [];
+    for (let hour = wake; hour < sleep; hour++) {
+      forecast.push({ hour, energy: /** @type {number} */ (predictEnergy(model, weekday, hour * 60)) });
+    }
+    if (forecast.length > 0) {
+      const best = forecast.reduce((a, b) => (b.energy > a.energy ? b : a));
+      report += `\n📅 **Today (${weekdayName(weekday)})**: best around ${hourLabel(best.hour)} (${best.energy}/5)\n`;
+    }
+
+    report +=
+      model.samples >= MIN_ENERGY_SAMPLES
+        ? "\n✅ Schedules place the hardest tasks in your high-energy hours"
+        : `\n💡 ${MIN_ENERGY_SAMPLES - model.samples} more rated session(s) until schedules use this profile`;
+    return report;
+  }
+
+  /**
+   * "7:30 AM" → 7 (hour of day), or the fallback.
+   * @param {string|undefined} value
+   * @param {number} fallback
+   */
+  parseClockHour(value, fallback) {
+    try {
+      return Math.floor(parseBlockTime(/** @type {string} */ (value)) / 60);
+    } catch {
+      return fallback;
+    }
+  }
+
   formatPeriodReview(review, days) {
     let report = `📅 **${days === 7 ? "Weekly" : "Monthly"} Review**\n\n`;
 
@@ -842,7 +1165,12 @@ export class AnalyticsTools {
     report += `• Tasks completed: ${review.summary.tasksCompleted}\n`;
     report += `• Breakthroughs: ${review.summary.breakthroughs}\n`;
     report += `• Average energy: ${review.summary.averageEnergy}/5\n`;
-    report += `• Insights gained: ${review.summary.insightsGained}\n\n`;
+    report += `• Insights gained: ${review.summary.insightsGained}\n`;
+    if (review.schedule.plannedBlocks > 0) {
+      report += `• Scheduled blocks done: ${review.schedule.completed}/${review.schedule.plannedBlocks} (${review.schedule.completionRate}%)`;
+      report += ` — ${review.schedule.skipped} skipped, ${review.schedule.deferred} deferred\n`;
+    }
+    report += "\n";
 
     if (review.highlights.length > 0) {
       report += "**Highlights**:\n";
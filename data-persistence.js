@@ -5,63 +5,86 @@
 
 import fs from "fs/promises";
 import path from "path";
+import { getFileKind, migrateFileData } from "./schema-migrations.js";
+import { createStorageAdapter, storageConfigFromEnv } from "./storage-adapters.js";
 
 export class DataPersistence {
-  constructor(dataDir) {
+  /**
+   * @param {string} dataDir
+   * @param {import("./storage-adapters.js").StorageAdapter|null} [storage] -
+   *   Document backend; defaults to the one selected by FOREST_STORAGE.
+   */
+  constructor(dataDir, storage = null) {
     this.dataDir = dataDir;
+    this.storage =
+      storage || createStorageAdapter({ ...storageConfigFromEnv(), dataDir });
+    // Tail of the pending-operation chain for each document key (in-process mutex)
+    this.fileLocks = new Map();
   }
 
-  getProjectDir(projectId) {
-    const projectDir = path.join(this.dataDir, "projects", projectId);
-    console.error(
-      `DEBUG getProjectDir: dataDir=${this.dataDir}, projectId=${projectId}, result=${projectDir}`,
-    );
-    return projectDir;
+  /**
+   * @param {string} projectId
+   * @param {string} filename
+   */
+  getProjectKey(projectId, filename) {
+    return `projects/${projectId}/${filename}`;
   }
 
-  getPathDir(projectId, pathName) {
-    return path.join(this.dataDir, "projects", projectId, "paths", pathName);
+  /**
+   * @param {string} projectId
+   * @param {string} pathName
+   * @param {string} filename
+   */
+  getPathKey(projectId, pathName, filename) {
+    return `projects/${projectId}/paths/${pathName}/${filename}`;
   }
 
   async loadProjectData(projectId, filename) {
     try {
-      const filePath = path.join(this.getProjectDir(projectId), filename);
-
-      // Check if file exists first
-      try {
-        await fs.access(filePath);
-      } catch {
-        return null;
-      }
-
-      const data = await fs.readFile(filePath, "utf8");
-      const parsed = JSON.parse(data);
-
-      // PROJECT ISOLATION: Validate data belongs to requested project
-      if (parsed.id && parsed.id !== projectId) {
-        throw new Error(
-          `Data integrity violation: File contains project "${parsed.id}" but requested "${projectId}"`,
-        );
-      }
-      if (parsed.project_id && parsed.project_id !== projectId) {
-        throw new Error(
-          `Data integrity violation: File contains project_id "${parsed.project_id}" but requested "${projectId}"`,
-        );
-      }
-
-      return parsed;
+      const key = this.getProjectKey(projectId, filename);
+      return await this.readProjectDocument(key, projectId);
     } catch (error) {
       await this.logError("loadProjectData", error, { projectId, filename });
       return null;
     }
   }
 
+  /**
+   * @param {string} key
+   * @param {string} projectId
+   */
+  async readProjectDocument(key, projectId) {
+    const parsed = await this.storage.read(key);
+    if (parsed === null) return null;
+
+    this.validateProjectDocument(parsed, projectId);
+    return migrateFileData(path.posix.basename(key), parsed).data;
+  }
+
+  /**
+   * @param {any} parsed
+   * @param {string} projectId
+   */
+  validateProjectDocument(parsed, projectId) {
+    // PROJECT ISOLATION: Validate data belongs to requested project
+    if (parsed.id && parsed.id !== projectId) {
+      throw new Error(
+        `Data integrity violation: File contains project "${parsed.id}" but requested "${projectId}"`,
+      );
+    }
+    if (parsed.project_id && parsed.project_id !== projectId) {
+      throw new Error(
+        `Data integrity violation: File contains project_id "${parsed.project_id}" but requested "${projectId}"`,
+      );
+    }
+  }
+
   async saveProjectData(projectId, filename, data) {
     try {
-      const projectDir = this.getProjectDir(projectId);
-      await fs.mkdir(projectDir, { recursive: true });
-      const filePath = path.join(projectDir, filename);
-      await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+      const key = this.getProjectKey(projectId, filename);
+      await this.withFileLock(key, () =>
+        this.storage.write(key, this.upgradeForWrite(filename, data)),
+      );
       return true;
     } catch (error) {
       await this.logError("saveProjectData", error, { projectId, filename });
@@ -69,36 +92,31 @@ export class DataPersistence {
     }
   }
 
+  /**
+   * Read-modify-write a project file while holding its lock, so concurrent
+   * tool calls can't interleave and lose each other's updates. The mutator
+   * receives the current data (or null) and either mutates it in place or
+   * returns a replacement; throwing aborts the update without writing, and
+   * ending up with null (e.g. the file doesn't exist) writes nothing.
+   * Returns the saved data, or null when nothing was written.
+   * @param {string} projectId
+   * @param {string} filename
+   * @param {(data: any) => any} mutator
+   */
+  async updateProjectData(projectId, filename, mutator) {
+    const key = this.getProjectKey(projectId, filename);
+    return await this.updateDocument(
+      key,
+      () => this.readProjectDocument(key, projectId),
+      mutator,
+      (data) => this.upgradeForWrite(filename, data),
+    );
+  }
+
   async loadPathData(projectId, pathName, filename) {
     try {
-      const filePath = path.join(
-        this.getPathDir(projectId, pathName),
-        filename,
-      );
-
-      // Check if file exists first
-      try {
-        await fs.access(filePath);
-      } catch {
-        return null;
-      }
-
-      const data = await fs.readFile(filePath, "utf8");
-      const parsed = JSON.parse(data);
-
-      // PROJECT ISOLATION: Validate data belongs to requested project
-      if (parsed.project_id && parsed.project_id !== projectId) {
-        throw new Error(
-          `Data integrity violation: Path data contains project_id "${parsed.project_id}" but requested "${projectId}"`,
-        );
-      }
-      if (parsed.path_name && parsed.path_name !== pathName) {
-        throw new Error(
-          `Data integrity violation: Path data contains path_name "${parsed.path_name}" but requested "${pathName}"`,
-        );
-      }
-
-      return parsed;
+      const key = this.getPathKey(projectId, pathName, filename);
+      return await this.readPathDocument(key, projectId, pathName);
     } catch (error) {
       await this.logError("loadPathData", error, {
         projectId,
@@ -109,12 +127,44 @@ export class DataPersistence {
     }
   }
 
+  /**
+   * @param {string} key
+   * @param {string} projectId
+   * @param {string} pathName
+   */
+  async readPathDocument(key, projectId, pathName) {
+    const parsed = await this.storage.read(key);
+    if (parsed === null) return null;
+
+    this.validatePathDocument(parsed, projectId, pathName);
+    return migrateFileData(path.posix.basename(key), parsed).data;
+  }
+
+  /**
+   * @param {any} parsed
+   * @param {string} projectId
+   * @param {string} pathName
+   */
+  validatePathDocument(parsed, projectId, pathName) {
+    // PROJECT ISOLATION: Validate data belongs to requested project
+    if (parsed.project_id && parsed.project_id !== projectId) {
+      throw new Error(
+        `Data integrity violation: Path data contains project_id "${parsed.project_id}" but requested "${projectId}"`,
+      );
+    }
+    if (parsed.path_name && parsed.path_name !== pathName) {
+      throw new Error(
+        `Data integrity violation: Path data contains path_name "${parsed.path_name}" but requested "${pathName}"`,
+      );
+    }
+  }
+
   async savePathData(projectId, pathName, filename, data) {
     try {
-      const pathDir = this.getPathDir(projectId, pathName);
-      await fs.mkdir(pathDir, { recursive: true });
-      const filePath = path.join(pathDir, filename);
-      await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+      const key = this.getPathKey(projectId, pathName, filename);
+      await this.withFileLock(key, () =>
+        this.storage.write(key, this.upgradeForWrite(filename, data)),
+      );
       return true;
     } catch (error) {
       await this.logError("savePathData", error, {
@@ -126,11 +176,26 @@ export class DataPersistence {
     }
   }
 
+  /**
+   * Path-level counterpart of updateProjectData.
+   * @param {string} projectId
+   * @param {string} pathName
+   * @param {string} filename
+   * @param {(data: any) => any} mutator
+   */
+  async updatePathData(projectId, pathName, filename, mutator) {
+    const key = this.getPathKey(projectId, pathName, filename);
+    return await this.updateDocument(
+      key,
+      () => this.readPathDocument(key, projectId, pathName),
+      mutator,
+      (data) => this.upgradeForWrite(filename, data),
+    );
+  }
+
   async loadGlobalData(filename) {
     try {
-      const filePath = path.join(this.dataDir, filename);
-      const data = await fs.readFile(filePath, "utf8");
-      return JSON.parse(data);
+      return await this.storage.read(filename);
     } catch {
       return null;
     }
@@ -138,9 +203,7 @@ export class DataPersistence {
 
   async saveGlobalData(filename, data) {
     try {
-      await fs.mkdir(this.dataDir, { recursive: true });
-      const filePath = path.join(this.dataDir, filename);
-      await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+      await this.withFileLock(filename, () => this.storage.write(filename, data));
       return true;
     } catch (error) {
       await this.logError("saveGlobalData", error, { filename });
@@ -148,6 +211,198 @@ export class DataPersistence {
     }
   }
 
+  /**
+   * Global-level counterpart of updateProjectData.
+   * @param {string} filename
+   * @param {(data: any) => any} mutator
+   */
+  async updateGlobalData(filename, mutator) {
+    return await this.updateDocument(
+      filename,
+      () => this.storage.read(filename),
+      mutator,
+    );
+  }
+
+  /**
+   * @param {string} key
+   * @param {() => Promise<any>} read
+   * @param {(data: any) => any} mutator
+   * @param {(data: any) => any} [prepare]
+   */
+  async updateDocument(key, read, mutator, prepare = (data) => data) {
+    return await this.withFileLock(key, async () => {
+      const current = await read();
+      const result = await mutator(current);
+      const next = result === undefined ? current : result;
+      if (next === null || next === undefined) return null;
+      const prepared = prepare(next);
+      await this.storage.write(key, prepared);
+      return prepared;
+    });
+  }
+
+  /**
+   * Run fn while holding an in-process lock on a document key. Operations on
+   * the same document run one at a time in call order; others are unaffected.
+   * @param {string} key
+   * @param {() => Promise<any>} fn
+   */
+  async withFileLock(key, fn) {
+    const previous = this.fileLocks.get(key) || Promise.resolve();
+
+    /** @type {() => void} */
+    let release = () => {};
+    const current = new Promise((resolve) => {
+      release = () => resolve(undefined);
+    });
+    const tail = previous.then(() => current);
+    this.fileLocks.set(key, tail);
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (this.fileLocks.get(key) === tail) {
+        this.fileLocks.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Bring data being written to the current schema, so unversioned writes
+   * in a legacy shape are upgraded and stamped with schema_version.
+   * @param {string} filename
+   * @param {any} data
+   */
+  upgradeForWrite(filename, data) {
+    return migrateFileData(filename, data).data;
+  }
+
+  /**
+   * Split a project document key into its project, path and filename, or
+   * return null for keys outside the projects/ layout.
+   * @param {string} key
+   */
+  parseProjectKey(key) {
+    const match = key.match(/^projects\/([^/]+)\/(?:paths\/([^/]+)\/)?([^/]+)$/);
+    if (!match) return null;
+    return { projectId: match[1], pathName: match[2] || null, filename: match[3] };
+  }
+
+  /**
+   * Every document stored for a project, project-level and path-level.
+   * @param {string} projectId
+   */
+  async listProjectDocuments(projectId) {
+    const keys = await this.storage.listKeys(`projects/${projectId}/`);
+    return keys
+      .map((key) => ({ key, ...this.parseProjectKey(key) }))
+      .filter((entry) => entry.filename);
+  }
+
+  /**
+   * A project's day schedules dated fromDate to toDate (YYYY-MM-DD), oldest
+   * first. They come from one bulk read, which SQLite answers in one query.
+   * @param {string} projectId
+   * @param {string} fromDate
+   * @param {string} toDate
+   * @returns {Promise<Array<{ date: string, schedule: any }>>}
+   */
+  async loadDaySchedules(projectId, fromDate, toDate) {
+    const documents = await this.storage.readAll(this.getProjectKey(projectId, "day_"));
+    const schedules = [];
+    for (const { key, data } of documents) {
+      const filename = path.posix.basename(key);
+      const date = filename.slice("day_".length, -".json".length);
+      if (date < fromDate || date > toDate) continue;
+      this.validateProjectDocument(data, projectId);
+      schedules.push({ date, schedule: migrateFileData(filename, data).data });
+    }
+    return schedules;
+  }
+
+  /**
+   * Remove all of a project's documents. Returns how many were deleted.
+   * @param {string} projectId
+   */
+  async deleteProjectDocuments(projectId) {
+    return await this.storage.removeAll(`projects/${projectId}/`);
+  }
+
+  /**
+   * Remove all of one learning path's documents. Returns how many were deleted.
+   * @param {string} projectId
+   * @param {string} pathName
+   */
+  async deletePathDocuments(projectId, pathName) {
+    return await this.storage.removeAll(`projects/${projectId}/paths/${pathName}/`);
+  }
+
+  /**
+   * Remove a single document. Returns whether it existed.
+   * @param {string} key
+   */
+  async deleteDocument(key) {
+    return await this.withFileLock(key, () => this.storage.remove(key));
+  }
+
+  /**
+   * Upgrade every versioned file (config.json, hta.json, learning_history.json,
+   * day_*.json) across all projects and paths. With dryRun nothing is written;
+   * the report lists what each file's migration would change.
+   */
+  async runMigrations({ dryRun = true } = {}) {
+    /** @type {{ dryRun: boolean, scanned: number, pending: any[], errors: any[] }} */
+    const report = { dryRun, scanned: 0, pending: [], errors: [] };
+
+    for (const key of await this.storage.listKeys("projects/")) {
+      const location = this.parseProjectKey(key);
+      if (!location || !getFileKind(location.filename)) continue;
+      const { projectId, pathName, filename } = location;
+
+      report.scanned++;
+      try {
+        const raw = await this.storage.read(key);
+        const { fromVersion, toVersion, changes } = migrateFileData(filename, raw);
+        if (changes.length === 0) continue;
+
+        report.pending.push({
+          projectId,
+          pathName,
+          filename,
+          fromVersion,
+          toVersion,
+          changes,
+        });
+
+        if (!dryRun) {
+          // Re-read under the lock so a concurrent write isn't clobbered
+          await this.updateDocument(
+            key,
+            async () => migrateFileData(filename, await this.storage.read(key)).data,
+            (data) => data,
+          );
+        }
+      } catch (/** @type {any} */ error) {
+        report.errors.push({
+          projectId,
+          pathName,
+          filename,
+          error: error.message,
+        });
+        await this.logError("runMigrations", error, {
+          projectId,
+          pathName,
+          filename,
+        });
+      }
+    }
+
+    return report;
+  }
+
   async logError(operation, error, context = {}) {
     const logEntry = {
       timestamp: new Date().toISOString(),
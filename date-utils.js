@@ -0,0 +1,160 @@
+/**
+ * Date Utilities Module
+ * Handles calendar dates and day boundaries in the user's time zone
+ *
+ * Dates are plain "YYYY-MM-DD" strings and times of day are minutes after
+ * midnight, both as seen on the user's wall clock. The zone comes from the
+ * project's `timezone` setting (an IANA name such as "America/Chicago") and
+ * falls back to the server's zone.
+ */
+
+/** @type {Map<string, Intl.DateTimeFormat>} */
+const formatters = new Map();
+
+export function getSystemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+/** @param {any} timeZone */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @param {string|null|undefined} timeZone
+ * @returns {string}
+ */
+export function resolveTimeZone(timeZone) {
+  return timeZone && isValidTimeZone(timeZone) ? timeZone : getSystemTimeZone();
+}
+
+/** @param {any} config - Project configuration. */
+export function getProjectTimeZone(config) {
+  return resolveTimeZone(config?.timezone);
+}
+
+/** @param {string} timeZone */
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * The wall-clock date and time of an instant in a time zone.
+ * @param {Date|string|number} instant
+ * @param {string|null} [timeZone]
+ * @returns {{ date: string, minutes: number, seconds: number }}
+ */
+export function getZonedParts(instant, timeZone = null) {
+  /** @type {Record<string, string>} */
+  const parts = {};
+  for (const part of getFormatter(resolveTimeZone(timeZone)).formatToParts(new Date(instant))) {
+    parts[part.type] = part.value;
+  }
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    seconds: Number(parts.second),
+  };
+}
+
+/**
+ * An instant as "YYYY-MM-DD HH:MM" on the wall clock of a time zone.
+ * @param {Date|string|number} instant
+ * @param {string|null} [timeZone]
+ */
+export function formatZonedDateTime(instant, timeZone = null) {
+  const { date, minutes } = getZonedParts(instant, timeZone);
+  const hours = String(Math.floor(minutes / 60)).padStart(2, "0");
+  return `${date} ${hours}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Today's date in a time zone.
+ * @param {string|null} [timeZone]
+ * @param {Date} [now]
+ */
+export function getToday(timeZone = null, now = new Date()) {
+  return getZonedParts(now, timeZone).date;
+}
+
+/**
+ * Minutes after local midnight right now.
+ * @param {string|null} [timeZone]
+ * @param {Date} [now]
+ */
+export function getMinutesNow(timeZone = null, now = new Date()) {
+  return getZonedParts(now, timeZone).minutes;
+}
+
+/**
+ * The instant at which the wall clock in a time zone shows date + minutes.
+ * Minutes may run past midnight into the following days.
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} minutes
+ * @param {string|null} [timeZone]
+ */
+export function zonedTimeToUtc(date, minutes, timeZone = null) {
+  const zone = resolveTimeZone(timeZone);
+  const wallClock = Date.parse(`${date}T00:00:00Z`) + minutes * 60000;
+  /** @param {number} instant */
+  const offsetAt = (instant) => {
+    const parts = getZonedParts(instant, zone);
+    return (
+      Date.parse(`${parts.date}T00:00:00Z`) +
+      parts.minutes * 60000 +
+      parts.seconds * 1000 -
+      Math.floor(instant / 1000) * 1000
+    );
+  };
+  // A second pass settles times near a daylight-saving change
+  let instant = wallClock - offsetAt(wallClock);
+  instant = wallClock - offsetAt(instant);
+  return new Date(instant);
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days
+ */
+export function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split("T")[0];
+}
+
+/**
+ * Days between two YYYY-MM-DD dates (b - a).
+ * @param {string} a
+ * @param {string} b
+ */
+export function daysBetween(a, b) {
+  return Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Day of the week of a calendar date, 0 = Sunday.
+ * @param {string} date - YYYY-MM-DD
+ */
+export function getWeekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
@@ -0,0 +1,136 @@
+/**
+ * Energy Model Module
+ * Learns when in the day and week the user has the most energy, from the
+ * energy ratings recorded when blocks are completed
+ */
+
+import { getWeekday, getZonedParts } from "./date-utils.js";
+
+// Completions needed before the model is trusted over the default rules
+export const MIN_ENERGY_SAMPLES = 5;
+// How many samples an hour or weekday needs to count as much as the overall average
+const PRIOR_WEIGHT = 3;
+const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+/**
+ * @typedef {Object} EnergyBucket
+ * @property {number} count
+ * @property {number|null} mean - Average energy (1-5), null without samples.
+ */
+
+/**
+ * @typedef {Object} EnergyModel
+ * @property {number} samples
+ * @property {number|null} baseline - Average energy over all samples.
+ * @property {EnergyBucket[]} byHour - 24 buckets, by hour the session started (local time).
+ * @property {EnergyBucket[]} byWeekday - 7 buckets, 0 = Sunday.
+ */
+
+/** @param {number[]} values */
+function toBucket(values) {
+  return {
+    count: values.length,
+    mean:
+      values.length > 0
+        ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+        : null,
+  };
+}
+
+/**
+ * Build the model from learning history completions. Each rating is placed
+ * at the time the session started (completion time minus its duration) in
+ * the project's time zone.
+ * @param {any[]} completedTopics
+ * @param {string|null} [timeZone]
+ * @returns {EnergyModel}
+ */
+export function buildEnergyModel(completedTopics, timeZone = null) {
+  /** @type {number[][]} */
+  const hours = Array.from({ length: 24 }, () => []);
+  /** @type {number[][]} */
+  const weekdays = Array.from({ length: 7 }, () => []);
+  const all = [];
+
+  for (const topic of completedTopics || []) {
+    const energy = Number(topic.energyAfter);
+    const completedAt = Date.parse(topic.completedAt);
+    if (!Number.isFinite(energy) || energy < 1 || energy > 5 || Number.isNaN(completedAt)) {
+      continue;
+    }
+    const minutes = Number(topic.actualDuration ?? topic.plannedDuration) || 0;
+    const started = getZonedParts(completedAt - minutes * 60000, timeZone);
+    hours[Math.floor(started.minutes / 60)].push(energy);
+    weekdays[getWeekday(started.date)].push(energy);
+    all.push(energy);
+  }
+
+  return {
+    samples: all.length,
+    baseline: toBucket(all).mean,
+    byHour: hours.map(toBucket),
+    byWeekday: weekdays.map(toBucket),
+  };
+}
+
+/**
+ * Pull a bucket's average toward the baseline in proportion to how little
+ * data it has, and return the difference from the baseline.
+ * @param {number} baseline
+ * @param {number} weightedSum
+ * @param {number} weight
+ */
+function shrunkEffect(baseline, weightedSum, weight) {
+  if (weight === 0) return 0;
+  return (weightedSum / weight - baseline) * (weight / (weight + PRIOR_WEIGHT));
+}
+
+/**
+ * Expected energy (1-5) at a time of day on a weekday. Neighbouring hours
+ * count half, so a sparse hour borrows from the hours around it.
+ * @param {EnergyModel} model
+ * @param {number} weekday - 0 = Sunday
+ * @param {number} minutes - Minutes after midnight.
+ * @returns {number|null} Null while the model has no samples.
+ */
+export function predictEnergy(model, weekday, minutes) {
+  if (model.baseline === null) return null;
+  const baseline = model.baseline;
+  const hour = Math.floor(minutes / 60);
+
+  let weightedSum = 0;
+  let weight = 0;
+  for (const [offset, factor] of [
+    [-1, 0.5],
+    [0, 1],
+    [1, 0.5],
+  ]) {
+    const bucket = model.byHour[(hour + offset + 24) % 24];
+    if (bucket.mean === null) continue;
+    weightedSum += bucket.mean * bucket.count * factor;
+    weight += bucket.count * factor;
+  }
+  const day = model.byWeekday[weekday];
+
+  const energy =
+    baseline +
+    shrunkEffect(baseline, weightedSum, weight) +
+    (day.mean === null ? 0 : shrunkEffect(baseline, day.mean * day.count, day.count));
+  return Math.round(Math.min(5, Math.max(1, energy)) * 10) / 10;
+}
+
+/**
+ * Hours with data, best first.
+ * @param {EnergyModel} model
+ */
+export function rankEnergyHours(model) {
+  return model.byHour
+    .map((bucket, hour) => ({ hour, ...bucket }))
+    .filter((bucket) => bucket.count > 0)
+    .sort((a, b) => /** @type {number} */ (b.mean) - /** @type {number} */ (a.mean) || b.count - a.count);
+}
+
+/** @param {number} weekday */
+export function weekdayName(weekday) {
+  return WEEKDAY_NAMES[weekday];
+}
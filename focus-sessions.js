@@ -0,0 +1,484 @@
+/**
+ * Focus Sessions Module
+ * Handles Pomodoro-style focus sessions that split a learning block into
+ * work and break intervals
+ */
+
+import { getProjectTimeZone } from "./date-utils.js";
+
+const DEFAULT_FOCUS_MINUTES = 25;
+const DEFAULT_BREAK_MINUTES = 5;
+const LONG_BREAK_EVERY = 4;
+// A work interval shorter than this isn't worth starting
+const MIN_WORK_MINUTES = 10;
+
+/**
+ * @typedef {Object} FocusSettings
+ * @property {number} focusMinutes
+ * @property {number} breakMinutes
+ * @property {number} longBreakMinutes
+ * @property {number} longBreakEvery - Work intervals between long breaks.
+ */
+
+/**
+ * @typedef {Object} FocusInterval
+ * @property {"work"|"break"} type
+ * @property {number} plannedMinutes
+ * @property {number} [number] - 1-based count of work intervals.
+ * @property {boolean} [long] - A long break.
+ * @property {string} [startedAt]
+ * @property {string} [endedAt]
+ * @property {number} [actualMinutes]
+ * @property {boolean} [completed] - A work interval that ran its course.
+ * @property {boolean} [voided] - Abandoned because of an interruption.
+ * @property {Array<{ at: string, note: string, kind: string }>} [interruptions]
+ */
+
+/**
+ * @param {any} text
+ * @returns {number|null}
+ */
+function parseMinutes(text) {
+  const match = String(text || "").match(/(\d+(?:\.\d+)?)\s*(h|hours?|hrs?|m|mins?|minutes?)\b/i);
+  if (!match) return null;
+  const value = Number(match[1]);
+  return Math.round(/^h/i.test(match[2]) ? value * 60 : value);
+}
+
+/**
+ * Interval lengths from the project's focus_duration ("50 minutes") and
+ * break_preferences ("5 minute breaks every 25 minutes"). Vague preferences
+ * such as "flexible" fall back to the classic 25/5 Pomodoro.
+ * @param {any} preferences - life_structure_preferences
+ * @param {{ focusMinutes?: number|null, breakMinutes?: number|null }} [overrides]
+ * @returns {FocusSettings}
+ */
+export function getFocusSettings(preferences = {}, overrides = {}) {
+  const breakText = String(preferences?.break_preferences || "");
+  const everyMatch = breakText.match(/every\s+(\d+(?:\.\d+)?\s*(?:h|hours?|hrs?|m|mins?|minutes?)\b)/i);
+  const focusMinutes =
+    overrides.focusMinutes ||
+    parseMinutes(preferences?.focus_duration) ||
+    (everyMatch && parseMinutes(everyMatch[1])) ||
+    DEFAULT_FOCUS_MINUTES;
+  const breakMatch = breakText.match(/(\d+)\s*-?\s*(?:m|mins?|minutes?)\s*breaks?/i);
+  const breakMinutes =
+    overrides.breakMinutes ||
+    (breakMatch && Number(breakMatch[1])) ||
+    (focusMinutes > 50 ? 10 : DEFAULT_BREAK_MINUTES);
+
+  if (!(focusMinutes >= MIN_WORK_MINUTES && focusMinutes <= 180)) {
+    throw new Error(`Focus intervals must be ${MIN_WORK_MINUTES}-180 minutes (got ${focusMinutes})`);
+  }
+  if (!(breakMinutes >= 1 && breakMinutes <= 60)) {
+    throw new Error(`Breaks must be 1-60 minutes (got ${breakMinutes})`);
+  }
+  return {
+    focusMinutes,
+    breakMinutes,
+    longBreakMinutes: Math.min(30, breakMinutes * 3),
+    longBreakEvery: LONG_BREAK_EVERY,
+  };
+}
+
+/**
+ * Split a block into alternating work and break intervals that fit its
+ * duration. Time too short for another work interval is left unused.
+ * @param {number} blockMinutes
+ * @param {FocusSettings} settings
+ * @returns {FocusInterval[]}
+ */
+export function planFocusIntervals(blockMinutes, settings) {
+  /** @type {FocusInterval[]} */
+  const intervals = [];
+  let used = 0;
+  let number = 0;
+  while (used < blockMinutes) {
+    const work = Math.min(settings.focusMinutes, blockMinutes - used);
+    intervals.push({ type: "work", number: ++number, plannedMinutes: work, interruptions: [] });
+    used += work;
+
+    const long = number % settings.longBreakEvery === 0;
+    const rest = long ? settings.longBreakMinutes : settings.breakMinutes;
+    if (blockMinutes - used - rest < MIN_WORK_MINUTES) break;
+    intervals.push({ type: "break", plannedMinutes: rest, long });
+    used += rest;
+  }
+  return intervals;
+}
+
+/**
+ * Focus time, completed intervals and interruptions of a session.
+ * @param {any} session - block.focusSession
+ */
+export function summarizeFocusSession(session) {
+  /** @type {FocusInterval[]} */
+  const work = (session?.intervals || []).filter(
+    (/** @type {FocusInterval} */ interval) => interval.type === "work" && interval.startedAt,
+  );
+  return {
+    plannedIntervals: (session?.intervals || []).filter(
+      (/** @type {FocusInterval} */ interval) => interval.type === "work",
+    ).length,
+    completedIntervals: work.filter((interval) => interval.completed).length,
+    voidedIntervals: work.filter((interval) => interval.voided).length,
+    focusMinutes: work.reduce((sum, interval) => sum + (interval.actualMinutes || 0), 0),
+    interruptions: work.reduce((sum, interval) => sum + (interval.interruptions?.length || 0), 0),
+  };
+}
+
+/**
+ * @param {FocusInterval} interval
+ * @param {string} at
+ * @param {boolean} ranItsCourse - Ended by moving on rather than cut off early.
+ */
+function endInterval(interval, at, ranItsCourse) {
+  interval.endedAt = at;
+  interval.actualMinutes = Math.round(
+    (new Date(at).getTime() - new Date(/** @type {string} */ (interval.startedAt)).getTime()) /
+      60000,
+  );
+  if (interval.type === "work") {
+    interval.completed =
+      !interval.voided && (ranItsCourse || interval.actualMinutes >= interval.plannedMinutes);
+  }
+}
+
+/**
+ * Close a block's active focus session, e.g. when the block is completed,
+ * skipped or deferred mid-session. The interval in progress is cut short.
+ * @param {any} block
+ * @param {string} at
+ */
+export function closeFocusSession(block, at) {
+  const session = block.focusSession;
+  if (session?.status !== "active") return;
+  const interval = session.intervals[session.current];
+  if (interval?.startedAt && !interval.endedAt) endInterval(interval, at, false);
+  session.status = "ended";
+  session.endedAt = at;
+  Object.assign(session, summarizeFocusSession(session));
+}
+
+export class FocusSessions {
+  /**
+   * @param {any} dataPersistence
+   * @param {any} projectManagement
+   * @param {import("./task-completion.js").TaskCompletion} taskCompletion - Owns block lookup and timers.
+   */
+  constructor(dataPersistence, projectManagement, taskCompletion) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.taskCompletion = taskCompletion;
+  }
+
+  /**
+   * @param {string} blockId
+   * @param {string|null} [date]
+   * @param {number|null} [focusMinutes] - Overrides the project's focus_duration.
+   * @param {number|null} [breakMinutes] - Overrides the project's break_preferences.
+   */
+  async startFocusSession(blockId, date = null, focusMinutes = null, breakMinutes = null) {
+    try {
+      const { projectId, config } = await this.loadProject();
+      const settings = getFocusSettings(config.life_structure_preferences, {
+        focusMinutes,
+        breakMinutes,
+      });
+
+      /** @type {any[]} */
+      let paused = [];
+      const { block } = await this.taskCompletion.updateScheduleBlock(
+        projectId,
+        blockId,
+        date,
+        (/** @type {any} */ block, /** @type {any} */ daySchedule) => {
+          this.taskCompletion.assertBlockOpen(block);
+          if (block.type !== "learning") {
+            throw new Error(
+              `Focus sessions are for learning blocks; "${block.title}" is a ${block.type} block`,
+            );
+          }
+          if (block.focusSession?.status === "active") {
+            throw new Error(
+              `Block ${block.id} already has a focus session running; use \`next_focus_interval\` or \`end_focus_session\``,
+            );
+          }
+
+          if (!(block.duration > 0)) {
+            throw new Error(`Block ${block.id} has no planned duration to split`);
+          }
+          const intervals = planFocusIntervals(block.duration, settings);
+          const now = new Date().toISOString();
+          intervals[0].startedAt = now;
+          // Earlier sessions on this block are kept for the record
+          if (block.focusSession) {
+            block.focusSessionHistory = [...(block.focusSessionHistory || []), block.focusSession];
+          }
+          block.focusSession = {
+            status: "active",
+            startedAt: now,
+            ...settings,
+            intervals,
+            current: 0,
+          };
+          // The block timer only runs during work intervals
+          paused = this.taskCompletion.startTimer(block, daySchedule, now);
+        },
+        getProjectTimeZone(config),
+      );
+
+      const session = block.focusSession;
+      const workCount = session.intervals.filter(
+        (/** @type {FocusInterval} */ interval) => interval.type === "work",
+      ).length;
+      let text = `🍅 **Focus Session Started**: ${block.title}\n\n`;
+      text += `**Plan**: ${workCount} × ${session.focusMinutes} min focus, ${session.breakMinutes} min breaks`;
+      text += workCount > session.longBreakEvery ? ` (${session.longBreakMinutes} min every ${session.longBreakEvery})\n` : "\n";
+      text += `▶️ Focus 1 of ${workCount}: ${session.intervals[0].plannedMinutes} min\n`;
+      for (const other of paused) {
+        text += `⏸️ Paused ${other.title}\n`;
+      }
+      text += `\nCall \`next_focus_interval\` when the interval is over and \`log_interruption\` if something breaks your focus`;
+
+      return {
+        content: [{ type: "text", text }],
+        focus_session: session,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("startFocusSession", error, {
+        blockId,
+        date,
+        focusMinutes,
+        breakMinutes,
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error starting focus session: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Finish the current interval and start the next one. After the last
+   * work interval the session is over and the block timer stops.
+   * @param {string} blockId
+   * @param {string|null} [date]
+   */
+  async nextFocusInterval(blockId, date = null) {
+    try {
+      const { projectId, config } = await this.loadProject();
+
+      /** @type {any} */
+      let finished = null;
+      const { block } = await this.taskCompletion.updateScheduleBlock(
+        projectId,
+        blockId,
+        date,
+        (/** @type {any} */ block, /** @type {any} */ daySchedule) => {
+          const session = this.requireActiveSession(block);
+          const now = new Date().toISOString();
+          finished = session.intervals[session.current];
+          endInterval(finished, now, true);
+
+          const next = session.intervals[session.current + 1];
+          if (!next) {
+            session.status = "finished";
+            session.endedAt = now;
+            Object.assign(session, summarizeFocusSession(session));
+            this.taskCompletion.stopTimer(block, now);
+            return;
+          }
+
+          session.current += 1;
+          next.startedAt = now;
+          if (next.type === "work") {
+            this.taskCompletion.startTimer(block, daySchedule, now);
+          } else {
+            this.taskCompletion.pauseTimer(block, now);
+          }
+        },
+        getProjectTimeZone(config),
+      );
+
+      const session = block.focusSession;
+      const summary = summarizeFocusSession(session);
+      const done = finished;
+      let text =
+        done.type === "work"
+          ? `${done.completed ? "✅" : "⚠️"} Focus ${done.number} ${done.completed ? "done" : "voided"}: ${done.actualMinutes} min\n`
+          : `☕ Break over (${done.actualMinutes} min)\n`;
+
+      if (session.status === "finished") {
+        text += `\n🏁 **Focus Session Finished**: ${block.title}\n\n`;
+        text += this.formatSummary(summary);
+        text += `\nUse \`complete_block\` to log the outcome`;
+      } else {
+        const next = session.intervals[session.current];
+        text +=
+          next.type === "work"
+            ? `\n▶️ **Focus ${next.number} of ${summary.plannedIntervals}**: ${next.plannedMinutes} min`
+            : `\n☕ **${next.long ? "Long break" : "Break"}**: ${next.plannedMinutes} min — step away from the screen`;
+      }
+
+      return {
+        content: [{ type: "text", text }],
+        focus_session: session,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("nextFocusInterval", error, { blockId, date });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error advancing focus session: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Note an interruption during a work interval. The interval keeps running
+   * unless voidInterval is set, in which case it no longer counts as a
+   * completed interval (the Pomodoro rule for broken focus).
+   * @param {string} blockId
+   * @param {string} note
+   * @param {string} kind - "internal" (own distraction) or "external"
+   * @param {boolean} voidInterval
+   * @param {string|null} [date]
+   */
+  async logInterruption(blockId, note = "", kind = "external", voidInterval = false, date = null) {
+    try {
+      if (!["internal", "external"].includes(kind)) {
+        throw new Error(`kind must be "internal" or "external"`);
+      }
+      const { projectId, config } = await this.loadProject();
+
+      const { block } = await this.taskCompletion.updateScheduleBlock(
+        projectId,
+        blockId,
+        date,
+        (/** @type {any} */ block) => {
+          const session = this.requireActiveSession(block);
+          const interval = session.intervals[session.current];
+          if (interval.type !== "work") {
+            throw new Error("Interruptions are tracked during focus intervals, not breaks");
+          }
+          interval.interruptions = interval.interruptions || [];
+          interval.interruptions.push({ at: new Date().toISOString(), note, kind });
+          if (voidInterval) interval.voided = true;
+        },
+        getProjectTimeZone(config),
+      );
+
+      const session = block.focusSession;
+      const interval = session.intervals[session.current];
+      let text = `📵 **Interruption Logged** (${kind}) during focus ${interval.number}\n`;
+      if (note) text += `**Note**: ${note}\n`;
+      text += `**This Session**: ${summarizeFocusSession(session).interruptions} interruption(s)\n`;
+      text += voidInterval
+        ? `\n⚠️ Focus ${interval.number} won't count as completed; call \`next_focus_interval\` to move on`
+        : `\nKeep going — the interval is still running`;
+
+      return {
+        content: [{ type: "text", text }],
+        focus_session: session,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("logInterruption", error, {
+        blockId,
+        kind,
+        date,
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error logging interruption: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Stop a session early. The block timer stops too, so completing the
+   * block afterwards records the focus time actually spent.
+   * @param {string} blockId
+   * @param {string|null} [date]
+   */
+  async endFocusSession(blockId, date = null) {
+    try {
+      const { projectId, config } = await this.loadProject();
+
+      const { block } = await this.taskCompletion.updateScheduleBlock(
+        projectId,
+        blockId,
+        date,
+        (/** @type {any} */ block) => {
+          this.requireActiveSession(block);
+          const now = new Date().toISOString();
+          closeFocusSession(block, now);
+          this.taskCompletion.stopTimer(block, now);
+        },
+        getProjectTimeZone(config),
+      );
+
+      let text = `⏹️ **Focus Session Ended**: ${block.title}\n\n`;
+      text += this.formatSummary(summarizeFocusSession(block.focusSession));
+      if (!block.completed) {
+        text += `\nUse \`complete_block\` to log the outcome`;
+      }
+
+      return {
+        content: [{ type: "text", text }],
+        focus_session: block.focusSession,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("endFocusSession", error, { blockId, date });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error ending focus session: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  async loadProject() {
+    const projectId = await this.projectManagement.requireActiveProject();
+    const config = await this.dataPersistence.loadProjectData(projectId, "config.json");
+    if (!config) {
+      throw new Error("Project configuration not found");
+    }
+    return { projectId, config };
+  }
+
+  /** @param {any} block */
+  requireActiveSession(block) {
+    if (block.focusSession?.status !== "active") {
+      throw new Error(
+        `Block ${block.id} has no focus session running; use \`start_focus_session\` first`,
+      );
+    }
+    return block.focusSession;
+  }
+
+  /** @param {ReturnType<typeof summarizeFocusSession>} summary */
+  formatSummary(summary) {
+    let text = `**Focus Time**: ${summary.focusMinutes} min\n`;
+    text += `**Intervals Completed**: ${summary.completedIntervals}/${summary.plannedIntervals}\n`;
+    if (summary.voidedIntervals > 0) {
+      text += `**Voided**: ${summary.voidedIntervals}\n`;
+    }
+    text += `**Interruptions**: ${summary.interruptions}\n`;
+    return text;
+  }
+}
@@ -0,0 +1,856 @@
+/**
+ * HTA Editor Module
+ * Handles manual edits to the HTA tree: adding, editing, splitting, merging
+ * and deleting tasks, and adding, editing and deleting branches
+ *
+ * Every edit runs under the hta.json lock and is checked before it is
+ * saved: prerequisites must name existing tasks, branches must exist, and
+ * neither task prerequisites nor branch nesting may form a loop. Task ids
+ * that go away are retargeted in promoted knowledge gaps.
+ */
+
+import { validateSchema } from "./intelligence-templates.js";
+import { parseDurationMinutes, syncBranchCompletion } from "./hta-hierarchy.js";
+
+const DEFAULT_PRIORITY = 200;
+const BRANCH_PRIORITIES = ["critical", "high", "medium", "low"];
+
+// Task fields the add/edit tools accept, and the node property each one sets
+const TASK_FIELDS = {
+  title: "title",
+  description: "description",
+  branch: "branch",
+  difficulty: "difficulty",
+  duration: "duration",
+  prerequisites: "prerequisites",
+  priority: "priority",
+  learning_outcome: "learningOutcome",
+};
+const TASK_FIELDS_SCHEMA = {
+  type: "object",
+  properties: {
+    title: { type: "string", minLength: 1 },
+    description: { type: "string" },
+    branch: { type: "string", minLength: 1 },
+    difficulty: { type: "number", minimum: 1, maximum: 5 },
+    duration: { type: "string", minLength: 1 },
+    prerequisites: { type: "array", items: { type: "string" } },
+    priority: { type: "number" },
+    learning_outcome: { type: "string" },
+  },
+};
+const SUBTASK_SCHEMA = {
+  type: "array",
+  minItems: 2,
+  items: {
+    type: "object",
+    required: ["title"],
+    properties: {
+      title: { type: "string", minLength: 1 },
+      description: { type: "string" },
+      difficulty: { type: "number", minimum: 1, maximum: 5 },
+      duration: { type: "string", minLength: 1 },
+    },
+  },
+};
+
+// Branch fields the add/edit tools accept; an empty or null parent_id moves a
+// branch to the top level
+const BRANCH_FIELDS = {
+  title: "title",
+  parent_id: "parentId",
+  priority: "priority",
+};
+const BRANCH_FIELDS_SCHEMA = {
+  type: "object",
+  properties: {
+    title: { type: "string", minLength: 1 },
+    priority: { type: "string", enum: BRANCH_PRIORITIES },
+  },
+};
+
+export class HtaEditor {
+  /**
+   * @param {any} dataPersistence
+   * @param {any} projectManagement
+   * @param {any} analyticsTools
+   */
+  constructor(dataPersistence, projectManagement, analyticsTools) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    // Reused for its prerequisite cycle detection
+    this.analyticsTools = analyticsTools;
+  }
+
+  /**
+   * @param {any} args - title and branch, plus optional task fields and id.
+   */
+  async addHtaTask(args) {
+    const { id, ...fields } = args || {};
+    try {
+      this.validateFields(TASK_FIELDS_SCHEMA, fields, TASK_FIELDS);
+      if (!fields.title || !fields.branch) {
+        throw new Error("A task needs a title and a branch");
+      }
+
+      const { task, completedBranches } = await this.editActiveHTA((htaData) => {
+        const nodes = htaData.frontierNodes;
+        const taskId = id || this.nextTaskId(nodes, "custom");
+        if (nodes.some((/** @type {any} */ n) => n.id === taskId)) {
+          throw new Error(`Task "${taskId}" already exists`);
+        }
+
+        const task = {
+          id: taskId,
+          title: fields.title,
+          description: fields.description || "",
+          branch: fields.branch,
+          difficulty: Math.round(fields.difficulty || 2),
+          duration: fields.duration || "30 minutes",
+          prerequisites: [...new Set(fields.prerequisites || [])],
+          learningOutcome: fields.learning_outcome || "",
+          priority: fields.priority ?? DEFAULT_PRIORITY,
+          completed: false,
+          custom: true,
+        };
+        this.requireBranch(htaData, task.branch);
+        this.requirePrerequisites(nodes, task);
+        nodes.push(task);
+        this.assertNoCycles(nodes, [task.id]);
+        return { task };
+      });
+
+      let text = `➕ **Task Added**: ${task.title}\n\n`;
+      text += `**Task ID**: ${task.id}\n`;
+      text += `**Branch**: ${task.branch}\n`;
+      text += `⏱️ **Duration**: ${task.duration}\n`;
+      text += `⭐ **Difficulty**: ${task.difficulty}/5\n`;
+      if (task.prerequisites.length > 0) {
+        text += `🔗 **After**: ${task.prerequisites.join(", ")}\n`;
+      }
+      text += this.formatCompletedBranches(completedBranches);
+
+      return {
+        content: [{ type: "text", text }],
+        task_created: task,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("addHtaTask", error, { id, title: fields.title });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error adding HTA task: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Change some fields of a task. Only the fields passed are changed.
+   * @param {any} args - task_id plus the fields to change.
+   */
+  async editHtaTask(args) {
+    const { task_id: taskId, ...fields } = args || {};
+    try {
+      this.validateFields(TASK_FIELDS_SCHEMA, fields, TASK_FIELDS);
+      if (Object.keys(fields).length === 0) {
+        throw new Error(`Nothing to change. Editable fields: ${Object.keys(TASK_FIELDS).join(", ")}`);
+      }
+
+      const { task, changes, completedBranches } = await this.editActiveHTA((htaData) => {
+        const nodes = htaData.frontierNodes;
+        const task = this.requireTask(nodes, taskId);
+
+        /** @type {Array<{ field: string, from: any, to: any }>} */
+        const changes = [];
+        for (const [field, value] of Object.entries(fields)) {
+          const property = TASK_FIELDS[/** @type {keyof typeof TASK_FIELDS} */ (field)];
+          let next = value;
+          if (field === "difficulty") next = Math.round(value);
+          if (field === "prerequisites") next = [...new Set(value)];
+          if (JSON.stringify(next) === JSON.stringify(task[property])) continue;
+          changes.push({ field, from: task[property] ?? null, to: next });
+          task[property] = next;
+        }
+
+        if (fields.branch !== undefined) this.requireBranch(htaData, task.branch);
+        if (fields.prerequisites !== undefined) {
+          this.requirePrerequisites(nodes, task);
+          this.assertNoCycles(nodes, [task.id]);
+        }
+        if (changes.length > 0) task.editedAt = new Date().toISOString();
+        return { task, changes };
+      });
+
+      let text = `✏️ **Task Updated**: ${task.title}\n\n`;
+      if (changes.length === 0) {
+        text += "Nothing changed - the task already had those values\n";
+      }
+      for (const change of changes) {
+        text += `• **${change.field}**: ${this.formatValue(change.from)} → ${this.formatValue(change.to)}\n`;
+      }
+      text += this.formatCompletedBranches(completedBranches);
+
+      return {
+        content: [{ type: "text", text }],
+        task_updated: task,
+        changes,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("editHtaTask", error, { taskId });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error editing HTA task: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Replace a task with smaller subtasks. The first subtask takes over the
+   * task's prerequisites, and tasks that waited on it wait on the last
+   * subtask (sequential) or on all of them (parallel).
+   * @param {string} taskId
+   * @param {any[]} subtasks - { title, description?, difficulty?, duration? }
+   * @param {boolean} [sequential] - Chain the subtasks one after another.
+   */
+  async splitHtaTask(taskId, subtasks, sequential = true) {
+    try {
+      const errors = validateSchema(SUBTASK_SCHEMA, subtasks, "subtasks");
+      if (errors.length > 0) {
+        throw new Error(`Invalid subtasks:\n- ${errors.join("\n- ")}`);
+      }
+
+      const { original, created, completedBranches } = await this.editActiveHTA((htaData) => {
+        const nodes = htaData.frontierNodes;
+        const original = this.requireTask(nodes, taskId);
+        if (original.completed) {
+          throw new Error(`Task "${taskId}" is already completed and can't be split`);
+        }
+
+        // Subtasks without a duration share the original's evenly
+        const sharedMinutes = Math.max(
+          5,
+          Math.round(parseDurationMinutes(original.duration) / subtasks.length),
+        );
+        const created = subtasks.map((subtask, index) => ({
+          id: this.uniqueTaskId(nodes, `${original.id}_${index + 1}`),
+          title: subtask.title,
+          description: subtask.description || original.description || "",
+          branch: original.branch,
+          difficulty: Math.round(subtask.difficulty || original.difficulty || 2),
+          duration: subtask.duration || `${sharedMinutes} minutes`,
+          prerequisites: /** @type {string[]} */ ([]),
+          learningOutcome: original.learningOutcome || "",
+          priority: original.priority ?? DEFAULT_PRIORITY,
+          completed: false,
+          splitFrom: original.id,
+        }));
+        created.forEach((task, index) => {
+          task.prerequisites =
+            index === 0 || !sequential
+              ? [...(original.prerequisites || [])]
+              : [created[index - 1].id];
+        });
+
+        // The last subtask carries the original's gap links
+        const last = created[created.length - 1];
+        for (const key of ["gapId", "answersGaps"]) {
+          if (original[key] !== undefined) Object.assign(last, { [key]: original[key] });
+        }
+
+        const replacement = sequential ? [last.id] : created.map((task) => task.id);
+        this.replacePrerequisite(nodes, original.id, replacement);
+        nodes.splice(nodes.indexOf(original), 1, ...created);
+        this.assertNoCycles(nodes, created.map((task) => task.id));
+        return { original, created };
+      });
+
+      await this.retargetGaps({ [original.id]: created[created.length - 1].id });
+
+      let text = `✂️ **Task Split**: ${original.title}\n\n`;
+      text += `Replaced by ${created.length} ${sequential ? "sequential" : "parallel"} subtasks:\n`;
+      for (const task of created) {
+        text += `• \`${task.id}\` ${task.title} (${task.duration})\n`;
+      }
+      text += this.formatCompletedBranches(completedBranches);
+
+      return {
+        content: [{ type: "text", text }],
+        removed_task: original,
+        tasks_created: created,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("splitHtaTask", error, { taskId });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error splitting HTA task: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Merge duplicate tasks into the first one. The merged task keeps the
+   * union of their prerequisites, and anything that waited on a duplicate
+   * waits on it instead.
+   * @param {string[]} taskIds - The task to keep first, then its duplicates.
+   * @param {string|null} [title] - New title for the merged task.
+   */
+  async mergeHtaTasks(taskIds, title = null) {
+    try {
+      const ids = [...new Set(taskIds || [])];
+      if (ids.length < 2) {
+        throw new Error("Merging needs at least two different task ids");
+      }
+
+      const { kept, removed, completedBranches } = await this.editActiveHTA((htaData) => {
+        const nodes = htaData.frontierNodes;
+        const [kept, ...removed] = ids.map((id) => this.requireTask(nodes, id));
+        const removedIds = removed.map((task) => task.id);
+
+        kept.prerequisites = [
+          ...new Set([kept, ...removed].flatMap((task) => task.prerequisites || [])),
+        ].filter((id) => !ids.includes(id));
+        kept.priority = Math.max(
+          ...[kept, ...removed].map((task) => task.priority ?? DEFAULT_PRIORITY),
+        );
+        if (title) kept.title = title;
+
+        // Work done on a duplicate counts for the merged task
+        const done = removed.find((task) => task.completed);
+        if (!kept.completed && done) {
+          kept.completed = true;
+          kept.completedAt = done.completedAt;
+        }
+        const gapIds = [kept, ...removed].flatMap((task) => task.answersGaps || []);
+        if (gapIds.length > 0) kept.answersGaps = [...new Set(gapIds)];
+        kept.mergedFrom = [...new Set([...(kept.mergedFrom || []), ...removedIds])];
+
+        for (const id of removedIds) this.replacePrerequisite(nodes, id, [kept.id]);
+        htaData.frontierNodes = nodes.filter(
+          (/** @type {any} */ n) => !removedIds.includes(n.id),
+        );
+        this.assertNoCycles(htaData.frontierNodes, [kept.id]);
+        return { kept, removed };
+      });
+
+      await this.retargetGaps(
+        Object.fromEntries(removed.map((/** @type {any} */ task) => [task.id, kept.id])),
+      );
+
+      let text = `🔀 **Tasks Merged** into \`${kept.id}\`: ${kept.title}\n\n`;
+      for (const task of removed) {
+        text += `• Removed \`${task.id}\` ${task.title}\n`;
+      }
+      if (kept.prerequisites.length > 0) {
+        text += `🔗 **After**: ${kept.prerequisites.join(", ")}\n`;
+      }
+      text += this.formatCompletedBranches(completedBranches);
+
+      return {
+        content: [{ type: "text", text }],
+        task_updated: kept,
+        removed_tasks: removed,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("mergeHtaTasks", error, { taskIds });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error merging HTA tasks: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Remove a task. Tasks that waited on it no longer do.
+   * @param {string} taskId
+   */
+  async deleteHtaTask(taskId) {
+    try {
+      const { task, dependents, completedBranches } = await this.editActiveHTA((htaData) => {
+        const task = this.requireTask(htaData.frontierNodes, taskId);
+        const dependents = this.replacePrerequisite(htaData.frontierNodes, task.id, []);
+        htaData.frontierNodes = htaData.frontierNodes.filter(
+          (/** @type {any} */ n) => n.id !== task.id,
+        );
+        return { task, dependents };
+      });
+
+      // A gap promoted to this task goes back to the open backlog
+      await this.retargetGaps({ [task.id]: null });
+
+      let text = `🗑️ **Task Deleted**: ${task.title}\n`;
+      if (dependents.length > 0) {
+        text += `\n🔓 No longer waiting on it: ${dependents.map((/** @type {any} */ n) => n.title).join(", ")}\n`;
+      }
+      text += this.formatCompletedBranches(completedBranches);
+
+      return {
+        content: [{ type: "text", text }],
+        removed_task: task,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("deleteHtaTask", error, { taskId });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error deleting HTA task: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * @param {any} args - title, plus optional id, parent_id and priority.
+   */
+  async addHtaBranch(args) {
+    const { id, ...fields } = args || {};
+    try {
+      this.validateFields(BRANCH_FIELDS_SCHEMA, fields, BRANCH_FIELDS);
+      if (!fields.title) {
+        throw new Error("A branch needs a title");
+      }
+
+      const { branch } = await this.editActiveHTA((htaData) => {
+        const branches = htaData.strategicBranches;
+        const branchId = id || this.toBranchId(fields.title);
+        if (!branchId) {
+          throw new Error("Give the branch an id made of letters or numbers");
+        }
+        if (branches.some((/** @type {any} */ b) => b.id === branchId)) {
+          throw new Error(`Branch "${branchId}" already exists`);
+        }
+
+        const branch = {
+          id: branchId,
+          title: fields.title,
+          priority: fields.priority || "medium",
+          completed: false,
+          custom: true,
+        };
+        if (fields.parent_id) {
+          this.requireBranch(htaData, fields.parent_id);
+          Object.assign(branch, { parentId: fields.parent_id });
+        }
+        branches.push(branch);
+        return { branch };
+      });
+
+      let text = `🌿 **Branch Added**: ${branch.title}\n\n`;
+      text += `**Branch ID**: ${branch.id}\n`;
+      if (branch.parentId) text += `**Under**: ${branch.parentId}\n`;
+      text += `**Priority**: ${branch.priority}\n\n`;
+      text += `Use \`add_hta_task\` with branch "${branch.id}" to give it tasks`;
+
+      return {
+        content: [{ type: "text", text }],
+        branch_created: branch,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("addHtaBranch", error, { id, title: fields.title });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error adding HTA branch: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Rename, re-prioritize or move a branch. Only the fields passed are changed.
+   * @param {any} args - branch_id plus the fields to change.
+   */
+  async editHtaBranch(args) {
+    const { branch_id: branchId, ...fields } = args || {};
+    try {
+      this.validateFields(BRANCH_FIELDS_SCHEMA, fields, BRANCH_FIELDS);
+      if (Object.keys(fields).length === 0) {
+        throw new Error(`Nothing to change. Editable fields: ${Object.keys(BRANCH_FIELDS).join(", ")}`);
+      }
+      if (fields.parent_id !== undefined && fields.parent_id !== null && typeof fields.parent_id !== "string") {
+        throw new Error('parent_id must be a branch id, or "" for the top level');
+      }
+
+      const { branch, changes } = await this.editActiveHTA((htaData) => {
+        const branch = this.requireBranch(htaData, branchId);
+
+        /** @type {Array<{ field: string, from: any, to: any }>} */
+        const changes = [];
+        for (const [field, value] of Object.entries(fields)) {
+          const property = BRANCH_FIELDS[/** @type {keyof typeof BRANCH_FIELDS} */ (field)];
+          const next = value || undefined;
+          if (next === branch[property]) continue;
+          changes.push({ field, from: branch[property] ?? null, to: next ?? null });
+          if (next === undefined) delete branch[property];
+          else branch[property] = next;
+        }
+
+        if (branch.parentId) {
+          this.requireBranch(htaData, branch.parentId);
+          this.assertNoBranchLoop(htaData.strategicBranches, branch);
+        }
+        return { branch, changes };
+      });
+
+      let text = `✏️ **Branch Updated**: ${branch.title}\n\n`;
+      if (changes.length === 0) {
+        text += "Nothing changed - the branch already had those values\n";
+      }
+      for (const change of changes) {
+        text += `• **${change.field}**: ${this.formatValue(change.from)} → ${this.formatValue(change.to)}\n`;
+      }
+
+      return {
+        content: [{ type: "text", text }],
+        branch_updated: branch,
+        changes,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("editHtaBranch", error, { branchId });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error editing HTA branch: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Remove a branch. Its sub-branches move up to its parent; its tasks must
+   * be moved to another branch first (or with moveTasksTo).
+   * @param {string} branchId
+   * @param {string|null} [moveTasksTo] - Branch that takes over the tasks.
+   */
+  async deleteHtaBranch(branchId, moveTasksTo = null) {
+    try {
+      const { branch, movedTasks, movedBranches } = await this.editActiveHTA((htaData) => {
+        const branch = this.requireBranch(htaData, branchId);
+        const tasks = htaData.frontierNodes.filter(
+          (/** @type {any} */ n) => n.branch === branch.id,
+        );
+        if (tasks.length > 0) {
+          if (!moveTasksTo) {
+            throw new Error(
+              `Branch "${branch.id}" has ${tasks.length} task(s). Pass move_tasks_to with another branch id, or delete the tasks first`,
+            );
+          }
+          if (moveTasksTo === branch.id) {
+            throw new Error("move_tasks_to must be a different branch");
+          }
+          this.requireBranch(htaData, moveTasksTo);
+        }
+
+        for (const task of tasks) task.branch = moveTasksTo;
+        const children = htaData.strategicBranches.filter(
+          (/** @type {any} */ b) => b.parentId === branch.id,
+        );
+        for (const child of children) {
+          if (branch.parentId) child.parentId = branch.parentId;
+          else delete child.parentId;
+        }
+        htaData.strategicBranches = htaData.strategicBranches.filter(
+          (/** @type {any} */ b) => b.id !== branch.id,
+        );
+        return { branch, movedTasks: tasks, movedBranches: children };
+      });
+
+      let text = `🗑️ **Branch Deleted**: ${branch.title}\n`;
+      if (movedTasks.length > 0) {
+        text += `\n📦 Moved ${movedTasks.length} task(s) to "${moveTasksTo}"\n`;
+      }
+      if (movedBranches.length > 0) {
+        text += `🌿 Moved up: ${movedBranches.map((/** @type {any} */ b) => b.title).join(", ")}\n`;
+      }
+
+      return {
+        content: [{ type: "text", text }],
+        removed_branch: branch,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("deleteHtaBranch", error, { branchId, moveTasksTo });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error deleting HTA branch: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Run an edit on the active path's HTA tree under its lock. The edit
+   * throws to abort without saving. Branch completion is re-synced after.
+   * @param {(htaData: any) => any} edit - Returns the result to pass back.
+   * @returns {Promise<any>} The edit's result plus `completedBranches`.
+   */
+  async editActiveHTA(edit) {
+    const projectId = await this.projectManagement.requireActiveProject();
+    const config = await this.dataPersistence.loadProjectData(projectId, "config.json");
+    if (!config) {
+      throw new Error("Project configuration not found");
+    }
+    const pathName = config.activePath || "general";
+
+    /** @type {any} */
+    let result = null;
+    await this.updatePathHTA(projectId, pathName, (htaData) => {
+      if (!htaData) {
+        throw new Error(`No HTA tree found for "${pathName}" path. Use \`build_hta_tree\` first.`);
+      }
+      htaData.frontierNodes = htaData.frontierNodes || [];
+      htaData.strategicBranches = htaData.strategicBranches || [];
+      result = edit(htaData);
+      result.completedBranches = syncBranchCompletion(htaData);
+      htaData.lastUpdated = new Date().toISOString();
+      return htaData;
+    });
+    return result;
+  }
+
+  /**
+   * Point knowledge gaps promoted to removed tasks at their replacement,
+   * or back to open when there is none.
+   * @param {Record<string, string|null>} replacements - Old task id → new task id.
+   */
+  async retargetGaps(replacements) {
+    const projectId = await this.projectManagement.requireActiveProject();
+    const config = await this.dataPersistence.loadProjectData(projectId, "config.json");
+    const pathName = config?.activePath || "general";
+
+    await this.updatePathLearningHistory(projectId, pathName, (history) => {
+      const gaps = (history?.knowledgeGaps || []).filter(
+        (/** @type {any} */ gap) =>
+          gap.status === "promoted" && gap.promotedTaskId in replacements,
+      );
+      if (gaps.length === 0) return null;
+
+      for (const gap of gaps) {
+        const next = replacements[gap.promotedTaskId];
+        if (next) {
+          gap.promotedTaskId = next;
+        } else {
+          gap.status = "open";
+          delete gap.promotedTaskId;
+          delete gap.promotedAt;
+        }
+      }
+      return history;
+    });
+  }
+
+  /**
+   * @param {any} schema
+   * @param {any} fields
+   * @param {Record<string, string>} allowed
+   */
+  validateFields(schema, fields, allowed) {
+    const unknown = Object.keys(fields).filter((key) => !(key in allowed));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown field(s) ${unknown.join(", ")}. Allowed: ${Object.keys(allowed).join(", ")}`);
+    }
+    const errors = validateSchema(schema, fields, "fields");
+    if (errors.length > 0) {
+      throw new Error(`Invalid fields:\n- ${errors.join("\n- ")}`);
+    }
+  }
+
+  /**
+   * @param {any[]} nodes
+   * @param {string} taskId
+   */
+  requireTask(nodes, taskId) {
+    const task = nodes.find((n) => n.id === taskId);
+    if (!task) {
+      throw new Error(`Task "${taskId}" not found. Use \`get_hta_status\` to see task ids`);
+    }
+    return task;
+  }
+
+  /**
+   * @param {any} htaData
+   * @param {string} branchId
+   */
+  requireBranch(htaData, branchId) {
+    const branch = htaData.strategicBranches.find((/** @type {any} */ b) => b.id === branchId);
+    if (!branch) {
+      const known = htaData.strategicBranches.map((/** @type {any} */ b) => b.id);
+      throw new Error(
+        `Branch "${branchId}" not found. Existing branches: ${known.join(", ") || "none"}`,
+      );
+    }
+    return branch;
+  }
+
+  /**
+   * Every prerequisite of a task must be another task in the tree.
+   * @param {any[]} nodes
+   * @param {any} task
+   */
+  requirePrerequisites(nodes, task) {
+    if ((task.prerequisites || []).includes(task.id)) {
+      throw new Error(`Task "${task.id}" can't be its own prerequisite`);
+    }
+    const ids = new Set(nodes.map((n) => n.id));
+    const missing = (task.prerequisites || []).filter((/** @type {string} */ id) => !ids.has(id));
+    if (missing.length > 0) {
+      throw new Error(`Unknown prerequisite task(s): ${missing.join(", ")}`);
+    }
+  }
+
+  /**
+   * Reject prerequisite loops that run through the edited tasks. Loops
+   * elsewhere in the tree are left for `repair_sequence`.
+   * @param {any[]} nodes
+   * @param {string[]} touchedIds
+   */
+  assertNoCycles(nodes, touchedIds) {
+    const cycle = this.analyticsTools
+      .detectCircularDependencies(nodes)
+      .find((/** @type {string[]} */ path) => path.some((id) => touchedIds.includes(id)));
+    if (cycle) {
+      throw new Error(`That would create a prerequisite loop: ${[...cycle, cycle[0]].join(" → ")}`);
+    }
+  }
+
+  /**
+   * @param {any[]} branches
+   * @param {any} branch
+   */
+  assertNoBranchLoop(branches, branch) {
+    const path = [branch.id];
+    let parentId = branch.parentId;
+    while (parentId) {
+      path.push(parentId);
+      if (parentId === branch.id) {
+        throw new Error(`That would nest the branch inside itself: ${path.join(" → ")}`);
+      }
+      parentId = branches.find((b) => b.id === parentId)?.parentId;
+    }
+  }
+
+  /**
+   * Swap a prerequisite for others in every task that waits on it.
+   * @param {any[]} nodes
+   * @param {string} oldId
+   * @param {string[]} newIds
+   * @returns {any[]} The tasks that waited on it.
+   */
+  replacePrerequisite(nodes, oldId, newIds) {
+    const dependents = nodes.filter((n) => n.id !== oldId && n.prerequisites?.includes(oldId));
+    for (const node of dependents) {
+      node.prerequisites = [
+        ...new Set(
+          node.prerequisites.flatMap((/** @type {string} */ id) => (id === oldId ? newIds : [id])),
+        ),
+      ].filter((id) => id !== node.id);
+    }
+    return dependents;
+  }
+
+  /**
+   * @param {any[]} nodes
+   * @param {string} prefix
+   */
+  nextTaskId(nodes, prefix) {
+    const used = nodes
+      .map((n) => String(n.id).match(new RegExp(`^${prefix}_(\\d+)$`)))
+      .filter(Boolean)
+      .map((match) => parseInt(/** @type {RegExpMatchArray} */ (match)[1]));
+    return `${prefix}_${Math.max(0, ...used) + 1}`;
+  }
+
+  /**
+   * @param {any[]} nodes
+   * @param {string} candidate
+   */
+  uniqueTaskId(nodes, candidate) {
+    let id = candidate;
+    for (let n = 2; nodes.some((node) => node.id === id); n++) {
+      id = `${candidate}_${n}`;
+    }
+    return id;
+  }
+
+  /** @param {string} title */
+  toBranchId(title) {
+    return title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "");
+  }
+
+  /** @param {any} value */
+  formatValue(value) {
+    if (value === null || value === undefined || value === "") return "(none)";
+    if (Array.isArray(value)) return value.length > 0 ? value.join(", ") : "(none)";
+    return String(value);
+  }
+
+  /**
+   * Branches an edit finished (e.g. by deleting their last open task).
+   * @param {any[]} branches
+   */
+  formatCompletedBranches(branches) {
+    return (branches || [])
+      .map((branch) => `🌿 **Branch Completed**: ${branch.title || branch.id}\n`)
+      .join("");
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {string} pathName
+   * @param {(data: any) => any} mutator
+   */
+  async updatePathHTA(projectId, pathName, mutator) {
+    if (pathName === "general") {
+      return await this.dataPersistence.updateProjectData(projectId, "hta.json", mutator);
+    } else {
+      return await this.dataPersistence.updatePathData(projectId, pathName, "hta.json", mutator);
+    }
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {string} pathName
+   * @param {(data: any) => any} mutator
+   */
+  async updatePathLearningHistory(projectId, pathName, mutator) {
+    if (pathName === "general") {
+      return await this.dataPersistence.updateProjectData(
+        projectId,
+        "learning_history.json",
+        mutator,
+      );
+    } else {
+      return await this.dataPersistence.updatePathData(
+        projectId,
+        pathName,
+        "learning_history.json",
+        mutator,
+      );
+    }
+  }
+}
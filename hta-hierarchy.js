@@ -0,0 +1,207 @@
+/**
+ * HTA Hierarchy Module
+ * Builds the goal → branch → sub-branch → task tree from HTA data and rolls
+ * progress up from the tasks
+ *
+ * The stored shape stays flat: `strategicBranches` may name a `parentId`
+ * (another branch) to nest under, and every task in `frontierNodes` names
+ * its `branch`. Branches without a known parent sit directly under the goal,
+ * as do tasks whose branch isn't in the tree.
+ */
+
+const DEFAULT_TASK_MINUTES = 30;
+
+/**
+ * @typedef {Object} Rollup
+ * @property {number} tasks
+ * @property {number} completed
+ * @property {number} percent - Share of tasks completed (0-100).
+ * @property {number} effortMinutes - Estimated minutes of all tasks.
+ * @property {number} completedEffortMinutes - Estimated minutes of completed tasks.
+ * @property {number} effortPercent - Share of estimated effort completed (0-100).
+ */
+
+/**
+ * @typedef {Object} HierarchyNode
+ * @property {string} id
+ * @property {string} title
+ * @property {"goal"|"branch"} type
+ * @property {any} [branch] - The stored branch, for branch nodes.
+ * @property {HierarchyNode[]} children - Sub-branches.
+ * @property {any[]} tasks - Tasks directly in this branch.
+ * @property {Rollup} progress - Including every descendant.
+ * @property {number} depth - 0 for the goal.
+ */
+
+/** @param {any} duration */
+export function parseDurationMinutes(duration) {
+  if (Number.isFinite(duration)) return Number(duration);
+  const matches = String(duration || "").match(/(\d+)\s*(minute|hour|min|hr)/i);
+  if (!matches) return DEFAULT_TASK_MINUTES;
+  const value = parseInt(matches[1]);
+  return /^h/i.test(matches[2]) ? value * 60 : value;
+}
+
+/**
+ * The branch each branch nests under, with unknown parents and loops
+ * flattened to the goal.
+ * @param {any[]} branches
+ * @returns {Map<string, string|null>}
+ */
+function resolveParents(branches) {
+  const known = new Set(branches.map((branch) => branch.id));
+  /** @type {Map<string, string|null>} */
+  const parents = new Map();
+  for (const branch of branches) {
+    const parentId = branch.parentId && known.has(branch.parentId) ? branch.parentId : null;
+    parents.set(branch.id, parentId === branch.id ? null : parentId);
+  }
+
+  for (const branch of branches) {
+    const seen = new Set([branch.id]);
+    let current = parents.get(branch.id);
+    while (current) {
+      if (seen.has(current)) {
+        parents.set(branch.id, null);
+        break;
+      }
+      seen.add(current);
+      current = parents.get(current);
+    }
+  }
+  return parents;
+}
+
+/**
+ * @param {HierarchyNode} node
+ * @returns {Rollup}
+ */
+function rollup(node) {
+  let tasks = 0;
+  let completed = 0;
+  let effortMinutes = 0;
+  let completedEffortMinutes = 0;
+
+  for (const task of node.tasks) {
+    const minutes = parseDurationMinutes(task.duration);
+    tasks++;
+    effortMinutes += minutes;
+    if (task.completed) {
+      completed++;
+      completedEffortMinutes += minutes;
+    }
+  }
+  for (const child of node.children) {
+    const progress = rollup(child);
+    tasks += progress.tasks;
+    completed += progress.completed;
+    effortMinutes += progress.effortMinutes;
+    completedEffortMinutes += progress.completedEffortMinutes;
+  }
+
+  node.progress = {
+    tasks,
+    completed,
+    percent: tasks > 0 ? Math.round((completed / tasks) * 100) : 0,
+    effortMinutes,
+    completedEffortMinutes,
+    effortPercent:
+      effortMinutes > 0 ? Math.round((completedEffortMinutes / effortMinutes) * 100) : 0,
+  };
+  return node.progress;
+}
+
+/**
+ * The whole tree with progress rolled up to every branch and the goal.
+ * @param {any} htaData
+ * @returns {HierarchyNode}
+ */
+export function buildHierarchy(htaData) {
+  const branches = (htaData?.strategicBranches || []).filter(
+    (/** @type {any} */ branch) => branch && branch.id,
+  );
+  const parents = resolveParents(branches);
+  const empty = {
+    tasks: 0,
+    completed: 0,
+    percent: 0,
+    effortMinutes: 0,
+    completedEffortMinutes: 0,
+    effortPercent: 0,
+  };
+
+  /** @type {HierarchyNode} */
+  const root = {
+    id: "goal",
+    title: htaData?.goal || "Goal",
+    type: "goal",
+    children: [],
+    tasks: [],
+    progress: empty,
+    depth: 0,
+  };
+  /** @type {Map<string, HierarchyNode>} */
+  const byId = new Map();
+  for (const branch of branches) {
+    byId.set(branch.id, {
+      id: branch.id,
+      title: branch.title || branch.id,
+      type: "branch",
+      branch,
+      children: [],
+      tasks: [],
+      progress: empty,
+      depth: 0,
+    });
+  }
+  for (const branch of branches) {
+    const parentId = parents.get(branch.id);
+    const node = /** @type {HierarchyNode} */ (byId.get(branch.id));
+    (parentId ? /** @type {HierarchyNode} */ (byId.get(parentId)) : root).children.push(node);
+  }
+  for (const task of htaData?.frontierNodes || []) {
+    (byId.get(task.branch) || root).tasks.push(task);
+  }
+
+  /** @param {HierarchyNode} node @param {number} depth */
+  const setDepth = (node, depth) => {
+    node.depth = depth;
+    for (const child of node.children) setDepth(child, depth + 1);
+  };
+  setDepth(root, 0);
+  rollup(root);
+  return root;
+}
+
+/**
+ * Every branch in the tree, parents before their children.
+ * @param {HierarchyNode} root
+ * @returns {HierarchyNode[]}
+ */
+export function listBranches(root) {
+  return root.children.flatMap((child) => [child, ...listBranches(child)]);
+}
+
+/**
+ * Set each branch's `completed` flag from its tasks: a branch is complete
+ * once it has tasks and all of them (sub-branches included) are done, and
+ * reopens when new work is added. Returns the branches that just completed.
+ * @param {any} htaData - Updated in place.
+ * @returns {any[]}
+ */
+export function syncBranchCompletion(htaData) {
+  const newlyCompleted = [];
+  for (const node of listBranches(buildHierarchy(htaData))) {
+    const branch = node.branch;
+    const done = node.progress.tasks > 0 && node.progress.completed === node.progress.tasks;
+    if (done && !branch.completed) {
+      branch.completed = true;
+      branch.completedAt = new Date().toISOString();
+      newlyCompleted.push(branch);
+    } else if (!done && branch.completed && node.progress.tasks > 0) {
+      branch.completed = false;
+      delete branch.completedAt;
+    }
+  }
+  return newlyCompleted;
+}
@@ -3,6 +3,12 @@
  * Handles HTA tree status reporting and metadata - NO HARDCODED RESPONSES
  */
 
+import { getProjectTimeZone, getToday } from "./date-utils.js";
+import { buildHierarchy, listBranches } from "./hta-hierarchy.js";
+
+// Tasks listed under each branch in the status tree
+const TASKS_PER_BRANCH = 5;
+
 export class HtaStatus {
   constructor(dataPersistence, projectManagement) {
     this.dataPersistence = dataPersistence;
@@ -35,7 +41,8 @@ export class HtaStatus {
         };
       }
 
-      const statusReport = this.generateStatusReport(htaData, activePath);
+      const today = getToday(getProjectTimeZone(config));
+      const statusReport = this.generateStatusReport(htaData, activePath, today);
 
       return {
         content: [
@@ -46,11 +53,11 @@ export class HtaStatus {
         ],
         hta_status: {
           path: activePath,
-          strategic_branches:
-            htaData.branches || htaData.strategicBranches || [],
-          frontier_nodes: htaData.frontier_nodes || htaData.frontierNodes || [],
+          strategic_branches: htaData.strategicBranches || [],
+          frontier_nodes: htaData.frontierNodes || [],
           progress: this.calculateProgress(htaData),
-          last_updated: htaData.last_evolution || htaData.lastUpdated,
+          tree: this.toTreeSummary(buildHierarchy(htaData)),
+          last_updated: htaData.lastUpdated,
         },
       };
     } catch (error) {
@@ -90,40 +97,30 @@ export class HtaStatus {
     }
   }
 
-  generateStatusReport(htaData, pathName) {
-    // Handle both naming conventions
-    const branches = htaData.branches || htaData.strategicBranches || [];
-    const nodes = htaData.frontier_nodes || htaData.frontierNodes || [];
-    const completedNodes = htaData.completed_nodes || [];
-
-    // Merge completed and frontier nodes for full task list
-    const allNodes = [...nodes, ...completedNodes];
-    const progress = this.calculateProgress({
-      ...htaData,
-      frontier_nodes: allNodes,
-    });
+  /**
+   * @param {any} htaData
+   * @param {string} pathName
+   */
+  generateStatusReport(htaData, pathName, /** @type {string|null} */ date = null) {
+    // Canonical schema: completed nodes stay in frontierNodes with completed=true
+    const nodes = htaData.frontierNodes || [];
+    const tree = buildHierarchy(htaData);
+    const branchCount = listBranches(tree).length;
 
     let report = `🌳 **HTA Tree Status - ${pathName} Path**\n\n`;
-    report += `**Goal**: ${htaData.north_star || htaData.goal || "Not specified"}\n`;
-    report += `**Progress**: ${progress.percentage}% (${progress.completed}/${progress.total} tasks)\n`;
-    report += `**Learning Style**: ${htaData.learning_style || htaData.learningStyle || "mixed"}\n\n`;
-
-    // Strategic Branches Status
-    report += `📊 **Strategic Branches** (${branches.length}):\n`;
-    for (const branch of branches) {
-      const branchNodes = nodes.filter((n) => n.branch === branch.id);
-      const completedBranchNodes = branchNodes.filter((n) => n.completed);
-      const branchProgress =
-        branchNodes.length > 0
-          ? Math.round((completedBranchNodes.length / branchNodes.length) * 100)
-          : 0;
-
-      const status = branch.completed ? "✅" : branchProgress > 0 ? "🔄" : "⏳";
-      report += `${status} **${branch.title}** - ${branchProgress}% (${completedBranchNodes.length}/${branchNodes.length})\n`;
-    }
+    report += `**Goal**: ${htaData.goal || "Not specified"}\n`;
+    report += `**Progress**: ${tree.progress.percent}% (${tree.progress.completed}/${tree.progress.tasks} tasks)\n`;
+    report += `**Effort**: ${tree.progress.effortPercent}% (${this.formatMinutes(tree.progress.completedEffortMinutes)} of ${this.formatMinutes(tree.progress.effortMinutes)})\n`;
+    report += `**Learning Style**: ${htaData.learningStyle || "mixed"}\n\n`;
+
+    // Goal → branches → sub-branches → tasks, with progress rolled up per level
+    report += `📊 **Strategic Branches** (${branchCount}):\n`;
+    const readyIds = new Set(this.getReadyNodes(nodes).map((/** @type {any} */ n) => n.id));
+    report += this.renderTree(tree, "", readyIds, date).join("\n") + "\n";
+    report += `\nLegend: ✅ done · ▶️ ready · 🔒 waiting on prerequisites · ⏸️ deferred\n`;
 
-    // Ready Tasks - only from frontier_nodes, not completed
-    const readyNodes = this.getReadyNodes(nodes);
+    // Ready Tasks - frontier nodes that are not completed
+    const readyNodes = this.getReadyNodes(nodes, date);
     report += `\n🎯 **Ready Tasks** (${readyNodes.length}):\n`;
 
     if (readyNodes.length === 0) {
@@ -140,14 +137,6 @@ export class HtaStatus {
       }
     }
 
-    // Show completed tasks if any
-    if (completedNodes.length > 0) {
-      report += `\n✅ **Completed Tasks** (${completedNodes.length}):\n`;
-      for (const node of completedNodes) {
-        report += `• ${node.title}\n`;
-      }
-    }
-
     // Next Actions
     report += `\n🚀 **Next Actions**:\n`;
     if (readyNodes.length > 0) {
@@ -161,12 +150,92 @@ export class HtaStatus {
     return report;
   }
 
+  /**
+   * Lines of the branch tree under a node: sub-branches first, then the
+   * node's own tasks (capped, so big branches stay readable).
+   * @param {import("./hta-hierarchy.js").HierarchyNode} node
+   * @param {string} prefix - Connector columns inherited from the ancestors.
+   * @param {Set<string>} readyIds - Tasks whose prerequisites are met.
+   * @param {string|null} date
+   * @returns {string[]}
+   */
+  renderTree(node, prefix, readyIds, date) {
+    const shownTasks = node.tasks.slice(0, TASKS_PER_BRANCH);
+    const hiddenTasks = node.tasks.length - shownTasks.length;
+    const entries = [
+      ...node.children.map((child) => ({ child, text: this.formatBranchLine(child) })),
+      ...shownTasks.map((task) => ({ child: null, text: this.formatTaskLine(task, readyIds, date) })),
+    ];
+    if (hiddenTasks > 0) {
+      entries.push({ child: null, text: `… ${hiddenTasks} more task${hiddenTasks === 1 ? "" : "s"}` });
+    }
+
+    /** @type {string[]} */
+    const lines = [];
+    entries.forEach((entry, index) => {
+      const last = index === entries.length - 1;
+      lines.push(`${prefix}${last ? "└─" : "├─"} ${entry.text}`);
+      if (entry.child) {
+        lines.push(...this.renderTree(entry.child, `${prefix}${last ? "   " : "│  "}`, readyIds, date));
+      }
+    });
+    return lines;
+  }
+
+  /** @param {import("./hta-hierarchy.js").HierarchyNode} node */
+  formatBranchLine(node) {
+    const { percent, completed, tasks, completedEffortMinutes, effortMinutes } = node.progress;
+    const status = node.branch?.completed ? "✅" : completed > 0 ? "🔄" : "⏳";
+    const effort =
+      tasks > 0
+        ? `, ${this.formatMinutes(completedEffortMinutes)}/${this.formatMinutes(effortMinutes)}`
+        : "";
+    return `${status} **${node.title}** - ${percent}% (${completed}/${tasks}${effort})`;
+  }
+
+  /**
+   * @param {any} task
+   * @param {Set<string>} readyIds
+   * @param {string|null} date
+   */
+  formatTaskLine(task, readyIds, date) {
+    let status = "🔒";
+    if (task.completed) status = "✅";
+    else if (date && task.deferredUntil && task.deferredUntil > date) status = "⏸️";
+    else if (readyIds.has(task.id)) status = "▶️";
+    return `${status} ${task.title} (${task.duration || "30 min"})`;
+  }
+
+  /** @param {number} minutes */
+  formatMinutes(minutes) {
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return rest > 0 ? `${hours}h ${rest}m` : `${hours}h`;
+  }
+
+  /**
+   * The hierarchy without the stored branch and task objects, for
+   * `hta_status.tree`.
+   * @param {import("./hta-hierarchy.js").HierarchyNode} node
+   * @returns {any}
+   */
+  toTreeSummary(node) {
+    return {
+      id: node.id,
+      title: node.title,
+      type: node.type,
+      completed: node.type === "branch" ? Boolean(node.branch?.completed) : undefined,
+      progress: node.progress,
+      task_ids: node.tasks.map((task) => task.id),
+      children: node.children.map((child) => this.toTreeSummary(child)),
+    };
+  }
+
   calculateProgress(htaData) {
-    const frontierNodes = htaData.frontier_nodes || htaData.frontierNodes || [];
-    const completedNodes = htaData.completed_nodes || [];
-    const completed =
-      completedNodes.length + frontierNodes.filter((n) => n.completed).length;
-    const total = frontierNodes.length + completedNodes.length;
+    const frontierNodes = htaData.frontierNodes || [];
+    const completed = frontierNodes.filter((/** @type {any} */ n) => n.completed).length;
+    const total = frontierNodes.length;
     const percentage = total > 0 ? Math.round((completed / total) * 100) : 0;
 
     return {
@@ -176,11 +245,13 @@ export class HtaStatus {
     };
   }
 
-  getReadyNodes(nodes) {
+  /** @param {any[]} nodes */
+  getReadyNodes(nodes, /** @type {string|null} */ date = null) {
     const completedNodeIds = nodes.filter((n) => n.completed).map((n) => n.id);
 
     return nodes.filter((node) => {
       if (node.completed) return false;
+      if (date && node.deferredUntil && node.deferredUntil > date) return false;
 
       // Check if all prerequisites are met
       if (node.prerequisites && node.prerequisites.length > 0) {
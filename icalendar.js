@@ -0,0 +1,393 @@
+/**
+ * iCalendar Module
+ * Parses .ics calendars into events the scheduler can plan around, and
+ * writes schedules out as .ics
+ */
+
+import { addDays, daysBetween, getZonedParts, zonedTimeToUtc } from "./date-utils.js";
+
+const ICAL_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const MINUTES_PER_DAY = 24 * 60;
+const MAX_OCCURRENCES = 5000;
+
+/**
+ * A calendar time as wall-clock date and minutes after midnight. Times
+ * given in UTC ("...Z") are converted to the project's time zone; times
+ * with a TZID or without a zone are used as written.
+ * @typedef {Object} CalendarTime
+ * @property {string} date - YYYY-MM-DD
+ * @property {number} minutes
+ */
+
+/**
+ * @typedef {Object} CalendarEvent
+ * @property {string} title
+ * @property {CalendarTime} start
+ * @property {CalendarTime} end
+ * @property {boolean} allDay
+ * @property {{ freq: string, interval: number, byDay: number[]|null, until: CalendarTime|null, count: number|null }|null} rrule
+ * @property {string[]} exdates - Dates (YYYY-MM-DD) of skipped occurrences.
+ * @property {string} source
+ */
+
+/**
+ * Undo RFC 5545 line folding and split into content lines.
+ * @param {string} text
+ */
+function unfoldLines(text) {
+  return text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/).filter(Boolean);
+}
+
+/**
+ * Split "NAME;PARAM=x:VALUE" into its parts.
+ * @param {string} line
+ */
+function parseContentLine(line) {
+  const colon = line.indexOf(":");
+  if (colon === -1) return null;
+  const [name, ...params] = line.slice(0, colon).split(";");
+  /** @type {Record<string, string>} */
+  const paramMap = {};
+  for (const param of params) {
+    const [key, value = ""] = param.split("=");
+    paramMap[key.toUpperCase()] = value;
+  }
+  return { name: name.toUpperCase(), params: paramMap, value: line.slice(colon + 1) };
+}
+
+/** @param {string} value */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, ch) => (ch === "n" || ch === "N" ? "\n" : ch));
+}
+
+/**
+ * Parse a DATE or DATE-TIME value.
+ * @param {string} value
+ * @param {string|null} [timeZone] - Zone UTC times are converted to.
+ * @returns {{ time: CalendarTime, allDay: boolean }|null}
+ */
+export function parseCalendarTime(value, timeZone = null) {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+  const [, y, mo, d, h, mi, , utc] = match;
+
+  if (h === undefined) {
+    return { time: { date: `${y}-${mo}-${d}`, minutes: 0 }, allDay: true };
+  }
+  if (utc) {
+    const { date, minutes } = getZonedParts(Date.UTC(+y, +mo - 1, +d, +h, +mi), timeZone);
+    return { time: { date, minutes }, allDay: false };
+  }
+  return { time: { date: `${y}-${mo}-${d}`, minutes: +h * 60 + +mi }, allDay: false };
+}
+
+/**
+ * @param {string} value
+ * @param {string|null} timeZone
+ */
+function parseRRule(value, timeZone) {
+  /** @type {Record<string, string>} */
+  const parts = {};
+  for (const part of value.split(";")) {
+    const [key, val = ""] = part.split("=");
+    parts[key.toUpperCase()] = val.toUpperCase();
+  }
+  if (parts.FREQ !== "DAILY" && parts.FREQ !== "WEEKLY") return null;
+
+  return {
+    freq: parts.FREQ,
+    interval: Math.max(1, parseInt(parts.INTERVAL || "1", 10) || 1),
+    byDay: parts.BYDAY
+      ? parts.BYDAY.split(",")
+          .map((day) => ICAL_WEEKDAYS.indexOf(day.slice(-2)))
+          .filter((day) => day !== -1)
+      : null,
+    until: parts.UNTIL ? parseCalendarTime(parts.UNTIL, timeZone)?.time || null : null,
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) || null : null,
+  };
+}
+
+/**
+ * Parse the VEVENTs of an iCalendar document. Cancelled and transparent
+ * (free) events are skipped; DAILY/WEEKLY recurrence rules are kept for
+ * expansion, other frequencies keep only their first occurrence.
+ * @param {string} text
+ * @param {string} [source]
+ * @param {string|null} [timeZone] - Zone UTC times are converted to.
+ * @returns {CalendarEvent[]}
+ */
+export function parseICalendar(text, source = "ics", timeZone = null) {
+  /** @type {CalendarEvent[]} */
+  const events = [];
+  /** @type {any} */
+  let current = null;
+
+  for (const line of unfoldLines(text)) {
+    const upper = line.toUpperCase();
+    if (upper === "BEGIN:VEVENT") {
+      current = { exdates: [] };
+      continue;
+    }
+    if (upper === "END:VEVENT") {
+      if (current?.start && current.status !== "CANCELLED" && current.transp !== "TRANSPARENT") {
+        const start = current.start;
+        const end =
+          current.end ||
+          (start.allDay
+            ? { time: { date: addDays(start.time.date, 1), minutes: 0 }, allDay: true }
+            : start);
+        events.push({
+          title: current.summary || "Busy",
+          start: start.time,
+          end: end.time,
+          allDay: start.allDay,
+          rrule: current.rrule || null,
+          exdates: current.exdates,
+          source,
+        });
+      }
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const property = parseContentLine(line);
+    if (!property) continue;
+    switch (property.name) {
+      case "SUMMARY":
+        current.summary = unescapeText(property.value);
+        break;
+      case "DTSTART":
+        current.start = parseCalendarTime(property.value, timeZone);
+        break;
+      case "DTEND":
+        current.end = parseCalendarTime(property.value, timeZone);
+        break;
+      case "RRULE":
+        current.rrule = parseRRule(property.value, timeZone);
+        break;
+      case "EXDATE":
+        for (const value of property.value.split(",")) {
+          const parsed = parseCalendarTime(value, timeZone);
+          if (parsed) current.exdates.push(parsed.time.date);
+        }
+        break;
+      case "STATUS":
+        current.status = property.value.toUpperCase();
+        break;
+      case "TRANSP":
+        current.transp = property.value.toUpperCase();
+        break;
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Start dates of the occurrences of an event from fromDate to lastDate.
+ * @param {CalendarEvent} event
+ * @param {string} fromDate
+ * @param {string} lastDate
+ */
+function occurrenceDates(event, fromDate, lastDate) {
+  const first = event.start.date;
+  if (!event.rrule) return first >= fromDate && first <= lastDate ? [first] : [];
+
+  const { freq, interval, byDay, until, count } = event.rrule;
+  const weekdays = byDay && byDay.length > 0
+    ? byDay
+    : [new Date(`${first}T00:00:00Z`).getUTCDay()];
+  /**
+   * @param {number} offset - Days after the first occurrence.
+   * @param {string} date
+   */
+  const matches = (offset, date) =>
+    freq === "DAILY"
+      ? offset % interval === 0 &&
+        (!byDay || byDay.includes(new Date(`${date}T00:00:00Z`).getUTCDay()))
+      : Math.floor(offset / 7) % interval === 0 &&
+        weekdays.includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+
+  // Both frequencies repeat every `interval` weeks, so whole cycles before
+  // fromDate are skipped; COUNT still has to include their occurrences
+  const cycleDays = 7 * interval;
+  const skippedCycles = Math.max(0, Math.floor(daysBetween(first, fromDate) / cycleDays));
+  let seen = 0;
+  if (count && skippedCycles > 0) {
+    let perCycle = 0;
+    for (let offset = 0; offset < cycleDays; offset++) {
+      if (matches(offset, addDays(first, offset))) perCycle++;
+    }
+    seen = skippedCycles * perCycle;
+  }
+
+  const dates = [];
+  for (let offset = skippedCycles * cycleDays; dates.length < MAX_OCCURRENCES; offset++) {
+    const date = addDays(first, offset);
+    if (date > lastDate) break;
+    if (until && date > until.date) break;
+    if (count && seen >= count) break;
+    if (!matches(offset, date)) continue;
+    seen++;
+    if (date >= fromDate) dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * The parts of each timed event that fall on a date, as minute intervals
+ * within that day. Events spanning midnight are clipped to the day.
+ * @param {CalendarEvent[]} events
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Array<{ title: string, start: number, end: number, source: string }>}
+ */
+export function getEventsForDate(events, date) {
+  const intervals = [];
+  for (const event of events) {
+    if (event.allDay) continue;
+    const length =
+      daysBetween(event.start.date, event.end.date) * MINUTES_PER_DAY +
+      event.end.minutes -
+      event.start.minutes;
+    if (length <= 0) continue;
+
+    // Occurrences starting this many days earlier can still run into the date
+    const spanDays = Math.ceil((event.start.minutes + length) / MINUTES_PER_DAY) - 1;
+    for (const occurrence of occurrenceDates(event, addDays(date, -spanDays), date)) {
+      if (event.exdates.includes(occurrence)) continue;
+      const start = daysBetween(date, occurrence) * MINUTES_PER_DAY + event.start.minutes;
+      const end = start + length;
+      if (end <= 0 || start >= MINUTES_PER_DAY) continue;
+      intervals.push({
+        title: event.title,
+        start: Math.max(0, start),
+        end: Math.min(MINUTES_PER_DAY, end),
+        source: event.source,
+      });
+    }
+  }
+  return intervals;
+}
+
+/**
+ * @typedef {Object} ExportEvent
+ * @property {string} uid - Stable identifier; re-importing the same uid updates the event.
+ * @property {CalendarTime} start
+ * @property {CalendarTime} end
+ * @property {string} summary
+ * @property {string} [description]
+ * @property {string[]} [categories]
+ * @property {boolean} [transparent] - Shown as free time rather than busy.
+ * @property {Date} [lastModified]
+ */
+
+/** @param {string} value */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold a content line to 75 octets per RFC 5545, never splitting a
+ * multi-byte character.
+ * @param {string} line
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * Floating local DATE-TIME (no zone), so the calendar shows the same wall
+ * time the schedule was planned in. Minutes past midnight roll into the next day.
+ * @param {CalendarTime} time
+ */
+function formatLocalDateTime(time) {
+  const date = addDays(time.date, Math.floor(time.minutes / MINUTES_PER_DAY));
+  const minutes = ((time.minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return (
+    `${date.replace(/-/g, "")}T` +
+    `${String(Math.floor(minutes / 60)).padStart(2, "0")}${String(minutes % 60).padStart(2, "0")}00`
+  );
+}
+
+/**
+ * @param {CalendarTime} time
+ * @param {string|null} timeZone - Zone the wall time is in; null writes a floating time.
+ */
+function formatDateTime(time, timeZone) {
+  return timeZone
+    ? formatUtcDateTime(zonedTimeToUtc(time.date, time.minutes, timeZone))
+    : formatLocalDateTime(time);
+}
+
+/** @param {Date} date */
+function formatUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Serialize events as an RFC 5545 VCALENDAR document (CRLF line endings).
+ * Given a timeZone, times are written in UTC so calendars in other zones
+ * show the right moment; otherwise they are floating wall-clock times.
+ * @param {ExportEvent[]} events
+ * @param {{ calendarName?: string, now?: Date, timeZone?: string|null }} [options]
+ */
+export function serializeICalendar(
+  events,
+  { calendarName = "Forest Schedule", now = new Date(), timeZone = null } = {},
+) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Forest//Forest Schedule Export//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+  ];
+
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatUtcDateTime(now)}`,
+      `DTSTART:${formatDateTime(event.start, timeZone)}`,
+      `DTEND:${formatDateTime(event.end, timeZone)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.categories?.length) {
+      lines.push(`CATEGORIES:${event.categories.map(escapeText).join(",")}`);
+    }
+    if (event.transparent) {
+      lines.push("TRANSP:TRANSPARENT");
+    }
+    if (event.lastModified) {
+      lines.push(`LAST-MODIFIED:${formatUtcDateTime(event.lastModified)}`);
+    }
+    lines.push("END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
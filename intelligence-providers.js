@@ -0,0 +1,435 @@
+/**
+ * Intelligence Providers Module
+ * Pluggable backends that serve intelligence requests (heuristics, OpenAI-compatible HTTP, local model servers)
+ */
+
+import {
+  genericTemplate,
+  getTemplate,
+  validateSchema,
+} from "./intelligence-templates.js";
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Offline provider that generates context-aware mock data so downstream
+ * modules don't fall back to generic placeholders. Always available.
+ */
+export class HeuristicProvider {
+  constructor() {
+    this.name = "heuristic";
+  }
+
+  /** @param {string} _type */
+  supports(_type) {
+    return true;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * @param {string} type
+   * @param {any} payload
+   * @returns {Promise<any>}
+   */
+  async request(type, payload) {
+    try {
+      switch (type) {
+        case "branch-design": {
+          // Extract a few keywords from the goal / path to shape branches
+          const goalText = String(payload.goal || "general").toLowerCase();
+          const path = String(payload.pathName || "general").toLowerCase();
+          const focus = (payload.focusAreas || []).map((/** @type {any} */ f) => String(f).toLowerCase());
+
+          /** @type {string[]} */
+          const keywords = [goalText, path, ...focus].join(" ").split(/[^a-z]+/);
+          const hasCrisis = keywords.includes("crisis") || keywords.includes("emergency");
+          const hasRelationship = keywords.includes("relationship") || keywords.includes("sydney");
+          const hasSystem = keywords.includes("system") || keywords.includes("daily");
+
+          /** @type {any[]} */
+          const branches = [];
+          let idCounter = 1;
+          /**
+           * Push a branch definition into the list.
+           * @param {string} id
+           * @param {string} title
+           * @param {string} [priority="high"]
+           */
+          const pushBranch = (id, title, priority = "high") => {
+            branches.push({ id, title, priority, completed: false });
+          };
+
+          if (hasCrisis) pushBranch("crisis", "Crisis Prevention", "critical");
+          if (hasRelationship) pushBranch("relationship", "Relationship Repair", "high");
+          if (hasSystem) pushBranch("daily", "Daily Systems", "high");
+
+          // Always include at least exploration / mastery arcs
+          pushBranch("exploration", "Domain Exploration", "medium");
+          pushBranch("mastery", "Advanced Mastery", "low");
+
+          // Ensure unique ids
+          branches.forEach((/** @type {{id: string}} */ b) => {
+            if (!b.id) {
+              b.id = `branch_${idCounter++}`;
+            }
+          });
+
+          return { branches };
+        }
+
+        case "branch-node-generation": {
+          const { branch, startNodeId = 1 } = payload;
+          /** @type {any[]} */ const nodes = [];
+          const base = branch.id || "branch";
+          const titles = [
+            `Understand the fundamentals of ${branch.title}`,
+            `Apply ${branch.title} in real-life scenario`,
+            `Reflect on progress in ${branch.title}`,
+          ];
+          titles.forEach((/** @type {string} */ title, idx) => {
+            nodes.push({
+              id: `${base}_${startNodeId + idx}`,
+              title,
+              description: title,
+              branch: branch.id,
+              difficulty: idx + 1,
+              duration: `${15 + idx * 15} minutes`,
+              prerequisites: idx === 0 ? [] : [`${base}_${startNodeId + idx - 1}`],
+              learningOutcome: `Gain competency: ${title}`,
+              completed: false,
+              priority: 200 - idx * 10,
+            });
+          });
+          return { nodes };
+        }
+
+        case "task-generation": {
+          const { config = {}, analysis = {} } = payload;
+          const goal = String(config.goal || "General Growth");
+          const tasks = [
+            {
+              id: `task_${Date.now()}`,
+              title: `Deep-dive: ${goal.split(" ")[0]} fundamentals`,
+              description: `Investigate the foundational principles behind your goal: ${goal}`,
+              difficulty: 3,
+              duration: "45 minutes",
+              branch: "fundamentals",
+              priority: 220,
+              generated: true,
+            },
+            {
+              id: `task_${Date.now() + 1}`,
+              title: `Apply new insight to real crisis context`,
+              description: `Translate theory into practice based on current analysis (${analysis.recommendedEvolution || "optimize"}).`,
+              difficulty: 4,
+              duration: "30 minutes",
+              branch: "application",
+              priority: 210,
+              generated: true,
+            },
+          ];
+          return { tasks };
+        }
+
+        case "next-task-selection": {
+          // Candidates arrive ranked, so keep the top-scored one
+          return {
+            selected_task_id: payload.candidates?.[0]?.id ?? null,
+            reason: "Highest-scoring candidate",
+          };
+        }
+
+        case "role-inference":
+        case "target-role-inference": {
+          return { role: "professional" };
+        }
+
+        case "credentials-to-skills-mapping": {
+          // Without a model there's no basis for judging transfer, so use
+          // the same minimal score as the generic fallback
+          return { score: 0.1 };
+        }
+
+        default:
+          break;
+      }
+    } catch (err) {
+      // Callers catch this and apply their own minimal fallback
+      console.error("ClaudeInterface heuristic error:", err);
+      throw err;
+    }
+
+    throw new Error(`No heuristic available for intelligence request "${type}"`);
+  }
+}
+
+/**
+ * Base class for providers backed by a language model. Subclasses implement
+ * `complete()`; this class renders the request type's prompt template, parses
+ * the JSON reply and validates it against the template's schema.
+ */
+export class PromptedProvider {
+  /** @param {string} name */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /** @param {string} type */
+  supports(type) {
+    return getTemplate(type) !== null;
+  }
+
+  /**
+   * Whether the backend can be used right now (e.g. the connected client
+   * advertises the capability it needs).
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Send a rendered prompt to the model and return its raw text reply.
+   * @param {{ system: string, prompt: string, maxTokens: number }} _request
+   * @returns {Promise<string>}
+   */
+  async complete(_request) {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  /**
+   * @param {string} type
+   * @param {any} payload
+   */
+  async request(type, payload) {
+    const template =
+      getTemplate(type) || (this.supports(type) ? genericTemplate(type) : null);
+    if (!template) {
+      throw new Error(`No prompt template for intelligence request "${type}"`);
+    }
+
+    const text = await this.complete({
+      system: template.system,
+      prompt: template.prompt(payload || {}),
+      maxTokens: template.maxTokens || 1000,
+    });
+
+    const result = extractJson(text);
+    const errors = validateSchema(template.schema, result);
+    if (errors.length > 0) {
+      throw new Error(
+        `${this.name} response for "${type}" failed validation: ${errors.slice(0, 5).join("; ")}`,
+      );
+    }
+
+    return template.transform ? template.transform(result, payload) : result;
+  }
+}
+
+/**
+ * Provider for any OpenAI-compatible `/chat/completions` endpoint, which
+ * covers hosted APIs as well as local model servers (Ollama, llama.cpp,
+ * LM Studio, vLLM) and stub servers in tests.
+ */
+export class OpenAiCompatibleProvider extends PromptedProvider {
+  /**
+   * @param {{ name?: string, baseUrl: string, apiKey?: string, model: string, timeoutMs?: number }} options
+   */
+  constructor({ name = "openai", baseUrl, apiKey = "", model, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    super(name);
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /** @param {{ system: string, prompt: string, maxTokens: number }} request */
+  async complete({ system, prompt, maxTokens }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      /** @type {Record<string, string>} */
+      const headers = { "Content-Type": "application/json" };
+      if (this.apiKey) {
+        headers.Authorization = `Bearer ${this.apiKey}`;
+      }
+
+      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          model: this.model,
+          messages: [
+            { role: "system", content: system },
+            { role: "user", content: prompt },
+          ],
+          max_tokens: maxTokens,
+          temperature: 0.4,
+        }),
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        throw new Error(
+          `${this.name} endpoint returned HTTP ${response.status}: ${(await response.text()).slice(0, 200)}`,
+        );
+      }
+
+      const body = await response.json();
+      const content = body?.choices?.[0]?.message?.content;
+      if (typeof content !== "string") {
+        throw new Error(`${this.name} endpoint returned no message content`);
+      }
+      return content;
+    } catch (/** @type {any} */ error) {
+      if (error.name === "AbortError") {
+        throw new Error(`${this.name} request timed out after ${this.timeoutMs}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Provider that asks the connected MCP client's model via the
+ * `sampling/createMessage` capability. Unavailable until a client that
+ * advertises sampling has connected.
+ */
+export class SamplingProvider extends PromptedProvider {
+  /**
+   * @param {{ server: any, timeoutMs?: number }} options
+   */
+  constructor({ server, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    super("sampling");
+    this.server = server;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /** @param {string} _type */
+  supports(_type) {
+    return true;
+  }
+
+  isAvailable() {
+    const capabilities = this.server?.getClientCapabilities?.();
+    return Boolean(capabilities && capabilities.sampling);
+  }
+
+  /** @param {{ system: string, prompt: string, maxTokens: number }} request */
+  async complete({ system, prompt, maxTokens }) {
+    if (!this.isAvailable()) {
+      throw new Error("Connected MCP client does not support sampling");
+    }
+
+    const result = await this.server.createMessage(
+      {
+        messages: [{ role: "user", content: { type: "text", text: prompt } }],
+        systemPrompt: system,
+        includeContext: "none",
+        maxTokens,
+        temperature: 0.4,
+      },
+      { timeout: this.timeoutMs },
+    );
+
+    if (result?.content?.type !== "text") {
+      throw new Error(
+        `Sampling returned ${result?.content?.type || "no"} content instead of text`,
+      );
+    }
+    return result.content.text;
+  }
+}
+
+/**
+ * Parse the first JSON object out of a model reply, tolerating Markdown
+ * code fences and leading/trailing prose.
+ * @param {string} text
+ */
+export function extractJson(text) {
+  const trimmed = String(text).trim();
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1].trim() : trimmed;
+
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    const start = candidate.indexOf("{");
+    const end = candidate.lastIndexOf("}");
+    if (start !== -1 && end > start) {
+      return JSON.parse(candidate.slice(start, end + 1));
+    }
+    throw new Error("Model reply did not contain a JSON object");
+  }
+}
+
+/**
+ * @typedef {Object} IntelligenceConfig
+ * @property {string} [provider] - "sampling" (default), "heuristic", "openai" or "local".
+ * @property {string} [baseUrl] - Endpoint root, e.g. "http://localhost:11434/v1".
+ * @property {string} [apiKey]
+ * @property {string} [model]
+ * @property {number} [timeoutMs]
+ */
+
+/**
+ * Read provider configuration from FOREST_LLM_* environment variables.
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {IntelligenceConfig}
+ */
+export function intelligenceConfigFromEnv(env = process.env) {
+  return {
+    provider: env.FOREST_LLM_PROVIDER,
+    baseUrl: env.FOREST_LLM_BASE_URL,
+    apiKey: env.FOREST_LLM_API_KEY || env.OPENAI_API_KEY,
+    model: env.FOREST_LLM_MODEL,
+    timeoutMs: env.FOREST_LLM_TIMEOUT_MS
+      ? Number(env.FOREST_LLM_TIMEOUT_MS)
+      : undefined,
+  };
+}
+
+/**
+ * Build the provider selected by configuration. Sampling needs the MCP
+ * server instance; without one it degrades to heuristics.
+ * @param {IntelligenceConfig} [config]
+ * @param {{ server?: any }} [deps]
+ */
+export function createIntelligenceProvider(config = {}, deps = {}) {
+  const kind = (config.provider || "sampling").toLowerCase();
+  const timeoutMs = config.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+  switch (kind) {
+    case "heuristic":
+      return new HeuristicProvider();
+    case "sampling":
+      return deps.server
+        ? new SamplingProvider({ server: deps.server, timeoutMs })
+        : new HeuristicProvider();
+    case "openai":
+      return new OpenAiCompatibleProvider({
+        name: "openai",
+        baseUrl: config.baseUrl || "https://api.openai.com/v1",
+        apiKey: config.apiKey,
+        model: config.model || "gpt-4o-mini",
+        timeoutMs,
+      });
+    case "local":
+      return new OpenAiCompatibleProvider({
+        name: "local",
+        baseUrl: config.baseUrl || "http://localhost:11434/v1",
+        apiKey: config.apiKey,
+        model: config.model || "llama3.1",
+        timeoutMs,
+      });
+    default:
+      throw new Error(
+        `Unknown intelligence provider "${config.provider}". Expected sampling, heuristic, openai or local.`,
+      );
+  }
+}
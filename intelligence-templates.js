@@ -0,0 +1,294 @@
+/**
+ * Intelligence Templates Module
+ * Prompt templates and response schemas for each intelligence request type
+ */
+
+const JSON_ONLY_INSTRUCTION =
+  "Respond with a single JSON object only. Do not wrap it in Markdown or add commentary.";
+
+/**
+ * Serialize a value for inclusion in a prompt, trimming it to a sane size.
+ * @param {any} value
+ * @param {number} [maxLength]
+ */
+function describe(value, maxLength = 4000) {
+  const text = JSON.stringify(value ?? null, null, 2);
+  return text.length > maxLength ? `${text.slice(0, maxLength)}\n…` : text;
+}
+
+const BRANCH_SCHEMA = {
+  type: "object",
+  required: ["id", "title"],
+  properties: {
+    id: { type: "string" },
+    title: { type: "string" },
+    parentId: { type: "string" },
+    priority: { type: "string", enum: ["critical", "high", "medium", "low"] },
+    completed: { type: "boolean" },
+  },
+};
+
+const TASK_SCHEMA = {
+  type: "object",
+  required: ["id", "title"],
+  properties: {
+    id: { type: "string" },
+    title: { type: "string" },
+    description: { type: "string" },
+    branch: { type: "string" },
+    difficulty: { type: "number", minimum: 1, maximum: 5 },
+    duration: { type: "string" },
+    prerequisites: { type: "array", items: { type: "string" } },
+    learningOutcome: { type: "string" },
+    priority: { type: "number" },
+  },
+};
+
+/**
+ * @typedef {Object} IntelligenceTemplate
+ * @property {string} system - System prompt describing the model's role.
+ * @property {(payload: any) => string} prompt - Builds the user prompt from the request payload.
+ * @property {any} schema - JSON schema the parsed response must satisfy.
+ * @property {(result: any, payload: any) => any} [transform] - Optional post-processing of a validated response.
+ * @property {number} [maxTokens] - Upper bound on response length.
+ */
+
+/** @type {Record<string, IntelligenceTemplate>} */
+export const INTELLIGENCE_TEMPLATES = {
+  "branch-design": {
+    system:
+      "You are a learning strategist who designs Hierarchical Task Analysis (HTA) trees. " +
+      JSON_ONLY_INSTRUCTION,
+    prompt: (payload) =>
+      `Design 3-6 strategic branches for the learning path "${payload.pathName}".\n` +
+      `Goal: ${payload.goal}\n` +
+      `Focus areas: ${(payload.focusAreas || []).join(", ") || "none"}\n` +
+      `Current knowledge level: ${payload.knowledgeLevel}/10\n\n` +
+      `Return {"branches": [{"id", "title", "priority", "completed": false}]} where id is a short snake_case slug ` +
+      `and priority is one of critical, high, medium, low. A branch that is a sub-goal of another branch may ` +
+      `add "parentId" with that branch's id.`,
+    schema: {
+      type: "object",
+      required: ["branches"],
+      properties: {
+        branches: { type: "array", minItems: 1, items: BRANCH_SCHEMA },
+      },
+    },
+    maxTokens: 800,
+  },
+
+  "branch-node-generation": {
+    system:
+      "You break learning branches into small, concrete, sequenced tasks. " +
+      JSON_ONLY_INSTRUCTION,
+    prompt: (payload) =>
+      `Generate 2-5 tasks for the branch "${payload.branch?.title}" (id "${payload.branch?.id}").\n` +
+      `Interests: ${(payload.interests || []).join(", ") || "none"}\n` +
+      `Learning style: ${payload.learningStyle}\n` +
+      `Knowledge level: ${payload.knowledgeLevel}/10\n` +
+      `Already completed task ids: ${describe(payload.completedTasks || [])}\n\n` +
+      `Number task ids "${payload.branch?.id}_<n>" starting at n=${payload.startNodeId}. ` +
+      `Return {"nodes": [{"id", "title", "description", "branch", "difficulty" (1-5), "duration" (e.g. "30 minutes"), ` +
+      `"prerequisites" (task ids), "learningOutcome", "completed": false, "priority" (number, higher first)}]}.`,
+    schema: {
+      type: "object",
+      required: ["nodes"],
+      properties: {
+        nodes: { type: "array", minItems: 1, items: TASK_SCHEMA },
+      },
+    },
+    maxTokens: 1500,
+  },
+
+  "task-generation": {
+    system:
+      "You evolve a learner's task frontier based on their progress and feedback. " +
+      JSON_ONLY_INSTRUCTION,
+    prompt: (payload) =>
+      `Goal: ${payload.config?.goal}\n` +
+      `Learning path: ${payload.pathName}\n` +
+      `Strategy analysis: ${describe(payload.analysis)}\n` +
+      `Existing branches: ${describe(payload.htaData?.strategicBranches || [])}\n\n` +
+      `Propose 2-4 new tasks. Return {"tasks": [{"id", "title", "description", "difficulty" (1-5), ` +
+      `"duration", "branch", "priority" (number), "generated": true}]}.`,
+    schema: {
+      type: "object",
+      required: ["tasks"],
+      properties: {
+        tasks: { type: "array", minItems: 1, items: TASK_SCHEMA },
+      },
+    },
+    maxTokens: 1200,
+  },
+
+  "next-task-selection": {
+    system:
+      "You choose the single best next learning task for the user's current state " +
+      "from a shortlist that has already been scored. " +
+      JSON_ONLY_INSTRUCTION,
+    prompt: (payload) =>
+      `Energy level: ${payload.energyLevel}/5\n` +
+      `Time available: ${payload.timeAvailable}\n` +
+      `Recent context: ${payload.contextFromMemory || "none"}\n` +
+      `Candidates, best score first: ${describe(payload.candidates || [])}\n\n` +
+      `Return {"selected_task_id": <id of one candidate>, "reason": <one sentence>}.`,
+    schema: {
+      type: "object",
+      required: ["selected_task_id"],
+      properties: {
+        selected_task_id: { type: "string" },
+        reason: { type: "string" },
+      },
+    },
+    maxTokens: 300,
+  },
+
+  "role-inference": {
+    system:
+      "You infer a person's current professional role from their profile and completed work. " +
+      JSON_ONLY_INSTRUCTION,
+    prompt: (payload) =>
+      `Project goal: ${payload.config?.goal}\n` +
+      `Context: ${payload.config?.context || "none"}\n` +
+      `Recently completed topics: ${describe((payload.completedTopics || []).slice(-10).map((/** @type {any} */ t) => t.topic))}\n\n` +
+      `Return {"role": "<short role title>"}.`,
+    schema: {
+      type: "object",
+      required: ["role"],
+      properties: { role: { type: "string", minLength: 1 } },
+    },
+    maxTokens: 100,
+  },
+
+  "target-role-inference": {
+    system:
+      "You infer the professional role a person is working toward from their goal. " +
+      JSON_ONLY_INSTRUCTION,
+    prompt: (payload) =>
+      `Goal: ${payload.goal}\n\nReturn {"role": "<short role title>"}.`,
+    schema: {
+      type: "object",
+      required: ["role"],
+      properties: { role: { type: "string", minLength: 1 } },
+    },
+    maxTokens: 100,
+  },
+
+  "credentials-to-skills-mapping": {
+    system:
+      "You estimate how much an existing credential transfers to a new goal. " +
+      JSON_ONLY_INSTRUCTION,
+    prompt: (payload) =>
+      `Credential subject area: ${payload.subjectArea}\n` +
+      `Goal: ${payload.goal}\n\n` +
+      `Return {"score": <number between 0 and 1>} where 1 means directly transferable.`,
+    schema: {
+      type: "object",
+      required: ["score"],
+      properties: { score: { type: "number", minimum: 0, maximum: 1 } },
+    },
+    maxTokens: 50,
+  },
+};
+
+/**
+ * Look up the template for an intelligence request type.
+ * @param {string} type
+ * @returns {IntelligenceTemplate|null}
+ */
+export function getTemplate(type) {
+  return Object.prototype.hasOwnProperty.call(INTELLIGENCE_TEMPLATES, type)
+    ? INTELLIGENCE_TEMPLATES[type]
+    : null;
+}
+
+/**
+ * Build a schema-light template for request types without a dedicated one,
+ * so model-backed providers can still answer them instead of returning an
+ * unresolved envelope.
+ * @param {string} type
+ * @returns {IntelligenceTemplate}
+ */
+export function genericTemplate(type) {
+  return {
+    system:
+      "You are the reasoning engine of a personal learning and life-orchestration server. " +
+      JSON_ONLY_INSTRUCTION,
+    prompt: (payload) =>
+      `Handle the "${type}" request for the following input and answer with a JSON object ` +
+      `whose fields fit that request type.\n\n${describe(payload)}`,
+    schema: { type: "object" },
+    maxTokens: 1000,
+  };
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used by the templates
+ * (type, required, properties, items, enum, minItems, minLength, minimum, maximum).
+ * @param {any} schema
+ * @param {any} value
+ * @param {string} [at] - Path of the value, used in error messages.
+ * @returns {string[]} List of validation errors (empty when valid).
+ */
+export function validateSchema(schema, value, at = "$") {
+  /** @type {string[]} */
+  const errors = [];
+  if (!schema) return errors;
+
+  if (schema.type) {
+    const actual = Array.isArray(value)
+      ? "array"
+      : value === null
+        ? "null"
+        : typeof value;
+    const matches =
+      schema.type === "integer"
+        ? Number.isInteger(value)
+        : actual === schema.type;
+    if (!matches) {
+      errors.push(`${at}: expected ${schema.type}, got ${actual}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(", ")}`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${at}: must be <= ${schema.maximum}`);
+    }
+  }
+  if (typeof value === "string" && schema.minLength !== undefined) {
+    if (value.length < schema.minLength) {
+      errors.push(`${at}: must be at least ${schema.minLength} characters`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at}: must contain at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, idx) => {
+        errors.push(...validateSchema(schema.items, item, `${at}[${idx}]`));
+      });
+    }
+  } else if (value && typeof value === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${at}.${key}: is required`);
+      }
+    }
+    for (const [key, subSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(subSchema, value[key], `${at}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
@@ -1,5 +1,7 @@
-module.exports = {
-  testEnvironment: 'node',
-  testMatch: ['<rootDir>/tests/**/*.test.js'],
-  verbose: true
+module.exports = {
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/tests/**/*.test.js'],
+  // Run the ES modules as-is (npm test enables --experimental-vm-modules)
+  transform: {},
+  verbose: true
 }; 
\ No newline at end of file
@@ -0,0 +1,570 @@
+/**
+ * Knowledge Gaps Module
+ * Handles the backlog of open questions collected from completed blocks
+ *
+ * Questions come from `next_questions` when a block is completed. A gap is
+ * "open" until it is resolved by hand or "promoted" to an HTA task, and
+ * completing that task resolves it. Near-identical questions are merged
+ * into one gap that counts how often it came up.
+ */
+
+import { daysBetween, getProjectTimeZone, getToday } from "./date-utils.js";
+import { syncBranchCompletion } from "./hta-hierarchy.js";
+
+// Share of meaningful words two questions need in common to count as the same gap
+const SIMILARITY_THRESHOLD = 0.75;
+const DEFAULT_LIST_LIMIT = 20;
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "can", "could", "do", "does", "for",
+  "how", "i", "in", "is", "it", "my", "of", "on", "or", "should", "the", "to",
+  "what", "when", "where", "which", "who", "why", "with", "would",
+]);
+
+/**
+ * @typedef {Object} KnowledgeGap
+ * @property {string} id
+ * @property {string} question
+ * @property {string} relatedTopic - Block the question first came from.
+ * @property {string} [relatedTaskId]
+ * @property {string} [branch]
+ * @property {string} identified - ISO timestamp.
+ * @property {"high"|"medium"} priority
+ * @property {"open"|"promoted"|"resolved"} status
+ * @property {number} [askedCount] - Times the question (or a near-identical one) came up.
+ * @property {string} [lastAsked]
+ * @property {string} [promotedTaskId] - HTA node created to answer the gap.
+ * @property {string} [promotedAt]
+ * @property {string} [answeredBy] - HTA node that answered it.
+ * @property {string} [resolution]
+ * @property {string} [resolvedAt]
+ */
+
+/**
+ * Split free-text next questions into separate questions, keeping question marks.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function extractQuestions(text) {
+  return (String(text || "").match(/[^.?!\n]+[?]?/g) || [])
+    .map((question) => question.trim())
+    .filter((question) => question.replace(/\?$/, "").trim().length > 0);
+}
+
+/**
+ * Meaningful lower-case words of a question.
+ * @param {string} question
+ * @returns {Set<string>}
+ */
+function questionWords(question) {
+  return new Set(
+    question
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((word) => word && !STOP_WORDS.has(word))
+      .map((word) => (word.length > 3 ? word.replace(/s$/, "") : word)),
+  );
+}
+
+/**
+ * Overlap between two questions' meaningful words (Jaccard index, 0-1).
+ * @param {string} a
+ * @param {string} b
+ */
+export function questionSimilarity(a, b) {
+  const wordsA = questionWords(a);
+  const wordsB = questionWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return a.trim().toLowerCase() === b.trim().toLowerCase() ? 1 : 0;
+  }
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * @param {KnowledgeGap[]} gaps
+ * @param {string} question
+ * @returns {KnowledgeGap|null}
+ */
+export function findSimilarGap(gaps, question) {
+  let best = null;
+  let bestScore = SIMILARITY_THRESHOLD;
+  for (const gap of gaps) {
+    const score = questionSimilarity(gap.question, question);
+    if (score >= bestScore) {
+      best = gap;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/** @param {KnowledgeGap[]} gaps */
+export function nextGapId(gaps) {
+  const highest = gaps.reduce((max, gap) => {
+    const number = Number(String(gap.id || "").replace(/^gap_/, ""));
+    return Number.isInteger(number) && number > max ? number : max;
+  }, 0);
+  return `gap_${highest + 1}`;
+}
+
+/** @param {KnowledgeGap} gap */
+export function isOpenGap(gap) {
+  return gap.status !== "resolved";
+}
+
+/**
+ * Add a completed block's next questions to learning history. A question
+ * close to an existing gap is counted against that gap instead (reopening
+ * it if it had been resolved).
+ * @param {any} learningHistory - Updated in place.
+ * @param {any} block
+ * @returns {{ added: KnowledgeGap[], repeated: KnowledgeGap[] }}
+ */
+export function recordKnowledgeGaps(learningHistory, block) {
+  learningHistory.knowledgeGaps = learningHistory.knowledgeGaps || [];
+  const gaps = learningHistory.knowledgeGaps;
+  /** @type {KnowledgeGap[]} */
+  const added = [];
+  /** @type {KnowledgeGap[]} */
+  const repeated = [];
+
+  for (const question of extractQuestions(block.nextQuestions)) {
+    const existing = findSimilarGap(gaps, question);
+    if (existing) {
+      existing.askedCount = (existing.askedCount || 1) + 1;
+      existing.lastAsked = block.completedAt;
+      if (block.breakthrough) existing.priority = "high";
+      if (existing.status === "resolved") existing.status = "open";
+      if (!repeated.includes(existing)) repeated.push(existing);
+      continue;
+    }
+
+    /** @type {KnowledgeGap} */
+    const gap = {
+      id: nextGapId(gaps),
+      question,
+      relatedTopic: block.title,
+      relatedTaskId: block.taskId,
+      branch: block.branch,
+      identified: block.completedAt,
+      priority: block.breakthrough ? "high" : "medium",
+      status: "open",
+      askedCount: 1,
+    };
+    gaps.push(gap);
+    added.push(gap);
+  }
+  return { added, repeated };
+}
+
+/**
+ * @param {KnowledgeGap} gap - Updated in place.
+ * @param {{ resolution?: string, taskId?: string|null, at: string }} details
+ */
+export function resolveGap(gap, { resolution = "", taskId = null, at }) {
+  gap.status = "resolved";
+  gap.resolvedAt = at;
+  if (resolution) gap.resolution = resolution;
+  if (taskId) gap.answeredBy = taskId;
+  return gap;
+}
+
+/**
+ * Resolve the gaps that were promoted to the task a completed block was for.
+ * @param {any} learningHistory - Updated in place.
+ * @param {any} block
+ * @returns {KnowledgeGap[]}
+ */
+export function resolveGapsAnsweredBy(learningHistory, block) {
+  if (!block.taskId) return [];
+  return (learningHistory.knowledgeGaps || [])
+    .filter(
+      (/** @type {KnowledgeGap} */ gap) =>
+        gap.status === "promoted" && gap.promotedTaskId === block.taskId,
+    )
+    .map((/** @type {KnowledgeGap} */ gap) =>
+      resolveGap(gap, {
+        resolution: block.learned || block.outcome,
+        taskId: block.taskId,
+        at: block.completedAt,
+      }),
+    );
+}
+
+/**
+ * How many gaps get closed and how long that takes.
+ * @param {KnowledgeGap[]} gaps
+ */
+export function analyzeGapClosure(gaps) {
+  if (gaps.length === 0) return null;
+  const resolved = gaps.filter((gap) => gap.status === "resolved");
+  const daysToClose = resolved
+    .filter((gap) => gap.resolvedAt && gap.identified)
+    .map((gap) => (Date.parse(gap.resolvedAt || "") - Date.parse(gap.identified)) / 86400000)
+    .filter((days) => Number.isFinite(days) && days >= 0)
+    .sort((a, b) => a - b);
+  return {
+    total: gaps.length,
+    open: gaps.filter((gap) => gap.status === "open").length,
+    promoted: gaps.filter((gap) => gap.status === "promoted").length,
+    resolved: resolved.length,
+    closureRate: Math.round((resolved.length / gaps.length) * 100),
+    medianDaysToClose:
+      daysToClose.length > 0
+        ? Math.round(daysToClose[Math.floor(daysToClose.length / 2)] * 10) / 10
+        : null,
+    answeredByTasks: resolved.filter((gap) => gap.answeredBy).length,
+    repeatedQuestions: gaps.filter((gap) => (gap.askedCount || 1) > 1).length,
+  };
+}
+
+export class KnowledgeGaps {
+  /**
+   * @param {any} dataPersistence
+   * @param {any} projectManagement
+   */
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  /**
+   * @param {string} [status] - "open" (including promoted), "resolved" or "all".
+   * @param {number} [limit]
+   */
+  async listKnowledgeGaps(status = "open", limit = DEFAULT_LIST_LIMIT) {
+    try {
+      if (!["open", "resolved", "all"].includes(status)) {
+        throw new Error(`Unknown status "${status}". Use open, resolved or all`);
+      }
+      const { projectId, config } = await this.loadProject();
+      const pathName = config.activePath || "general";
+      const history = (await this.loadPathLearningHistory(projectId, pathName)) || {};
+      /** @type {KnowledgeGap[]} */
+      const gaps = history.knowledgeGaps || [];
+      const timeZone = getProjectTimeZone(config);
+      const today = getToday(timeZone);
+
+      const shown = gaps
+        .filter((gap) =>
+          status === "all" ? true : status === "open" ? isOpenGap(gap) : !isOpenGap(gap),
+        )
+        .sort(
+          (a, b) =>
+            Number(b.priority === "high") - Number(a.priority === "high") ||
+            (b.askedCount || 1) - (a.askedCount || 1) ||
+            String(a.identified).localeCompare(String(b.identified)),
+        )
+        .slice(0, limit);
+
+      const counts = analyzeGapClosure(gaps);
+      let text = `🧩 **Knowledge Gaps** — ${pathName}\n\n`;
+      if (!counts) {
+        text += "No questions recorded yet. Add `next_questions` when you complete a block to start the backlog.";
+      } else {
+        text += `${counts.open} open, ${counts.promoted} being worked on, ${counts.resolved} resolved\n`;
+        for (const [label, group] of [
+          ["Open", shown.filter((gap) => gap.status === "open")],
+          ["Being Worked On", shown.filter((gap) => gap.status === "promoted")],
+          ["Resolved", shown.filter((gap) => gap.status === "resolved")],
+        ]) {
+          if (group.length === 0) continue;
+          text += `\n**${label}**:\n`;
+          for (const gap of /** @type {KnowledgeGap[]} */ (group)) {
+            text += this.formatGap(gap, today, timeZone);
+          }
+        }
+        if (shown.length === 0) {
+          text += `\nNo ${status} gaps.\n`;
+        }
+        text +=
+          "\n💡 Use `resolve_knowledge_gap` once you can answer a question, " +
+          "or `promote_gap_to_task` to plan time for it";
+      }
+
+      return {
+        content: [{ type: "text", text }],
+        knowledge_gaps: shown,
+        gap_summary: counts,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("listKnowledgeGaps", error, { status, limit });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error listing knowledge gaps: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * @param {string} gapId
+   * @param {string} [resolution] - What the answer turned out to be.
+   * @param {string|null} [taskId] - HTA node whose work answered the question.
+   */
+  async resolveKnowledgeGap(gapId, resolution = "", taskId = null) {
+    try {
+      const { projectId, config } = await this.loadProject();
+      const pathName = config.activePath || "general";
+
+      if (taskId) {
+        const hta = await this.loadPathHTA(projectId, pathName);
+        if (!hta?.frontierNodes?.some((/** @type {any} */ node) => node.id === taskId)) {
+          throw new Error(`No task "${taskId}" in the ${pathName} HTA tree`);
+        }
+      }
+
+      const saved = await this.updatePathLearningHistory(projectId, pathName, (history) => {
+        const gap = this.requireGap(history, gapId);
+        if (gap.status === "resolved") {
+          throw new Error(`Gap ${gapId} is already resolved`);
+        }
+        resolveGap(gap, { resolution, taskId, at: new Date().toISOString() });
+        return history;
+      });
+      const gap = this.requireGap(saved, gapId);
+
+      if (taskId) {
+        await this.updatePathHTA(projectId, pathName, (htaData) => {
+          const node = htaData?.frontierNodes?.find((/** @type {any} */ n) => n.id === taskId);
+          if (!node) return null;
+          node.answersGaps = [...new Set([...(node.answersGaps || []), gapId])];
+        });
+      }
+
+      let text = `✅ **Knowledge Gap Resolved**: ${gap.question}\n\n`;
+      if (resolution) text += `**Answer**: ${resolution}\n`;
+      if (taskId) text += `🔗 **Answered By**: task \`${taskId}\`\n`;
+
+      return {
+        content: [{ type: "text", text }],
+        knowledge_gap: gap,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("resolveKnowledgeGap", error, {
+        gapId,
+        taskId,
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error resolving knowledge gap: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Turn a gap into an HTA task. Completing the task resolves the gap.
+   * @param {string} gapId
+   * @param {string|null} [title]
+   * @param {string|null} [branch]
+   * @param {number} [difficulty]
+   * @param {string} [duration]
+   */
+  async promoteGapToTask(gapId, title = null, branch = null, difficulty = 2, duration = "30 minutes") {
+    try {
+      const { projectId, config } = await this.loadProject();
+      const pathName = config.activePath || "general";
+      const history = (await this.loadPathLearningHistory(projectId, pathName)) || {};
+      const gap = this.requireGap(history, gapId);
+      if (gap.status !== "open") {
+        throw new Error(
+          gap.status === "promoted"
+            ? `Gap ${gapId} is already task \`${gap.promotedTaskId}\``
+            : `Gap ${gapId} is already resolved`,
+        );
+      }
+
+      const task = {
+        id: `${gapId}_task`,
+        title: title || `Explore: ${gap.question}`,
+        description: `Find an answer to the open question "${gap.question}" (raised during "${gap.relatedTopic}")`,
+        branch: branch || gap.branch || "knowledge_gaps",
+        difficulty: Math.min(5, Math.max(1, Math.round(difficulty))),
+        duration,
+        priority: gap.priority === "high" ? 250 : 220,
+        prerequisites: [],
+        learningOutcome: `Can answer: ${gap.question}`,
+        completed: false,
+        generated: true,
+        gapId,
+      };
+
+      /** @type {any} */
+      let promotedTask = task;
+      const hta = await this.updatePathHTA(projectId, pathName, (existing) => {
+        const htaData = existing || {};
+        htaData.frontierNodes = htaData.frontierNodes || [];
+        const earlier = htaData.frontierNodes.find(
+          (/** @type {any} */ node) => node.id === task.id,
+        );
+        if (earlier) {
+          // A promotion that failed after adding the task: just mark the gap
+          if (earlier.gapId !== gapId) {
+            throw new Error(`Task ${task.id} already exists in the HTA tree`);
+          }
+          promotedTask = earlier;
+          return null;
+        }
+        htaData.frontierNodes.push(task);
+        syncBranchCompletion(htaData);
+        htaData.lastUpdated = new Date().toISOString();
+        return htaData;
+      });
+      if (!hta && promotedTask === task) {
+        throw new Error("Could not save the new task to the HTA tree");
+      }
+
+      await this.updatePathLearningHistory(projectId, pathName, (existing) => {
+        const promoted = this.requireGap(existing, gapId);
+        promoted.status = "promoted";
+        promoted.promotedTaskId = promotedTask.id;
+        promoted.promotedAt = new Date().toISOString();
+        return existing;
+      });
+
+      return {
+        content: [
+          {
+            type: "text",
+            text:
+              `📌 **Gap Promoted to Task**: ${promotedTask.title}\n\n` +
+              `**Task ID**: ${promotedTask.id}\n` +
+              `**Branch**: ${promotedTask.branch}\n` +
+              `⏱️ **Duration**: ${promotedTask.duration}\n` +
+              `⭐ **Difficulty**: ${promotedTask.difficulty}/5\n\n` +
+              `✅ Completing this task resolves the gap. Use \`get_next_task\` or \`generate_daily_schedule\` to fit it in`,
+          },
+        ],
+        task_created: promotedTask,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("promoteGapToTask", error, { gapId, title, branch });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error promoting knowledge gap: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * @param {KnowledgeGap} gap
+   * @param {string} today
+   * @param {string} timeZone
+   */
+  formatGap(gap, today, timeZone) {
+    let line = `• \`${gap.id}\` ${gap.question}`;
+    if (gap.priority === "high") line += " ⭐";
+    const details = [];
+    if ((gap.askedCount || 1) > 1) details.push(`asked ${gap.askedCount}×`);
+    if (gap.relatedTopic) details.push(`from "${gap.relatedTopic}"`);
+    if (gap.status === "promoted") {
+      details.push(`task \`${gap.promotedTaskId}\``);
+    } else if (gap.status === "resolved") {
+      if (gap.answeredBy) details.push(`answered by \`${gap.answeredBy}\``);
+      if (gap.resolution) details.push(gap.resolution);
+    } else if (!Number.isNaN(Date.parse(gap.identified))) {
+      const age = daysBetween(getToday(timeZone, new Date(gap.identified)), today);
+      details.push(age <= 0 ? "new today" : `${age} day${age === 1 ? "" : "s"} old`);
+    }
+    return `${line}${details.length > 0 ? ` — ${details.join(" · ")}` : ""}\n`;
+  }
+
+  /**
+   * @param {any} history
+   * @param {string} gapId
+   * @returns {KnowledgeGap}
+   */
+  requireGap(history, gapId) {
+    const gap = history?.knowledgeGaps?.find((/** @type {KnowledgeGap} */ g) => g.id === gapId);
+    if (!gap) {
+      throw new Error(`Knowledge gap "${gapId}" not found. Use \`list_knowledge_gaps\` to see gap ids`);
+    }
+    return gap;
+  }
+
+  async loadProject() {
+    const projectId = await this.projectManagement.requireActiveProject();
+    const config = await this.dataPersistence.loadProjectData(projectId, "config.json");
+    if (!config) {
+      throw new Error("Project configuration not found");
+    }
+    return { projectId, config };
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {string} pathName
+   */
+  async loadPathLearningHistory(projectId, pathName) {
+    if (pathName === "general") {
+      return await this.dataPersistence.loadProjectData(projectId, "learning_history.json");
+    } else {
+      return await this.dataPersistence.loadPathData(
+        projectId,
+        pathName,
+        "learning_history.json",
+      );
+    }
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {string} pathName
+   * @param {(data: any) => any} mutator
+   */
+  async updatePathLearningHistory(projectId, pathName, mutator) {
+    if (pathName === "general") {
+      return await this.dataPersistence.updateProjectData(
+        projectId,
+        "learning_history.json",
+        mutator,
+      );
+    } else {
+      return await this.dataPersistence.updatePathData(
+        projectId,
+        pathName,
+        "learning_history.json",
+        mutator,
+      );
+    }
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {string} pathName
+   */
+  async loadPathHTA(projectId, pathName) {
+    if (pathName === "general") {
+      return await this.dataPersistence.loadProjectData(projectId, "hta.json");
+    } else {
+      return await this.dataPersistence.loadPathData(projectId, pathName, "hta.json");
+    }
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {string} pathName
+   * @param {(data: any) => any} mutator
+   */
+  async updatePathHTA(projectId, pathName, mutator) {
+    if (pathName === "general") {
+      return await this.dataPersistence.updateProjectData(projectId, "hta.json", mutator);
+    } else {
+      return await this.dataPersistence.updatePathData(projectId, pathName, "hta.json", mutator);
+    }
+  }
+}
@@ -4,6 +4,7 @@
  */
 
 import { ListToolsRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { listScheduleExporters } from "./schedule-exporters.js";
 
 export class McpHandlers {
   constructor(server) {
@@ -239,151 +240,969 @@ export class McpHandlers {
               description:
                 "How you will measure success (income, job offers, portfolio pieces, etc.)",
             },
+            timezone: {
+              type: "string",
+              description:
+                'IANA time zone the schedule and day boundaries follow (e.g. "Europe/Berlin"); defaults to the server\'s zone',
+            },
+          },
+          required: ["project_id", "goal", "life_structure_preferences"],
+        },
+      },
+      {
+        name: "switch_project",
+        description: "Switch to a different project workspace",
+        inputSchema: {
+          type: "object",
+          properties: {
+            project_id: {
+              type: "string",
+              description: "Project to switch to",
+            },
+          },
+          required: ["project_id"],
+        },
+      },
+      {
+        name: "list_projects",
+        description: "Show all project workspaces",
+        inputSchema: {
+          type: "object",
+          properties: {
+            filter: {
+              type: "string",
+              enum: ["active", "archived", "all"],
+              default: "active",
+              description:
+                "Which projects to show: active (hides archived), archived, or all",
+            },
+          },
+        },
+      },
+      {
+        name: "get_active_project",
+        description: "Show current active project",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
+      {
+        name: "update_project",
+        description:
+          "Change a project's goal, context, constraints, credentials, habits, schedule preferences, urgency or success metrics. Only the fields you pass are changed",
+        inputSchema: {
+          type: "object",
+          properties: {
+            project_id: {
+              type: "string",
+              description: "Project to update (defaults to the active project)",
+            },
+            goal: { type: "string", description: "New ultimate goal" },
+            context: {
+              type: "string",
+              description: "Current life situation and why this goal matters now",
+            },
+            specific_interests: {
+              type: "array",
+              items: { type: "string" },
+              description: "Replaces the list of specific interests",
+            },
+            constraints: {
+              type: "object",
+              description:
+                "Constraint fields to change (time_constraints, energy_patterns, focus_variability, financial_constraints, location_constraints); null removes a field",
+            },
+            existing_credentials: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  credential_type: { type: "string" },
+                  subject_area: { type: "string" },
+                  level: { type: "string" },
+                  relevance_to_goal: { type: "string" },
+                },
+                required: ["subject_area", "level"],
+              },
+              description:
+                "Replaces the credential list; knowledge level is recalculated",
+            },
+            current_habits: {
+              type: "object",
+              description:
+                "Habit fields to change (good_habits, bad_habits, habit_goals); null removes a field",
+            },
+            life_structure_preferences: {
+              type: "object",
+              description:
+                "Preference fields to change (wake_time, sleep_time, meal_times, break_preferences, focus_duration, transition_time); null removes a field",
+            },
+            urgency_level: {
+              type: "string",
+              enum: ["low", "medium", "high", "critical"],
+            },
+            success_metrics: {
+              type: "array",
+              items: { type: "string" },
+              description: "Replaces the list of success metrics",
+            },
+            timezone: {
+              type: "string",
+              description: 'IANA time zone for dates and schedules, e.g. "America/Chicago"',
+            },
+          },
+        },
+      },
+      {
+        name: "archive_project",
+        description:
+          "Archive a project (hidden from list_projects, data kept) or restore it from the archive",
+        inputSchema: {
+          type: "object",
+          properties: {
+            project_id: {
+              type: "string",
+              description: "Project to archive or restore",
+            },
+            archived: {
+              type: "boolean",
+              default: true,
+              description: "Set to false to restore an archived project",
+            },
+          },
+          required: ["project_id"],
+        },
+      },
+      {
+        name: "delete_project",
+        description:
+          "Permanently delete a project. The first call returns a confirmation token; call again with it to delete",
+        inputSchema: {
+          type: "object",
+          properties: {
+            project_id: {
+              type: "string",
+              description: "Project to delete",
+            },
+            confirmation_token: {
+              type: "string",
+              description: "Token returned by the first delete_project call",
+            },
+          },
+          required: ["project_id"],
+        },
+      },
+      {
+        name: "rename_project",
+        description:
+          "Change a project's id, moving all of its data and updating the ids stored inside it",
+        inputSchema: {
+          type: "object",
+          properties: {
+            project_id: {
+              type: "string",
+              description: "Project to rename",
+            },
+            new_project_id: {
+              type: "string",
+              description: "New project id",
+            },
+          },
+          required: ["project_id", "new_project_id"],
+        },
+      },
+      {
+        name: "clone_project",
+        description:
+          "Start a new project with the same goal and preferences as an existing one, with fresh progress",
+        inputSchema: {
+          type: "object",
+          properties: {
+            project_id: {
+              type: "string",
+              description: "Project to copy settings from",
+            },
+            new_project_id: {
+              type: "string",
+              description: "Id for the new project",
+            },
+          },
+          required: ["project_id", "new_project_id"],
+        },
+      },
+      {
+        name: "export_project",
+        description:
+          "Bundle a project's config, learning paths (HTA and learning history) and day schedules into a portable archive file",
+        inputSchema: {
+          type: "object",
+          properties: {
+            project_id: {
+              type: "string",
+              description: "Project to export (defaults to the active project)",
+            },
+            output_path: {
+              type: "string",
+              description:
+                "Where to write the archive (defaults to the data directory's exports folder)",
+            },
+          },
+        },
+      },
+      {
+        name: "import_project",
+        description:
+          "Restore a project from an archive created by export_project, validating it before anything is written",
+        inputSchema: {
+          type: "object",
+          properties: {
+            archive_path: {
+              type: "string",
+              description: "Path to the archive file",
+            },
+            project_id: {
+              type: "string",
+              description:
+                "Import under this project id instead of the one stored in the archive",
+            },
+            on_conflict: {
+              type: "string",
+              enum: ["rename", "overwrite", "merge"],
+              default: "rename",
+              description:
+                "If the project already exists: import under a new id, replace it, or merge the archive into it",
+            },
+          },
+          required: ["archive_path"],
+        },
+      },
+      {
+        name: "build_hta_tree",
+        description:
+          "Build strategic HTA framework for a specific learning path",
+        inputSchema: {
+          type: "object",
+          properties: {
+            path_name: {
+              type: "string",
+              description:
+                'Learning path to build HTA tree for (e.g. "saxophone", "piano"). If not specified, builds for active path or general project.',
+            },
+            learning_style: {
+              type: "string",
+              description:
+                "Preferred learning approach (visual, hands-on, research-based, etc.)",
+            },
+            focus_areas: {
+              type: "array",
+              items: { type: "string" },
+              description: "Specific areas to prioritize in the strategy",
+            },
+          },
+        },
+      },
+      {
+        name: "get_hta_status",
+        description:
+          "View the HTA tree for the active project: goal, branches and sub-branches with progress and effort rolled up from their tasks",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
+      {
+        name: "add_hta_task",
+        description:
+          "Add a custom task to the active HTA tree. Prerequisites must be existing task ids and may not form a loop",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              description: "Task id (default custom_<n>)",
+            },
+            title: { type: "string", description: "Task title" },
+            description: { type: "string", description: "What the task involves" },
+            branch: { type: "string", description: "Id of the branch the task belongs to" },
+            difficulty: {
+              type: "number",
+              minimum: 1,
+              maximum: 5,
+              description: "Task difficulty (default 2)",
+            },
+            duration: { type: "string", description: 'Task duration (default "30 minutes")' },
+            prerequisites: {
+              type: "array",
+              items: { type: "string" },
+              description: "Ids of tasks that must be completed first",
+            },
+            priority: { type: "number", description: "Higher is picked sooner (default 200)" },
+            learning_outcome: { type: "string", description: "What the task should teach" },
+          },
+          required: ["title", "branch"],
+        },
+      },
+      {
+        name: "edit_hta_task",
+        description:
+          "Change a task's title, description, branch, difficulty, duration, prerequisites, priority or learning outcome. Only the fields you pass are changed",
+        inputSchema: {
+          type: "object",
+          properties: {
+            task_id: { type: "string", description: "Task to edit" },
+            title: { type: "string", description: "Task title" },
+            description: { type: "string", description: "What the task involves" },
+            branch: { type: "string", description: "Id of the branch the task belongs to" },
+            difficulty: {
+              type: "number",
+              minimum: 1,
+              maximum: 5,
+              description: "Task difficulty",
+            },
+            duration: { type: "string", description: 'Task duration' },
+            prerequisites: {
+              type: "array",
+              items: { type: "string" },
+              description: "Ids of tasks that must be completed first (replaces the list)",
+            },
+            priority: { type: "number", description: "Higher is picked sooner" },
+            learning_outcome: { type: "string", description: "What the task should teach" },
+          },
+          required: ["task_id"],
+        },
+      },
+      {
+        name: "split_hta_task",
+        description:
+          "Replace a task that is too big with two or more subtasks. Tasks that waited on it wait on the subtasks instead",
+        inputSchema: {
+          type: "object",
+          properties: {
+            task_id: { type: "string", description: "Task to split" },
+            subtasks: {
+              type: "array",
+              minItems: 2,
+              items: {
+                type: "object",
+                properties: {
+                  title: { type: "string" },
+                  description: { type: "string" },
+                  difficulty: { type: "number", minimum: 1, maximum: 5 },
+                  duration: { type: "string" },
+                },
+                required: ["title"],
+              },
+              description:
+                "Subtasks in order; without a duration they share the task's duration evenly",
+            },
+            sequential: {
+              type: "boolean",
+              description:
+                "Chain the subtasks so each waits on the one before (default true); false lets them run in any order",
+            },
+          },
+          required: ["task_id", "subtasks"],
+        },
+      },
+      {
+        name: "merge_hta_tasks",
+        description:
+          "Merge duplicate tasks into the first one listed, combining their prerequisites and pointing dependent tasks at it",
+        inputSchema: {
+          type: "object",
+          properties: {
+            task_ids: {
+              type: "array",
+              items: { type: "string" },
+              minItems: 2,
+              description: "Task to keep first, then the duplicates to fold into it",
+            },
+            title: { type: "string", description: "New title for the merged task" },
+          },
+          required: ["task_ids"],
+        },
+      },
+      {
+        name: "delete_hta_task",
+        description:
+          "Delete a task from the active HTA tree. Tasks that waited on it no longer do",
+        inputSchema: {
+          type: "object",
+          properties: {
+            task_id: { type: "string", description: "Task to delete" },
+          },
+          required: ["task_id"],
+        },
+      },
+      {
+        name: "add_hta_branch",
+        description:
+          "Add a branch to the active HTA tree, optionally as a sub-branch of another",
+        inputSchema: {
+          type: "object",
+          properties: {
+            title: { type: "string", description: "Branch title" },
+            id: {
+              type: "string",
+              description: "Branch id (default: the title in snake_case)",
+            },
+            parent_id: {
+              type: "string",
+              description: "Branch to nest this one under",
+            },
+            priority: {
+              type: "string",
+              enum: ["critical", "high", "medium", "low"],
+              description: "Branch priority (default medium)",
+            },
+          },
+          required: ["title"],
+        },
+      },
+      {
+        name: "edit_hta_branch",
+        description:
+          "Rename, re-prioritize or move a branch. Only the fields you pass are changed",
+        inputSchema: {
+          type: "object",
+          properties: {
+            branch_id: { type: "string", description: "Branch to edit" },
+            title: { type: "string", description: "New title" },
+            parent_id: {
+              type: "string",
+              description: 'Branch to nest it under; "" moves it to the top level',
+            },
+            priority: {
+              type: "string",
+              enum: ["critical", "high", "medium", "low"],
+              description: "New priority",
+            },
+          },
+          required: ["branch_id"],
+        },
+      },
+      {
+        name: "delete_hta_branch",
+        description:
+          "Delete a branch. Its sub-branches move up a level; its tasks must be moved to another branch",
+        inputSchema: {
+          type: "object",
+          properties: {
+            branch_id: { type: "string", description: "Branch to delete" },
+            move_tasks_to: {
+              type: "string",
+              description: "Branch that takes over the deleted branch's tasks",
+            },
+          },
+          required: ["branch_id"],
+        },
+      },
+      {
+        name: "generate_daily_schedule",
+        description:
+          "ON-DEMAND: Generate comprehensive gap-free daily schedule when requested by user",
+        inputSchema: {
+          type: "object",
+          properties: {
+            date: {
+              type: "string",
+              description: "YYYY-MM-DD, defaults to today",
+            },
+            energy_level: {
+              type: "number",
+              minimum: 1,
+              maximum: 5,
+              description:
+                "Current energy level (affects task difficulty and timing). Omit to forecast it from past sessions",
+            },
+            available_hours: {
+              type: "string",
+              description:
+                'Comma-separated list of hours to prioritize (e.g. "9,10,11,14,15")',
+            },
+            focus_type: {
+              type: "string",
+              enum: ["learning", "building", "networking", "habits", "mixed"],
+              description: "Type of work to prioritize today",
+            },
+            schedule_request_context: {
+              type: "string",
+              description:
+                'User context about why they need a schedule now (e.g. "planning tomorrow", "need structure today")',
+            },
+            fixed_events: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  title: { type: "string" },
+                  start_time: {
+                    type: "string",
+                    description: 'Start time (e.g. "2:00 PM")',
+                  },
+                  end_time: {
+                    type: "string",
+                    description: 'End time (e.g. "3:30 PM")',
+                  },
+                  date: {
+                    type: "string",
+                    description: "YYYY-MM-DD; omit to apply to the scheduled day",
+                  },
+                },
+                required: ["start_time", "end_time"],
+              },
+              description:
+                "Meetings, shifts and other fixed events to schedule around",
+            },
+            ics_path: {
+              type: "string",
+              description:
+                "Path to an iCalendar (.ics) file whose events are scheduled around",
+            },
+          },
+        },
+      },
+      {
+        name: "generate_weekly_schedule",
+        description:
+          "Plan several days at once, spreading ready tasks across days by forecast energy and around recurring commitments from your constraints",
+        inputSchema: {
+          type: "object",
+          properties: {
+            start_date: {
+              type: "string",
+              description: "First day to plan (YYYY-MM-DD, defaults to today)",
+            },
+            days: {
+              type: "number",
+              minimum: 1,
+              maximum: 14,
+              default: 7,
+              description: "How many days to plan",
+            },
+            energy_level: {
+              type: "number",
+              minimum: 1,
+              maximum: 5,
+              default: 3,
+              description:
+                "Expected energy for days without enough history to forecast from",
+            },
+            focus_type: {
+              type: "string",
+              enum: ["learning", "building", "networking", "habits", "mixed"],
+              default: "mixed",
+            },
+            overwrite_existing: {
+              type: "boolean",
+              default: false,
+              description:
+                "Replan days that already have a schedule instead of keeping them",
+            },
+            fixed_events: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  title: { type: "string" },
+                  start_time: {
+                    type: "string",
+                    description: 'Start time (e.g. "2:00 PM")',
+                  },
+                  end_time: {
+                    type: "string",
+                    description: 'End time (e.g. "3:30 PM")',
+                  },
+                  date: {
+                    type: "string",
+                    description: "YYYY-MM-DD; omit to apply to every planned day",
+                  },
+                },
+                required: ["start_time", "end_time"],
+              },
+              description:
+                "Meetings, shifts and other fixed events to schedule around",
+            },
+            ics_path: {
+              type: "string",
+              description:
+                "Path to an iCalendar (.ics) file whose events are scheduled around",
+            },
+          },
+        },
+      },
+      {
+        name: "reschedule_day",
+        description:
+          "Adjust today's saved schedule to the current time: push unfinished blocks later, drop or defer low-priority blocks when running late, and optionally insert an unplanned block. Completed blocks stay as recorded",
+        inputSchema: {
+          type: "object",
+          properties: {
+            date: {
+              type: "string",
+              description: "Day to adjust (YYYY-MM-DD, defaults to today)",
+            },
+            current_time: {
+              type: "string",
+              description:
+                'Time to reschedule from (e.g. "2:30 PM"), defaults to now',
+            },
+            insert_block: {
+              type: "object",
+              properties: {
+                title: { type: "string" },
+                duration: {
+                  type: "number",
+                  description: "Length in minutes",
+                },
+                type: {
+                  type: "string",
+                  description: 'Block type (e.g. "work", "exercise"), defaults to "unplanned"',
+                },
+                description: { type: "string" },
+                start_time: {
+                  type: "string",
+                  description:
+                    "Pin the block to this time; omit to fit it in as soon as possible",
+                },
+              },
+              required: ["title", "duration"],
+              description: "Something unplanned that needs time today",
+            },
+          },
+        },
+      },
+      {
+        name: "export_schedule",
+        description:
+          "Export saved day schedules for a day or date range to a file: iCalendar for calendar apps, CSV for spreadsheets, JSON, Org-mode agenda, Tiimo markdown or a to-do task list",
+        inputSchema: {
+          type: "object",
+          properties: {
+            format: {
+              type: "string",
+              enum: listScheduleExporters().map((exporter) => exporter.format),
+              default: "ics",
+              description: listScheduleExporters()
+                .map((exporter) => `${exporter.format}: ${exporter.description}`)
+                .join("; "),
+            },
+            start_date: {
+              type: "string",
+              description: "First day to export (YYYY-MM-DD, defaults to today)",
+            },
+            end_date: {
+              type: "string",
+              description: "Last day to export (YYYY-MM-DD, defaults to start_date)",
+            },
+            output_path: {
+              type: "string",
+              description:
+                "Where to write the export (defaults to the data directory's exports folder)",
+            },
+            include_breaks: {
+              type: "boolean",
+              default: true,
+              description: "Include break blocks",
+            },
+            include_fixed: {
+              type: "boolean",
+              default: false,
+              description:
+                "Include fixed commitments the schedule was planned around (usually already in your calendar; never part of to-do exports)",
+            },
+          },
+        },
+      },
+      {
+        name: "complete_block",
+        description:
+          "Complete time block and capture insights for active project",
+        inputSchema: {
+          type: "object",
+          properties: {
+            block_id: {
+              type: "string",
+            },
+            date: {
+              type: "string",
+              description:
+                "Date of the schedule the block is in (YYYY-MM-DD). Optional: recent schedules are searched when the block id is unambiguous",
+            },
+            outcome: {
+              type: "string",
+              description: "What happened? Key insights?",
+            },
+            learned: {
+              type: "string",
+              description: "What specific knowledge or skills did you gain?",
+            },
+            next_questions: {
+              type: "string",
+              description:
+                "What questions emerged? What do you need to learn next?",
+            },
+            energy_level: {
+              type: "number",
+              minimum: 1,
+              maximum: 5,
+              description: "Energy after completion",
+            },
+            difficulty_rating: {
+              type: "number",
+              minimum: 1,
+              maximum: 5,
+              description:
+                "How difficult was this task? (1=too easy, 5=too hard)",
+            },
+            breakthrough: {
+              type: "boolean",
+              description: "Major insight or breakthrough?",
+            },
+          },
+          required: ["block_id", "outcome", "energy_level"],
+        },
+      },
+      {
+        name: "partially_complete_block",
+        description:
+          "Record partial progress on a block (e.g. 60% done). The block and its task stay open",
+        inputSchema: {
+          type: "object",
+          properties: {
+            block_id: {
+              type: "string",
+            },
+            date: {
+              type: "string",
+              description:
+                "Date of the schedule the block is in (YYYY-MM-DD). Optional: recent schedules are searched when the block id is unambiguous",
+            },
+            percent_complete: {
+              type: "number",
+              minimum: 1,
+              maximum: 99,
+              description: "How much of the block got done",
+            },
+            outcome: {
+              type: "string",
+              description: "What got done so far?",
+            },
+            learned: {
+              type: "string",
+            },
+            energy_level: {
+              type: "number",
+              minimum: 1,
+              maximum: 5,
+            },
           },
-          required: ["project_id", "goal", "life_structure_preferences"],
+          required: ["block_id", "percent_complete", "outcome"],
         },
       },
       {
-        name: "switch_project",
-        description: "Switch to a different project workspace",
+        name: "skip_block",
+        description:
+          "Skip a scheduled block. Its task stays open and the reason is kept so repeatedly avoided tasks can be spotted",
         inputSchema: {
           type: "object",
           properties: {
-            project_id: {
+            block_id: {
               type: "string",
-              description: "Project to switch to",
+            },
+            date: {
+              type: "string",
+              description:
+                "Date of the schedule the block is in (YYYY-MM-DD). Optional: recent schedules are searched when the block id is unambiguous",
+            },
+            reason: {
+              type: "string",
+              description: "Why the block isn't happening",
             },
           },
-          required: ["project_id"],
+          required: ["block_id"],
         },
       },
       {
-        name: "list_projects",
-        description: "Show all project workspaces",
+        name: "defer_block",
+        description:
+          "Move a learning block to a later date; the task is planned first when that day is scheduled",
         inputSchema: {
           type: "object",
-          properties: {},
+          properties: {
+            block_id: {
+              type: "string",
+            },
+            date: {
+              type: "string",
+              description:
+                "Date of the schedule the block is in (YYYY-MM-DD). Optional: recent schedules are searched when the block id is unambiguous",
+            },
+            to_date: {
+              type: "string",
+              description: "Date to do it instead (YYYY-MM-DD)",
+            },
+            reason: {
+              type: "string",
+            },
+          },
+          required: ["block_id", "to_date"],
         },
       },
       {
-        name: "get_active_project",
-        description: "Show current active project",
+        name: "start_block",
+        description:
+          "Start timing a block (or resume it after a pause). A block already running that day is paused",
         inputSchema: {
           type: "object",
-          properties: {},
+          properties: {
+            block_id: {
+              type: "string",
+            },
+            date: {
+              type: "string",
+              description:
+                "Date of the schedule the block is in (YYYY-MM-DD). Optional: recent schedules are searched when the block id is unambiguous",
+            },
+          },
+          required: ["block_id"],
         },
       },
       {
-        name: "build_hta_tree",
+        name: "pause_block",
         description:
-          "Build strategic HTA framework for a specific learning path",
+          "Pause a block's timer, e.g. for an interruption; start_block resumes it",
         inputSchema: {
           type: "object",
           properties: {
-            path_name: {
+            block_id: {
               type: "string",
-              description:
-                'Learning path to build HTA tree for (e.g. "saxophone", "piano"). If not specified, builds for active path or general project.',
             },
-            learning_style: {
+            date: {
               type: "string",
               description:
-                "Preferred learning approach (visual, hands-on, research-based, etc.)",
-            },
-            focus_areas: {
-              type: "array",
-              items: { type: "string" },
-              description: "Specific areas to prioritize in the strategy",
+                "Date of the schedule the block is in (YYYY-MM-DD). Optional: recent schedules are searched when the block id is unambiguous",
             },
           },
+          required: ["block_id"],
         },
       },
       {
-        name: "get_hta_status",
-        description: "View HTA strategic framework for active project",
+        name: "stop_block",
+        description:
+          "Stop a block's timer and record the time actually spent. Completing the block passes it to the HTA and future duration estimates",
         inputSchema: {
           type: "object",
-          properties: {},
+          properties: {
+            block_id: {
+              type: "string",
+            },
+            date: {
+              type: "string",
+              description:
+                "Date of the schedule the block is in (YYYY-MM-DD). Optional: recent schedules are searched when the block id is unambiguous",
+            },
+          },
+          required: ["block_id"],
         },
       },
       {
-        name: "generate_daily_schedule",
+        name: "start_focus_session",
         description:
-          "ON-DEMAND: Generate comprehensive gap-free daily schedule when requested by user",
+          "Run a learning block as a Pomodoro-style focus session: it is split into focus and break intervals from the project's focus_duration and break_preferences, and only focus time is tracked",
         inputSchema: {
           type: "object",
           properties: {
+            block_id: {
+              type: "string",
+            },
             date: {
               type: "string",
-              description: "YYYY-MM-DD, defaults to today",
+              description:
+                "Date of the schedule the block is in (YYYY-MM-DD). Optional: recent schedules are searched when the block id is unambiguous",
             },
-            energy_level: {
+            focus_minutes: {
               type: "number",
-              minimum: 1,
-              maximum: 5,
-              description:
-                "Current energy level (affects task difficulty and timing)",
+              description: "Length of each focus interval; overrides focus_duration",
             },
-            available_hours: {
-              type: "string",
-              description:
-                'Comma-separated list of hours to prioritize (e.g. "9,10,11,14,15")',
+            break_minutes: {
+              type: "number",
+              description: "Length of short breaks; overrides break_preferences",
             },
-            focus_type: {
+          },
+          required: ["block_id"],
+        },
+      },
+      {
+        name: "next_focus_interval",
+        description:
+          "Finish the current focus or break interval and start the next one; after the last focus interval the session ends",
+        inputSchema: {
+          type: "object",
+          properties: {
+            block_id: {
               type: "string",
-              enum: ["learning", "building", "networking", "habits", "mixed"],
-              description: "Type of work to prioritize today",
             },
-            schedule_request_context: {
+            date: {
               type: "string",
               description:
-                'User context about why they need a schedule now (e.g. "planning tomorrow", "need structure today")',
+                "Date of the schedule the block is in (YYYY-MM-DD). Optional: recent schedules are searched when the block id is unambiguous",
             },
           },
+          required: ["block_id"],
         },
       },
       {
-        name: "complete_block",
-        description:
-          "Complete time block and capture insights for active project",
+        name: "log_interruption",
+        description: "Record an interruption during the current focus interval",
         inputSchema: {
           type: "object",
           properties: {
             block_id: {
               type: "string",
             },
-            outcome: {
+            date: {
               type: "string",
-              description: "What happened? Key insights?",
+              description:
+                "Date of the schedule the block is in (YYYY-MM-DD). Optional: recent schedules are searched when the block id is unambiguous",
             },
-            learned: {
+            note: {
               type: "string",
-              description: "What specific knowledge or skills did you gain?",
+              description: "What interrupted you",
             },
-            next_questions: {
+            kind: {
               type: "string",
+              enum: ["internal", "external"],
               description:
-                "What questions emerged? What do you need to learn next?",
-            },
-            energy_level: {
-              type: "number",
-              minimum: 1,
-              maximum: 5,
-              description: "Energy after completion",
+                "internal = your own distraction, external = someone or something else (default)",
             },
-            difficulty_rating: {
-              type: "number",
-              minimum: 1,
-              maximum: 5,
+            void_interval: {
+              type: "boolean",
               description:
-                "How difficult was this task? (1=too easy, 5=too hard)",
+                "The interruption broke your focus, so this interval shouldn't count as completed",
             },
-            breakthrough: {
-              type: "boolean",
-              description: "Major insight or breakthrough?",
+          },
+          required: ["block_id"],
+        },
+      },
+      {
+        name: "end_focus_session",
+        description:
+          "End a focus session early; the focus time so far is kept for complete_block",
+        inputSchema: {
+          type: "object",
+          properties: {
+            block_id: {
+              type: "string",
+            },
+            date: {
+              type: "string",
+              description:
+                "Date of the schedule the block is in (YYYY-MM-DD). Optional: recent schedules are searched when the block id is unambiguous",
             },
           },
-          required: ["block_id", "outcome", "energy_level"],
+          required: ["block_id"],
         },
       },
       {
@@ -397,6 +1216,11 @@ export class McpHandlers {
               type: "string",
               description: "The block being completed",
             },
+            date: {
+              type: "string",
+              description:
+                "Date of the schedule the block is in (YYYY-MM-DD). Optional: recent schedules are searched when the block id is unambiguous",
+            },
             outcome: {
               type: "string",
               description: "What happened? Key insights?",
@@ -514,6 +1338,12 @@ export class McpHandlers {
           "Analyze historical data to discover your personal productivity patterns.",
         inputSchema: { type: "object", properties: {} },
       },
+      {
+        name: "get_energy_profile",
+        description:
+          "Show how your energy varies by hour of day and weekday, learned from the energy ratings of completed blocks. Schedules use it to place hard tasks in your best hours",
+        inputSchema: { type: "object", properties: {} },
+      },
       {
         name: "review_week",
         description:
@@ -529,7 +1359,7 @@ export class McpHandlers {
       {
         name: "get_next_task",
         description:
-          "Get the single most logical next task based on current progress and context",
+          "Get the single most logical next task based on current progress and context. Ready tasks on the active path are scored on priority, energy match, time fit, context and recency; the top pick comes with ranked alternatives and a per-factor explanation",
         inputSchema: {
           type: "object",
           properties: {
@@ -543,14 +1373,94 @@ export class McpHandlers {
               minimum: 1,
               maximum: 5,
               description:
-                "Current energy level to match appropriate task difficulty",
+                "Current energy level to match appropriate task difficulty. Omit to predict it from past sessions at this time of day",
             },
             time_available: {
               type: "string",
               description:
                 'Time available for the task (e.g. "30 minutes", "1 hour")',
             },
+            rerank: {
+              type: "boolean",
+              description:
+                "Ask the configured LLM to choose among the top-scored tasks (default false)",
+            },
+          },
+        },
+      },
+      {
+        name: "list_knowledge_gaps",
+        description:
+          "List the open questions collected from next_questions when blocks are completed. Near-identical questions are merged and show how often they came up",
+        inputSchema: {
+          type: "object",
+          properties: {
+            status: {
+              type: "string",
+              enum: ["open", "resolved", "all"],
+              description: "Which gaps to list; open includes gaps promoted to tasks (default open)",
+            },
+            limit: {
+              type: "number",
+              description: "Maximum number of gaps to list (default 20)",
+            },
+          },
+        },
+      },
+      {
+        name: "resolve_knowledge_gap",
+        description:
+          "Mark a knowledge gap as answered, optionally linking the HTA task whose work answered it",
+        inputSchema: {
+          type: "object",
+          properties: {
+            gap_id: {
+              type: "string",
+              description: "Gap id from list_knowledge_gaps (e.g. gap_3)",
+            },
+            resolution: {
+              type: "string",
+              description: "What the answer turned out to be",
+            },
+            task_id: {
+              type: "string",
+              description: "HTA task that answered the question",
+            },
+          },
+          required: ["gap_id"],
+        },
+      },
+      {
+        name: "promote_gap_to_task",
+        description:
+          "Turn a knowledge gap into an HTA task so it gets scheduled; completing the task resolves the gap",
+        inputSchema: {
+          type: "object",
+          properties: {
+            gap_id: {
+              type: "string",
+              description: "Gap id from list_knowledge_gaps (e.g. gap_3)",
+            },
+            title: {
+              type: "string",
+              description: 'Task title (default "Explore: <question>")',
+            },
+            branch: {
+              type: "string",
+              description: "HTA branch for the task (default: the branch the question came from)",
+            },
+            difficulty: {
+              type: "number",
+              minimum: 1,
+              maximum: 5,
+              description: "Task difficulty (default 2)",
+            },
+            duration: {
+              type: "string",
+              description: 'Task duration (default "30 minutes")',
+            },
           },
+          required: ["gap_id"],
         },
       },
       {
@@ -594,7 +1504,7 @@ export class McpHandlers {
             duration: {
               type: "string",
               description:
-                'How long to focus on this path (e.g. "today", "this week", "until next switch")',
+                'How long to focus on this path (e.g. "today", "this week", "2 hours", "until next switch"); timed focus reverts to the previous path automatically',
             },
           },
           required: ["path_name"],
@@ -614,9 +1524,83 @@ export class McpHandlers {
       },
       {
         name: "list_learning_paths",
-        description: "Show all available learning paths in the current project",
+        description:
+          "Show all learning paths in the current project with their priority and progress",
         inputSchema: { type: "object", properties: {} },
       },
+      {
+        name: "add_learning_path",
+        description: "Add a new learning path to the current project",
+        inputSchema: {
+          type: "object",
+          properties: {
+            path_name: {
+              type: "string",
+              description: 'Name of the new path (e.g. "music theory")',
+            },
+            priority: {
+              type: "string",
+              enum: ["high", "medium", "low"],
+              default: "medium",
+            },
+            interests: {
+              type: "array",
+              items: { type: "string" },
+              description: "Specific interests for this path",
+            },
+          },
+          required: ["path_name"],
+        },
+      },
+      {
+        name: "remove_learning_path",
+        description:
+          "Remove a learning path from the current project (its HTA and history are kept unless delete_data is set)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            path_name: { type: "string", description: "Path to remove" },
+            delete_data: {
+              type: "boolean",
+              default: false,
+              description:
+                'Also delete the path\'s HTA tree and learning history (not supported for "general", whose data is stored with the project)',
+            },
+          },
+          required: ["path_name"],
+        },
+      },
+      {
+        name: "reprioritize_learning_path",
+        description: "Change a learning path's priority",
+        inputSchema: {
+          type: "object",
+          properties: {
+            path_name: { type: "string", description: "Path to change" },
+            priority: {
+              type: "string",
+              enum: ["high", "medium", "low"],
+            },
+          },
+          required: ["path_name", "priority"],
+        },
+      },
+      {
+        name: "migrate_data_files",
+        description:
+          "Report (or apply) schema migrations that upgrade config, HTA, learning history and schedule files across all projects",
+        inputSchema: {
+          type: "object",
+          properties: {
+            dry_run: {
+              type: "boolean",
+              default: true,
+              description:
+                "Only report what would change without writing any files",
+            },
+          },
+        },
+      },
       {
         name: "analyze_reasoning",
         description:
@@ -3,6 +3,8 @@
  * Handles Memory MCP integration and state synchronization
  */
 
+import { getProjectTimeZone, getToday } from "./date-utils.js";
+
 export class MemorySync {
   constructor(dataPersistence) {
     this.dataPersistence = dataPersistence;
@@ -23,7 +25,7 @@ export class MemorySync {
         "learning_history.json",
       )) || { completedTopics: [], insights: [] };
 
-      const today = new Date().toISOString().split("T")[0];
+      const today = getToday(getProjectTimeZone(config));
       const todaySchedule =
         (await this.dataPersistence.loadProjectData(
           projectId,
@@ -0,0 +1,477 @@
+/**
+ * Project Archive Module
+ * Handles exporting a project to a portable archive and importing it back
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { findSimilarGap, nextGapId } from "./knowledge-gaps.js";
+import { getFileKind } from "./schema-migrations.js";
+
+export const ARCHIVE_FORMAT = "forest-project-archive";
+export const ARCHIVE_VERSION = 1;
+
+const CONFLICT_STRATEGIES = ["rename", "overwrite", "merge"];
+const SAFE_SEGMENT = /^[A-Za-z0-9][A-Za-z0-9 _.-]*$/;
+const SAFE_FILENAME = /^[A-Za-z0-9][A-Za-z0-9_.-]*\.json$/;
+
+/**
+ * Point a document at another project id: config.json carries the id in
+ * `id`, everything else in `project_id` when present.
+ * @param {string} filename
+ * @param {any} data
+ * @param {string} projectId
+ */
+export function retargetProjectDocument(filename, data, projectId) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return data;
+  const retargeted = { ...data };
+  if (filename === "config.json" && retargeted.id !== undefined) {
+    retargeted.id = projectId;
+  }
+  if (retargeted.project_id !== undefined) {
+    retargeted.project_id = projectId;
+  }
+  return retargeted;
+}
+
+export class ProjectArchive {
+  /**
+   * @param {any} dataPersistence
+   * @param {any} projectManagement
+   */
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  /**
+   * @param {string|null} projectId
+   * @param {string|null} [outputPath]
+   */
+  async exportProject(projectId, outputPath = null) {
+    try {
+      const sourceId = projectId || (await this.projectManagement.requireActiveProject());
+      await this.projectManagement.requireKnownProject(sourceId);
+      const archive = await this.buildArchive(sourceId);
+
+      const target =
+        outputPath ||
+        path.join(
+          this.dataPersistence.dataDir,
+          "exports",
+          `${sourceId}-${archive.exported_at.replace(/[:.]/g, "-")}.json`,
+        );
+      await fs.mkdir(path.dirname(path.resolve(target)), { recursive: true });
+      await fs.writeFile(target, JSON.stringify(archive, null, 2));
+
+      const pathNames = [
+        ...new Set(archive.documents.map((doc) => doc.path_name).filter(Boolean)),
+      ];
+      const schedules = archive.documents.filter(
+        (doc) => getFileKind(doc.filename) === "day",
+      ).length;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text:
+              `📦 Project "${sourceId}" exported!\n\n` +
+              `**Archive**: ${path.resolve(target)}\n` +
+              `**Documents**: ${archive.documents.length}\n` +
+              `**Learning Paths**: ${pathNames.join(", ") || "none"}\n` +
+              `**Day Schedules**: ${schedules}\n\n` +
+              `💡 Use \`import_project\` with this archive to restore or move the project`,
+          },
+        ],
+        archive_path: path.resolve(target),
+        archive_summary: {
+          project_id: sourceId,
+          archive_version: archive.archive_version,
+          documents: archive.documents.length,
+        },
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("exportProject", error, {
+        projectId,
+        outputPath,
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error exporting project: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * @param {string} projectId
+   */
+  async buildArchive(projectId) {
+    const entries = await this.dataPersistence.listProjectDocuments(projectId);
+    const hasConfig = entries.some(
+      (/** @type {any} */ entry) => !entry.pathName && entry.filename === "config.json",
+    );
+    if (!hasConfig) {
+      throw new Error(`Project "${projectId}" not found`);
+    }
+
+    const documents = [];
+    for (const { pathName, filename } of entries) {
+      // Loading applies the isolation checks and brings data to the current schema
+      const data = pathName
+        ? await this.dataPersistence.loadPathData(projectId, pathName, filename)
+        : await this.dataPersistence.loadProjectData(projectId, filename);
+      if (data === null) {
+        throw new Error(
+          `Could not read ${pathName ? `paths/${pathName}/` : ""}${filename} for project "${projectId}"`,
+        );
+      }
+      documents.push({ path_name: pathName, filename, data });
+    }
+
+    return {
+      format: ARCHIVE_FORMAT,
+      archive_version: ARCHIVE_VERSION,
+      exported_at: new Date().toISOString(),
+      project_id: projectId,
+      documents,
+    };
+  }
+
+  /**
+   * @param {string} archivePath
+   */
+  async importProject(archivePath, { projectId = null, onConflict = "rename" } = {}) {
+    try {
+      if (!CONFLICT_STRATEGIES.includes(onConflict)) {
+        throw new Error(
+          `Unknown conflict strategy "${onConflict}". Use one of: ${CONFLICT_STRATEGIES.join(", ")}`,
+        );
+      }
+
+      const archive = JSON.parse(await fs.readFile(archivePath, "utf8"));
+      this.validateArchive(archive);
+
+      const requestedId = projectId || archive.project_id;
+      this.projectManagement.validateProjectId(requestedId);
+
+      const exists = await this.projectManagement.projectExists(requestedId);
+      let targetId = requestedId;
+      if (exists && onConflict === "rename") {
+        targetId = await this.findAvailableProjectId(`${requestedId}-imported`);
+      }
+      const merging = exists && onConflict === "merge";
+
+      /** @type {Record<string, number>} */
+      const summary = { written: 0, merged: 0, unchanged: 0 };
+      if (exists && onConflict === "overwrite") {
+        summary.written = await this.replaceProjectDocuments(targetId, archive.documents);
+      } else {
+        for (const doc of archive.documents) {
+          const data = retargetProjectDocument(doc.filename, doc.data, targetId);
+          const result = merging
+            ? await this.mergeDocument(targetId, doc.path_name, doc.filename, data)
+            : await this.writeDocument(targetId, doc.path_name, doc.filename, data);
+          summary[result]++;
+        }
+      }
+
+      await this.dataPersistence.updateGlobalData("config.json", (/** @type {any} */ existing) => {
+        const globalData = existing || { projects: [] };
+        globalData.projects = globalData.projects || [];
+        if (!globalData.projects.includes(targetId)) {
+          globalData.projects.push(targetId);
+        }
+        return globalData;
+      });
+
+      const conflictNote = !exists
+        ? "none"
+        : onConflict === "rename"
+          ? `"${requestedId}" already existed, imported as "${targetId}"`
+          : onConflict === "overwrite"
+            ? `replaced existing "${targetId}"`
+            : `merged into existing "${targetId}"`;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text:
+              `📥 Project "${targetId}" imported!\n\n` +
+              `**Source Project**: ${archive.project_id}\n` +
+              `**Exported At**: ${archive.exported_at || "unknown"}\n` +
+              `**Conflict**: ${conflictNote}\n` +
+              `**Documents Written**: ${summary.written}\n` +
+              (merging
+                ? `**Documents Merged**: ${summary.merged}\n` +
+                  `**Documents Unchanged**: ${summary.unchanged}\n`
+                : "") +
+              `\n💡 Use \`switch_project\` to start working in "${targetId}"`,
+          },
+        ],
+        imported_project: targetId,
+        import_summary: { ...summary, conflict: exists ? onConflict : null },
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("importProject", error, {
+        archivePath,
+        projectId,
+        onConflict,
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error importing project: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Reject archives that are malformed, from a newer format, would write
+   * outside the project, or fail the project-isolation checks.
+   * @param {any} archive
+   */
+  validateArchive(archive) {
+    if (!archive || archive.format !== ARCHIVE_FORMAT) {
+      throw new Error("Not a Forest project archive");
+    }
+    if (!Number.isInteger(archive.archive_version) || archive.archive_version > ARCHIVE_VERSION) {
+      throw new Error(
+        `Unsupported archive version ${archive.archive_version} (this server reads up to ${ARCHIVE_VERSION})`,
+      );
+    }
+    if (typeof archive.project_id !== "string" || !archive.project_id) {
+      throw new Error("Archive is missing its project_id");
+    }
+    if (!Array.isArray(archive.documents)) {
+      throw new Error("Archive has no documents");
+    }
+
+    const errors = [];
+    const seen = new Set();
+    for (const doc of archive.documents) {
+      const pathName = doc?.path_name ?? null;
+      const location = `${pathName ? `paths/${pathName}/` : ""}${doc?.filename}`;
+
+      if (
+        typeof doc?.filename !== "string" ||
+        !SAFE_FILENAME.test(doc.filename) ||
+        (pathName !== null &&
+          (typeof pathName !== "string" || !SAFE_SEGMENT.test(pathName) || pathName.includes("..")))
+      ) {
+        errors.push(`${location}: invalid document location`);
+        continue;
+      }
+      if (seen.has(location)) {
+        errors.push(`${location}: duplicate document`);
+        continue;
+      }
+      seen.add(location);
+
+      if (!doc.data || typeof doc.data !== "object" || Array.isArray(doc.data)) {
+        errors.push(`${location}: document data must be an object`);
+        continue;
+      }
+
+      try {
+        if (pathName) {
+          this.dataPersistence.validatePathDocument(doc.data, archive.project_id, pathName);
+        } else {
+          this.dataPersistence.validateProjectDocument(doc.data, archive.project_id);
+        }
+        this.dataPersistence.upgradeForWrite(doc.filename, doc.data);
+      } catch (/** @type {any} */ error) {
+        errors.push(`${location}: ${error.message}`);
+      }
+    }
+
+    if (!seen.has("config.json")) {
+      errors.push("config.json: missing project configuration");
+    }
+    if (errors.length > 0) {
+      throw new Error(`Archive failed validation:\n- ${errors.join("\n- ")}`);
+    }
+  }
+
+  /**
+   * @param {string} baseId
+   */
+  async findAvailableProjectId(baseId) {
+    let candidate = baseId;
+    for (let n = 2; await this.projectManagement.projectExists(candidate); n++) {
+      candidate = `${baseId}-${n}`;
+    }
+    return candidate;
+  }
+
+  /**
+   * Replace a project's documents with an archive's. The archive is written
+   * under a staging id first, so a failed write leaves the existing project
+   * untouched; only then are its documents overwritten and the ones the
+   * archive doesn't have removed. Returns how many documents were written.
+   * @param {string} projectId
+   * @param {any[]} documents
+   */
+  async replaceProjectDocuments(projectId, documents) {
+    // Project ids start with a letter or digit, so this can't collide with one
+    const stagingId = `.import-${projectId}-${crypto.randomBytes(4).toString("hex")}`;
+    try {
+      for (const doc of documents) {
+        const data = retargetProjectDocument(doc.filename, doc.data, stagingId);
+        await this.writeDocument(stagingId, doc.path_name, doc.filename, data);
+      }
+
+      const previous = await this.dataPersistence.listProjectDocuments(projectId);
+      for (const doc of documents) {
+        await this.projectManagement.copyProjectDocument(
+          stagingId,
+          projectId,
+          doc.path_name,
+          doc.filename,
+        );
+      }
+      const imported = new Set(
+        documents.map((doc) => `${doc.path_name || ""}/${doc.filename}`),
+      );
+      for (const entry of previous) {
+        if (!imported.has(`${entry.pathName || ""}/${entry.filename}`)) {
+          await this.dataPersistence.deleteDocument(entry.key);
+        }
+      }
+      return documents.length;
+    } finally {
+      await this.dataPersistence.deleteProjectDocuments(stagingId);
+    }
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {string|null} pathName
+   * @param {string} filename
+   * @param {any} data
+   */
+  async writeDocument(projectId, pathName, filename, data) {
+    const saved = pathName
+      ? await this.dataPersistence.savePathData(projectId, pathName, filename, data)
+      : await this.dataPersistence.saveProjectData(projectId, filename, data);
+    if (!saved) {
+      throw new Error(`Failed to write ${filename} for project "${projectId}"`);
+    }
+    return "written";
+  }
+
+  /**
+   * Combine an archived document with the existing one. Existing values win;
+   * the archive contributes entries (nodes, branches, paths, history items,
+   * blocks) the existing document doesn't have yet.
+   * @param {string} projectId
+   * @param {string|null} pathName
+   * @param {string} filename
+   * @param {any} incoming
+   */
+  async mergeDocument(projectId, pathName, filename, incoming) {
+    let outcome = "unchanged";
+    const mutator = (/** @type {any} */ existing) => {
+      if (!existing) {
+        outcome = "written";
+        return incoming;
+      }
+      const merged = mergeDocumentData(filename, existing, incoming);
+      if (JSON.stringify(merged) !== JSON.stringify(existing)) {
+        outcome = "merged";
+        return merged;
+      }
+      return existing;
+    };
+
+    if (pathName) {
+      await this.dataPersistence.updatePathData(projectId, pathName, filename, mutator);
+    } else {
+      await this.dataPersistence.updateProjectData(projectId, filename, mutator);
+    }
+    return outcome;
+  }
+}
+
+/**
+ * Append the items of `incoming` whose key isn't already present in `existing`.
+ * @param {any[]} existing
+ * @param {any[]} incoming
+ * @param {(item: any) => any} keyOf
+ */
+function unionBy(existing = [], incoming = [], keyOf) {
+  const known = new Set(existing.map(keyOf));
+  return [...existing, ...incoming.filter((item) => !known.has(keyOf(item)))];
+}
+
+/**
+ * Append the archived gaps whose question isn't tracked yet. Both sides
+ * number their gaps from gap_1, so the added ones get fresh ids.
+ * @param {any[]} existing
+ * @param {any[]} incoming
+ */
+function mergeKnowledgeGaps(existing = [], incoming = []) {
+  const merged = [...existing];
+  for (const gap of incoming) {
+    if (findSimilarGap(merged, gap.question)) continue;
+    merged.push({ ...gap, id: nextGapId(merged) });
+  }
+  return merged;
+}
+
+/**
+ * @param {string} filename
+ * @param {any} existing
+ * @param {any} incoming
+ */
+function mergeDocumentData(filename, existing, incoming) {
+  switch (getFileKind(filename)) {
+    case "config":
+      return {
+        ...incoming,
+        ...existing,
+        learning_paths: unionBy(
+          existing.learning_paths,
+          incoming.learning_paths,
+          (p) => p.path_name,
+        ),
+      };
+    case "hta":
+      return {
+        ...incoming,
+        ...existing,
+        frontierNodes: unionBy(existing.frontierNodes, incoming.frontierNodes, (n) => n.id),
+        strategicBranches: unionBy(
+          existing.strategicBranches,
+          incoming.strategicBranches,
+          (b) => b.id,
+        ),
+      };
+    case "learning_history":
+      return {
+        ...incoming,
+        ...existing,
+        completedTopics: unionBy(existing.completedTopics, incoming.completedTopics, JSON.stringify),
+        insights: unionBy(existing.insights, incoming.insights, JSON.stringify),
+        knowledgeGaps: mergeKnowledgeGaps(existing.knowledgeGaps, incoming.knowledgeGaps),
+        skillProgression: { ...incoming.skillProgression, ...existing.skillProgression },
+      };
+    case "day":
+      return {
+        ...incoming,
+        ...existing,
+        blocks: unionBy(existing.blocks, incoming.blocks, (b) => b.id || JSON.stringify(b)),
+      };
+    default:
+      return existing;
+  }
+}
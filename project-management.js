@@ -3,11 +3,68 @@
  * Handles project creation, switching, and lifecycle management
  */
 
+import crypto from "crypto";
+import {
+  addDays,
+  formatZonedDateTime,
+  getProjectTimeZone,
+  getToday,
+  getWeekday,
+  isValidTimeZone,
+  zonedTimeToUtc,
+} from "./date-utils.js";
+import { retargetProjectDocument } from "./project-archive.js";
+import { validateSchema } from "./intelligence-templates.js";
+
+const DELETE_TOKEN_TTL_MS = 5 * 60 * 1000;
+const LIST_FILTERS = ["active", "archived", "all"];
+const SAFE_NAME = /^[A-Za-z0-9][A-Za-z0-9 _.-]*$/;
+const PATH_PRIORITIES = ["high", "medium", "low"];
+
+// Fields update_project may change. Object fields are merged key by key
+// (null removes a key); everything else is replaced.
+const PROJECT_PATCH_SCHEMA = {
+  type: "object",
+  properties: {
+    goal: { type: "string", minLength: 1 },
+    context: { type: "string" },
+    specific_interests: { type: "array", items: { type: "string" } },
+    constraints: { type: "object" },
+    existing_credentials: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["subject_area", "level"],
+        properties: {
+          credential_type: { type: "string" },
+          subject_area: { type: "string", minLength: 1 },
+          level: { type: "string" },
+          relevance_to_goal: { type: "string" },
+        },
+      },
+    },
+    current_habits: { type: "object" },
+    life_structure_preferences: { type: "object" },
+    urgency_level: { type: "string", enum: ["low", "medium", "high", "critical"] },
+    success_metrics: { type: "array", items: { type: "string" } },
+    timezone: { type: "string", minLength: 1 },
+  },
+};
+const MERGED_FIELDS = ["constraints", "current_habits", "life_structure_preferences"];
+
 export class ProjectManagement {
-  constructor(dataPersistence, memorySync) {
+  /**
+   * @param {any} dataPersistence
+   * @param {any} memorySync
+   * @param {any} [claudeInterface]
+   */
+  constructor(dataPersistence, memorySync, claudeInterface = null) {
     this.dataPersistence = dataPersistence;
     this.memorySync = memorySync;
+    this.claude = claudeInterface;
     this.activeProject = null;
+    // Outstanding delete confirmations: projectId -> { token, expiresAt }
+    this.pendingDeletions = new Map();
   }
 
   async createProject(args) {
@@ -24,6 +81,7 @@ export class ProjectManagement {
         life_structure_preferences,
         urgency_level = "medium",
         success_metrics = [],
+        timezone,
       } = args;
 
       if (!project_id || !goal || !life_structure_preferences) {
@@ -31,9 +89,14 @@ export class ProjectManagement {
           "Missing required fields: project_id, goal, and life_structure_preferences are required",
         );
       }
+      if (timezone !== undefined && !isValidTimeZone(timezone)) {
+        throw new Error(
+          `Unknown timezone "${timezone}". Use an IANA name such as "America/New_York"`,
+        );
+      }
 
       // Calculate knowledge boost from existing credentials
-      const { knowledgeLevel, skillMappings } = this.calculateKnowledgeBoost(
+      const { knowledgeLevel, skillMappings } = await this.calculateKnowledgeBoost(
         existing_credentials,
         goal,
       );
@@ -53,6 +116,8 @@ export class ProjectManagement {
         life_structure_preferences,
         urgency_level,
         success_metrics,
+        // Without a timezone, dates follow the server's clock
+        ...(timezone !== undefined && { timezone }),
         created_at: new Date().toISOString(),
         knowledge_level: knowledgeLevel,
         skill_mappings: skillMappings,
@@ -69,14 +134,15 @@ export class ProjectManagement {
       );
 
       // Update global configuration
-      const globalData = (await this.dataPersistence.loadGlobalData(
-        "config.json",
-      )) || { projects: [] };
-      if (!globalData.projects.includes(project_id)) {
-        globalData.projects.push(project_id);
-      }
-      globalData.activeProject = project_id;
-      await this.dataPersistence.saveGlobalData("config.json", globalData);
+      await this.dataPersistence.updateGlobalData("config.json", (/** @type {any} */ existing) => {
+        const globalData = existing || { projects: [] };
+        globalData.projects = globalData.projects || [];
+        if (!globalData.projects.includes(project_id)) {
+          globalData.projects.push(project_id);
+        }
+        globalData.activeProject = project_id;
+        return globalData;
+      });
 
       // Set as active project
       this.activeProject = project_id;
@@ -117,6 +183,7 @@ export class ProjectManagement {
 
   async switchProject(projectId) {
     try {
+      await this.requireKnownProject(projectId);
       const config = await this.dataPersistence.loadProjectData(
         projectId,
         "config.json",
@@ -124,12 +191,17 @@ export class ProjectManagement {
       if (!config) {
         throw new Error(`Project "${projectId}" not found`);
       }
+      if (config.archived) {
+        throw new Error(
+          `Project "${projectId}" is archived. Use \`archive_project\` with archived=false to restore it first`,
+        );
+      }
 
       // Update global configuration
-      const globalData =
-        (await this.dataPersistence.loadGlobalData("config.json")) || {};
-      globalData.activeProject = projectId;
-      await this.dataPersistence.saveGlobalData("config.json", globalData);
+      await this.dataPersistence.updateGlobalData("config.json", (/** @type {any} */ existing) => ({
+        ...(existing || {}),
+        activeProject: projectId,
+      }));
 
       // Set as active project
       this.activeProject = projectId;
@@ -168,14 +240,21 @@ export class ProjectManagement {
     }
   }
 
-  async listProjects() {
+  async listProjects(filter = "active") {
     try {
+      if (!LIST_FILTERS.includes(filter)) {
+        throw new Error(
+          `Unknown filter "${filter}". Use one of: ${LIST_FILTERS.join(", ")}`,
+        );
+      }
+
       const globalData = (await this.dataPersistence.loadGlobalData(
         "config.json",
       )) || { projects: [] };
       const activeProject = globalData.activeProject;
+      const allProjects = globalData.projects || [];
 
-      if (globalData.projects.length === 0) {
+      if (allProjects.length === 0) {
         return {
           content: [
             {
@@ -186,20 +265,40 @@ export class ProjectManagement {
         };
       }
 
-      let projectList = "📂 **Available Projects:**\n\n";
-      for (const projectId of globalData.projects) {
+      const listed = [];
+      let archivedHidden = 0;
+      let projectList =
+        filter === "archived"
+          ? "🗄️ **Archived Projects:**\n\n"
+          : "📂 **Available Projects:**\n\n";
+      for (const projectId of allProjects) {
         const config = await this.dataPersistence.loadProjectData(
           projectId,
           "config.json",
         );
+        const archived = Boolean(config?.archived);
+        if ((filter === "active" && archived) || (filter === "archived" && !archived)) {
+          if (archived) archivedHidden++;
+          continue;
+        }
+        listed.push(projectId);
+
         const isActive = projectId === activeProject ? " 🎯 **ACTIVE**" : "";
+        const isArchived = archived ? " 🗄️ archived" : "";
         const progress = config?.progress || 0;
 
-        projectList += `• **${projectId}**${isActive}\n`;
+        projectList += `• **${projectId}**${isActive}${isArchived}\n`;
         projectList += `  Goal: ${config?.goal || "Unknown"}\n`;
         projectList += `  Progress: ${progress}%\n\n`;
       }
 
+      if (listed.length === 0) {
+        projectList += "_None_\n\n";
+      }
+      if (archivedHidden > 0) {
+        projectList += `🗄️ ${archivedHidden} archived project(s) hidden — use filter "archived" or "all" to see them`;
+      }
+
       return {
         content: [
           {
@@ -207,11 +306,11 @@ export class ProjectManagement {
             text: projectList,
           },
         ],
-        projects: globalData.projects,
+        projects: listed,
         active_project: activeProject,
       };
     } catch (error) {
-      await this.dataPersistence.logError("listProjects", error);
+      await this.dataPersistence.logError("listProjects", error, { filter });
       return {
         content: [
           {
@@ -223,6 +322,548 @@ export class ProjectManagement {
     }
   }
 
+  /**
+   * @param {any} args
+   */
+  async updateProject(args) {
+    const { project_id: requestedId, ...patch } = args || {};
+    try {
+      if (requestedId) await this.requireKnownProject(requestedId);
+      const projectId = requestedId || (await this.requireActiveProject());
+
+      const updatable = Object.keys(PROJECT_PATCH_SCHEMA.properties);
+      const unknown = Object.keys(patch).filter((key) => !updatable.includes(key));
+      if (unknown.length > 0) {
+        throw new Error(
+          `Cannot update ${unknown.join(", ")}. Updatable fields: ${updatable.join(", ")}`,
+        );
+      }
+      if (Object.keys(patch).length === 0) {
+        throw new Error(`Nothing to update. Updatable fields: ${updatable.join(", ")}`);
+      }
+      const errors = validateSchema(PROJECT_PATCH_SCHEMA, patch, "update");
+      if (typeof patch.timezone === "string" && !isValidTimeZone(patch.timezone)) {
+        errors.push(
+          `update.timezone: "${patch.timezone}" is not an IANA time zone such as "America/New_York"`,
+        );
+      }
+      if (errors.length > 0) {
+        throw new Error(`Invalid update:\n- ${errors.join("\n- ")}`);
+      }
+
+      // The knowledge boost may ask the model about every credential, so it
+      // is worked out before taking the config lock and only applied inside
+      let boost = null;
+      if (patch.goal !== undefined || patch.existing_credentials !== undefined) {
+        const current = await this.dataPersistence.loadProjectData(projectId, "config.json");
+        if (!current) {
+          throw new Error(`Project "${projectId}" not found`);
+        }
+        const goal = patch.goal ?? current.goal;
+        const credentials = patch.existing_credentials ?? current.existing_credentials ?? [];
+        boost = {
+          goal,
+          credentials,
+          ...(await this.calculateKnowledgeBoost(credentials, goal)),
+        };
+      }
+
+      /** @type {Array<{ field: string, from: any, to: any }>} */
+      const changes = [];
+      const config = await this.dataPersistence.updateProjectData(
+        projectId,
+        "config.json",
+        (/** @type {any} */ existing) => {
+          if (!existing) {
+            throw new Error(`Project "${projectId}" not found`);
+          }
+
+          for (const [field, value] of Object.entries(patch)) {
+            let next = value;
+            if (MERGED_FIELDS.includes(field)) {
+              next = { ...(existing[field] || {}) };
+              for (const [key, item] of Object.entries(value)) {
+                if (item === null) delete next[key];
+                else next[key] = item;
+              }
+            }
+            if (JSON.stringify(next) === JSON.stringify(existing[field])) continue;
+            changes.push({ field, from: existing[field] ?? null, to: next });
+            existing[field] = next;
+          }
+
+          const touched = changes.map((change) => change.field);
+          if (
+            boost &&
+            (touched.includes("goal") || touched.includes("existing_credentials"))
+          ) {
+            if (
+              existing.goal !== boost.goal ||
+              JSON.stringify(existing.existing_credentials || []) !==
+                JSON.stringify(boost.credentials)
+            ) {
+              throw new Error(
+                "The project's goal or credentials changed during the update. Try again",
+              );
+            }
+            /** @type {[string, any][]} */
+            const boosted = [
+              ["knowledge_level", boost.knowledgeLevel],
+              ["skill_mappings", boost.skillMappings],
+            ];
+            for (const [field, value] of boosted) {
+              if (JSON.stringify(value) === JSON.stringify(existing[field])) continue;
+              changes.push({ field, from: existing[field] ?? null, to: value });
+              existing[field] = value;
+            }
+          }
+
+          if (changes.length === 0) return existing;
+          existing.updated_at = new Date().toISOString();
+        },
+      );
+
+      if (changes.length === 0) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `ℹ️ Project "${projectId}" already has those values — nothing changed.`,
+            },
+          ],
+          project: config,
+          changes,
+        };
+      }
+
+      await this.dataPersistence.updateProjectData(
+        projectId,
+        "change_log.json",
+        (/** @type {any} */ log) => {
+          const changeLog = log || { project_id: projectId, entries: [] };
+          changeLog.entries.push({
+            timestamp: config.updated_at,
+            source: "update_project",
+            changes,
+          });
+          return changeLog;
+        },
+      );
+
+      /** @param {any} value */
+      const summarize = (value) => {
+        const text = typeof value === "string" ? value : JSON.stringify(value);
+        return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+      };
+      let text = `✏️ Project "${projectId}" updated!\n\n`;
+      for (const change of changes) {
+        text += `• **${change.field}**: ${summarize(change.from)} → ${summarize(change.to)}\n`;
+      }
+      text += `\n📝 Change recorded in the project's change log`;
+
+      return {
+        content: [{ type: "text", text }],
+        project: config,
+        changes,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("updateProject", error, args);
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error updating project: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * @param {string} projectId
+   */
+  async archiveProject(projectId, archived = true) {
+    try {
+      await this.requireKnownProject(projectId);
+      const config = await this.dataPersistence.updateProjectData(
+        projectId,
+        "config.json",
+        (/** @type {any} */ existing) => {
+          if (!existing) {
+            throw new Error(`Project "${projectId}" not found`);
+          }
+          if (archived) {
+            existing.archived = true;
+            existing.archived_at = new Date().toISOString();
+          } else {
+            delete existing.archived;
+            delete existing.archived_at;
+          }
+        },
+      );
+
+      // An archived project can't stay active
+      let deactivated = false;
+      if (archived) {
+        await this.dataPersistence.updateGlobalData(
+          "config.json",
+          (/** @type {any} */ existing) => {
+            if (existing?.activeProject !== projectId) return existing;
+            deactivated = true;
+            return { ...existing, activeProject: null };
+          },
+        );
+        if (deactivated && this.activeProject === projectId) {
+          this.activeProject = null;
+        }
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: archived
+              ? `🗄️ Project "${projectId}" archived.\n\n` +
+                `It is hidden from \`list_projects\` but all of its data is kept.` +
+                (deactivated ? `\n⚠️ It was the active project — switch to another project to continue.` : "") +
+                `\n\n💡 Use \`archive_project\` with archived=false to restore it`
+              : `📂 Project "${projectId}" restored from the archive.`,
+          },
+        ],
+        project: config,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("archiveProject", error, {
+        projectId,
+        archived,
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error archiving project: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Deleting is two-step: a call without a token returns a short-lived
+   * confirmation token, and only a second call with that token deletes.
+   * @param {string} projectId
+   * @param {string|null} [confirmationToken]
+   */
+  async deleteProject(projectId, confirmationToken = null) {
+    try {
+      await this.requireKnownProject(projectId);
+      const config = await this.dataPersistence.loadProjectData(
+        projectId,
+        "config.json",
+      );
+      if (!config) {
+        throw new Error(`Project "${projectId}" not found`);
+      }
+
+      const pending = this.pendingDeletions.get(projectId);
+      const confirmed =
+        confirmationToken &&
+        pending &&
+        pending.token === confirmationToken &&
+        pending.expiresAt > Date.now();
+
+      if (!confirmed) {
+        const token = crypto.randomBytes(4).toString("hex");
+        this.pendingDeletions.set(projectId, {
+          token,
+          expiresAt: Date.now() + DELETE_TOKEN_TTL_MS,
+        });
+        const documents = await this.dataPersistence.listProjectDocuments(projectId);
+        return {
+          content: [
+            {
+              type: "text",
+              text:
+                (confirmationToken ? `❌ Confirmation token is invalid or expired.\n\n` : "") +
+                `⚠️ **Permanently delete project "${projectId}"?**\n\n` +
+                `**Goal**: ${config.goal}\n` +
+                `**Documents**: ${documents.length} (config, learning paths, schedules)\n\n` +
+                `This cannot be undone. Consider \`archive_project\` or \`export_project\` instead.\n\n` +
+                `To confirm, call \`delete_project\` again with confirmation_token "${token}" within 5 minutes.`,
+            },
+          ],
+          confirmation_required: true,
+          confirmation_token: token,
+        };
+      }
+
+      this.pendingDeletions.delete(projectId);
+      const deleted = await this.dataPersistence.deleteProjectDocuments(projectId);
+
+      let wasActive = false;
+      await this.dataPersistence.updateGlobalData("config.json", (/** @type {any} */ existing) => {
+        if (!existing) return null;
+        existing.projects = (existing.projects || []).filter(
+          (/** @type {string} */ id) => id !== projectId,
+        );
+        if (existing.activeProject === projectId) {
+          existing.activeProject = null;
+          wasActive = true;
+        }
+      });
+      if (this.activeProject === projectId) {
+        this.activeProject = null;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text:
+              `🗑️ Project "${projectId}" deleted (${deleted} documents removed).` +
+              (wasActive ? `\n\n⚠️ It was the active project — use \`switch_project\` or \`create_project\` to continue.` : ""),
+          },
+        ],
+        deleted_project: projectId,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("deleteProject", error, { projectId });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error deleting project: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {string} newProjectId
+   */
+  async renameProject(projectId, newProjectId) {
+    try {
+      await this.requireKnownProject(projectId);
+      this.validateProjectId(newProjectId);
+      if (projectId === newProjectId) {
+        throw new Error("New project id is the same as the current one");
+      }
+      if (await this.projectExists(newProjectId)) {
+        throw new Error(`Project "${newProjectId}" already exists`);
+      }
+
+      const documents = await this.dataPersistence.listProjectDocuments(projectId);
+      const hasConfig = documents.some(
+        (/** @type {any} */ doc) => !doc.pathName && doc.filename === "config.json",
+      );
+      if (!hasConfig) {
+        throw new Error(`Project "${projectId}" not found`);
+      }
+
+      // Copy everything under the new id first, so a failure part-way leaves
+      // the original project intact
+      for (const { pathName, filename } of documents) {
+        await this.copyProjectDocument(projectId, newProjectId, pathName, filename);
+      }
+      await this.dataPersistence.deleteProjectDocuments(projectId);
+
+      await this.dataPersistence.updateGlobalData("config.json", (/** @type {any} */ existing) => {
+        const globalData = existing || { projects: [] };
+        globalData.projects = (globalData.projects || []).map((/** @type {any} */ id) =>
+          id === projectId ? newProjectId : id,
+        );
+        if (!globalData.projects.includes(newProjectId)) {
+          globalData.projects.push(newProjectId);
+        }
+        if (globalData.activeProject === projectId) {
+          globalData.activeProject = newProjectId;
+        }
+        return globalData;
+      });
+      if (this.activeProject === projectId) {
+        this.activeProject = newProjectId;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text:
+              `✏️ Project "${projectId}" renamed to "${newProjectId}".\n\n` +
+              `**Documents moved**: ${documents.length}`,
+          },
+        ],
+        project_id: newProjectId,
+        previous_project_id: projectId,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("renameProject", error, {
+        projectId,
+        newProjectId,
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error renaming project: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Start a new project from an existing one's goal and preferences. Only
+   * the configuration is copied; progress, HTA trees, history and schedules
+   * start fresh.
+   * @param {string} projectId
+   * @param {string} newProjectId
+   */
+  async cloneProject(projectId, newProjectId) {
+    try {
+      await this.requireKnownProject(projectId);
+      this.validateProjectId(newProjectId);
+      if (await this.projectExists(newProjectId)) {
+        throw new Error(`Project "${newProjectId}" already exists`);
+      }
+
+      const source = await this.dataPersistence.loadProjectData(
+        projectId,
+        "config.json",
+      );
+      if (!source) {
+        throw new Error(`Project "${projectId}" not found`);
+      }
+
+      const {
+        archived: _archived,
+        archived_at: _archivedAt,
+        schema_version: _schemaVersion,
+        ...settings
+      } = source;
+      const projectConfig = {
+        ...settings,
+        id: newProjectId,
+        created_at: new Date().toISOString(),
+        cloned_from: projectId,
+        progress: 0,
+        activePath: settings.learning_paths?.[0]?.path_name || "general",
+      };
+
+      const saved = await this.dataPersistence.saveProjectData(
+        newProjectId,
+        "config.json",
+        projectConfig,
+      );
+      if (!saved) {
+        throw new Error(`Failed to save configuration for "${newProjectId}"`);
+      }
+
+      await this.dataPersistence.updateGlobalData("config.json", (/** @type {any} */ existing) => {
+        const globalData = existing || { projects: [] };
+        globalData.projects = globalData.projects || [];
+        if (!globalData.projects.includes(newProjectId)) {
+          globalData.projects.push(newProjectId);
+        }
+        return globalData;
+      });
+
+      return {
+        content: [
+          {
+            type: "text",
+            text:
+              `🌱 Project "${newProjectId}" cloned from "${projectId}"!\n\n` +
+              `**Goal**: ${projectConfig.goal}\n` +
+              `**Learning Paths**: ${this.getLearningPaths(projectConfig).map((p) => p.path_name).join(", ")}\n` +
+              `**Progress**: 0%\n\n` +
+              `💡 Use \`switch_project\` and \`build_hta_tree\` to start fresh`,
+          },
+        ],
+        project_created: projectConfig,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("cloneProject", error, {
+        projectId,
+        newProjectId,
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error cloning project: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * @param {string} fromId
+   * @param {string} toId
+   * @param {string} pathName
+   * @param {string} filename
+   */
+  async copyProjectDocument(fromId, toId, pathName, filename) {
+    const data = pathName
+      ? await this.dataPersistence.loadPathData(fromId, pathName, filename)
+      : await this.dataPersistence.loadProjectData(fromId, filename);
+    if (data === null) {
+      throw new Error(
+        `Could not read ${pathName ? `paths/${pathName}/` : ""}${filename} from "${fromId}"`,
+      );
+    }
+
+    const retargeted = retargetProjectDocument(filename, data, toId);
+    const saved = pathName
+      ? await this.dataPersistence.savePathData(toId, pathName, filename, retargeted)
+      : await this.dataPersistence.saveProjectData(toId, filename, retargeted);
+    if (!saved) {
+      throw new Error(`Could not write ${filename} for "${toId}"`);
+    }
+  }
+
+  /**
+   * @param {string} projectId
+   */
+  async projectExists(projectId) {
+    const documents = await this.dataPersistence.listProjectDocuments(projectId);
+    if (documents.length > 0) return true;
+    const globalData = (await this.dataPersistence.loadGlobalData("config.json")) || {};
+    return (globalData.projects || []).includes(projectId);
+  }
+
+  /**
+   * An existing project's id is used as a storage path, so it must be a
+   * safe name and listed in the global config before anything reads,
+   * moves or deletes its documents.
+   * @param {any} projectId
+   */
+  async requireKnownProject(projectId) {
+    this.validateProjectId(projectId);
+    const globalData = (await this.dataPersistence.loadGlobalData("config.json")) || {};
+    if (!(globalData.projects || []).includes(projectId)) {
+      throw new Error(`Project "${projectId}" not found`);
+    }
+  }
+
+  /**
+   * @param {string} projectId
+   */
+  validateProjectId(projectId) {
+    if (
+      typeof projectId !== "string" ||
+      !SAFE_NAME.test(projectId) ||
+      projectId.includes("..")
+    ) {
+      throw new Error(
+        `Invalid project id "${projectId}". Use letters, numbers, spaces, dots, dashes or underscores.`,
+      );
+    }
+  }
+
   async getActiveProject() {
     try {
       const globalData =
@@ -240,10 +881,12 @@ export class ProjectManagement {
         };
       }
 
-      const config = await this.dataPersistence.loadProjectData(
+      const loaded = await this.dataPersistence.loadProjectData(
         activeProjectId,
         "config.json",
       );
+      const config =
+        (await this.expirePathFocus(activeProjectId, loaded)) || loaded;
       if (!config) {
         return {
           content: [
@@ -307,17 +950,486 @@ export class ProjectManagement {
       );
     }
 
+    // A timed path focus reverts the first time the project is used after it ends
+    await this.expirePathFocus(activeProjectId, projectConfig);
+
     // ISOLATE: Set active project in memory
     this.activeProject = activeProjectId;
     return activeProjectId;
   }
 
-  calculateKnowledgeBoost(existingCredentials, goal) {
+  // ===== LEARNING PATHS =====
+
+  async listLearningPaths() {
+    try {
+      const projectId = await this.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(
+        projectId,
+        "config.json",
+      );
+      const paths = this.getLearningPaths(config);
+      const activePath = config.activePath || "general";
+
+      let text = `🛤️ **Learning Paths for ${projectId}:**\n\n`;
+      const pathDetails = [];
+      for (const learningPath of paths) {
+        const progress = await this.getPathProgress(projectId, learningPath.path_name);
+        pathDetails.push({ ...learningPath, progress });
+
+        const isActive = learningPath.path_name === activePath ? " 🎯 **ACTIVE**" : "";
+        text += `• **${learningPath.path_name}**${isActive} (${learningPath.priority || "medium"} priority)\n`;
+        if (learningPath.interests?.length) {
+          text += `  Interests: ${learningPath.interests.join(", ")}\n`;
+        }
+        text += progress.hasTree
+          ? `  Progress: ${progress.percentage}% (${progress.completed}/${progress.total} tasks)\n`
+          : `  Progress: no HTA tree yet — use \`build_hta_tree\`\n`;
+        text += `  Topics completed: ${progress.topicsCompleted}\n\n`;
+      }
+
+      if (config.path_focus) {
+        text += `🔍 Focused on **${config.path_focus.path_name}** ${
+          config.path_focus.expires_at
+            ? `until ${formatZonedDateTime(config.path_focus.expires_at, getProjectTimeZone(config))}, then back to **${config.path_focus.previous_path}**`
+            : "until the next switch"
+        }\n`;
+      }
+
+      return {
+        content: [{ type: "text", text }],
+        learning_paths: pathDetails,
+        active_path: activePath,
+        path_focus: config.path_focus || null,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("listLearningPaths", error);
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error listing learning paths: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * @param {string} pathName
+   * @param {string[]} interests
+   */
+  async addLearningPath(pathName, priority = "medium", interests = []) {
+    try {
+      this.validatePathName(pathName);
+      this.validatePathPriority(priority);
+      const projectId = await this.requireActiveProject();
+
+      const config = await this.dataPersistence.updateProjectData(
+        projectId,
+        "config.json",
+        (/** @type {any} */ existing) => {
+          const paths = this.getLearningPaths(existing);
+          if (paths.some((p) => p.path_name === pathName)) {
+            throw new Error(`Learning path "${pathName}" already exists`);
+          }
+          existing.learning_paths = this.sortPathsByPriority([
+            ...paths,
+            { path_name: pathName, priority, interests },
+          ]);
+        },
+      );
+
+      return {
+        content: [
+          {
+            type: "text",
+            text:
+              `🛤️ Learning path "${pathName}" added (${priority} priority)!\n\n` +
+              `**All Paths**: ${this.getLearningPaths(config).map((p) => p.path_name).join(", ")}\n\n` +
+              `💡 Use \`build_hta_tree\` with path_name "${pathName}" to plan it`,
+          },
+        ],
+        learning_paths: config.learning_paths,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("addLearningPath", error, {
+        pathName,
+        priority,
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error adding learning path: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Remove a path from the project. Its HTA and history are kept unless
+   * deleteData is set, so re-adding the path picks up where it left off.
+   * @param {string} pathName
+   */
+  async removeLearningPath(pathName, deleteData = false) {
+    try {
+      // The general path's HTA tree and history live in the project's own
+      // files, next to its config and schedules, so they can't be deleted alone
+      if (deleteData && pathName === "general") {
+        throw new Error(
+          'delete_data is not supported for the "general" path, whose data is stored with the project. Remove it without delete_data',
+        );
+      }
+      const projectId = await this.requireActiveProject();
+
+      let newActivePath = null;
+      const config = await this.dataPersistence.updateProjectData(
+        projectId,
+        "config.json",
+        (/** @type {any} */ existing) => {
+          const paths = this.getLearningPaths(existing);
+          if (!paths.some((p) => p.path_name === pathName)) {
+            throw new Error(`Learning path "${pathName}" not found`);
+          }
+          if (paths.length === 1) {
+            throw new Error("A project needs at least one learning path");
+          }
+
+          existing.learning_paths = paths.filter((p) => p.path_name !== pathName);
+          if (existing.path_focus?.path_name === pathName) {
+            delete existing.path_focus;
+          } else if (existing.path_focus?.previous_path === pathName) {
+            existing.path_focus.previous_path = existing.learning_paths[0].path_name;
+          }
+          if ((existing.activePath || "general") === pathName) {
+            existing.activePath = existing.learning_paths[0].path_name;
+            newActivePath = existing.activePath;
+          }
+        },
+      );
+
+      const deleted = deleteData
+        ? await this.dataPersistence.deletePathDocuments(projectId, pathName)
+        : 0;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text:
+              `🗑️ Learning path "${pathName}" removed.\n\n` +
+              (newActivePath ? `🎯 Active path is now **${newActivePath}**\n` : "") +
+              (deleteData
+                ? `**Path data deleted**: ${deleted} documents\n`
+                : `Its HTA tree and history are kept — re-adding "${pathName}" restores them.\n`),
+          },
+        ],
+        learning_paths: config.learning_paths,
+        active_path: config.activePath,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("removeLearningPath", error, {
+        pathName,
+        deleteData,
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error removing learning path: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * @param {string} pathName
+   * @param {any} priority
+   */
+  async reprioritizeLearningPath(pathName, priority) {
+    try {
+      this.validatePathPriority(priority);
+      const projectId = await this.requireActiveProject();
+
+      let previous = null;
+      const config = await this.dataPersistence.updateProjectData(
+        projectId,
+        "config.json",
+        (/** @type {any} */ existing) => {
+          const paths = this.getLearningPaths(existing);
+          const target = paths.find((p) => p.path_name === pathName);
+          if (!target) {
+            throw new Error(`Learning path "${pathName}" not found`);
+          }
+          previous = target.priority || "medium";
+          target.priority = priority;
+          existing.learning_paths = this.sortPathsByPriority(paths);
+        },
+      );
+
+      return {
+        content: [
+          {
+            type: "text",
+            text:
+              `📊 "${pathName}" priority: ${previous} → ${priority}\n\n` +
+              `**Path Order**: ${this.getLearningPaths(config).map((p) => `${p.path_name} (${p.priority || "medium"})`).join(", ")}`,
+          },
+        ],
+        learning_paths: config.learning_paths,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("reprioritizeLearningPath", error, {
+        pathName,
+        priority,
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error reprioritizing learning path: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Make a path active. A bounded duration ("today", "this week",
+   * "2 hours", ...) records the path to return to; "until next switch"
+   * keeps the focus until another path is chosen.
+   * @param {string} pathName
+   */
+  async focusLearningPath(pathName, duration = "until next switch") {
+    try {
+      const projectId = await this.requireActiveProject();
+      const now = new Date();
+      const config = await this.dataPersistence.loadProjectData(
+        projectId,
+        "config.json",
+      );
+      const timeZone = getProjectTimeZone(config);
+      const expiresAt = this.resolveFocusExpiry(duration, now, timeZone);
+
+      let previousPath = null;
+      await this.dataPersistence.updateProjectData(
+        projectId,
+        "config.json",
+        (/** @type {any} */ existing) => {
+          const paths = this.getLearningPaths(existing);
+          if (!paths.some((p) => p.path_name === pathName)) {
+            throw new Error(
+              `Learning path "${pathName}" not found. Available: ${paths.map((p) => p.path_name).join(", ")}`,
+            );
+          }
+
+          // Refocusing during a timed focus still returns to the original path
+          previousPath =
+            existing.path_focus?.previous_path || existing.activePath || "general";
+          existing.activePath = pathName;
+          if (expiresAt) {
+            existing.path_focus = {
+              path_name: pathName,
+              previous_path: previousPath,
+              duration,
+              started_at: now.toISOString(),
+              expires_at: expiresAt.toISOString(),
+            };
+          } else {
+            delete existing.path_focus;
+          }
+        },
+      );
+
+      return {
+        content: [
+          {
+            type: "text",
+            text:
+              `🔍 Focused on **${pathName}**` +
+              (expiresAt
+                ? ` until ${formatZonedDateTime(expiresAt, timeZone)}.\n\nAfterwards the project returns to **${previousPath}** automatically.`
+                : ` until the next switch.`),
+          },
+        ],
+        active_path: pathName,
+        focus_expires_at: expiresAt ? expiresAt.toISOString() : null,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("focusLearningPath", error, {
+        pathName,
+        duration,
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error focusing learning path: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Revert an expired timed focus. Takes the already-loaded config to avoid
+   * locking on every call; returns the updated config, or null when nothing
+   * changed.
+   * @param {string} projectId
+   * @param {any} [config]
+   */
+  async expirePathFocus(projectId, config = null) {
+    /** @param {any} focus */
+    const expired = (focus) =>
+      Boolean(focus?.expires_at) && new Date(focus.expires_at) <= new Date();
+    if (config && !expired(config.path_focus)) return null;
+
+    return await this.dataPersistence.updateProjectData(
+      projectId,
+      "config.json",
+      (/** @type {any} */ existing) => {
+        const focus = existing?.path_focus;
+        if (!expired(focus)) return null;
+
+        // Only revert if nobody switched paths in the meantime
+        if ((existing.activePath || "general") === focus.path_name) {
+          const known = this.getLearningPaths(existing).map((/** @type {any} */ p) => p.path_name);
+          existing.activePath = known.includes(focus.previous_path)
+            ? focus.previous_path
+            : known[0] || "general";
+        }
+        delete existing.path_focus;
+      },
+    );
+  }
+
+  /**
+   * "today" and "this week" end at midnight in the project's time zone.
+   * @param {any} duration
+   * @param {string|null} [timeZone]
+   * @returns {Date|null}
+   */
+  resolveFocusExpiry(duration, now = new Date(), timeZone = null) {
+    const text = String(duration || "").trim().toLowerCase();
+    if (!text || text === "until next switch" || text === "indefinitely") {
+      return null;
+    }
+    if (text === "today" || text === "this week") {
+      const today = getToday(timeZone, now);
+      // Weeks end on Sunday night
+      const daysLeft = text === "today" ? 0 : (7 - getWeekday(today)) % 7;
+      const nextMidnight = zonedTimeToUtc(addDays(today, daysLeft + 1), 0, timeZone);
+      return new Date(nextMidnight.getTime() - 1);
+    }
+
+    const match = text.match(/^(\d+(?:\.\d+)?)\s*(minute|min|hour|hr|day|week)s?$/);
+    if (!match) {
+      throw new Error(
+        `Unrecognized duration "${duration}". Use "today", "this week", "until next switch" or e.g. "90 minutes", "2 hours", "3 days".`,
+      );
+    }
+    /** @type {Record<string, number>} */
+    const unitsMs = {
+      minute: 60 * 1000,
+      min: 60 * 1000,
+      hour: 60 * 60 * 1000,
+      hr: 60 * 60 * 1000,
+      day: 24 * 60 * 60 * 1000,
+      week: 7 * 24 * 60 * 60 * 1000,
+    };
+    return new Date(now.getTime() + Number(match[1]) * unitsMs[match[2]]);
+  }
+
+  /**
+   * @param {any} config
+   * @returns {any[]}
+   */
+  getLearningPaths(config) {
+    return config?.learning_paths?.length
+      ? config.learning_paths
+      : [{ path_name: "general", priority: "high" }];
+  }
+
+  /**
+   * @param {any[]} paths
+   */
+  sortPathsByPriority(paths) {
+    /** @param {any} p */
+    const rank = (p) => {
+      const index = PATH_PRIORITIES.indexOf(p.priority || "medium");
+      return index === -1 ? PATH_PRIORITIES.length : index;
+    };
+    // Array.prototype.sort is stable, so equal priorities keep their order
+    return [...paths].sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {string} pathName
+   */
+  async getPathProgress(projectId, pathName) {
+    let htaData = await this.dataPersistence.loadPathData(
+      projectId,
+      pathName,
+      "hta.json",
+    );
+    let history = await this.dataPersistence.loadPathData(
+      projectId,
+      pathName,
+      "learning_history.json",
+    );
+    if (pathName === "general") {
+      htaData = htaData || (await this.dataPersistence.loadProjectData(projectId, "hta.json"));
+      history =
+        history ||
+        (await this.dataPersistence.loadProjectData(projectId, "learning_history.json"));
+    }
+
+    const nodes = htaData?.frontierNodes || [];
+    const completed = nodes.filter((/** @type {any} */ node) => node.completed).length;
+    return {
+      hasTree: Boolean(htaData),
+      completed,
+      total: nodes.length,
+      percentage: nodes.length > 0 ? Math.round((completed / nodes.length) * 100) : 0,
+      topicsCompleted: history?.completedTopics?.length || 0,
+    };
+  }
+
+  /**
+   * @param {string} pathName
+   */
+  validatePathName(pathName) {
+    if (typeof pathName !== "string" || !SAFE_NAME.test(pathName) || pathName.includes("..")) {
+      throw new Error(
+        `Invalid path name "${pathName}". Use letters, numbers, spaces, dots, dashes or underscores.`,
+      );
+    }
+  }
+
+  /**
+   * @param {any} priority
+   */
+  validatePathPriority(priority) {
+    if (!PATH_PRIORITIES.includes(priority)) {
+      throw new Error(
+        `Invalid priority "${priority}". Use one of: ${PATH_PRIORITIES.join(", ")}`,
+      );
+    }
+  }
+
+  /**
+   * @param {any[]} existingCredentials
+   * @param {string} goal
+   */
+  async calculateKnowledgeBoost(existingCredentials, goal) {
     let knowledgeLevel = 1; // Base level
     const skillMappings = {};
 
     for (const credential of existingCredentials) {
-      const relevanceScore = this.assessRelevance(credential, goal);
+      const relevanceScore = await this.assessRelevance(credential, goal);
       const levelBoost = this.getLevelBoost(credential.level);
 
       knowledgeLevel += relevanceScore * levelBoost;
@@ -337,7 +1449,11 @@ export class ProjectManagement {
     };
   }
 
-  assessRelevance(credential, goal) {
+  /**
+   * @param {any} credential
+   * @param {string} goal
+   */
+  async assessRelevance(credential, goal) {
     const goalLower = goal.toLowerCase();
     const subjectLower = credential.subject_area.toLowerCase();
     const relevanceLower = (credential.relevance_to_goal || "").toLowerCase();
@@ -364,7 +1480,7 @@ export class ProjectManagement {
     }
 
     // Check for common skill overlaps
-    const skillOverlaps = this.mapCredentialsToSkills(
+    const skillOverlaps = await this.mapCredentialsToSkills(
       credential.subject_area,
       goal,
     );
@@ -0,0 +1,174 @@
+/**
+ * Schedule Export Module
+ * Handles exporting saved day schedules to calendar, spreadsheet and to-do formats
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { addDays, daysBetween, getProjectTimeZone, getToday } from "./date-utils.js";
+import { getScheduleExporter, parseBlockTime } from "./schedule-exporters.js";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_EXPORT_DAYS = 366;
+const NON_TASK_TYPES = ["break", "meal"];
+
+export class ScheduleExport {
+  /**
+   * @param {any} dataPersistence
+   * @param {any} projectManagement
+   */
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  async exportSchedule(
+    /** @type {string|null} */ startDate = null,
+    /** @type {string|null} */ endDate = null,
+    /** @type {string|null} */ outputPath = null,
+    includeBreaks = true,
+    includeFixed = false,
+    format = "ics",
+  ) {
+    try {
+      const exporter = getScheduleExporter(format);
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(projectId, "config.json");
+      const timeZone = getProjectTimeZone(config);
+      const firstDate = startDate || getToday(timeZone);
+      const lastDate = endDate || firstDate;
+      for (const date of [firstDate, lastDate]) {
+        if (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+          throw new Error(`Invalid date "${date}". Use YYYY-MM-DD`);
+        }
+      }
+      const span = daysBetween(firstDate, lastDate) + 1;
+      if (span < 1) {
+        throw new Error("end_date must not be before start_date");
+      }
+      if (span > MAX_EXPORT_DAYS) {
+        throw new Error(`Cannot export more than ${MAX_EXPORT_DAYS} days at once`);
+      }
+
+      const days = [];
+      const missingDates = [];
+      /** @type {Map<string, Map<string, any>>} */
+      const nodesByPath = new Map();
+
+      for (let offset = 0; offset < span; offset++) {
+        const date = addDays(firstDate, offset);
+        const schedule = await this.dataPersistence.loadProjectData(
+          projectId,
+          `day_${date}.json`,
+        );
+        if (!schedule?.blocks?.length) {
+          missingDates.push(date);
+          continue;
+        }
+
+        const pathName = schedule.activePath || "general";
+        let nodes = nodesByPath.get(pathName);
+        if (!nodes) {
+          nodes = await this.loadFrontierNodes(projectId, pathName);
+          nodesByPath.set(pathName, nodes);
+        }
+
+        const blocks = schedule.blocks
+          .filter((/** @type {any} */ block) => {
+            // Skipped and deferred blocks aren't happening on this day
+            if (block.skipped || block.deferred) return false;
+            if (block.fixed) return includeFixed && !exporter.tasksOnly;
+            if (exporter.tasksOnly && NON_TASK_TYPES.includes(block.type)) return false;
+            return includeBreaks || block.type !== "break";
+          })
+          .map((/** @type {any} */ block) => {
+            const start = parseBlockTime(block.startTime);
+            return {
+              ...block,
+              start,
+              end: start + (block.duration || 0),
+              learningOutcome:
+                block.learningOutcome || nodes.get(block.taskId)?.learningOutcome,
+            };
+          });
+        days.push({ date, schedule, blocks });
+      }
+
+      if (days.length === 0) {
+        throw new Error(
+          `No saved schedules between ${firstDate} and ${lastDate}. ` +
+            "Use `generate_daily_schedule` or `generate_weekly_schedule` first",
+        );
+      }
+
+      const output = exporter.render(days, { projectId, exportedAt: new Date(), timeZone });
+      const exportedDates = days.map((day) => day.date);
+      const blockCount = days.reduce((sum, day) => sum + day.blocks.length, 0);
+      const target =
+        outputPath ||
+        path.join(
+          this.dataPersistence.dataDir,
+          "exports",
+          `schedule-${projectId}-${firstDate}${lastDate !== firstDate ? `_${lastDate}` : ""}.${exporter.extension}`,
+        );
+      await fs.mkdir(path.dirname(path.resolve(target)), { recursive: true });
+      await fs.writeFile(target, output);
+
+      const dateLabel =
+        exportedDates.length === 1
+          ? exportedDates[0]
+          : `${exportedDates[0]} → ${exportedDates[exportedDates.length - 1]} (${exportedDates.length} days)`;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text:
+              `📆 Schedule exported as ${exporter.label}!\n\n` +
+              `**File**: ${path.resolve(target)}\n` +
+              `**Dates**: ${dateLabel}\n` +
+              `**Blocks**: ${blockCount}\n` +
+              (missingDates.length > 0
+                ? `**No Schedule For**: ${missingDates.join(", ")}\n`
+                : "") +
+              (exporter.note ? `\n💡 ${exporter.note}` : ""),
+          },
+        ],
+        export_path: path.resolve(target),
+        export_format: format.toLowerCase(),
+        exported_content: output,
+        exported_dates: exportedDates,
+        block_count: blockCount,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("exportSchedule", error, {
+        startDate,
+        endDate,
+        outputPath,
+        format,
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error exporting schedule: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * HTA nodes of a learning path by id, for looking up learning outcomes.
+   * @returns {Promise<Map<string, any>>}
+   * @param {string} projectId
+   * @param {string} pathName
+   */
+  async loadFrontierNodes(projectId, pathName) {
+    const hta =
+      pathName === "general"
+        ? await this.dataPersistence.loadProjectData(projectId, "hta.json")
+        : await this.dataPersistence.loadPathData(projectId, pathName, "hta.json");
+    return new Map((hta?.frontierNodes || []).map((/** @type {any} */ node) => [node.id, node]));
+  }
+}
@@ -0,0 +1,387 @@
+/**
+ * Schedule Exporters Module
+ * Registry of formats that saved day schedules can be exported to
+ */
+
+import { serializeICalendar } from "./icalendar.js";
+
+/**
+ * A block ready for export: the saved block plus its resolved times (minutes
+ * after midnight) and the learning outcome of its HTA node, if any.
+ * @typedef {Object} ExportBlock
+ * @property {string} id
+ * @property {string} type
+ * @property {string} title
+ * @property {string} [description]
+ * @property {string} startTime
+ * @property {number} start
+ * @property {number} end
+ * @property {number} duration
+ * @property {string} [branch]
+ * @property {number} [difficulty]
+ * @property {number|string} [priority]
+ * @property {string} [learningOutcome]
+ * @property {boolean} [fixed]
+ * @property {string[]} [sources]
+ * @property {boolean} [completed]
+ * @property {string} [completedAt]
+ * @property {string} [outcome]
+ */
+
+/**
+ * @typedef {Object} ExportDay
+ * @property {string} date - YYYY-MM-DD
+ * @property {any} schedule - The saved day_<date>.json document.
+ * @property {ExportBlock[]} blocks - Blocks left after the export filters.
+ */
+
+/**
+ * @typedef {Object} ExportContext
+ * @property {string} projectId
+ * @property {Date} exportedAt
+ * @property {string} timeZone - The project's time zone; block times are wall-clock times in it.
+ */
+
+/**
+ * @typedef {Object} ScheduleExporter
+ * @property {string} label - Human-readable name.
+ * @property {string} extension - File extension, without the dot.
+ * @property {string} description
+ * @property {boolean} [tasksOnly] - Leave out breaks, meals and fixed commitments.
+ * @property {string} [note] - Tip shown after a successful export.
+ * @property {(days: ExportDay[], context: ExportContext) => string} render
+ */
+
+/** @type {Map<string, ScheduleExporter>} */
+const exporters = new Map();
+
+/**
+ * Make a format available to `export_schedule`. Registering an existing
+ * format replaces it.
+ * @param {string} format
+ * @param {ScheduleExporter} exporter
+ */
+export function registerScheduleExporter(format, exporter) {
+  exporters.set(format.toLowerCase(), exporter);
+}
+
+/** @param {string} format */
+export function getScheduleExporter(format) {
+  const exporter = exporters.get(String(format).toLowerCase());
+  if (!exporter) {
+    throw new Error(
+      `Unknown export format "${format}". Available formats: ${[...exporters.keys()].join(", ")}`,
+    );
+  }
+  return exporter;
+}
+
+export function listScheduleExporters() {
+  return [...exporters].map(([format, exporter]) => ({ format, ...exporter }));
+}
+
+const BLOCK_ICONS = {
+  learning: "📚",
+  meal: "🍽️",
+  break: "☕",
+  habit: "🔄",
+  exercise: "💪",
+  work: "💼",
+};
+
+/** @param {string} blockType */
+function getTiimoIcon(blockType) {
+  return BLOCK_ICONS[/** @type {keyof typeof BLOCK_ICONS} */ (blockType)] || "📋";
+}
+
+/**
+ * @param {any} schedule
+ * @param {boolean} includeBreaks
+ */
+export function formatTiimoMarkdown(schedule, includeBreaks) {
+  const blocks = schedule.blocks || [];
+  let markdown = `# Daily Schedule - ${schedule.date}\n\n`;
+
+  for (const block of blocks) {
+    if (!includeBreaks && block.type === "break") continue;
+
+    const icon = getTiimoIcon(block.type);
+    const duration = `${block.duration}min`;
+
+    markdown += `## ${block.startTime} - ${block.title} ${icon}\n`;
+    markdown += `Duration: ${duration}\n`;
+
+    if (block.description) {
+      markdown += `${block.description}\n`;
+    }
+
+    if (block.completed) {
+      markdown += `✅ Completed\n`;
+    }
+
+    markdown += `\n`;
+  }
+
+  return markdown;
+}
+
+/**
+ * "7:30 AM" → minutes after midnight (the format day schedules are saved in).
+ * @param {string} value
+ */
+export function parseBlockTime(value) {
+  const match = String(value || "").match(/^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i);
+  if (!match) {
+    throw new Error(`Unrecognized block start time "${value}"`);
+  }
+  const hours = Number(match[1]) % (match[3] ? 12 : 24);
+  const pm = match[3]?.toUpperCase() === "PM";
+  return (hours + (pm ? 12 : 0)) * 60 + Number(match[2]);
+}
+
+/** @param {number} minutes */
+function formatClock(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+/** @param {string} date */
+function weekdayName(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString("en-US", {
+    weekday: "short",
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * The UID depends only on project, date and block id, so calendars treat a
+ * re-export of the same day as an update of the events they already have.
+ * @param {ExportContext} context
+ * @param {ExportDay} day
+ * @param {ExportBlock} block
+ */
+function blockToEvent(context, day, block) {
+  const details = [];
+  if (block.description) details.push(block.description);
+  if (block.learningOutcome) details.push(`Learning outcome: ${block.learningOutcome}`);
+
+  const facts = [`Type: ${block.type}`];
+  if (block.branch) facts.push(`Branch: ${block.branch}`);
+  if (block.difficulty) facts.push(`Difficulty: ${block.difficulty}/5`);
+  if (block.sources?.length) facts.push(`From: ${block.sources.join(", ")}`);
+  details.push(facts.join(" · "));
+
+  if (block.completed) {
+    details.push(`Completed${block.outcome ? `: ${block.outcome}` : ""}`);
+  }
+
+  const modified = block.completedAt || day.schedule.generated;
+  return {
+    uid: `${day.date}-${block.id}.${encodeURIComponent(context.projectId)}@forest`,
+    start: { date: day.date, minutes: block.start },
+    end: { date: day.date, minutes: block.end },
+    summary: `${block.completed ? "✅ " : ""}${block.title}`,
+    description: details.join("\n\n"),
+    categories: block.branch ? [block.type, block.branch] : [block.type],
+    transparent: ["break", "meal", "habit"].includes(block.type),
+    lastModified: modified ? new Date(modified) : undefined,
+  };
+}
+
+/** @param {any} value */
+function csvField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const CSV_COLUMNS = [
+  "date",
+  "start",
+  "end",
+  "duration_minutes",
+  "title",
+  "type",
+  "branch",
+  "difficulty",
+  "completed",
+  "description",
+  "learning_outcome",
+  "outcome",
+];
+
+/** @param {string} value */
+function orgText(value) {
+  // A leading "*" would start a new heading
+  return value.replace(/^(\s*)\*/gm, "$1,*");
+}
+
+/**
+ * Todoist priorities run from 1 (normal) to 4 (urgent).
+ * @param {ExportBlock} block
+ */
+function todoPriority(block) {
+  if (block.priority === "high") return 3;
+  const priority = Number(block.priority);
+  if (!Number.isFinite(priority)) return 1;
+  return priority >= 300 ? 4 : priority >= 250 ? 3 : priority >= 200 ? 2 : 1;
+}
+
+registerScheduleExporter("ics", {
+  label: "iCalendar",
+  extension: "ics",
+  description: "RFC 5545 events for calendar apps; re-importing updates the same events",
+  note: "Importing this file again updates the same events instead of duplicating them",
+  render: (days, context) =>
+    serializeICalendar(
+      days.flatMap((day) => day.blocks.map((block) => blockToEvent(context, day, block))),
+      {
+        calendarName: `Forest: ${context.projectId}`,
+        now: context.exportedAt,
+        timeZone: context.timeZone,
+      },
+    ),
+});
+
+registerScheduleExporter("tiimo", {
+  label: "Tiimo Markdown",
+  extension: "md",
+  description: "Markdown agenda that Tiimo and other planners can import",
+  render: (days) =>
+    days
+      .map((day) => formatTiimoMarkdown({ ...day.schedule, blocks: day.blocks }, true))
+      .join("\n"),
+});
+
+registerScheduleExporter("csv", {
+  label: "CSV",
+  extension: "csv",
+  description: "One row per block for spreadsheets",
+  render: (days) =>
+    [
+      CSV_COLUMNS.join(","),
+      ...days.flatMap((day) =>
+        day.blocks.map((block) =>
+          [
+            day.date,
+            formatClock(block.start),
+            formatClock(block.end),
+            block.duration,
+            block.title,
+            block.type,
+            block.branch,
+            block.difficulty,
+            block.completed ? "yes" : "no",
+            block.description,
+            block.learningOutcome,
+            block.outcome,
+          ]
+            .map(csvField)
+            .join(","),
+        ),
+      ),
+    ].join("\r\n") + "\r\n",
+});
+
+registerScheduleExporter("json", {
+  label: "JSON Schedule",
+  extension: "json",
+  description: "The schedule as structured JSON, one entry per day",
+  render: (days, context) =>
+    JSON.stringify(
+      {
+        format: "forest-schedule",
+        version: 1,
+        project_id: context.projectId,
+        exported_at: context.exportedAt.toISOString(),
+        days: days.map((day) => ({
+          date: day.date,
+          active_path: day.schedule.activePath || "general",
+          energy_level: day.schedule.energyLevel ?? null,
+          focus_type: day.schedule.focusType ?? null,
+          blocks: day.blocks.map((block) => ({
+            id: block.id,
+            type: block.type,
+            title: block.title,
+            description: block.description || null,
+            start: formatClock(block.start),
+            end: formatClock(block.end),
+            duration_minutes: block.duration,
+            branch: block.branch || null,
+            difficulty: block.difficulty ?? null,
+            learning_outcome: block.learningOutcome || null,
+            fixed: Boolean(block.fixed),
+            completed: Boolean(block.completed),
+            completed_at: block.completedAt || null,
+            outcome: block.outcome || null,
+          })),
+        })),
+      },
+      null,
+      2,
+    ),
+});
+
+registerScheduleExporter("org", {
+  label: "Org-mode",
+  extension: "org",
+  description: "Org-mode agenda with SCHEDULED timestamps and TODO/DONE states",
+  render: (days, context) => {
+    const lines = [`#+TITLE: Forest: ${context.projectId}`, ""];
+    for (const day of days) {
+      lines.push(`* ${day.date} ${weekdayName(day.date)}`);
+      for (const block of day.blocks) {
+        const tags = [block.type, block.branch]
+          .filter(Boolean)
+          .map((tag) => String(tag).replace(/[^A-Za-z0-9_@#%]/g, "_"));
+        // Only actionable blocks get a TODO keyword; the rest are plain agenda entries
+        const actionable = !block.fixed && !["break", "meal"].includes(block.type);
+        const state = !actionable ? "" : block.completed ? "DONE " : "TODO ";
+        lines.push(
+          `** ${state}${orgText(block.title)}${tags.length ? ` :${tags.join(":")}:` : ""}`,
+        );
+        const timestamp = `<${day.date} ${weekdayName(day.date)} ${formatClock(block.start)}-${formatClock(block.end)}>`;
+        lines.push(actionable ? `   SCHEDULED: ${timestamp}` : `   ${timestamp}`);
+        lines.push("   :PROPERTIES:", `   :FOREST_ID: ${day.date}-${block.id}`);
+        if (block.difficulty) lines.push(`   :DIFFICULTY: ${block.difficulty}`);
+        lines.push("   :END:");
+        if (block.description) lines.push(`   ${orgText(block.description)}`);
+        if (block.learningOutcome) {
+          lines.push(`   - Learning outcome: ${orgText(block.learningOutcome)}`);
+        }
+        if (block.outcome) lines.push(`   - Outcome: ${orgText(block.outcome)}`);
+      }
+    }
+    return lines.join("\n") + "\n";
+  },
+});
+
+registerScheduleExporter("todo", {
+  label: "Task list JSON",
+  extension: "todo.json",
+  description:
+    "Todoist-style task list (content, description, due, duration, priority, labels) for to-do app importers",
+  tasksOnly: true,
+  render: (days) =>
+    JSON.stringify(
+      days.flatMap((day) =>
+        day.blocks.map((block) => ({
+          content: block.title,
+          description: [
+            block.description,
+            block.learningOutcome && `Learning outcome: ${block.learningOutcome}`,
+          ]
+            .filter(Boolean)
+            .join("\n\n"),
+          due_date: day.date,
+          due_string: `${day.date} ${formatClock(block.start)}`,
+          duration: block.duration,
+          duration_unit: "minute",
+          priority: todoPriority(block),
+          labels: [block.type, block.branch].filter(Boolean),
+          completed: Boolean(block.completed),
+          external_id: `${day.date}-${block.id}`,
+        })),
+      ),
+      null,
+      2,
+    ),
+});
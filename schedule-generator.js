@@ -3,6 +3,38 @@
  * Handles daily schedule generation and planning
  */
 
+import fs from "fs/promises";
+import {
+  addDays,
+  getMinutesNow,
+  getProjectTimeZone,
+  getToday,
+  getWeekday,
+} from "./date-utils.js";
+import {
+  buildEnergyModel,
+  MIN_ENERGY_SAMPLES,
+  predictEnergy,
+} from "./energy-model.js";
+import { getEventsForDate, parseICalendar } from "./icalendar.js";
+import {
+  getDueReviews,
+  interleaveReviews,
+  MAX_DAILY_REVIEWS,
+  toReviewTask,
+} from "./spaced-repetition.js";
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAY_PATTERN = "(?:sun|mon|tue|wed|thu|fri|sat)[a-z]*\\.?";
+const DAY_SPEC_PATTERN =
+  `(weekdays|weekends|daily|every ?day|${DAY_PATTERN}(?:\\s*(?:-|–|—|to|through)\\s*${DAY_PATTERN}|(?:\\s*(?:,|&|and|\\/)\\s*${DAY_PATTERN})*))`;
+const TIME_PATTERN = "\\d{1,2}(?::\\d{2})?\\s*(?:am|pm|a\\.m\\.|p\\.m\\.)?";
+const MAX_PLANNING_DAYS = 14;
+// When the rest of the day no longer fits, blocks are given up in this order
+const DROP_ORDER = ["habit", "break", "learning", "meal"];
+// Timed sessions a branch needs before its estimates are corrected
+export const MIN_ESTIMATE_SAMPLES = 3;
+
 export class ScheduleGenerator {
   constructor(dataPersistence, projectManagement) {
     this.dataPersistence = dataPersistence;
@@ -12,17 +44,21 @@ export class ScheduleGenerator {
   /**
    * Generate a daily schedule for the active project.
    * @param {string|null} dateStr - Target date (YYYY-MM-DD) or null for today.
-   * @param {number} [energyLevel]
+   * @param {number|null} [energyLevel] - Forecast from learning history when omitted.
    * @param {string|number|number[]|null} [availableHours]
    * @param {string} [focusType]
    * @param {string} [context]
+   * @param {any[]} [fixedEvents] - Meetings, shifts, ... to plan around.
+   * @param {string|null} [icsPath] - iCalendar file whose events are planned around.
    */
   async generateDailySchedule(
     /** @type {string|null} */ dateStr = null,
-    energyLevel = 3,
+    /** @type {number|null} */ energyLevel = null,
     /** @type {string|number|number[]|null} */ availableHours = null,
     focusType = "mixed",
     context = "User requested schedule",
+    fixedEvents = [],
+    /** @type {string|null} */ icsPath = null,
   ) {
     try {
       const projectId = await this.projectManagement.requireActiveProject();
@@ -35,15 +71,29 @@ export class ScheduleGenerator {
         throw new Error("Project configuration not found");
       }
 
-      const targetDate = dateStr || new Date().toISOString().split("T")[0];
+      const timeZone = getProjectTimeZone(config);
+      const targetDate = dateStr || getToday(timeZone);
+      const events = await this.loadFixedEvents(fixedEvents, icsPath, [targetDate], timeZone);
+      const [forecast] =
+        energyLevel === null
+          ? this.forecastDailyEnergy(
+              await this.loadPathLearningHistory(projectId, config.activePath || "general"),
+              [targetDate],
+              null,
+              timeZone,
+            )
+          : [null];
+      const dayEnergy = forecast ? forecast.energy : /** @type {number} */ (energyLevel);
       const schedule = await this.generateComprehensiveSchedule(
         config,
         projectId,
         targetDate,
-        energyLevel,
+        dayEnergy,
         availableHours,
         focusType,
         context,
+        null,
+        events,
       );
 
       // Save the schedule
@@ -54,6 +104,7 @@ export class ScheduleGenerator {
       );
 
       const scheduleText = this.formatScheduleForDisplay(schedule);
+      const reviewCount = schedule.blocks.filter((block) => block.review).length;
 
       return {
         content: [
@@ -62,9 +113,11 @@ export class ScheduleGenerator {
             text:
               `📅 **Daily Schedule Generated - ${targetDate}**\n\n${scheduleText}\n\n` +
               `🎯 **Focus**: ${focusType}\n` +
-              `⚡ **Energy Level**: ${energyLevel}/5\n` +
-              `📋 **Total Blocks**: ${schedule.blocks?.length || 0}\n\n` +
-              `✅ Ready to start your structured day!`,
+              `⚡ **Energy Level**: ${dayEnergy}/5` +
+              (forecast ? `${this.describeEnergyForecast(forecast.basis)}\n` : "\n") +
+              `📋 **Total Blocks**: ${schedule.blocks?.length || 0}\n` +
+              (reviewCount > 0 ? `🔁 **Reviews**: ${reviewCount} due, mixed in with new tasks\n` : "") +
+              `\n✅ Ready to start your structured day!`,
           },
         ],
         daily_schedule: schedule,
@@ -75,6 +128,7 @@ export class ScheduleGenerator {
         dateStr,
         energyLevel,
         focusType,
+        icsPath,
       });
       return {
         content: [
@@ -87,6 +141,481 @@ export class ScheduleGenerator {
     }
   }
 
+  /**
+   * Plan several consecutive days for the active project. Ready HTA nodes
+   * are shared out across the days in proportion to each day's forecast
+   * energy; a node planned on one day counts as done for the prerequisites
+   * of later days and is never planned twice. Days that already have a
+   * schedule are kept (and their tasks count as planned) unless
+   * overwriteExisting is set. Reviews that fall due are mixed into each day,
+   * a few at a time, and a review planned once isn't planned again.
+   * @param {string|null} startDate - First day (YYYY-MM-DD) or null for today.
+   * @param {number} [days]
+   * @param {number} [energyLevel] - Baseline energy for days without history.
+   * @param {string} [focusType]
+   * @param {boolean} [overwriteExisting]
+   * @param {any[]} [fixedEvents] - Undated events repeat on every planned day.
+   * @param {string|null} [icsPath]
+   */
+  async generateWeeklySchedule(
+    /** @type {string|null} */ startDate = null,
+    days = 7,
+    energyLevel = 3,
+    focusType = "mixed",
+    overwriteExisting = false,
+    fixedEvents = [],
+    /** @type {string|null} */ icsPath = null,
+  ) {
+    try {
+      if (!Number.isInteger(days) || days < 1 || days > MAX_PLANNING_DAYS) {
+        throw new Error(`days must be a whole number from 1 to ${MAX_PLANNING_DAYS}`);
+      }
+
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(
+        projectId,
+        "config.json",
+      );
+      if (!config) {
+        throw new Error("Project configuration not found");
+      }
+
+      const activePath = config.activePath || "general";
+      const htaData = await this.loadPathHTA(projectId, activePath);
+      const history = await this.loadPathLearningHistory(projectId, activePath);
+      const reviewData = await this.loadPathReviews(projectId, activePath);
+      const nodes = htaData.frontierNodes || [];
+
+      const timeZone = getProjectTimeZone(config);
+      const dates = this.getDateRange(startDate || getToday(timeZone), days);
+      const forecast = this.forecastDailyEnergy(history, dates, energyLevel, timeZone);
+      const events = await this.loadFixedEvents(fixedEvents, icsPath, dates, timeZone);
+
+      // Tasks and reviews already sitting in kept schedules count as planned
+      const planned = new Set();
+      const plannedReviews = new Set();
+      /** @type {Record<string, any>} */
+      const existing = {};
+      if (!overwriteExisting) {
+        for (const date of dates) {
+          const schedule = await this.dataPersistence.loadProjectData(
+            projectId,
+            `day_${date}.json`,
+          );
+          if (!schedule) continue;
+          existing[date] = schedule;
+          for (const block of schedule.blocks || []) {
+            // Skipped and deferred tasks are still open and can be replanned
+            if (block.taskId && !block.skipped && !block.deferred) {
+              (block.review ? plannedReviews : planned).add(block.taskId);
+            }
+          }
+        }
+      }
+
+      const plan = [];
+      for (let i = 0; i < dates.length; i++) {
+        const date = dates[i];
+        const { energy, basis } = forecast[i];
+
+        if (existing[date]) {
+          plan.push({ date, energy, basis, kept: true, schedule: existing[date] });
+          continue;
+        }
+
+        // Share the remaining work out by energy across the days still to plan
+        const unplanned = nodes.filter(
+          (/** @type {any} */ node) => !node.completed && !planned.has(node.id),
+        ).length;
+        const remainingEnergy = forecast
+          .slice(i)
+          .filter((day) => !existing[day.date])
+          .reduce((sum, day) => sum + day.energy, 0);
+        const quota = Math.ceil((unplanned * energy) / remainingEnergy);
+
+        const readyTasks = this.getReadyTasks(
+          {
+            frontierNodes: nodes.map((/** @type {any} */ node) =>
+              planned.has(node.id) ? { ...node, completed: true } : node,
+            ),
+          },
+          date,
+        ).slice(0, quota);
+        const reviews = getDueReviews(reviewData, date)
+          .filter((item) => !plannedReviews.has(item.taskId))
+          .slice(0, MAX_DAILY_REVIEWS)
+          .map(toReviewTask);
+
+        const schedule = await this.generateComprehensiveSchedule(
+          config,
+          projectId,
+          date,
+          energy,
+          null,
+          focusType,
+          `Weekly plan starting ${dates[0]}`,
+          readyTasks,
+          events,
+          reviews,
+        );
+        for (const block of schedule.blocks) {
+          if (block.taskId) (block.review ? plannedReviews : planned).add(block.taskId);
+        }
+
+        await this.dataPersistence.saveProjectData(
+          projectId,
+          `day_${date}.json`,
+          schedule,
+        );
+        plan.push({ date, energy, basis, kept: false, schedule });
+      }
+
+      let text = `🗓️ **Schedule Planned: ${dates[0]} → ${dates[dates.length - 1]}**\n\n`;
+      for (const day of plan) {
+        const weekday = WEEKDAYS[this.getWeekday(day.date)];
+        const highlights = (day.schedule.blocks || []).filter(
+          (/** @type {any} */ block) => block.fixed || block.type === "learning",
+        );
+        const learning = highlights.filter((/** @type {any} */ block) => block.type === "learning");
+
+        text += `**${weekday.charAt(0).toUpperCase()}${weekday.slice(1)} ${day.date}** — ⚡ ${day.energy}/5`;
+        text += day.basis === "history" ? " (from your history)" : "";
+        text += day.kept ? " — kept existing schedule\n" : "\n";
+        for (const block of highlights) {
+          text += `  ${this.getBlockIcon(block.type)} ${block.startTime} ${block.title} (${block.duration}min)\n`;
+        }
+        if (learning.length === 0) {
+          text += `  🌿 No learning tasks — a lighter day\n`;
+        }
+        text += "\n";
+      }
+
+      const remaining = nodes.filter(
+        (/** @type {any} */ node) => !node.completed && !planned.has(node.id),
+      ).length;
+      text += `📋 **Tasks Planned**: ${planned.size}\n`;
+      if (remaining > 0) {
+        text += `⏳ **Not Yet Scheduled**: ${remaining} (waiting on prerequisites or beyond this range)\n`;
+      }
+      if (!overwriteExisting && Object.keys(existing).length > 0) {
+        text += `\n💡 Days that already had a schedule were kept — pass overwrite_existing=true to replan them`;
+      }
+
+      return {
+        content: [{ type: "text", text }],
+        weekly_schedule: plan.map((day) => ({
+          date: day.date,
+          energy_forecast: day.energy,
+          kept_existing: day.kept,
+          blocks: day.schedule.blocks || [],
+        })),
+        start_date: dates[0],
+        days,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("generateWeeklySchedule", error, {
+        startDate,
+        days,
+        energyLevel,
+        focusType,
+        icsPath,
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error generating weekly schedule: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Adjust a saved day schedule to the current time: unfinished blocks are
+   * pushed past now and around fixed commitments, optional blocks are dropped
+   * (learning blocks are deferred) when the day overflows, and an unplanned
+   * block can be slotted in. Completed, skipped and deferred blocks are never
+   * touched.
+   * @param {string|null} dateStr - Day to adjust (YYYY-MM-DD), defaults to today.
+   * @param {string|null} currentTime - e.g. "2:30 PM"; defaults to now for today.
+   * @param {{ title: string, duration: number, type?: string, description?: string, start_time?: string }|null} insertBlock
+   */
+  async rescheduleDay(dateStr = null, currentTime = null, insertBlock = null) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(
+        projectId,
+        "config.json",
+      );
+      if (!config) {
+        throw new Error("Project configuration not found");
+      }
+
+      const preferences = config.life_structure_preferences || {};
+      const timeZone = getProjectTimeZone(config);
+      const today = getToday(timeZone);
+      const date = dateStr || today;
+      let now;
+      if (currentTime) {
+        now = this.parseClockTime(currentTime);
+        if (now === null) {
+          throw new Error(`Unrecognized current_time "${currentTime}" (e.g. "2:30 PM")`);
+        }
+      } else if (date === today) {
+        now = getMinutesNow(timeZone);
+      } else if (date > today) {
+        now = this.parseTime(preferences.wake_time || "7:00 AM");
+      } else {
+        throw new Error(`${date} is in the past; pass current_time to adjust it anyway`);
+      }
+      const dayEnd = this.parseTime(preferences.sleep_time || "10:00 PM");
+
+      if (insertBlock) {
+        if (!insertBlock.title || !(insertBlock.duration > 0)) {
+          throw new Error("insert_block needs a title and a positive duration in minutes");
+        }
+        if (
+          insertBlock.start_time &&
+          this.parseClockTime(insertBlock.start_time) === null
+        ) {
+          throw new Error(`Unrecognized insert_block start_time "${insertBlock.start_time}"`);
+        }
+      }
+
+      const summary = {
+        shifted: /** @type {Array<{ title: string, from: string, to: string }>} */ ([]),
+        deferred: /** @type {any[]} */ ([]),
+        dropped: /** @type {any[]} */ ([]),
+        inserted: /** @type {any} */ (null),
+        overflow: false,
+      };
+
+      const schedule = await this.dataPersistence.updateProjectData(
+        projectId,
+        `day_${date}.json`,
+        (/** @type {any} */ daySchedule) => {
+          if (!daySchedule?.blocks) {
+            throw new Error(
+              `No schedule saved for ${date}. Use \`generate_daily_schedule\` first`,
+            );
+          }
+
+          const kept = [];
+          const anchors = [];
+          const movable = [];
+          for (const block of daySchedule.blocks) {
+            const start = this.parseTime(block.startTime);
+            const end = start + (block.duration || 0);
+            if (block.completed || block.skipped || block.deferred) {
+              kept.push(block);
+            } else if (block.fixed || block.pinned || block.timerState === "running") {
+              kept.push(block);
+              if (end > now) anchors.push({ start, end });
+            } else if (end <= now && block.type !== "learning") {
+              // A meal or habit whose time has passed isn't worth moving
+              summary.dropped.push(block);
+            } else {
+              movable.push({ block, start });
+            }
+          }
+          movable.sort((a, b) => a.start - b.start);
+
+          if (insertBlock) {
+            const ids = daySchedule.blocks
+              .map((/** @type {any} */ b) => Number(String(b.id).match(/_(\d+)$/)?.[1]))
+              .filter(Number.isFinite);
+            /** @type {any} */
+            const block = {
+              id: `unplanned_${Math.max(0, ...ids) + 1}`,
+              type: insertBlock.type || "unplanned",
+              title: insertBlock.title,
+              description: insertBlock.description,
+              startTime: "",
+              duration: insertBlock.duration,
+              completed: false,
+              priority: "high",
+              unplanned: true,
+            };
+            if (insertBlock.start_time) {
+              const start = /** @type {number} */ (this.parseClockTime(insertBlock.start_time));
+              block.startTime = this.formatTime(start);
+              block.pinned = true;
+              kept.push(block);
+              anchors.push({ start, end: start + block.duration });
+            } else {
+              movable.unshift({ block, start: now });
+            }
+            summary.inserted = block;
+          }
+
+          // Give up the least important blocks until the rest of the day fits
+          let placement = this.placeBlocks(movable, anchors, now);
+          while (placement.some((p) => p.start + (p.block.duration || 0) > dayEnd)) {
+            const candidate = this.selectBlockToDrop(movable.map((m) => m.block));
+            if (!candidate) {
+              summary.overflow = true;
+              break;
+            }
+            movable.splice(
+              movable.findIndex((m) => m.block === candidate),
+              1,
+            );
+            if (candidate.type === "learning") {
+              summary.deferred.push(candidate);
+            } else {
+              summary.dropped.push(candidate);
+            }
+            placement = this.placeBlocks(movable, anchors, now);
+          }
+
+          for (const { block, start } of placement) {
+            const startTime = this.formatTime(start);
+            if (block.startTime && block.startTime !== startTime) {
+              summary.shifted.push({ title: block.title, from: block.startTime, to: startTime });
+            }
+            block.startTime = startTime;
+            kept.push(block);
+          }
+
+          const adjustedAt = new Date().toISOString();
+          daySchedule.blocks = kept.sort(
+            (a, b) => this.parseTime(a.startTime) - this.parseTime(b.startTime),
+          );
+          daySchedule.deferred = [
+            ...(daySchedule.deferred || []),
+            ...summary.deferred.map((block) => ({
+              ...block,
+              deferredAt: adjustedAt,
+              reason: "Did not fit after rescheduling",
+            })),
+          ];
+          daySchedule.adjustments = [
+            ...(daySchedule.adjustments || []),
+            {
+              at: adjustedAt,
+              currentTime: this.formatTime(now),
+              shifted: summary.shifted.length,
+              deferred: summary.deferred.map((block) => block.id),
+              dropped: summary.dropped.map((block) => block.id),
+              inserted: summary.inserted?.id || null,
+            },
+          ];
+          daySchedule.rescheduled = adjustedAt;
+          return daySchedule;
+        },
+      );
+
+      let text = `🔄 **Schedule Adjusted - ${date}** (as of ${this.formatTime(now)})\n\n`;
+      if (summary.inserted) {
+        text += `➕ **Added**: ${summary.inserted.title} at ${summary.inserted.startTime} (${summary.inserted.duration}min)\n`;
+      }
+      if (summary.shifted.length > 0) {
+        text += `⏩ **Shifted** (${summary.shifted.length}):\n`;
+        for (const move of summary.shifted) {
+          text += `  • ${move.title}: ${move.from} → ${move.to}\n`;
+        }
+      }
+      if (summary.deferred.length > 0) {
+        text += `📥 **Deferred** (back in the task pool for another day): ${this.summarizeTitles(summary.deferred)}\n`;
+      }
+      if (summary.dropped.length > 0) {
+        text += `✂️ **Dropped**: ${this.summarizeTitles(summary.dropped)}\n`;
+      }
+      if (
+        !summary.inserted &&
+        summary.shifted.length + summary.deferred.length + summary.dropped.length === 0
+      ) {
+        text += `✅ You're on track — nothing needed to move\n`;
+      }
+      if (summary.overflow) {
+        text += `⚠️ Some blocks still run past your sleep time (${this.formatTime(dayEnd)})\n`;
+      }
+      text += `\n${this.formatScheduleForDisplay(schedule)}`;
+
+      return {
+        content: [{ type: "text", text }],
+        daily_schedule: schedule,
+        adjustment: schedule?.adjustments?.[schedule.adjustments.length - 1],
+        date,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("rescheduleDay", error, {
+        dateStr,
+        currentTime,
+        insertBlock,
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error rescheduling day: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * "Break & Reflection ×3, Dinner" for a list of blocks.
+   * @param {any[]} blocks
+   */
+  summarizeTitles(blocks) {
+    const counts = new Map();
+    for (const block of blocks) {
+      counts.set(block.title, (counts.get(block.title) || 0) + 1);
+    }
+    return [...counts]
+      .map(([title, count]) => (count > 1 ? `${title} ×${count}` : title))
+      .join(", ");
+  }
+
+  /**
+   * Lay blocks out in order from `now`, never earlier than originally
+   * planned and never overlapping an anchored interval.
+   * @param {Array<{ block: any, start: number }>} movable
+   * @param {Array<{ start: number, end: number }>} anchors
+   * @param {number} now
+   */
+  placeBlocks(movable, anchors, now) {
+    const placement = [];
+    let cursor = now;
+    for (const { block, start: planned } of movable) {
+      const duration = block.duration || 0;
+      let start = Math.max(cursor, planned);
+      let clash;
+      while (
+        (clash = anchors.find(
+          (anchor) => start < anchor.end && start + duration > anchor.start,
+        ))
+      ) {
+        start = clash.end;
+      }
+      placement.push({ block, start });
+      cursor = start + duration;
+    }
+    return placement;
+  }
+
+  /**
+   * The least important block that may be given up: by DROP_ORDER, then
+   * lowest task priority, then latest in the day. Unplanned blocks the user
+   * just added are never dropped.
+   * @param {any[]} blocks
+   */
+  selectBlockToDrop(blocks) {
+    const candidates = blocks.filter(
+      (block) => !block.unplanned && DROP_ORDER.includes(block.type),
+    );
+    candidates.sort(
+      (a, b) =>
+        DROP_ORDER.indexOf(a.type) - DROP_ORDER.indexOf(b.type) ||
+        (Number(a.priority) || 0) - (Number(b.priority) || 0) ||
+        this.parseTime(b.startTime) - this.parseTime(a.startTime),
+    );
+    return candidates[0] || null;
+  }
+
   async generateComprehensiveSchedule(
     config,
     projectId,
@@ -95,6 +624,9 @@ export class ScheduleGenerator {
     availableHours,
     focusType,
     context,
+    tasks = null,
+    /** @type {any[]} */ events = [],
+    /** @type {any[]|null} */ reviews = null,
   ) {
     const preferences = config.life_structure_preferences || {};
     const constraints = config.constraints || {};
@@ -106,14 +638,39 @@ export class ScheduleGenerator {
       preferences.meal_times || ["8:00 AM", "12:00 PM", "6:00 PM"],
     );
 
-    // Get available learning tasks
-    const htaData = await this.loadPathHTA(
+    // Get available learning tasks (multi-day planning passes its own share)
+    // and mix in the reviews that are due
+    const readyTasks = interleaveReviews(
+      tasks ||
+        this.getReadyTasks(
+          await this.loadPathHTA(projectId, config.activePath || "general"),
+          date,
+        ),
+      reviews ||
+        getDueReviews(
+          await this.loadPathReviews(projectId, config.activePath || "general"),
+          date,
+        )
+          .slice(0, MAX_DAILY_REVIEWS)
+          .map(toReviewTask),
+    );
+
+    // Recurring commitments (e.g. "work 9-5 Mon-Fri") and calendar events on this date
+    const busyIntervals = this.getBusyIntervals(constraints, date, events);
+
+    // How long tasks of each branch really take, and when energy peaks
+    const history = await this.loadPathLearningHistory(
       projectId,
       config.activePath || "general",
     );
-    const readyTasks = this.getReadyTasks(htaData);
+    const slotEnergy = this.createSlotEnergyForecast(
+      buildEnergyModel(history.completedTopics || [], getProjectTimeZone(config)),
+      date,
+      energyLevel,
+    );
 
     // Parse availableHours into array of hour numbers
+    /** @type {any[]} */
     let priorityHours = [];
     if (availableHours !== null && availableHours !== undefined) {
       if (typeof availableHours === "number") {
@@ -138,7 +695,10 @@ export class ScheduleGenerator {
       focusType,
       preferences,
       constraints,
-      availableHours,
+      priorityHours,
+      busyIntervals,
+      history.durationEstimates || {},
+      slotEnergy,
     );
 
     return {
@@ -149,6 +709,12 @@ export class ScheduleGenerator {
       focusType,
       context,
       preferences,
+      fixedCommitments: busyIntervals.map((interval) => ({
+        title: interval.title,
+        startTime: this.formatTime(interval.start),
+        endTime: this.formatTime(interval.end),
+        sources: interval.sources,
+      })),
       blocks,
       generated: new Date().toISOString(),
     };
@@ -171,13 +737,58 @@ export class ScheduleGenerator {
     }
   }
 
-  getReadyTasks(htaData) {
+  /**
+   * @param {string} projectId
+   * @param {string} pathName
+   */
+  async loadPathReviews(projectId, pathName) {
+    if (pathName === "general") {
+      return await this.dataPersistence.loadProjectData(projectId, "reviews.json");
+    } else {
+      return await this.dataPersistence.loadPathData(
+        projectId,
+        pathName,
+        "reviews.json",
+      );
+    }
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {string} pathName
+   */
+  async loadPathLearningHistory(projectId, pathName) {
+    const pathHistory = await this.dataPersistence.loadPathData(
+      projectId,
+      pathName,
+      "learning_history.json",
+    );
+    if (pathHistory || pathName !== "general") return pathHistory || {};
+    return (
+      (await this.dataPersistence.loadProjectData(
+        projectId,
+        "learning_history.json",
+      )) || {}
+    );
+  }
+
+  /**
+   * Open tasks whose prerequisites are done, highest priority first. When
+   * planning a specific date, tasks deferred past it are left out and tasks
+   * deferred to it (or earlier) come first.
+   * @param {any} htaData
+   * @param {string|null} [date]
+   */
+  getReadyTasks(htaData, date = null) {
     const nodes = htaData.frontierNodes || [];
     const completedNodeIds = nodes.filter((n) => n.completed).map((n) => n.id);
+    const isDeferredDue = (/** @type {any} */ node) =>
+      Boolean(date && node.deferredUntil && node.deferredUntil <= date);
 
     return nodes
       .filter((node) => {
         if (node.completed) return false;
+        if (date && node.deferredUntil && node.deferredUntil > date) return false;
 
         if (node.prerequisites && node.prerequisites.length > 0) {
           return node.prerequisites.every(
@@ -189,7 +800,11 @@ export class ScheduleGenerator {
 
         return true;
       })
-      .sort((a, b) => (b.priority || 200) - (a.priority || 200));
+      .sort(
+        (/** @type {any} */ a, /** @type {any} */ b) =>
+          Number(isDeferredDue(b)) - Number(isDeferredDue(a)) ||
+          (b.priority || 200) - (a.priority || 200),
+      );
   }
 
   createTimeBlocks(
@@ -201,7 +816,10 @@ export class ScheduleGenerator {
     focusType,
     preferences,
     constraints,
-    availableHours,
+    /** @type {any[]} */ priorityHours = [],
+    /** @type {any[]} */ busyIntervals = [],
+    durationEstimates = {},
+    /** @type {((minutes: number) => number)|null} */ slotEnergy = null,
   ) {
     const blocks = [];
     let currentTime = wakeTime;
@@ -210,6 +828,36 @@ export class ScheduleGenerator {
 
     // Create blocks from wake to sleep
     while (currentTime < endTime) {
+      // Fixed commitments take their slot as-is
+      const busy = busyIntervals.find(
+        (interval) => currentTime >= interval.start && currentTime < interval.end,
+      );
+      if (busy) {
+        const duration = Math.min(busy.end, endTime) - currentTime;
+        blocks.push({
+          id: `fixed_${blockId++}`,
+          type: busy.type || "work",
+          title: busy.title,
+          startTime: this.formatTime(currentTime),
+          duration,
+          completed: false,
+          priority: "fixed",
+          fixed: true,
+          sources: busy.sources,
+        });
+        currentTime += duration;
+        continue;
+      }
+
+      // Other blocks must end before the next commitment
+      const gap =
+        Math.min(
+          endTime,
+          ...busyIntervals
+            .filter((interval) => interval.start > currentTime)
+            .map((interval) => interval.start),
+        ) - currentTime;
+
       const hour = Math.floor(currentTime / 60);
       const isAvailableHour =
         priorityHours.length === 0 || priorityHours.includes(hour);
@@ -218,28 +866,29 @@ export class ScheduleGenerator {
       if (isMealTime) {
         // Add meal block
         const mealType = this.getMealType(currentTime, mealTimes);
+        const duration = Math.min(45, gap); // 45 minutes for meals
         blocks.push({
           id: `meal_${blockId++}`,
           type: "meal",
           title: mealType,
           startTime: this.formatTime(currentTime),
-          duration: 45, // 45 minutes for meals
+          duration,
           completed: false,
           priority: "high",
         });
-        currentTime += 45;
-      } else if (isAvailableHour && readyTasks.length > 0) {
+        currentTime += duration;
+      } else if (isAvailableHour && readyTasks.length > 0 && gap >= 15) {
         // Add learning block
         const task = this.selectTaskForTimeSlot(
           readyTasks,
           currentTime,
           energyLevel,
           focusType,
+          slotEnergy,
         );
-        const duration = this.calculateTaskDuration(
-          task,
-          preferences,
-          energyLevel,
+        const duration = Math.min(
+          gap,
+          this.calculateTaskDuration(task, preferences, energyLevel, durationEstimates),
         );
 
         blocks.push({
@@ -252,6 +901,7 @@ export class ScheduleGenerator {
           difficulty: task.difficulty,
           taskId: task.id,
           branch: task.branch,
+          ...(task.review && { review: true }),
           completed: false,
           priority: task.priority || 200,
         });
@@ -263,17 +913,22 @@ export class ScheduleGenerator {
         currentTime += duration;
 
         // Add break after learning blocks
-        if (currentTime < endTime - 30) {
+        const remaining = gap - duration;
+        if (currentTime < endTime - 30 && remaining > 0) {
+          const breakDuration = Math.min(
+            this.getBreakDuration(preferences),
+            remaining,
+          );
           blocks.push({
             id: `break_${blockId++}`,
             type: "break",
             title: "Break & Reflection",
             startTime: this.formatTime(currentTime),
-            duration: this.getBreakDuration(preferences),
+            duration: breakDuration,
             completed: false,
             priority: "medium",
           });
-          currentTime += this.getBreakDuration(preferences);
+          currentTime += breakDuration;
         }
       } else {
         // Add habit/routine block for non-learning time
@@ -282,16 +937,17 @@ export class ScheduleGenerator {
           constraints,
           preferences,
         );
+        const duration = Math.min(habitBlock.duration, gap);
         blocks.push({
           id: `habit_${blockId++}`,
           type: "habit",
           title: habitBlock.title,
           startTime: this.formatTime(currentTime),
-          duration: habitBlock.duration,
+          duration,
           completed: false,
           priority: "low",
         });
-        currentTime += habitBlock.duration;
+        currentTime += duration;
       }
 
       // Safety check to prevent infinite loops
@@ -301,7 +957,16 @@ export class ScheduleGenerator {
     return blocks;
   }
 
-  selectTaskForTimeSlot(readyTasks, currentTime, energyLevel, focusType) {
+  /**
+   * @param {any[]} readyTasks
+   * @param {number} currentTime - Minutes since midnight.
+   * @param {number} energyLevel
+   * @param {string} focusType
+   * @param {((minutes: number) => number)|null} [slotEnergy] - Expected energy
+   *   at a time of day, from the energy model; without it 9-11am counts as
+   *   the high-energy window.
+   */
+  selectTaskForTimeSlot(readyTasks, currentTime, energyLevel, focusType, slotEnergy = null) {
     if (readyTasks.length === 0) {
       return {
         id: "explore_general",
@@ -315,10 +980,17 @@ export class ScheduleGenerator {
     // Filter tasks based on energy level and time of day
     const hour = Math.floor(currentTime / 60);
     const isHighEnergyTime = hour >= 9 && hour <= 11; // Morning high energy
+    const expected = slotEnergy ? slotEnergy(currentTime) : null;
 
     let suitableTasks = readyTasks.filter((task) => {
       const taskDifficulty = task.difficulty || 1;
 
+      if (expected !== null) {
+        // The hardest work goes where the user has actually performed best
+        if (expected >= 4) return taskDifficulty >= 3;
+        if (expected < 2.5) return taskDifficulty <= 2;
+        return taskDifficulty <= 3;
+      }
       if (energyLevel >= 4 && isHighEnergyTime) {
         return taskDifficulty >= 2; // High energy can handle harder tasks
       } else if (energyLevel <= 2) {
@@ -336,15 +1008,28 @@ export class ScheduleGenerator {
     return suitableTasks[0];
   }
 
-  calculateTaskDuration(task, preferences, energyLevel) {
-    const baseDuration = this.parseDuration(task.duration || "30 minutes");
+  /**
+   * @param {any} task
+   * @param {any} preferences
+   * @param {number} energyLevel
+   * @param {Record<string, { samples: number, ratio: number }>} [durationEstimates]
+   *   Actual/planned time ratios per branch, learned from timed blocks.
+   */
+  calculateTaskDuration(task, preferences, energyLevel, durationEstimates = {}) {
+    const estimate = durationEstimates[task.branch];
+    const correction =
+      estimate && estimate.samples >= MIN_ESTIMATE_SAMPLES
+        ? Math.min(2, Math.max(0.5, estimate.ratio))
+        : 1;
+    const baseDuration =
+      this.parseDuration(task.duration || "30 minutes") * correction;
     const focusDuration = preferences.focus_duration || "flexible";
 
     // Adjust based on focus preference and energy
     if (focusDuration.includes("25")) return 25; // Pomodoro
     if (focusDuration.includes("1 hour")) return 60;
     if (focusDuration.includes("2 hour"))
-      return Math.min(120, baseDuration * 2);
+      return Math.min(120, Math.round(baseDuration * 2));
 
     // Adjust based on energy level
     const energyMultiplier =
@@ -438,6 +1123,320 @@ export class ScheduleGenerator {
     return unit.startsWith("hour") ? value * 60 : value;
   }
 
+  /**
+   * Consecutive calendar dates (YYYY-MM-DD) starting at startDate.
+   * @param {string} startDate
+   * @param {number} days
+   */
+  getDateRange(startDate, days) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate)) {
+      throw new Error(`Invalid date "${startDate}". Use YYYY-MM-DD.`);
+    }
+    return Array.from({ length: days }, (_, i) => addDays(startDate, i));
+  }
+
+  /** @param {string} date - YYYY-MM-DD */
+  getWeekday(date) {
+    return getWeekday(date);
+  }
+
+  /**
+   * Expected energy (1-5) for each date: the average post-session energy
+   * recorded on that weekday, or the baseline where history is too thin.
+   * Sessions are placed on weekdays in the project's time zone.
+   * @param {any} history
+   * @param {any[]} dates
+   * @param {number|null} [baseline] - Null uses the overall average once
+   *   there is enough history, else 3.
+   * @param {string|null} [timeZone]
+   */
+  forecastDailyEnergy(history, dates, baseline = 3, timeZone = null) {
+    const model = buildEnergyModel(history?.completedTopics || [], timeZone);
+    let basis = "default";
+    if (baseline === null) {
+      const average = model.samples >= MIN_ENERGY_SAMPLES ? model.baseline : null;
+      basis = average === null ? "default" : "average";
+      baseline = average === null ? 3 : Math.round(average);
+    }
+
+    return dates.map((date) => {
+      const day = model.byWeekday[this.getWeekday(date)];
+      if (day.mean !== null && day.count >= 2) {
+        const energy = Math.min(5, Math.max(1, Math.round(day.mean)));
+        return { date, energy, basis: "history" };
+      }
+      return { date, energy: baseline, basis };
+    });
+  }
+
+  /** @param {string} basis - From forecastDailyEnergy. */
+  describeEnergyForecast(basis) {
+    if (basis === "history") return " (forecast from past sessions on this weekday)";
+    if (basis === "average") return " (your average from past sessions)";
+    return " (default; pass energy_level or complete more blocks for a forecast)";
+  }
+
+  /**
+   * Expected energy at each time of a day: the day's energy level shifted
+   * by how the energy model says that hour and weekday usually compare to
+   * the user's average. Null until the model has enough samples.
+   * @param {import("./energy-model.js").EnergyModel} model
+   * @param {string} date
+   * @param {number} energyLevel
+   * @returns {((minutes: number) => number)|null}
+   */
+  createSlotEnergyForecast(model, date, energyLevel) {
+    if (model.samples < MIN_ENERGY_SAMPLES || model.baseline === null) return null;
+    const baseline = model.baseline;
+    const weekday = this.getWeekday(date);
+    return (minutes) => {
+      const predicted = /** @type {number} */ (predictEnergy(model, weekday, minutes));
+      return Math.min(5, Math.max(1, energyLevel + predicted - baseline));
+    };
+  }
+
+  /**
+   * Commitments that recur on certain weekdays, from constraints.recurring
+   * ([{ title, days, start_time, end_time }]) and from free-text
+   * constraints.time_constraints such as "work 9-5 Mon–Fri" or
+   * "choir Wed 7pm-9pm".
+   * @param {any} [constraints]
+   * @returns {Array<{ title: string, days: number[], start: number, end: number }>}
+   */
+  parseRecurringConstraints(constraints = {}) {
+    const commitments = [];
+
+    for (const entry of Array.isArray(constraints.recurring) ? constraints.recurring : []) {
+      const days = this.parseDaySpec(
+        Array.isArray(entry.days) ? entry.days.join(",") : entry.days || "daily",
+      );
+      const start = this.parseClockTime(entry.start_time);
+      const end = this.parseClockTime(entry.end_time, start);
+      if (days && start !== null && end !== null && end > start) {
+        commitments.push({ title: entry.title || "Commitment", days, start, end });
+      }
+    }
+
+    const text = typeof constraints.time_constraints === "string"
+      ? constraints.time_constraints
+      : "";
+    const rangePattern = new RegExp(
+      `(${TIME_PATTERN})\\s*(?:-|–|—|to|until)\\s*(${TIME_PATTERN})(?!\\s*(?:hours?|hrs?|min))`,
+      "gi",
+    );
+    let previousEnd = 0;
+    for (const match of text.matchAll(rangePattern)) {
+      const clauseStart = Math.max(
+        previousEnd,
+        ...[";", ".", "\n"].map((sep) => text.lastIndexOf(sep, match.index) + 1),
+      );
+      const before = text.slice(clauseStart, match.index);
+      const afterEnd = [";", ".", "\n"]
+        .map((sep) => text.indexOf(sep, match.index + match[0].length))
+        .filter((idx) => idx !== -1);
+      const after = text.slice(
+        match.index + match[0].length,
+        afterEnd.length ? Math.min(...afterEnd) : text.length,
+      );
+      previousEnd = match.index + match[0].length;
+
+      const daysAfter = after.match(new RegExp(`^\\s*(?:on\\s+|every\\s+)?${DAY_SPEC_PATTERN}`, "i"));
+      const daysBefore = before.match(new RegExp(`${DAY_SPEC_PATTERN}\\s*(?:from\\s+|at\\s+)?$`, "i"));
+      const hasPeriod = /[ap]\.?m/i.test(match[0]);
+      if (!daysAfter && !daysBefore && !hasPeriod) continue;
+
+      const days = this.parseDaySpec((daysAfter || daysBefore)?.[1] || "daily");
+      const start = this.parseClockTime(match[1], null, match[2]);
+      const end = this.parseClockTime(match[2], start);
+      if (!days || start === null || end === null || end <= start) continue;
+
+      const titleSource =
+        (daysBefore ? before.slice(0, daysBefore.index) : before).trim() ||
+        (daysAfter ? after.slice(daysAfter[0].length) : after).trim();
+      const title = titleSource
+        .replace(/^(?:and|,|&)\s+/i, "")
+        .replace(/\s+(?:from|at|on|every)$/i, "")
+        .trim();
+
+      commitments.push({
+        title: title ? title.charAt(0).toUpperCase() + title.slice(1) : "Commitment",
+        days,
+        start,
+        end,
+      });
+    }
+
+    return commitments;
+  }
+
+  /**
+   * Commitments and calendar events falling on a date, as minute intervals
+   * sorted by start. Overlapping ones are merged so a shorter event inside a
+   * longer one isn't lost.
+   * @param {any} constraints
+   * @param {string} date - YYYY-MM-DD
+   * @param {import("./icalendar.js").CalendarEvent[]} [events]
+   */
+  getBusyIntervals(constraints, date, events = []) {
+    const weekday = this.getWeekday(date);
+    const intervals = [
+      ...this.parseRecurringConstraints(constraints || {})
+        .filter((commitment) => commitment.days.includes(weekday))
+        .map((commitment) => ({
+          title: commitment.title,
+          type: /work|job|office|shift|class|school/i.test(commitment.title)
+            ? "work"
+            : "commitment",
+          start: commitment.start,
+          end: commitment.end,
+          sources: ["constraints"],
+        })),
+      // Calendar events always block time as work
+      ...getEventsForDate(events, date).map((event) => ({
+        title: event.title,
+        type: "work",
+        start: event.start,
+        end: event.end,
+        sources: [event.source],
+      })),
+    ].sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const interval of intervals) {
+      const last = merged[merged.length - 1];
+      if (last && interval.start < last.end) {
+        last.end = Math.max(last.end, interval.end);
+        last.title = `${last.title} / ${interval.title}`;
+        if (interval.type === "work") last.type = "work";
+        last.sources = [...new Set([...last.sources, ...interval.sources])];
+      } else {
+        merged.push({ ...interval });
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Collect events to plan around from an iCalendar file and from explicit
+   * fixed_events ({ title, start_time, end_time, date? }). Events without a
+   * date apply to each of the given dates.
+   * @param {any[]} [fixedEvents]
+   * @param {string|null} [icsPath]
+   * @param {string[]} [dates]
+   * @param {string|null} [timeZone] - Zone UTC calendar times are converted to.
+   * @returns {Promise<import("./icalendar.js").CalendarEvent[]>}
+   */
+  async loadFixedEvents(fixedEvents = [], icsPath = null, dates = [], timeZone = null) {
+    const events = [];
+
+    if (icsPath) {
+      let text;
+      try {
+        text = await fs.readFile(icsPath, "utf8");
+      } catch (/** @type {any} */ error) {
+        throw new Error(`Could not read calendar file "${icsPath}": ${error.message}`);
+      }
+      events.push(...parseICalendar(text, "ics", timeZone));
+    }
+
+    (fixedEvents || []).forEach((event, index) => {
+      const label = `fixed_events[${index}]`;
+      const start = this.parseClockTime(event?.start_time);
+      const end = start === null ? null : this.parseClockTime(event?.end_time, start);
+      if (start === null || end === null) {
+        throw new Error(`${label}: start_time and end_time must be times like "2:00 PM"`);
+      }
+      if (end <= start) {
+        throw new Error(`${label}: end_time must be after start_time`);
+      }
+      if (event.date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(event.date)) {
+        throw new Error(`${label}: date must be YYYY-MM-DD`);
+      }
+
+      for (const date of event.date ? [event.date] : dates) {
+        events.push({
+          title: event.title || "Fixed event",
+          start: { date, minutes: start },
+          end: { date, minutes: end },
+          allDay: false,
+          rrule: null,
+          exdates: [],
+          source: "fixed_events",
+        });
+      }
+    });
+
+    return events;
+  }
+
+  /**
+   * Weekday numbers (0 = Sunday) for "Mon–Fri", "weekdays", "Tue, Thu", ...
+   * @param {string} spec
+   * @returns {number[]|null}
+   */
+  parseDaySpec(spec) {
+    const text = String(spec).toLowerCase().trim();
+    if (text === "weekdays") return [1, 2, 3, 4, 5];
+    if (text === "weekends") return [0, 6];
+    if (text === "daily" || /^every ?day$/.test(text)) return [0, 1, 2, 3, 4, 5, 6];
+
+    /** @param {string} token */
+    const dayIndex = (token) => WEEKDAYS.indexOf(token.trim().slice(0, 3));
+    const range = text.match(/^([a-z]+)\.?\s*(?:-|–|—|to|through)\s*([a-z]+)\.?$/);
+    if (range) {
+      const from = dayIndex(range[1]);
+      const to = dayIndex(range[2]);
+      if (from === -1 || to === -1) return null;
+      const days = [];
+      for (let day = from; ; day = (day + 1) % 7) {
+        days.push(day);
+        if (day === to) break;
+      }
+      return days;
+    }
+
+    const days = text
+      .split(/\s*(?:,|&|\band\b|\/)\s*/)
+      .filter(Boolean)
+      .map(dayIndex);
+    return days.length > 0 && days.every((day) => day !== -1) ? days : null;
+  }
+
+  /**
+   * Minutes after midnight for "9", "9:30", "5pm", "17:00". Without am/pm,
+   * an end time at or before the start is read as afternoon ("9-5"), and a
+   * bare start before 7 is read as afternoon unless that would pass the end.
+   * @param {string} value
+   * @param {number|null} [startMinutes] - Set when parsing an end time.
+   * @param {string} [endValue] - Set when parsing a start time.
+   * @returns {number|null}
+   */
+  parseClockTime(value, startMinutes = null, endValue = undefined) {
+    const match = String(value || "")
+      .trim()
+      .toLowerCase()
+      .match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/);
+    if (!match) return null;
+
+    let hours = Number(match[1]);
+    const minutes = Number(match[2] || 0);
+    const period = match[3]?.[0];
+    if (hours > 23 || minutes > 59) return null;
+
+    if (period === "p" && hours < 12) hours += 12;
+    if (period === "a" && hours === 12) hours = 0;
+    let total = hours * 60 + minutes;
+
+    if (!period && startMinutes !== null) {
+      while (total <= startMinutes && total < 24 * 60) total += 12 * 60;
+      total = Math.min(total, 24 * 60);
+    } else if (!period && hours < 7) {
+      const end = endValue !== undefined ? this.parseClockTime(endValue) : null;
+      if (end === null || total + 12 * 60 < end) total += 12 * 60;
+    }
+    return total;
+  }
+
   formatScheduleForDisplay(schedule) {
     const blocks = schedule.blocks || [];
     let display = "";
@@ -459,6 +1458,7 @@ export class ScheduleGenerator {
       habit: "🔄",
       exercise: "💪",
       work: "💼",
+      commitment: "📌",
     };
 
     return icons[blockType] || "📋";
@@ -0,0 +1,247 @@
+/**
+ * Schema Migrations Module
+ * Versioned upgrades that bring project data files to one canonical shape
+ */
+
+/**
+ * A migration mutates the data in place and returns human-readable
+ * descriptions of what it changed (empty when nothing needed changing).
+ * @typedef {Object} Migration
+ * @property {number} version - schema_version the data has after this migration.
+ * @property {string} description
+ * @property {(data: any, context: { filename: string }) => string[]} up
+ */
+
+/**
+ * Merge the entries of `source` into `target` by id, keeping the target's
+ * copy when both contain the same id.
+ * @param {any[]} target
+ * @param {any[]} source
+ * @param {(item: any) => any} [adapt]
+ * @returns {number} How many entries were added.
+ */
+function mergeById(target, source, adapt = (item) => item) {
+  const known = new Set(target.map((item) => item?.id));
+  let added = 0;
+  for (const item of source) {
+    if (item && known.has(item.id)) continue;
+    target.push(adapt(item));
+    known.add(item?.id);
+    added++;
+  }
+  return added;
+}
+
+/**
+ * Move a legacy snake_case field to its canonical name when the canonical
+ * one is not already set. Returns a change description or null.
+ * @param {any} data
+ * @param {string} legacy
+ * @param {string} canonical
+ */
+function renameField(data, legacy, canonical) {
+  if (data[legacy] === undefined) return null;
+  if (data[canonical] === undefined) {
+    data[canonical] = data[legacy];
+  }
+  delete data[legacy];
+  return `Renamed ${legacy} to ${canonical}`;
+}
+
+/** @type {Record<string, Migration[]>} */
+export const MIGRATIONS = {
+  config: [
+    {
+      version: 1,
+      description: "Ensure learning_paths and activePath are present",
+      up(config) {
+        const changes = [];
+        if (!Array.isArray(config.learning_paths) || config.learning_paths.length === 0) {
+          config.learning_paths = [{ path_name: "general", priority: "high" }];
+          changes.push("Added default general learning path");
+        }
+        if (!config.activePath) {
+          config.activePath = config.learning_paths[0].path_name || "general";
+          changes.push(`Set activePath to "${config.activePath}"`);
+        }
+        return changes;
+      },
+    },
+  ],
+
+  hta: [
+    {
+      version: 1,
+      description:
+        "Unify frontier_nodes/completed_nodes/branches into frontierNodes/strategicBranches",
+      up(hta) {
+        /** @type {string[]} */
+        const changes = [];
+        if (!Array.isArray(hta.frontierNodes)) hta.frontierNodes = [];
+        if (!Array.isArray(hta.strategicBranches)) hta.strategicBranches = [];
+
+        if (Array.isArray(hta.frontier_nodes)) {
+          const added = mergeById(hta.frontierNodes, hta.frontier_nodes);
+          changes.push(`Merged ${added} frontier_nodes into frontierNodes`);
+          delete hta.frontier_nodes;
+        }
+        if (Array.isArray(hta.completed_nodes)) {
+          const added = mergeById(hta.frontierNodes, hta.completed_nodes, (node) => ({
+            ...node,
+            completed: true,
+          }));
+          changes.push(`Merged ${added} completed_nodes into frontierNodes`);
+          delete hta.completed_nodes;
+        }
+        if (Array.isArray(hta.branches)) {
+          const added = mergeById(hta.strategicBranches, hta.branches);
+          changes.push(`Merged ${added} branches into strategicBranches`);
+          delete hta.branches;
+        }
+
+        for (const [legacy, canonical] of [
+          ["north_star", "goal"],
+          ["learning_style", "learningStyle"],
+        ]) {
+          const change = renameField(hta, legacy, canonical);
+          if (change) changes.push(change);
+        }
+
+        if (hta.last_evolution !== undefined) {
+          if (!hta.lastUpdated || hta.last_evolution > hta.lastUpdated) {
+            hta.lastUpdated = hta.last_evolution;
+          }
+          delete hta.last_evolution;
+          changes.push("Folded last_evolution into lastUpdated");
+        }
+
+        return changes;
+      },
+    },
+  ],
+
+  learning_history: [
+    {
+      version: 1,
+      description: "Ensure history collections are present",
+      up(history) {
+        const changes = [];
+        for (const key of ["completedTopics", "insights", "knowledgeGaps"]) {
+          if (!Array.isArray(history[key])) {
+            history[key] = [];
+            changes.push(`Added empty ${key}`);
+          }
+        }
+        if (!history.skillProgression || typeof history.skillProgression !== "object") {
+          history.skillProgression = {};
+          changes.push("Added empty skillProgression");
+        }
+        return changes;
+      },
+    },
+    {
+      version: 2,
+      description: "Give knowledge gaps ids and a status",
+      up(history) {
+        const gaps = Array.isArray(history.knowledgeGaps) ? history.knowledgeGaps : [];
+        let nextId =
+          gaps.reduce((/** @type {number} */ max, /** @type {any} */ gap) => {
+            const number = Number(String(gap?.id || "").replace(/^gap_/, ""));
+            return Number.isInteger(number) && number > max ? number : max;
+          }, 0) + 1;
+        let updated = 0;
+        for (const gap of gaps) {
+          if (!gap || typeof gap !== "object" || (gap.id && gap.status)) continue;
+          if (!gap.id) gap.id = `gap_${nextId++}`;
+          if (!gap.status) gap.status = gap.addressed ? "resolved" : "open";
+          delete gap.addressed;
+          updated++;
+        }
+        return updated > 0 ? [`Gave ${updated} knowledge gap(s) an id and status`] : [];
+      },
+    },
+  ],
+
+  day: [
+    {
+      version: 1,
+      description: "Ensure blocks and date are present",
+      up(schedule, { filename }) {
+        const changes = [];
+        if (!Array.isArray(schedule.blocks)) {
+          schedule.blocks = [];
+          changes.push("Added empty blocks");
+        }
+        const dateFromName = filename.match(/^day_(\d{4}-\d{2}-\d{2})\.json$/)?.[1];
+        if (!schedule.date && dateFromName) {
+          schedule.date = dateFromName;
+          changes.push(`Set date to ${dateFromName}`);
+        }
+        return changes;
+      },
+    },
+  ],
+};
+
+/**
+ * Map a project/path filename to its migration kind, or null for files
+ * that are not versioned.
+ * @param {string} filename
+ */
+export function getFileKind(filename) {
+  if (filename === "config.json") return "config";
+  if (filename === "hta.json") return "hta";
+  if (filename === "learning_history.json") return "learning_history";
+  if (/^day_\d{4}-\d{2}-\d{2}\.json$/.test(filename)) return "day";
+  return null;
+}
+
+/**
+ * Latest schema_version for a file kind.
+ * @param {string} kind
+ */
+export function getCurrentVersion(kind) {
+  const migrations = MIGRATIONS[kind] || [];
+  return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+}
+
+/**
+ * Run every pending migration for a file on a copy of its data.
+ * Files without schema_version are treated as version 0.
+ * @param {string} filename
+ * @param {any} data
+ * @returns {{ data: any, kind: string|null, fromVersion: number, toVersion: number, changes: string[] }}
+ */
+export function migrateFileData(filename, data) {
+  const kind = getFileKind(filename);
+  const fromVersion = Number(data?.schema_version) || 0;
+
+  if (!kind || !data || typeof data !== "object" || Array.isArray(data)) {
+    return { data, kind, fromVersion, toVersion: fromVersion, changes: [] };
+  }
+
+  const toVersion = getCurrentVersion(kind);
+  if (fromVersion > toVersion) {
+    throw new Error(
+      `${filename} has schema_version ${fromVersion}, newer than supported version ${toVersion}`,
+    );
+  }
+  if (fromVersion === toVersion) {
+    return { data, kind, fromVersion, toVersion, changes: [] };
+  }
+
+  const upgraded = structuredClone(data);
+  /** @type {string[]} */
+  const changes = [];
+  for (const migration of MIGRATIONS[kind]) {
+    if (migration.version <= fromVersion) continue;
+    const applied = migration.up(upgraded, { filename });
+    changes.push(...applied.map((change) => `v${migration.version}: ${change}`));
+    upgraded.schema_version = migration.version;
+  }
+  if (changes.length === 0) {
+    changes.push(`Stamped schema_version ${toVersion}`);
+  }
+
+  return { data: upgraded, kind, fromVersion, toVersion, changes };
+}
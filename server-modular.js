@@ -8,15 +8,21 @@ import * as net from 'net';
 
 // Import all modular components - USING CLEAN VERSIONS
 import { CoreInfrastructure } from "./modules/core-infrastructure.js";
+import { getProjectTimeZone, getToday } from "./modules/date-utils.js";
 import { McpHandlers } from "./modules/mcp-handlers.js";
 import { ToolRouter } from "./modules/tool-router.js";
 import { DataPersistence } from "./modules/data-persistence.js";
 import { MemorySync } from "./modules/memory-sync.js";
 import { ProjectManagement } from "./modules/project-management.js";
+import { ProjectArchive } from "./modules/project-archive.js";
 import { HtaTreeBuilder } from "./modules/hta-tree-builder.js";
 import { HtaStatus } from "./modules/hta-status-clean.js"; // CLEAN VERSION
+import { HtaEditor } from "./modules/hta-editor.js";
 import { ScheduleGenerator } from "./modules/schedule-generator.js";
+import { ScheduleExport } from "./modules/schedule-export.js";
 import { TaskCompletion } from "./modules/task-completion.js";
+import { FocusSessions } from "./modules/focus-sessions.js";
+import { KnowledgeGaps } from "./modules/knowledge-gaps.js";
 import { ReasoningEngine } from "./modules/reasoning-engine.js";
 import { TaskIntelligence } from "./modules/task-intelligence.js";
 import { AnalyticsTools } from "./modules/analytics-tools.js";
@@ -41,14 +47,20 @@ class CleanForestServer {
       // Initialize memory and sync layer
       this.memorySync = new MemorySync(this.dataPersistence);
 
+      // Expose Claude interface to modules that need reasoning
+      // (served by MCP sampling when the client supports it)
+      const claude = this.core.getClaudeInterface();
+
       // Initialize project management
       this.projectManagement = new ProjectManagement(
         this.dataPersistence,
         this.memorySync,
+        claude,
+      );
+      this.projectArchive = new ProjectArchive(
+        this.dataPersistence,
+        this.projectManagement,
       );
-
-      // Expose Claude interface to modules that need reasoning
-      const claude = this.core.getClaudeInterface();
 
       // Initialize HTA system - USING CLEAN VERSIONS
       this.htaTreeBuilder = new HtaTreeBuilder(
@@ -66,17 +78,30 @@ class CleanForestServer {
         this.dataPersistence,
         this.projectManagement,
       );
+      this.scheduleExport = new ScheduleExport(
+        this.dataPersistence,
+        this.projectManagement,
+      );
 
       // Initialize task system - USING CLEAN VERSIONS
       this.taskCompletion = new TaskCompletion(
         this.dataPersistence,
         this.projectManagement,
       );
+      this.focusSessions = new FocusSessions(
+        this.dataPersistence,
+        this.projectManagement,
+        this.taskCompletion,
+      );
       this.taskIntelligence = new TaskIntelligence(
         this.dataPersistence,
         this.projectManagement,
         claude,
       );
+      this.knowledgeGaps = new KnowledgeGaps(
+        this.dataPersistence,
+        this.projectManagement,
+      );
 
       // Initialize intelligence engines
       this.reasoningEngine = new ReasoningEngine(
@@ -90,6 +115,7 @@ class CleanForestServer {
       this.identityEngine = new IdentityEngine(
         this.dataPersistence,
         this.projectManagement,
+        claude,
       );
 
       // Initialize analytics and tools
@@ -97,6 +123,11 @@ class CleanForestServer {
         this.dataPersistence,
         this.projectManagement,
       );
+      this.htaEditor = new HtaEditor(
+        this.dataPersistence,
+        this.projectManagement,
+        this.analyticsTools,
+      );
 
       // Initialize MCP handlers and routing
       this.mcpHandlers = new McpHandlers(this.core.getServer());
@@ -141,8 +172,9 @@ class CleanForestServer {
     return await this.projectManagement.switchProject(projectId);
   }
 
-  async listProjects() {
-    return await this.projectManagement.listProjects();
+  /** @param {string} [filter] - active (default), archived or all. */
+  async listProjects(filter) {
+    return await this.projectManagement.listProjects(filter);
   }
 
   async getActiveProject() {
@@ -153,6 +185,112 @@ class CleanForestServer {
     return await this.projectManagement.requireActiveProject();
   }
 
+  /**
+   * Partially update a project's configuration.
+   * @param {any} args - project_id plus the fields to change.
+   */
+  async updateProject(args) {
+    return await this.projectManagement.updateProject(args);
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {boolean} archived - false restores an archived project.
+   */
+  async archiveProject(projectId, archived) {
+    return await this.projectManagement.archiveProject(projectId, archived);
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {string|null} confirmationToken - Token returned by the first call.
+   */
+  async deleteProject(projectId, confirmationToken) {
+    return await this.projectManagement.deleteProject(projectId, confirmationToken);
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {string} newProjectId
+   */
+  async renameProject(projectId, newProjectId) {
+    return await this.projectManagement.renameProject(projectId, newProjectId);
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {string} newProjectId
+   */
+  async cloneProject(projectId, newProjectId) {
+    return await this.projectManagement.cloneProject(projectId, newProjectId);
+  }
+
+  /**
+   * @param {string|null} projectId - Defaults to the active project.
+   * @param {string|null} outputPath - Defaults to <dataDir>/exports/.
+   */
+  async exportProject(projectId, outputPath) {
+    return await this.projectArchive.exportProject(projectId, outputPath);
+  }
+
+  /**
+   * @param {string} archivePath
+   * @param {string|null} projectId - Import under this id instead of the archived one.
+   * @param {string} onConflict - rename, overwrite or merge.
+   */
+  async importProject(archivePath, projectId, onConflict) {
+    return await this.projectArchive.importProject(archivePath, {
+      projectId,
+      onConflict,
+    });
+  }
+
+  // ===== LEARNING PATH METHODS =====
+
+  async listLearningPaths() {
+    return await this.projectManagement.listLearningPaths();
+  }
+
+  /**
+   * @param {string} pathName
+   * @param {string} priority
+   * @param {string[]} interests
+   */
+  async addLearningPath(pathName, priority, interests) {
+    return await this.projectManagement.addLearningPath(
+      pathName,
+      priority,
+      interests,
+    );
+  }
+
+  /**
+   * @param {string} pathName
+   * @param {boolean} deleteData
+   */
+  async removeLearningPath(pathName, deleteData) {
+    return await this.projectManagement.removeLearningPath(pathName, deleteData);
+  }
+
+  /**
+   * @param {string} pathName
+   * @param {string} priority
+   */
+  async reprioritizeLearningPath(pathName, priority) {
+    return await this.projectManagement.reprioritizeLearningPath(
+      pathName,
+      priority,
+    );
+  }
+
+  /**
+   * @param {string} pathName
+   * @param {string} duration
+   */
+  async focusLearningPath(pathName, duration) {
+    return await this.projectManagement.focusLearningPath(pathName, duration);
+  }
+
   // ===== HTA TREE METHODS =====
 
   /**
@@ -172,16 +310,68 @@ class CleanForestServer {
     return await this.htaStatus.getHTAStatus();
   }
 
+  /** @param {any} args - title and branch, plus optional task fields and id. */
+  async addHtaTask(args) {
+    return await this.htaEditor.addHtaTask(args);
+  }
+
+  /** @param {any} args - task_id plus the fields to change. */
+  async editHtaTask(args) {
+    return await this.htaEditor.editHtaTask(args);
+  }
+
+  /**
+   * @param {string} taskId
+   * @param {any[]} subtasks
+   * @param {boolean} sequential
+   */
+  async splitHtaTask(taskId, subtasks, sequential) {
+    return await this.htaEditor.splitHtaTask(taskId, subtasks, sequential);
+  }
+
+  /**
+   * @param {string[]} taskIds
+   * @param {string|null} title
+   */
+  async mergeHtaTasks(taskIds, title) {
+    return await this.htaEditor.mergeHtaTasks(taskIds, title);
+  }
+
+  /** @param {string} taskId */
+  async deleteHtaTask(taskId) {
+    return await this.htaEditor.deleteHtaTask(taskId);
+  }
+
+  /** @param {any} args - title, plus optional id, parent_id and priority. */
+  async addHtaBranch(args) {
+    return await this.htaEditor.addHtaBranch(args);
+  }
+
+  /** @param {any} args - branch_id plus the fields to change. */
+  async editHtaBranch(args) {
+    return await this.htaEditor.editHtaBranch(args);
+  }
+
+  /**
+   * @param {string} branchId
+   * @param {string|null} moveTasksTo
+   */
+  async deleteHtaBranch(branchId, moveTasksTo) {
+    return await this.htaEditor.deleteHtaBranch(branchId, moveTasksTo);
+  }
+
   // ===== SCHEDULING METHODS =====
 
   /**
    * @param {string} date
-   * @param {number} energyLevel
+   * @param {number|null} energyLevel
    * @param {number} availableHours
    * @param {string} focusType
    * @param {any} context
+   * @param {any[]} fixedEvents
+   * @param {string|null} icsPath
    */
-  async generateDailySchedule(date, energyLevel, availableHours, focusType, context) {
+  async generateDailySchedule(date, energyLevel, availableHours, focusType, context, fixedEvents, icsPath) {
     // @ts-ignore
     return await this.scheduleGenerator.generateDailySchedule(
       date,
@@ -189,6 +379,65 @@ class CleanForestServer {
       /** @type {any} */ (availableHours),
       focusType,
       context,
+      fixedEvents,
+      icsPath,
+    );
+  }
+
+  /**
+   * @param {string|null} startDate
+   * @param {number} days
+   * @param {number} energyLevel
+   * @param {string} focusType
+   * @param {boolean} overwriteExisting
+   * @param {any[]} fixedEvents
+   * @param {string|null} icsPath
+   */
+  async generateWeeklySchedule(startDate, days, energyLevel, focusType, overwriteExisting, fixedEvents, icsPath) {
+    return await this.scheduleGenerator.generateWeeklySchedule(
+      startDate,
+      days,
+      energyLevel,
+      focusType,
+      overwriteExisting,
+      fixedEvents,
+      icsPath,
+    );
+  }
+
+  /**
+   * @param {string|null} dateStr
+   * @param {string|null} currentTime
+   * @param {any} insertBlock
+   */
+  async rescheduleDay(dateStr, currentTime, insertBlock) {
+    return await this.scheduleGenerator.rescheduleDay(dateStr, currentTime, insertBlock);
+  }
+
+  async analyzePerformance() {
+    return await this.analyticsTools.analyzePerformance();
+  }
+
+  async getEnergyProfile() {
+    return await this.analyticsTools.getEnergyProfile();
+  }
+
+  /**
+   * @param {string|null} startDate
+   * @param {string|null} endDate
+   * @param {string|null} outputPath
+   * @param {boolean} includeBreaks
+   * @param {boolean} includeFixed
+   * @param {string} format - A registered exporter: ics, csv, json, org, tiimo or todo.
+   */
+  async exportSchedule(startDate, endDate, outputPath, includeBreaks, includeFixed, format) {
+    return await this.scheduleExport.exportSchedule(
+      startDate,
+      endDate,
+      outputPath,
+      includeBreaks,
+      includeFixed,
+      format,
     );
   }
 
@@ -196,15 +445,16 @@ class CleanForestServer {
 
   /**
    * @param {any} contextFromMemory
-   * @param {number} energyLevel
-   * @param {number} timeAvailable
+   * @param {number|null} energyLevel
+   * @param {string} timeAvailable
+   * @param {boolean} rerank
    */
-  async getNextTask(contextFromMemory, energyLevel, timeAvailable) {
-    // @ts-ignore
+  async getNextTask(contextFromMemory, energyLevel, timeAvailable, rerank) {
     return await this.taskIntelligence.getNextTask(
       contextFromMemory,
       energyLevel,
-      /** @type {any} */ (timeAvailable),
+      timeAvailable,
+      rerank,
     );
   }
 
@@ -224,8 +474,9 @@ class CleanForestServer {
    * @param {string[]} viralPotential
    * @param {string[]} industryConnections
    * @param {string[]} serendipitousEvents
+   * @param {string|null} date - Schedule the block is in; found automatically when omitted.
    */
-  async completeBlock(blockId, outcome, learned, nextQuestions, energyLevel, difficultyRating, breakthrough, engagementLevel, unexpectedResults, newSkillsRevealed, externalFeedback, socialReactions, viralPotential, industryConnections, serendipitousEvents) {
+  async completeBlock(blockId, outcome, learned, nextQuestions, energyLevel, difficultyRating, breakthrough, engagementLevel, unexpectedResults, newSkillsRevealed, externalFeedback, socialReactions, viralPotential, industryConnections, serendipitousEvents, date) {
     return await this.taskCompletion.completeBlock(
       blockId,
       outcome,
@@ -242,6 +493,151 @@ class CleanForestServer {
       /** @type {any} */ (viralPotential),
       industryConnections,
       serendipitousEvents,
+      date,
+    );
+  }
+
+  /**
+   * @param {string} blockId
+   * @param {number} percentComplete
+   * @param {string} outcome
+   * @param {string} learned
+   * @param {number} energyLevel
+   * @param {string|null} date - Schedule the block is in; found automatically when omitted.
+   */
+  async partiallyCompleteBlock(blockId, percentComplete, outcome, learned, energyLevel, date) {
+    return await this.taskCompletion.partiallyCompleteBlock(
+      blockId,
+      percentComplete,
+      outcome,
+      learned,
+      energyLevel,
+      date,
+    );
+  }
+
+  /**
+   * @param {string} blockId
+   * @param {string} reason
+   * @param {string|null} date
+   */
+  async skipBlock(blockId, reason, date) {
+    return await this.taskCompletion.skipBlock(blockId, reason, date);
+  }
+
+  /**
+   * @param {string} blockId
+   * @param {string} toDate
+   * @param {string} reason
+   * @param {string|null} date
+   */
+  async deferBlock(blockId, toDate, reason, date) {
+    return await this.taskCompletion.deferBlock(blockId, toDate, reason, date);
+  }
+
+  /**
+   * @param {string} blockId
+   * @param {string|null} date
+   */
+  async startBlock(blockId, date) {
+    return await this.taskCompletion.startBlock(blockId, date);
+  }
+
+  /**
+   * @param {string} blockId
+   * @param {string|null} date
+   */
+  async pauseBlock(blockId, date) {
+    return await this.taskCompletion.pauseBlock(blockId, date);
+  }
+
+  /**
+   * @param {string} blockId
+   * @param {string|null} date
+   */
+  async stopBlock(blockId, date) {
+    return await this.taskCompletion.stopBlock(blockId, date);
+  }
+
+  /**
+   * @param {string} blockId
+   * @param {string|null} date
+   * @param {number|null} focusMinutes
+   * @param {number|null} breakMinutes
+   */
+  async startFocusSession(blockId, date, focusMinutes, breakMinutes) {
+    return await this.focusSessions.startFocusSession(
+      blockId,
+      date,
+      focusMinutes,
+      breakMinutes,
+    );
+  }
+
+  /**
+   * @param {string} blockId
+   * @param {string|null} date
+   */
+  async nextFocusInterval(blockId, date) {
+    return await this.focusSessions.nextFocusInterval(blockId, date);
+  }
+
+  /**
+   * @param {string} blockId
+   * @param {string} note
+   * @param {string} kind
+   * @param {boolean} voidInterval
+   * @param {string|null} date
+   */
+  async logInterruption(blockId, note, kind, voidInterval, date) {
+    return await this.focusSessions.logInterruption(
+      blockId,
+      note,
+      kind,
+      voidInterval,
+      date,
+    );
+  }
+
+  /**
+   * @param {string} blockId
+   * @param {string|null} date
+   */
+  async endFocusSession(blockId, date) {
+    return await this.focusSessions.endFocusSession(blockId, date);
+  }
+
+  /**
+   * @param {string} status
+   * @param {number} limit
+   */
+  async listKnowledgeGaps(status, limit) {
+    return await this.knowledgeGaps.listKnowledgeGaps(status, limit);
+  }
+
+  /**
+   * @param {string} gapId
+   * @param {string} resolution
+   * @param {string|null} taskId
+   */
+  async resolveKnowledgeGap(gapId, resolution, taskId) {
+    return await this.knowledgeGaps.resolveKnowledgeGap(gapId, resolution, taskId);
+  }
+
+  /**
+   * @param {string} gapId
+   * @param {string|null} title
+   * @param {string|null} branch
+   * @param {number} difficulty
+   * @param {string} duration
+   */
+  async promoteGapToTask(gapId, title, branch, difficulty, duration) {
+    return await this.knowledgeGaps.promoteGapToTask(
+      gapId,
+      title,
+      branch,
+      difficulty,
+      duration,
     );
   }
 
@@ -266,7 +662,7 @@ class CleanForestServer {
         throw new Error("Project configuration not found");
       }
 
-      const today = new Date().toISOString().split("T")[0];
+      const today = getToday(getProjectTimeZone(config));
       const schedule = await this.dataPersistence.loadProjectData(
         projectId,
         `day_${today}.json`,
@@ -283,8 +679,16 @@ class CleanForestServer {
         const completedBlocks = schedule.blocks.filter((/** @type {any} */ b) => b.completed);
         statusText += `**Today's Progress**: ${completedBlocks.length}/${schedule.blocks.length} blocks completed\n`;
 
-        const nextBlock = schedule.blocks.find((/** @type {any} */ b) => !b.completed);
-        if (nextBlock) {
+        const runningBlock = schedule.blocks.find(
+          (/** @type {any} */ b) => b.timerState === "running",
+        );
+        const nextBlock = schedule.blocks.find(
+          (/** @type {any} */ b) => !b.completed && !b.skipped && !b.deferred,
+        );
+        if (runningBlock) {
+          const minutes = this.taskCompletion.getTrackedMinutes(runningBlock);
+          statusText += `**In Progress**: ⏱️ ${runningBlock.title} (${minutes} of ${runningBlock.duration} min)\n`;
+        } else if (nextBlock) {
           statusText += `**Next Block**: ${nextBlock.title} at ${nextBlock.startTime}\n`;
         } else {
           statusText += `**Status**: All blocks completed for today! 🎉\n`;
@@ -298,23 +702,18 @@ class CleanForestServer {
       let allTasks = [];
       let completedCount = 0;
 
-      // HTA status - USING CONSISTENT FIELD NAMES
+      // HTA status - canonical schema (see schema-migrations.js)
       if (htaData) {
-        const frontierNodes =
-          htaData.frontier_nodes || htaData.frontierNodes || [];
-        const completedNodes = htaData.completed_nodes || [];
-        allTasks = [...frontierNodes, ...completedNodes];
-        completedCount =
-          completedNodes.length +
-          frontierNodes.filter((/** @type {any} */ n) => n.completed).length;
+        const frontierNodes = htaData.frontierNodes || [];
+        allTasks = frontierNodes;
+        completedCount = frontierNodes.filter((/** @type {any} */ n) => n.completed).length;
 
         const availableNodes = frontierNodes.filter((/** @type {any} */ node) => {
           if (node.completed) return false;
           if (node.prerequisites && node.prerequisites.length > 0) {
-            const completedIds = [
-              ...completedNodes.map((/** @type {any} */ n) => n.id),
-              ...frontierNodes.filter((/** @type {any} */ n) => n.completed).map((/** @type {any} */ n) => n.id),
-            ];
+            const completedIds = frontierNodes
+              .filter((/** @type {any} */ n) => n.completed)
+              .map((/** @type {any} */ n) => n.id);
             return node.prerequisites.every((/** @type {any} */ prereq) =>
               completedIds.includes(prereq),
             );
@@ -368,6 +767,55 @@ class CleanForestServer {
     }
   }
 
+  // ===== DATA MAINTENANCE METHODS =====
+
+  /** @param {boolean} dryRun */
+  async migrateDataFiles(dryRun = true) {
+    try {
+      const report = await this.dataPersistence.runMigrations({ dryRun });
+
+      let text = `🗄️ **Schema Migration ${dryRun ? "Report (dry run)" : "Complete"}**\n\n`;
+      text += `**Files scanned**: ${report.scanned}\n`;
+      text += `**Files ${dryRun ? "needing migration" : "migrated"}**: ${report.pending.length}\n`;
+
+      for (const entry of report.pending) {
+        const location = entry.pathName
+          ? `${entry.projectId}/paths/${entry.pathName}`
+          : entry.projectId;
+        text += `\n• **${location}/${entry.filename}** (v${entry.fromVersion} → v${entry.toVersion})\n`;
+        for (const change of entry.changes) {
+          text += `  - ${change}\n`;
+        }
+      }
+
+      if (report.errors.length > 0) {
+        text += `\n⚠️ **Errors** (${report.errors.length}):\n`;
+        for (const entry of report.errors) {
+          text += `• ${entry.projectId}/${entry.filename}: ${entry.error}\n`;
+        }
+      }
+
+      if (dryRun && report.pending.length > 0) {
+        text += `\n💡 Run \`migrate_data_files\` with dry_run=false to apply these changes`;
+      }
+
+      return {
+        content: [{ type: "text", text }],
+        migration_report: report,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("migrateDataFiles", error, { dryRun });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error migrating data files: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
   // ===== UTILITY METHODS =====
 
   /** @param {string} projectId 
@@ -0,0 +1,153 @@
+/**
+ * Spaced Repetition Module
+ * Schedules reviews of completed HTA tasks with an SM-2 style algorithm
+ *
+ * Each completed task gets a review item in the path's reviews.json. How
+ * hard the session felt decides the gap before the next review: easy
+ * recalls push it out (1 day, 6 days, then growing by the item's easiness
+ * factor) and struggles bring it back to tomorrow.
+ */
+
+import { addDays } from "./date-utils.js";
+
+const DEFAULT_EASINESS = 2.5;
+const MIN_EASINESS = 1.3;
+// Quality (0-5) below which a review counts as forgotten and restarts the cycle
+const PASSING_QUALITY = 3;
+// Reviews planned into a single day, so new work still gets most slots
+export const MAX_DAILY_REVIEWS = 2;
+export const REVIEW_DURATION = "15 minutes";
+export const REVIEW_TITLE_PREFIX = "Review: ";
+// Past results kept on each item
+const HISTORY_LIMIT = 10;
+const STRUGGLE_PATTERN = /struggl|confus|forgot|stuck|couldn'?t|didn'?t (?:get|understand|finish)/i;
+
+/**
+ * @typedef {Object} ReviewItem
+ * @property {string} taskId - HTA node the review is for.
+ * @property {string} title
+ * @property {string} [description]
+ * @property {string} [branch]
+ * @property {number} [difficulty]
+ * @property {number} [priority]
+ * @property {number} easiness - SM-2 easiness factor, at least 1.3.
+ * @property {number} repetitions - Successful reviews in a row.
+ * @property {number} interval - Days until the next review.
+ * @property {string} dueDate - YYYY-MM-DD
+ * @property {string} [lastReviewedOn]
+ * @property {{ date: string, quality: number, interval: number }[]} history
+ */
+
+/**
+ * Recall quality (0-5) of a session from its difficulty rating (1 = easy,
+ * 5 = very hard), one point lower when the outcome mentions struggling.
+ * @param {number} difficultyRating
+ * @param {string} [outcome]
+ */
+export function getReviewQuality(difficultyRating, outcome = "") {
+  const rating = Math.min(5, Math.max(1, Number(difficultyRating) || 3));
+  const quality = 6 - rating - (STRUGGLE_PATTERN.test(outcome || "") ? 1 : 0);
+  return Math.max(0, quality);
+}
+
+/**
+ * A fresh review item for a completed learning block.
+ * @param {any} block
+ * @returns {ReviewItem}
+ */
+export function createReviewItem(block) {
+  const title = String(block.title || block.taskId);
+  return {
+    taskId: block.taskId,
+    title: title.startsWith(REVIEW_TITLE_PREFIX)
+      ? title.slice(REVIEW_TITLE_PREFIX.length)
+      : title,
+    description: block.description || "",
+    branch: block.branch,
+    difficulty: block.difficulty,
+    priority: Number(block.priority) || 200,
+    easiness: DEFAULT_EASINESS,
+    repetitions: 0,
+    interval: 0,
+    dueDate: block.completedOnDate,
+    history: [],
+  };
+}
+
+/**
+ * Record a review result and schedule the next one.
+ * @param {ReviewItem} item - Updated in place.
+ * @param {number} quality - 0-5
+ * @param {string} date - YYYY-MM-DD the review happened.
+ */
+export function applyReview(item, quality, date) {
+  if (quality < PASSING_QUALITY) {
+    item.repetitions = 0;
+    item.interval = 1;
+  } else {
+    item.repetitions += 1;
+    if (item.repetitions === 1) item.interval = 1;
+    else if (item.repetitions === 2) item.interval = 6;
+    else item.interval = Math.round(item.interval * item.easiness);
+  }
+
+  const miss = 5 - quality;
+  item.easiness = Math.max(
+    MIN_EASINESS,
+    Math.round((item.easiness + 0.1 - miss * (0.08 + miss * 0.02)) * 100) / 100,
+  );
+  item.lastReviewedOn = date;
+  item.dueDate = addDays(date, item.interval);
+  item.history = [...(item.history || []), { date, quality, interval: item.interval }].slice(
+    -HISTORY_LIMIT,
+  );
+  return item;
+}
+
+/**
+ * Review items due on or before a date, most overdue first.
+ * @param {any} reviewData - Contents of reviews.json.
+ * @param {string} date
+ * @returns {ReviewItem[]}
+ */
+export function getDueReviews(reviewData, date) {
+  return (reviewData?.items || [])
+    .filter((/** @type {ReviewItem} */ item) => item.dueDate && item.dueDate <= date)
+    .sort(
+      (/** @type {ReviewItem} */ a, /** @type {ReviewItem} */ b) =>
+        a.dueDate.localeCompare(b.dueDate) || (b.priority || 200) - (a.priority || 200),
+    );
+}
+
+/**
+ * A review item in the shape of an HTA task, for the scheduler and task
+ * selection. Reviews are short and a notch easier than learning it was.
+ * @param {ReviewItem} item
+ */
+export function toReviewTask(item) {
+  return {
+    id: item.taskId,
+    title: `${REVIEW_TITLE_PREFIX}${item.title}`,
+    description: item.description || `Recall and practise what you learned in "${item.title}"`,
+    branch: item.branch,
+    difficulty: Math.max(1, (item.difficulty || 2) - 1),
+    duration: REVIEW_DURATION,
+    priority: item.priority || 200,
+    review: true,
+    reviewDue: item.dueDate,
+  };
+}
+
+/**
+ * Alternate new tasks and reviews, starting with new work.
+ * @param {any[]} tasks
+ * @param {any[]} reviews
+ */
+export function interleaveReviews(tasks, reviews) {
+  const merged = [];
+  for (let i = 0; i < Math.max(tasks.length, reviews.length); i++) {
+    if (i < tasks.length) merged.push(tasks[i]);
+    if (i < reviews.length) merged.push(reviews[i]);
+  }
+  return merged;
+}
@@ -0,0 +1,307 @@
+/**
+ * Storage Adapters Module
+ * Backends that hold Forest's JSON documents: the classic file tree or an embedded SQLite database
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// Optional dependency, only needed for FOREST_STORAGE=sqlite
+const SQLITE_MODULE = "better-sqlite3";
+
+/**
+ * Documents are addressed by slash-separated keys that mirror the file
+ * layout under the data directory, e.g. "config.json",
+ * "projects/<id>/hta.json" or "projects/<id>/paths/<path>/hta.json".
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {string} kind
+ * @property {(key: string) => Promise<any>} read - Parsed document, or null when missing.
+ * @property {(key: string, data: any) => Promise<void>} write - Atomically replace a document.
+ * @property {(key: string) => Promise<boolean>} remove - Delete a document; false when it didn't exist.
+ * @property {(prefix: string) => Promise<number>} removeAll - Delete every document under a prefix; returns how many.
+ * @property {(prefix?: string) => Promise<string[]>} listKeys - All document keys under a prefix.
+ * @property {(prefix?: string) => Promise<Array<{ key: string, data: any }>>} readAll - Bulk read of every document under a prefix.
+ * @property {() => Promise<void>} close
+ */
+
+/**
+ * One JSON file per document under the data directory (the original layout).
+ * @implements {StorageAdapter}
+ */
+export class FileStorageAdapter {
+  /** @param {string} dataDir */
+  constructor(dataDir) {
+    this.kind = "files";
+    this.dataDir = dataDir;
+  }
+
+  /** @param {string} key */
+  resolve(key) {
+    return path.join(this.dataDir, ...key.split("/"));
+  }
+
+  /** @param {string} key */
+  async read(key) {
+    let data;
+    try {
+      data = await fs.readFile(this.resolve(key), "utf8");
+    } catch (/** @type {any} */ error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+    return JSON.parse(data);
+  }
+
+  /**
+   * Write JSON to a temp file in the same directory, flush it to disk and
+   * rename it over the target, so readers only ever see the old or the new
+   * file — never a half-written one.
+   * @param {string} key
+   * @param {any} data
+   */
+  async write(key, data) {
+    const filePath = this.resolve(key);
+    const dir = path.dirname(filePath);
+    await fs.mkdir(dir, { recursive: true });
+
+    const tempPath = path.join(
+      dir,
+      `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(6).toString("hex")}.tmp`,
+    );
+
+    try {
+      const handle = await fs.open(tempPath, "w");
+      try {
+        await handle.writeFile(JSON.stringify(data, null, 2));
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  /** @param {string} key */
+  async remove(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+      return true;
+    } catch (/** @type {any} */ error) {
+      if (error.code === "ENOENT") return false;
+      throw error;
+    }
+  }
+
+  /**
+   * A prefix ending in "/" removes the whole directory, including any
+   * non-document files left in it.
+   * @param {string} prefix
+   */
+  async removeAll(prefix) {
+    const keys = await this.listKeys(prefix);
+    if (prefix.endsWith("/") && prefix.length > 1) {
+      await fs.rm(this.resolve(prefix.slice(0, -1)), { recursive: true, force: true });
+    } else {
+      for (const key of keys) await this.remove(key);
+    }
+    return keys.length;
+  }
+
+  /**
+   * Only the directory the prefix points into is walked, so listing one
+   * project's documents doesn't read every other project's files.
+   * @param {string} [prefix]
+   */
+  async listKeys(prefix = "") {
+    /** @type {string[]} */
+    const keys = [];
+    /** @param {string} relDir */
+    const walk = async (relDir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(relDir ? this.resolve(relDir) : this.dataDir, {
+          withFileTypes: true,
+        });
+      } catch {
+        return;
+      }
+      for (const entry of entries) {
+        // Skip in-flight temp files and anything that isn't a JSON document
+        if (entry.name.startsWith(".")) continue;
+        const key = relDir ? `${relDir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          await walk(key);
+        } else if (entry.name.endsWith(".json")) {
+          keys.push(key);
+        }
+      }
+    };
+
+    // A missing start directory just lists nothing
+    await walk(prefix.slice(0, Math.max(0, prefix.lastIndexOf("/"))));
+    return keys.filter((key) => key.startsWith(prefix)).sort();
+  }
+
+  /** @param {string} [prefix] */
+  async readAll(prefix = "") {
+    const documents = [];
+    for (const key of await this.listKeys(prefix)) {
+      documents.push({ key, data: await this.read(key) });
+    }
+    return documents;
+  }
+
+  async close() {}
+}
+
+/**
+ * All documents in one table of an embedded SQLite database, so bulk reads
+ * across projects are a single query instead of many file reads. Requires
+ * the optional `better-sqlite3` dependency.
+ * @implements {StorageAdapter}
+ */
+export class SqliteStorageAdapter {
+  /** @param {string} dbPath */
+  constructor(dbPath) {
+    this.kind = "sqlite";
+    this.dbPath = dbPath;
+    /** @type {any} */
+    this.db = null;
+    /** @type {Promise<any>|null} */
+    this.opening = null;
+  }
+
+  async open() {
+    if (this.db) return this.db;
+    if (!this.opening) {
+      this.opening = (async () => {
+        let Database;
+        try {
+          ({ default: Database } = /** @type {any} */ (await import(SQLITE_MODULE)));
+        } catch {
+          throw new Error(
+            'SQLite storage requires the "better-sqlite3" package. Install it with `npm install better-sqlite3`.',
+          );
+        }
+
+        await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+        const db = new Database(this.dbPath);
+        db.pragma("journal_mode = WAL");
+        db.exec(
+          `CREATE TABLE IF NOT EXISTS documents (
+            key TEXT PRIMARY KEY,
+            data TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+          )`,
+        );
+        this.db = db;
+        return db;
+      })();
+    }
+    return await this.opening;
+  }
+
+  /** @param {string} key */
+  async read(key) {
+    const db = await this.open();
+    const row = db.prepare("SELECT data FROM documents WHERE key = ?").get(key);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {any} data
+   */
+  async write(key, data) {
+    const db = await this.open();
+    db.prepare(
+      `INSERT INTO documents (key, data, updated_at) VALUES (?, ?, ?)
+       ON CONFLICT(key) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`,
+    ).run(key, JSON.stringify(data, null, 2), new Date().toISOString());
+  }
+
+  /** @param {string} key */
+  async remove(key) {
+    const db = await this.open();
+    return db.prepare("DELETE FROM documents WHERE key = ?").run(key).changes > 0;
+  }
+
+  /** @param {string} prefix */
+  async removeAll(prefix) {
+    const db = await this.open();
+    return db
+      .prepare("DELETE FROM documents WHERE substr(key, 1, length(?)) = ?")
+      .run(prefix, prefix).changes;
+  }
+
+  /** @param {string} [prefix] */
+  async listKeys(prefix = "") {
+    const db = await this.open();
+    return db
+      .prepare(
+        "SELECT key FROM documents WHERE substr(key, 1, length(?)) = ? ORDER BY key",
+      )
+      .all(prefix, prefix)
+      .map((/** @type {any} */ row) => row.key);
+  }
+
+  /** @param {string} [prefix] */
+  async readAll(prefix = "") {
+    const db = await this.open();
+    return db
+      .prepare(
+        "SELECT key, data FROM documents WHERE substr(key, 1, length(?)) = ? ORDER BY key",
+      )
+      .all(prefix, prefix)
+      .map((/** @type {any} */ row) => ({ key: row.key, data: JSON.parse(row.data) }));
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.opening = null;
+    }
+  }
+}
+
+/**
+ * @typedef {Object} StorageConfig
+ * @property {string} [kind] - "files" (default) or "sqlite".
+ * @property {string} dataDir - Data directory (file layout root, default home of the database).
+ * @property {string} [sqlitePath] - Database file, defaults to <dataDir>/forest.db.
+ */
+
+/**
+ * Read storage selection from FOREST_STORAGE / FOREST_SQLITE_PATH.
+ * @param {NodeJS.ProcessEnv} [env]
+ */
+export function storageConfigFromEnv(env = process.env) {
+  return {
+    kind: env.FOREST_STORAGE,
+    sqlitePath: env.FOREST_SQLITE_PATH
+      ? path.resolve(env.FOREST_SQLITE_PATH)
+      : undefined,
+  };
+}
+
+/**
+ * Build the storage adapter selected by configuration.
+ * @param {StorageConfig} config
+ * @returns {StorageAdapter}
+ */
+export function createStorageAdapter({ kind, dataDir, sqlitePath }) {
+  switch ((kind || "files").toLowerCase()) {
+    case "files":
+      return new FileStorageAdapter(dataDir);
+    case "sqlite":
+      return new SqliteStorageAdapter(sqlitePath || path.join(dataDir, "forest.db"));
+    default:
+      throw new Error(`Unknown storage backend "${kind}". Expected files or sqlite.`);
+  }
+}
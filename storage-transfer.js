@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * Storage Transfer Module
+ * Moves Forest data between the file layout and the SQLite database
+ *
+ * Usage:
+ *   node storage-transfer.js import [--data-dir DIR] [--db FILE] [--overwrite]
+ *     Copy a data directory's JSON files into the SQLite database.
+ *   node storage-transfer.js export [--data-dir DIR] [--db FILE] [--overwrite]
+ *     Write every document in the SQLite database back out as JSON files.
+ *
+ * DIR defaults to FOREST_DATA_DIR (or ~/.forest-data) and FILE to
+ * FOREST_SQLITE_PATH (or DIR/forest.db).
+ */
+
+import path from "path";
+import os from "os";
+import { FileStorageAdapter, SqliteStorageAdapter } from "./storage-adapters.js";
+
+/**
+ * Copy every document from one adapter to another. Documents already present
+ * in the target are skipped unless overwrite is set.
+ * @param {import("./storage-adapters.js").StorageAdapter} source
+ * @param {import("./storage-adapters.js").StorageAdapter} target
+ * @param {{ overwrite?: boolean }} [options]
+ */
+export async function transferStorage(source, target, { overwrite = false } = {}) {
+  const existing = new Set(await target.listKeys());
+  const result = { copied: 0, skipped: /** @type {string[]} */ ([]) };
+
+  for (const { key, data } of await source.readAll()) {
+    if (existing.has(key) && !overwrite) {
+      result.skipped.push(key);
+      continue;
+    }
+    await target.write(key, data);
+    result.copied++;
+  }
+
+  return result;
+}
+
+/** @param {string[]} args */
+function parseArgs(args) {
+  const [command, ...rest] = args;
+  /** @type {{ command: string, dataDir?: string, dbPath?: string, overwrite: boolean }} */
+  const options = { command, overwrite: false };
+  for (let i = 0; i < rest.length; i++) {
+    switch (rest[i]) {
+      case "--data-dir":
+        options.dataDir = rest[++i];
+        break;
+      case "--db":
+        options.dbPath = rest[++i];
+        break;
+      case "--overwrite":
+        options.overwrite = true;
+        break;
+      default:
+        throw new Error(`Unknown option "${rest[i]}"`);
+    }
+  }
+  return options;
+}
+
+/** @param {string[]} args */
+async function main(args) {
+  const options = parseArgs(args);
+  if (options.command !== "import" && options.command !== "export") {
+    throw new Error(
+      "Usage: storage-transfer.js <import|export> [--data-dir DIR] [--db FILE] [--overwrite]",
+    );
+  }
+
+  const dataDir = path.resolve(
+    options.dataDir || process.env.FOREST_DATA_DIR || path.join(os.homedir(), ".forest-data"),
+  );
+  const dbPath = path.resolve(
+    options.dbPath || process.env.FOREST_SQLITE_PATH || path.join(dataDir, "forest.db"),
+  );
+
+  const files = new FileStorageAdapter(dataDir);
+  const sqlite = new SqliteStorageAdapter(dbPath);
+  const [source, target] =
+    options.command === "import" ? [files, sqlite] : [sqlite, files];
+
+  try {
+    const { copied, skipped } = await transferStorage(source, target, {
+      overwrite: options.overwrite,
+    });
+    console.error(
+      `✅ ${options.command === "import" ? "Imported" : "Exported"} ${copied} documents ` +
+        `(${dataDir} ${options.command === "import" ? "→" : "←"} ${dbPath})`,
+    );
+    if (skipped.length > 0) {
+      console.error(
+        `⚠️ Skipped ${skipped.length} documents that already exist in the target (use --overwrite to replace):`,
+      );
+      for (const key of skipped) console.error(`   • ${key}`);
+    }
+  } finally {
+    await sqlite.close();
+  }
+}
+
+const currentFileUrl = import.meta.url;
+
+const argvPath = `file:///${(process.argv[1] || "").replace(/\\/g, "/")}`;
+
+if (currentFileUrl === argvPath || currentFileUrl === `file://${process.argv[1]}`) {
+  main(process.argv.slice(2)).catch((/** @type {any} */ error) => {
+    console.error("❌ Storage transfer failed:", error.message);
+    process.exit(1);
+  });
+}
@@ -3,6 +3,28 @@
  * Handles task completion and learning evolution
  */
 
+import {
+  addDays,
+  daysBetween,
+  getProjectTimeZone,
+  getToday,
+  getZonedParts,
+  zonedTimeToUtc,
+} from "./date-utils.js";
+import { closeFocusSession, summarizeFocusSession } from "./focus-sessions.js";
+import { syncBranchCompletion } from "./hta-hierarchy.js";
+import { recordKnowledgeGaps, resolveGapsAnsweredBy } from "./knowledge-gaps.js";
+import { parseBlockTime } from "./schedule-exporters.js";
+import { applyReview, createReviewItem, getReviewQuality } from "./spaced-repetition.js";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Skips and deferrals of the same task before analytics flags it as avoided
+export const AVOIDANCE_THRESHOLD = 3;
+// How far back a block id is looked up when no date is given
+const RECENT_SCHEDULE_DAYS = 7;
+// Tracked sessions per branch that duration corrections are based on
+const DURATION_SAMPLE_WINDOW = 10;
+
 export class TaskCompletion {
   constructor(dataPersistence, projectManagement) {
     this.dataPersistence = dataPersistence;
@@ -25,6 +47,7 @@ export class TaskCompletion {
     viralPotential = false,
     industryConnections = [],
     serendipitousEvents = [],
+    /** @type {string|null} */ date = null,
   ) {
     try {
       const projectId = await this.projectManagement.requireActiveProject();
@@ -36,63 +59,75 @@ export class TaskCompletion {
       if (!config) {
         throw new Error("Project configuration not found");
       }
+      const timeZone = getProjectTimeZone(config);
 
-      // Load today's schedule to find the block
-      const today = new Date().toISOString().split("T")[0];
-      const schedule =
-        (await this.dataPersistence.loadProjectData(
-          projectId,
-          `day_${today}.json`,
-        )) || {};
-
-      const block = schedule.blocks?.find((b) => b.id === blockId);
-      if (!block) {
-        throw new Error(`Block ${blockId} not found in today's schedule`);
-      }
-
-      // Mark block as completed
-      block.completed = true;
-      block.completedAt = new Date().toISOString();
-      block.outcome = outcome;
-      block.learned = learned;
-      block.nextQuestions = nextQuestions;
-      block.energyAfter = energyLevel;
-      block.difficultyRating = difficultyRating;
-      block.breakthrough = breakthrough;
-
-      // Add opportunity detection context if provided
-      if (engagementLevel !== 5 || unexpectedResults.length > 0) {
-        block.opportunityContext = {
-          engagementLevel,
-          unexpectedResults,
-          newSkillsRevealed,
-          externalFeedback,
-          socialReactions,
-          viralPotential,
-          industryConnections,
-          serendipitousEvents,
-        };
-      }
-
-      // Save updated schedule
-      await this.dataPersistence.saveProjectData(
+      // Mark the block completed under the file lock so a concurrent
+      // evolve_strategy or second completion can't drop this update
+      const { schedule, block } = await this.updateScheduleBlock(
         projectId,
-        `day_${today}.json`,
-        schedule,
+        blockId,
+        date,
+        (block, daySchedule, blockDate) => {
+          this.assertBlockOpen(block);
+          block.completed = true;
+          block.completedAt = new Date().toISOString();
+          closeFocusSession(block, block.completedAt);
+          this.stopTimer(block, block.completedAt);
+          Object.assign(block, this.getCompletionTiming(blockDate, block, timeZone));
+          block.outcome = outcome;
+          block.learned = learned;
+          block.nextQuestions = nextQuestions;
+          block.energyAfter = energyLevel;
+          block.difficultyRating = difficultyRating;
+          block.breakthrough = breakthrough;
+
+          // Add opportunity detection context if provided
+          if (engagementLevel !== 5 || unexpectedResults.length > 0) {
+            block.opportunityContext = {
+              engagementLevel,
+              unexpectedResults,
+              newSkillsRevealed,
+              externalFeedback,
+              socialReactions,
+              viralPotential,
+              industryConnections,
+              serendipitousEvents,
+            };
+          }
+        },
+        timeZone,
       );
 
+      // A block planned on an earlier day belongs to the path it was planned
+      // for, even if the active path has changed since
+      const pathName = this.getSchedulePath(schedule, config);
+
       // Update learning history
-      await this.updateLearningHistory(
+      const answeredGaps = await this.updateLearningHistory(
         projectId,
-        config.activePath || "general",
+        pathName,
         block,
       );
 
-      // Evolve HTA tree based on learning
-      if (learned || nextQuestions || breakthrough) {
-        await this.evolveHTABasedOnLearning(
+      // Schedule when the task should next be reviewed
+      const review =
+        block.taskId && block.type === "learning"
+          ? await this.recordReview(projectId, pathName, block)
+          : null;
+
+      // Mark the task's HTA node done and evolve the tree based on learning
+      // (and on the time a timed block took)
+      let completedBranches = [];
+      if (
+        block.taskId ||
+        learned ||
+        nextQuestions ||
+        breakthrough ||
+        Number.isFinite(block.actualDuration)
+      ) {
+        completedBranches = await this.evolveHTABasedOnLearning(
           projectId,
-          config.activePath || "general",
+          pathName,
           block,
         );
       }
@@ -106,6 +141,9 @@ export class TaskCompletion {
       const responseText = this.generateCompletionResponse(
         block,
         opportunityResponse,
+        review,
+        answeredGaps,
+        completedBranches,
       );
 
       return {
@@ -116,6 +154,9 @@ export class TaskCompletion {
           },
         ],
         block_completed: block,
+        next_review: review,
+        answered_gaps: answeredGaps,
+        completed_branches: completedBranches,
         opportunity_analysis: opportunityResponse,
         next_suggested_action: this.suggestNextAction(block, schedule),
       };
@@ -135,16 +176,766 @@ export class TaskCompletion {
     }
   }
 
-  async updateLearningHistory(projectId, pathName, block) {
-    const learningHistory = (await this.loadPathLearningHistory(
+  /**
+   * @param {string} blockId
+   */
+  async skipBlock(blockId, reason = "", /** @type {string|null} */ date = null) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(
+        projectId,
+        "config.json",
+      );
+      if (!config) {
+        throw new Error("Project configuration not found");
+      }
+
+      const { schedule, block, date: scheduledDate } = await this.updateScheduleBlock(
+        projectId,
+        blockId,
+        date,
+        (block) => {
+          this.assertBlockOpen(block);
+          block.skipped = true;
+          block.skippedAt = new Date().toISOString();
+          closeFocusSession(block, block.skippedAt);
+          this.stopTimer(block, block.skippedAt);
+          block.skipReason = reason;
+        },
+        getProjectTimeZone(config),
+      );
+
+      const avoidanceCount = await this.recordAvoidance(
+        projectId,
+        this.getSchedulePath(schedule, config),
+        block,
+        { action: "skipped", reason, scheduledDate },
+      );
+
+      let text = `⏭️ **Block Skipped**: ${block.title}\n\n`;
+      if (reason) text += `**Reason**: ${reason}\n`;
+      if (block.review) {
+        text += `🔁 The review stays due and will be scheduled again\n`;
+      } else if (block.taskId) {
+        text += `📋 The task stays open and will be scheduled again\n`;
+      }
+      text += this.formatAvoidanceWarning(block, avoidanceCount);
+
+      return {
+        content: [{ type: "text", text }],
+        block_skipped: block,
+        avoidance_count: avoidanceCount,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("skipBlock", error, {
+        blockId,
+        reason,
+        date,
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error skipping block: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * @param {string} blockId
+   * @param {string} toDate
+   */
+  async deferBlock(blockId, toDate, reason = "", /** @type {string|null} */ date = null) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(
+        projectId,
+        "config.json",
+      );
+      if (!config) {
+        throw new Error("Project configuration not found");
+      }
+
+      if (!DATE_PATTERN.test(toDate || "") || Number.isNaN(Date.parse(toDate))) {
+        throw new Error(`Invalid to_date "${toDate}". Use YYYY-MM-DD`);
+      }
+
+      const { schedule, block, date: scheduledDate } = await this.updateScheduleBlock(
+        projectId,
+        blockId,
+        date,
+        (block, daySchedule, blockDate) => {
+          this.assertBlockOpen(block);
+          if (toDate <= blockDate) {
+            throw new Error(`to_date must be after ${blockDate}, the day the block is scheduled`);
+          }
+          if (!block.taskId) {
+            throw new Error(
+              `Only learning tasks can be deferred; "${block.title}" is a ${block.type} block — use skip_block instead`,
+            );
+          }
+          block.deferred = true;
+          block.deferredAt = new Date().toISOString();
+          closeFocusSession(block, block.deferredAt);
+          this.stopTimer(block, block.deferredAt);
+          block.deferredTo = toDate;
+          block.deferReason = reason;
+        },
+        getProjectTimeZone(config),
+      );
+
+      const pathName = this.getSchedulePath(schedule, config);
+      // The scheduler leaves the task out of plans before toDate
+      if (block.review) {
+        await this.updatePathReviews(projectId, pathName, (reviews) => {
+          const item = reviews?.items?.find((/** @type {any} */ i) => i.taskId === block.taskId);
+          if (!item) return null;
+          item.dueDate = toDate;
+        });
+      } else {
+        await this.updatePathHTA(projectId, pathName, (htaData) => {
+          const node = htaData?.frontierNodes?.find(
+            (/** @type {any} */ n) => n.id === block.taskId,
+          );
+          if (!node) return null;
+          node.deferredUntil = toDate;
+        });
+      }
+
+      const avoidanceCount = await this.recordAvoidance(projectId, pathName, block, {
+        action: "deferred",
+        reason,
+        scheduledDate,
+        deferredTo: toDate,
+      });
+
+      const targetSchedule = await this.dataPersistence.loadProjectData(
+        projectId,
+        `day_${toDate}.json`,
+      );
+
+      let text = `📥 **Block Deferred**: ${block.title} → ${toDate}\n\n`;
+      if (reason) text += `**Reason**: ${reason}\n`;
+      text += targetSchedule
+        ? `💡 ${toDate} is already planned — regenerate it with \`generate_daily_schedule\` to fit this task in\n`
+        : `📋 The task will be planned first when you schedule ${toDate}\n`;
+      text += this.formatAvoidanceWarning(block, avoidanceCount);
+
+      return {
+        content: [{ type: "text", text }],
+        block_deferred: block,
+        avoidance_count: avoidanceCount,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("deferBlock", error, {
+        blockId,
+        toDate,
+        reason,
+        date,
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error deferring block: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * @param {string} blockId
+   * @param {number} percentComplete
+   * @param {string} outcome
+   * @param {number} energyLevel
+   */
+  async partiallyCompleteBlock(
+    blockId,
+    percentComplete,
+    outcome,
+    learned = "",
+    energyLevel,
+    /** @type {string|null} */ date = null,
+  ) {
+    try {
+      if (
+        !Number.isFinite(percentComplete) ||
+        percentComplete < 1 ||
+        percentComplete > 99
+      ) {
+        throw new Error(
+          "percent_complete must be between 1 and 99 — use complete_block for finished blocks",
+        );
+      }
+
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(
+        projectId,
+        "config.json",
+      );
+      if (!config) {
+        throw new Error("Project configuration not found");
+      }
+
+      const recordedAt = new Date().toISOString();
+      const { schedule, block } = await this.updateScheduleBlock(
+        projectId,
+        blockId,
+        date,
+        (block) => {
+          this.assertBlockOpen(block);
+          block.percentComplete = Math.round(percentComplete);
+          block.progress = [
+            ...(block.progress || []),
+            {
+              percentComplete: block.percentComplete,
+              outcome,
+              learned,
+              energyAfter: energyLevel,
+              recordedAt,
+            },
+          ];
+        },
+        getProjectTimeZone(config),
+      );
+
+      const pathName = this.getSchedulePath(schedule, config);
+      await this.updatePathLearningHistory(projectId, pathName, (existing) => {
+        const learningHistory = existing || {
+          completedTopics: [],
+          insights: [],
+          knowledgeGaps: [],
+          skillProgression: {},
+        };
+        learningHistory.partialProgress = learningHistory.partialProgress || [];
+        learningHistory.partialProgress.push({
+          topic: block.title,
+          taskId: block.taskId,
+          blockId: block.id,
+          percentComplete: block.percentComplete,
+          outcome,
+          learned,
+          energyAfter: energyLevel,
+          recordedAt,
+        });
+        return learningHistory;
+      });
+
+      // The HTA node stays open; remember how far along it is
+      if (block.taskId) {
+        await this.updatePathHTA(projectId, pathName, (htaData) => {
+          const node = htaData?.frontierNodes?.find(
+            (/** @type {any} */ n) => n.id === block.taskId,
+          );
+          if (!node) return null;
+          node.progress = block.percentComplete;
+          node.lastWorkedOn = recordedAt;
+        });
+      }
+
+      let text = `🌓 **Block Partially Completed**: ${block.title} (${block.percentComplete}%)\n\n`;
+      text += `**Outcome**: ${outcome}\n`;
+      if (learned) text += `**Learned**: ${learned}\n`;
+      if (energyLevel) text += `**Energy After**: ${energyLevel}/5\n`;
+      text += `\n📋 The block stays open — finish it with \`complete_block\`, or \`reschedule_day\` to make room`;
+
+      return {
+        content: [{ type: "text", text }],
+        block_progress: block,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("partiallyCompleteBlock", error, {
+        blockId,
+        percentComplete,
+        date,
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error recording partial completion: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Start (or resume) the timer of a block. Only one block per day runs at
+   * a time, so a block already running that day is paused first.
+   * @param {string} blockId
+   */
+  async startBlock(blockId, /** @type {string|null} */ date = null) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(
+        projectId,
+        "config.json",
+      );
+      if (!config) {
+        throw new Error("Project configuration not found");
+      }
+
+      /** @type {any[]} */
+      let paused = [];
+      const { block } = await this.updateScheduleBlock(
+        projectId,
+        blockId,
+        date,
+        (block, daySchedule) => {
+          this.assertBlockOpen(block);
+          if (block.timerState === "running") {
+            throw new Error(
+              `Block ${block.id} has been running since ${block.timeLog[block.timeLog.length - 1].start}`,
+            );
+          }
+          paused = this.startTimer(block, daySchedule, new Date().toISOString());
+        },
+        getProjectTimeZone(config),
+      );
+
+      const tracked = this.getTrackedMinutes(block);
+      let text = `▶️ **Timer Started**: ${block.title}\n\n`;
+      text += `**Planned**: ${block.duration} min\n`;
+      if (tracked > 0) text += `**Already Tracked**: ${tracked} min\n`;
+      for (const other of paused) {
+        text += `⏸️ Paused ${other.title} (${this.getTrackedMinutes(other)} min tracked)\n`;
+      }
+      text += `\nUse \`pause_block\` for interruptions and \`stop_block\` or \`complete_block\` when done`;
+
+      return {
+        content: [{ type: "text", text }],
+        block_started: block,
+        paused_blocks: paused.map((other) => other.id),
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("startBlock", error, { blockId, date });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error starting block timer: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * @param {string} blockId
+   */
+  async pauseBlock(blockId, /** @type {string|null} */ date = null) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(
+        projectId,
+        "config.json",
+      );
+      if (!config) {
+        throw new Error("Project configuration not found");
+      }
+
+      const { block } = await this.updateScheduleBlock(
+        projectId,
+        blockId,
+        date,
+        (block) => {
+          if (block.timerState !== "running") {
+            throw new Error(`Block ${block.id} has no running timer`);
+          }
+          this.pauseTimer(block, new Date().toISOString());
+        },
+        getProjectTimeZone(config),
+      );
+
+      return {
+        content: [
+          {
+            type: "text",
+            text:
+              `⏸️ **Timer Paused**: ${block.title}\n\n` +
+              `**Tracked So Far**: ${this.getTrackedMinutes(block)} of ${block.duration} planned min\n\n` +
+              "Use `start_block` to resume",
+          },
+        ],
+        block_paused: block,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("pauseBlock", error, { blockId, date });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error pausing block timer: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Stop a block's timer and record the time actually spent on it. The
+   * block stays open; completing it passes the tracked time on to the HTA
+   * node and learning history.
+   * @param {string} blockId
+   */
+  async stopBlock(blockId, /** @type {string|null} */ date = null) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(
+        projectId,
+        "config.json",
+      );
+      if (!config) {
+        throw new Error("Project configuration not found");
+      }
+
+      const { block } = await this.updateScheduleBlock(
+        projectId,
+        blockId,
+        date,
+        (block) => {
+          if (block.timerState !== "running" && block.timerState !== "paused") {
+            throw new Error(
+              block.timerState === "stopped"
+                ? `The timer of block ${block.id} is already stopped (${block.actualDuration} min)`
+                : `Block ${block.id} has no timer; use \`start_block\` first`,
+            );
+          }
+          this.stopTimer(block, new Date().toISOString());
+        },
+        getProjectTimeZone(config),
+      );
+
+      let text = `⏹️ **Timer Stopped**: ${block.title}\n\n`;
+      text += this.formatTrackedTime(block);
+      if (!block.completed) {
+        text += `\nUse \`complete_block\` to log the outcome`;
+      }
+
+      return {
+        content: [{ type: "text", text }],
+        block_stopped: block,
+        actual_duration: block.actualDuration,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("stopBlock", error, { blockId, date });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error stopping block timer: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * The learning path a day's schedule was planned for, falling back to the
+   * active path for schedules saved without one.
+   * @param {any} schedule
+   * @param {any} config
+   * @returns {string}
+   */
+  getSchedulePath(schedule, config) {
+    return schedule?.activePath || config.activePath || "general";
+  }
+
+  /**
+   * Change one block of a day's schedule while holding the file lock. Without
+   * a date the block is looked up in recent schedules (see resolveBlockDate).
+   * @param {string} projectId
+   * @param {string} blockId
+   * @param {string|null|undefined} date
+   * @param {(block: any, daySchedule: any, date: string) => void} mutate
+   * @param {string|null} [timeZone] - The project's zone, which decides what "today" is.
+   * @returns {Promise<{ schedule: any, block: any, date: string }>}
+   */
+  async updateScheduleBlock(projectId, blockId, date, mutate, timeZone = null) {
+    const blockDate = date
+      ? this.validateScheduleDate(date)
+      : await this.resolveBlockDate(projectId, blockId, timeZone);
+    let block;
+    const schedule = await this.dataPersistence.updateProjectData(
       projectId,
-      pathName,
-    )) || {
-      completedTopics: [],
-      insights: [],
-      knowledgeGaps: [],
-      skillProgression: {},
+      `day_${blockDate}.json`,
+      (/** @type {any} */ daySchedule) => {
+        block = daySchedule?.blocks?.find((/** @type {any} */ b) => b.id === blockId);
+        if (!block) {
+          throw new Error(`Block ${blockId} not found in the schedule for ${blockDate}`);
+        }
+        mutate(block, daySchedule, blockDate);
+      },
+    );
+    return { schedule, block, date: blockDate };
+  }
+
+  /**
+   * @param {string} date
+   */
+  validateScheduleDate(date) {
+    if (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+      throw new Error(`Invalid date "${date}". Use YYYY-MM-DD`);
+    }
+    return date;
+  }
+
+  /**
+   * Find the schedule a block id refers to. Block ids repeat from day to
+   * day, so an open block in today's schedule wins; otherwise it has to be
+   * open in exactly one of the previous days' schedules, or the caller has
+   * to say which date is meant.
+   * @param {string} projectId
+   * @param {string} blockId
+   * @param {string|null} [timeZone]
+   */
+  async resolveBlockDate(projectId, blockId, timeZone = null) {
+    const today = getToday(timeZone);
+    const matches = [];
+    let closedMatch = null;
+    for (let offset = 0; offset <= RECENT_SCHEDULE_DAYS; offset++) {
+      const date = addDays(today, -offset);
+      const schedule = await this.dataPersistence.loadProjectData(
+        projectId,
+        `day_${date}.json`,
+      );
+      const block = schedule?.blocks?.find((/** @type {any} */ b) => b.id === blockId);
+      if (!block) continue;
+      if (block.completed || block.skipped || block.deferred) {
+        closedMatch = closedMatch || date;
+      } else if (offset === 0) {
+        return date;
+      } else {
+        matches.push({ date, title: block.title });
+      }
+    }
+
+    if (matches.length === 1) return matches[0].date;
+    if (matches.length > 1) {
+      throw new Error(
+        `Block ${blockId} is open in several schedules (` +
+          matches.map((m) => `${m.date}: "${m.title}"`).join(", ") +
+          "). Pass date to say which one",
+      );
+    }
+    // Only finished blocks match: let the caller report what state it's in
+    if (closedMatch) return closedMatch;
+    throw new Error(
+      `Block ${blockId} not found in the schedules of the last ${RECENT_SCHEDULE_DAYS} days`,
+    );
+  }
+
+  /**
+   * When the block was planned versus when it was actually completed, in
+   * minutes (positive = finished after the planned end). Block times are
+   * wall-clock times in the project's time zone.
+   * @param {string} date
+   * @param {any} block
+   * @param {string|null} [timeZone]
+   */
+  getCompletionTiming(date, block, timeZone = null) {
+    const start = parseBlockTime(block.startTime);
+    const plannedEnd = zonedTimeToUtc(date, start + (block.duration || 0), timeZone);
+    const completedAt = new Date(block.completedAt);
+    return {
+      scheduledDate: date,
+      scheduledEnd: plannedEnd.toISOString(),
+      completedOnDate: getZonedParts(completedAt, timeZone).date,
+      completionDelayMinutes: Math.round(
+        (completedAt.getTime() - plannedEnd.getTime()) / 60000,
+      ),
     };
+  }
+
+  /**
+   * Start or resume a block's timer, pausing any other block running in the
+   * same day's schedule.
+   * @param {any} block
+   * @param {any} daySchedule
+   * @param {string} at - ISO timestamp.
+   * @returns {any[]} The blocks that were paused.
+   */
+  startTimer(block, daySchedule, at) {
+    const paused = [];
+    for (const other of daySchedule.blocks) {
+      if (other !== block && other.timerState === "running") {
+        this.pauseTimer(other, at);
+        paused.push(other);
+      }
+    }
+    if (block.timerState === "running") return paused;
+    block.timeLog = block.timeLog || [];
+    block.timeLog.push({ start: at, end: null });
+    block.timerState = "running";
+    // Restarting a stopped block keeps counting from where it stopped
+    delete block.actualDuration;
+    return paused;
+  }
+
+  /**
+   * @param {any} block
+   * @param {string} at - ISO timestamp.
+   */
+  pauseTimer(block, at) {
+    if (block.timerState !== "running") return;
+    this.closeTimerSegment(block, at);
+    block.timerState = "paused";
+  }
+
+  /**
+   * End the running segment of a block's time log.
+   * @param {any} block
+   * @param {string} at - ISO timestamp.
+   */
+  closeTimerSegment(block, at) {
+    const segment = block.timeLog?.[block.timeLog.length - 1];
+    if (segment && !segment.end) segment.end = at;
+  }
+
+  /**
+   * Stop a running or paused timer and store the tracked minutes as the
+   * block's actualDuration. Blocks without a timer are left alone.
+   * @param {any} block
+   * @param {string} at - ISO timestamp.
+   */
+  stopTimer(block, at) {
+    if (block.timerState !== "running" && block.timerState !== "paused") return;
+    this.closeTimerSegment(block, at);
+    block.timerState = "stopped";
+    block.actualDuration = this.getTrackedMinutes(block);
+  }
+
+  /**
+   * Minutes in a block's time log, counting a running segment up to now.
+   * @param {any} block
+   */
+  getTrackedMinutes(block, now = new Date()) {
+    const ms = (block.timeLog || []).reduce(
+      (/** @type {any} */ sum, /** @type {any} */ segment) =>
+        sum +
+        Math.max(0, new Date(segment.end || now).getTime() - new Date(segment.start).getTime()),
+      0,
+    );
+    return Math.round(ms / 60000);
+  }
+
+  /**
+   * @param {any} block
+   */
+  formatTrackedTime(block) {
+    let text = `**Time Spent**: ${block.actualDuration} min (planned ${block.duration} min)\n`;
+    const difference = block.actualDuration - block.duration;
+    if (block.duration > 0 && Math.abs(difference) >= 5) {
+      text += `${difference > 0 ? "🐢" : "⚡"} ${Math.abs(difference)} min ${difference > 0 ? "over" : "under"} the estimate\n`;
+    }
+    return text;
+  }
+
+  /**
+   * @param {any} block
+   */
+  assertBlockOpen(block) {
+    if (block.completed) {
+      throw new Error(`Block ${block.id} is already completed`);
+    }
+    if (block.skipped) {
+      throw new Error(`Block ${block.id} was already skipped`);
+    }
+    if (block.deferred) {
+      throw new Error(`Block ${block.id} was already deferred to ${block.deferredTo}`);
+    }
+  }
+
+  /**
+   * Log a skip or deferral in learning history (and on the HTA node) so
+   * analytics can spot tasks that keep getting put off.
+   * @param {string} projectId
+   * @param {string} pathName
+   * @param {any} block
+   * @param {any} details
+   * @returns {Promise<number>} How often this task has now been avoided.
+   */
+  async recordAvoidance(projectId, pathName, block, details) {
+    const key = block.taskId || block.title;
+    let count = 0;
+    await this.updatePathLearningHistory(projectId, pathName, (existing) => {
+      const learningHistory = existing || {
+        completedTopics: [],
+        insights: [],
+        knowledgeGaps: [],
+        skillProgression: {},
+      };
+      learningHistory.taskAvoidance = learningHistory.taskAvoidance || [];
+      learningHistory.taskAvoidance.push({
+        ...details,
+        topic: block.title,
+        taskId: block.taskId,
+        blockId: block.id,
+        blockType: block.type,
+        recordedAt: new Date().toISOString(),
+      });
+      count = learningHistory.taskAvoidance.filter(
+        (/** @type {any} */ entry) => (entry.taskId || entry.topic) === key,
+      ).length;
+      return learningHistory;
+    });
+
+    if (block.taskId) {
+      await this.updatePathHTA(projectId, pathName, (htaData) => {
+        const node = htaData?.frontierNodes?.find(
+          (/** @type {any} */ n) => n.id === block.taskId,
+        );
+        if (!node) return null;
+        node.avoidanceCount = count;
+      });
+    }
+    return count;
+  }
+
+  /**
+   * @param {any} block
+   * @param {number} avoidanceCount
+   */
+  formatAvoidanceWarning(block, avoidanceCount) {
+    if (avoidanceCount < AVOIDANCE_THRESHOLD) return "";
+    return (
+      `\n⚠️ "${block.title}" has been skipped or deferred ${avoidanceCount} times. ` +
+      `Consider breaking it into smaller steps or asking what's in the way.\n`
+    );
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {string} pathName
+   * @param {any} block
+   * @returns {Promise<import("./knowledge-gaps.js").KnowledgeGap[]>} Knowledge gaps the block answered.
+   */
+  async updateLearningHistory(projectId, pathName, block) {
+    /** @type {import("./knowledge-gaps.js").KnowledgeGap[]} */
+    let answeredGaps = [];
+    await this.updatePathLearningHistory(projectId, pathName, (existing) => {
+      const learningHistory = existing || {
+        completedTopics: [],
+        insights: [],
+        knowledgeGaps: [],
+        skillProgression: {},
+      };
+      answeredGaps = this.recordCompletionInHistory(learningHistory, block);
+      return learningHistory;
+    });
+    return answeredGaps;
+  }
+
+  /**
+   * @param {any} learningHistory
+   * @param {any} block
+   */
+  recordCompletionInHistory(learningHistory, block) {
+    const focus = block.focusSession ? summarizeFocusSession(block.focusSession) : null;
 
     // Add completed topic
     learningHistory.completedTopics.push({
@@ -158,6 +949,19 @@ export class TaskCompletion {
       breakthrough: block.breakthrough,
       blockId: block.id,
       taskId: block.taskId,
+      branch: block.branch,
+      plannedDuration: block.duration,
+      actualDuration: block.actualDuration,
+      scheduledDate: block.scheduledDate,
+      scheduledEnd: block.scheduledEnd,
+      completedOnDate: block.completedOnDate,
+      completionDelayMinutes: block.completionDelayMinutes,
+      ...(focus && {
+        focusMinutes: focus.focusMinutes,
+        focusIntervals: focus.completedIntervals,
+        plannedFocusIntervals: focus.plannedIntervals,
+        interruptions: focus.interruptions,
+      }),
     });
 
     // Add insights if breakthrough
@@ -170,19 +974,15 @@ export class TaskCompletion {
       });
     }
 
-    // Add knowledge gaps from next questions
+    // Add knowledge gaps from next questions, and close the ones this task was for
     if (block.nextQuestions) {
-      const questions = block.nextQuestions
-        .split(".")
-        .filter((q) => q.trim().length > 0);
-      for (const question of questions) {
-        learningHistory.knowledgeGaps.push({
-          question: question.trim(),
-          relatedTopic: block.title,
-          identified: block.completedAt,
-          priority: block.breakthrough ? "high" : "medium",
-        });
-      }
+      recordKnowledgeGaps(learningHistory, block);
+    }
+    const answeredGaps = resolveGapsAnsweredBy(learningHistory, block);
+
+    // Reviews run at their own pace, so they don't skew new-task estimates
+    if (block.branch && !block.review && block.actualDuration > 0 && block.duration > 0) {
+      this.recordDurationEstimate(learningHistory, block);
     }
 
     // Update skill progression
@@ -205,21 +1005,92 @@ export class TaskCompletion {
       );
     }
 
-    await this.savePathLearningHistory(projectId, pathName, learningHistory);
+    return answeredGaps;
+  }
+
+  /**
+   * Track how far tracked time strays from planned time per branch. The
+   * ratio (actual / planned) is the median of the latest samples, so one
+   * distracted session doesn't throw off future estimates.
+   * @param {any} learningHistory
+   * @param {any} block
+   */
+  recordDurationEstimate(learningHistory, block) {
+    learningHistory.durationEstimates = learningHistory.durationEstimates || {};
+    const estimate = learningHistory.durationEstimates[block.branch] || {
+      samples: 0,
+      recentRatios: [],
+      ratio: 1,
+    };
+    estimate.samples += 1;
+    estimate.recentRatios = [
+      ...estimate.recentRatios,
+      Math.round((block.actualDuration / block.duration) * 100) / 100,
+    ].slice(-DURATION_SAMPLE_WINDOW);
+    const sorted = [...estimate.recentRatios].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    estimate.ratio =
+      sorted.length % 2
+        ? sorted[middle]
+        : Math.round(((sorted[middle - 1] + sorted[middle]) / 2) * 100) / 100;
+    estimate.updatedAt = block.completedAt;
+    learningHistory.durationEstimates[block.branch] = estimate;
+  }
+
+  /**
+   * Schedule the next review of a completed task. The first completion
+   * starts its review cycle; each completed review moves it along.
+   * @param {string} projectId
+   * @param {string} pathName
+   * @param {any} block
+   * @returns {Promise<import("./spaced-repetition.js").ReviewItem|null>}
+   */
+  async recordReview(projectId, pathName, block) {
+    const quality = getReviewQuality(block.difficultyRating, block.outcome);
+    const saved = await this.updatePathReviews(projectId, pathName, (existing) => {
+      const reviews = existing || { items: [] };
+      let item = reviews.items.find((/** @type {any} */ i) => i.taskId === block.taskId);
+      if (!item) {
+        item = createReviewItem(block);
+        reviews.items.push(item);
+      }
+      applyReview(item, quality, block.completedOnDate);
+      reviews.lastUpdated = block.completedAt;
+      return reviews;
+    });
+    return saved?.items.find((/** @type {any} */ i) => i.taskId === block.taskId) || null;
   }
 
+  /**
+   * @returns {Promise<any[]>} Branches the completion finished.
+   */
   async evolveHTABasedOnLearning(projectId, pathName, block) {
-    const htaData = await this.loadPathHTA(projectId, pathName);
-    if (!htaData) return;
+    /** @type {any[]} */
+    let completedBranches = [];
+    await this.updatePathHTA(projectId, pathName, (htaData) => {
+      if (!htaData) return;
+      completedBranches = this.applyLearningToHTA(htaData, block);
+    });
+    return completedBranches;
+  }
 
-    // Mark corresponding HTA node as completed
-    if (block.taskId) {
+  /**
+   * @param {any} htaData
+   * @param {any} block
+   */
+  applyLearningToHTA(htaData, block) {
+    // Mark corresponding HTA node as completed (a review leaves it as first completed)
+    if (block.taskId && !block.review) {
       const node = htaData.frontierNodes?.find((n) => n.id === block.taskId);
       if (node) {
         node.completed = true;
         node.completedAt = block.completedAt;
         node.actualDifficulty = block.difficultyRating;
-        node.actualDuration = block.duration;
+        node.plannedDuration = block.duration;
+        // Only time measured with start_block/stop_block counts as actual
+        if (Number.isFinite(block.actualDuration)) {
+          node.actualDuration = block.actualDuration;
+        }
       }
     }
 
@@ -242,7 +1113,9 @@ export class TaskCompletion {
     }
 
     htaData.lastUpdated = new Date().toISOString();
-    await this.savePathHTA(projectId, pathName, htaData);
+
+    // Follow-up tasks can reopen a branch, so sync after adding them
+    return syncBranchCompletion(htaData);
   }
 
   generateFollowUpTasks(block, htaData) {
@@ -415,7 +1288,17 @@ export class TaskCompletion {
     }
   }
 
-  generateCompletionResponse(block, opportunityResponse) {
+  /**
+   * @param {any} block
+   * @param {any} opportunityResponse
+   */
+  generateCompletionResponse(
+    block,
+    opportunityResponse,
+    /** @type {any} */ review = null,
+    /** @type {any[]} */ answeredGaps = [],
+    /** @type {any[]} */ completedBranches = [],
+  ) {
     let response = `✅ **Block Completed**: ${block.title}\n\n`;
     response += `**Outcome**: ${block.outcome}\n`;
 
@@ -426,6 +1309,30 @@ export class TaskCompletion {
     response += `**Energy After**: ${block.energyAfter}/5\n`;
     response += `**Difficulty**: ${block.difficultyRating}/5\n`;
 
+    if (Number.isFinite(block.actualDuration)) {
+      response += this.formatTrackedTime(block);
+    }
+    if (block.focusSession) {
+      const focus = summarizeFocusSession(block.focusSession);
+      response += `🍅 **Focus**: ${focus.completedIntervals}/${focus.plannedIntervals} intervals, ${focus.interruptions} interruption(s)\n`;
+    }
+    if (block.scheduledDate !== block.completedOnDate) {
+      response += `📅 **Logged For**: ${block.scheduledDate}\n`;
+    }
+    if (block.completionDelayMinutes > 15) {
+      response += `⏱️ Finished ${this.formatDelay(block.completionDelayMinutes)} after the planned end\n`;
+    }
+    if (review) {
+      const days = daysBetween(block.completedOnDate, review.dueDate);
+      response += `🔁 **Next Review**: ${review.dueDate} (in ${days} day${days === 1 ? "" : "s"})\n`;
+    }
+    for (const gap of answeredGaps) {
+      response += `🧩 **Gap Closed**: ${gap.question}\n`;
+    }
+    for (const branch of completedBranches) {
+      response += `🌿 **Branch Completed**: ${branch.title || branch.id}\n`;
+    }
+
     if (block.breakthrough) {
       response += `\n🎉 **BREAKTHROUGH DETECTED!** 🎉\n`;
     }
@@ -450,6 +1357,15 @@ export class TaskCompletion {
     return response;
   }
 
+  /**
+   * @param {number} minutes
+   */
+  formatDelay(minutes) {
+    if (minutes < 60) return `${minutes} min`;
+    if (minutes < 24 * 60) return `${Math.round(minutes / 60)}h`;
+    return `${Math.round(minutes / (24 * 60))} day(s)`;
+  }
+
   getPathRecommendationText(pathType) {
     const paths = {
       accelerated_professional_path:
@@ -465,7 +1381,10 @@ export class TaskCompletion {
   }
 
   suggestNextAction(block, schedule) {
-    const remainingBlocks = schedule.blocks?.filter((b) => !b.completed) || [];
+    const remainingBlocks =
+      schedule.blocks?.filter(
+        (/** @type {any} */ b) => !b.completed && !b.skipped && !b.deferred,
+      ) || [];
 
     if (remainingBlocks.length > 0) {
       const nextBlock = remainingBlocks[0];
@@ -500,19 +1419,46 @@ export class TaskCompletion {
     }
   }
 
-  async savePathLearningHistory(projectId, pathName, learningHistory) {
+  /**
+   * @param {string} projectId
+   * @param {string} pathName
+   * @param {(data: any) => any} mutator
+   */
+  async updatePathLearningHistory(projectId, pathName, mutator) {
     if (pathName === "general") {
-      return await this.dataPersistence.saveProjectData(
+      return await this.dataPersistence.updateProjectData(
         projectId,
         "learning_history.json",
-        learningHistory,
+        mutator,
       );
     } else {
-      return await this.dataPersistence.savePathData(
+      return await this.dataPersistence.updatePathData(
         projectId,
         pathName,
         "learning_history.json",
-        learningHistory,
+        mutator,
+      );
+    }
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {string} pathName
+   * @param {(data: any) => any} mutator
+   */
+  async updatePathReviews(projectId, pathName, mutator) {
+    if (pathName === "general") {
+      return await this.dataPersistence.updateProjectData(
+        projectId,
+        "reviews.json",
+        mutator,
+      );
+    } else {
+      return await this.dataPersistence.updatePathData(
+        projectId,
+        pathName,
+        "reviews.json",
+        mutator,
       );
     }
   }
@@ -529,19 +1475,24 @@ export class TaskCompletion {
     }
   }
 
-  async savePathHTA(projectId, pathName, htaData) {
+  /**
+   * @param {string} projectId
+   * @param {string} pathName
+   * @param {(data: any) => any} mutator
+   */
+  async updatePathHTA(projectId, pathName, mutator) {
     if (pathName === "general") {
-      return await this.dataPersistence.saveProjectData(
+      return await this.dataPersistence.updateProjectData(
         projectId,
         "hta.json",
-        htaData,
+        mutator,
       );
     } else {
-      return await this.dataPersistence.savePathData(
+      return await this.dataPersistence.updatePathData(
         projectId,
         pathName,
         "hta.json",
-        htaData,
+        mutator,
       );
     }
   }
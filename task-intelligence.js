@@ -3,6 +3,55 @@
  * Handles smart task generation and strategy evolution
  */
 
+import {
+  daysBetween,
+  getMinutesNow,
+  getProjectTimeZone,
+  getToday,
+  getWeekday,
+} from "./date-utils.js";
+import { buildEnergyModel, MIN_ENERGY_SAMPLES, predictEnergy } from "./energy-model.js";
+import { syncBranchCompletion } from "./hta-hierarchy.js";
+import { MIN_ESTIMATE_SAMPLES } from "./schedule-generator.js";
+import { getDueReviews, toReviewTask } from "./spaced-repetition.js";
+
+// Runner-up tasks listed under the recommendation
+const ALTERNATIVE_COUNT = 3;
+// A branch left alone this many days gets a nudge back into rotation
+const STALE_BRANCH_DAYS = 7;
+const FACTOR_LABELS = {
+  priority: "Priority",
+  energy: "Energy",
+  time: "Time Fit",
+  context: "Context",
+  recency: "Recency",
+};
+
+/**
+ * @typedef {Object} ScoreFactor
+ * @property {keyof typeof FACTOR_LABELS} factor
+ * @property {number} points
+ * @property {string} reason
+ */
+
+/**
+ * @typedef {Object} ScoredTask
+ * @property {any} task - The HTA frontier node.
+ * @property {number} score - Sum of the factor points.
+ * @property {ScoreFactor[]} factors
+ * @property {number} estimatedMinutes - Duration corrected by the branch's tracked pace.
+ */
+
+/**
+ * @typedef {Object} TaskSituation
+ * @property {number} energyLevel
+ * @property {number} timeInMinutes
+ * @property {string} contextFromMemory
+ * @property {string} today - YYYY-MM-DD in the project's time zone.
+ * @property {Record<string, any>} durationEstimates - Actual/planned ratios per branch.
+ * @property {Map<string, string>} branchLastWorked - Date each branch last had a completion.
+ */
+
 export class TaskIntelligence {
   /**
    * @param {any} dataPersistence
@@ -15,34 +64,128 @@ export class TaskIntelligence {
     this.claude = claudeInterface;
   }
 
+  /**
+   * Score the active path's ready tasks and due reviews and recommend the
+   * best one, with runner-up alternatives and the reasoning behind each score.
+   * @param {string} [contextFromMemory]
+   * @param {number|null} [energyLevel] - 1-5; predicted from past sessions when omitted.
+   * @param {string} [timeAvailable]
+   * @param {boolean} [rerank] - Let the intelligence provider reorder the top candidates.
+   */
   async getNextTask(
     contextFromMemory = "",
-    energyLevel = 3,
+    energyLevel = null,
     timeAvailable = "30 minutes",
+    rerank = false,
   ) {
-    // 1️⃣ Ask Claude for the optimal task if interface is available
-    if (this.claude && typeof this.claude.requestIntelligence === "function") {
-      try {
-        return await this.claude.requestIntelligence("next-task-selection", {
-          contextFromMemory,
-          energyLevel,
-          timeAvailable,
-        });
-      } catch (/** @type {any} */ err) {
-        console.error("⚠️ Claude next-task-selection failed, falling back to static placeholder:", err?.message || err);
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(
+        projectId,
+        "config.json",
+      );
+
+      if (!config) {
+        throw new Error("Project configuration not found");
       }
-    }
 
-    // Legacy placeholder (will be removed when Claude path is stable)
-    return {
-      content: [
-        {
-          type: "text",
-          text: `⏳ Claude unavailable – no intelligent task yet.`,
-        },
-      ],
-      selected_task: null,
-    };
+      const activePath = config.activePath || "general";
+      const timeZone = getProjectTimeZone(config);
+      const today = getToday(timeZone);
+      const htaData = (await this.loadPathHTA(projectId, activePath)) || {};
+      const learningHistory =
+        (await this.loadLearningHistory(projectId, activePath)) || {};
+      const reviews = getDueReviews(
+        await this.loadPathReviews(projectId, activePath),
+        today,
+      ).map(toReviewTask);
+      const energy =
+        energyLevel !== null && energyLevel !== undefined
+          ? { level: energyLevel, basis: "reported" }
+          : this.estimateCurrentEnergy(learningHistory, timeZone);
+
+      const ranked = this.rankTasks(htaData, {
+        energyLevel: energy.level,
+        timeInMinutes: this.parseTimeToMinutes(timeAvailable),
+        contextFromMemory: contextFromMemory || "",
+        today,
+        durationEstimates: learningHistory.durationEstimates || {},
+        branchLastWorked: this.getBranchLastWorked(
+          learningHistory.completedTopics || [],
+          timeZone,
+        ),
+      }, reviews);
+
+      if (ranked.length === 0) {
+        return {
+          content: [
+            {
+              type: "text",
+              text:
+                `🌱 **No Ready Tasks** on the "${activePath}" path\n\n` +
+                `Every task is either completed, waiting on prerequisites or deferred to a later date, and no reviews are due.\n\n` +
+                `🚀 **Next Step**: Use \`evolve_strategy\` to grow new tasks, or \`build_hta_tree\` if the path has no tree yet`,
+            },
+          ],
+          selected_task: null,
+          alternatives: [],
+        };
+      }
+
+      const candidates = ranked.slice(0, ALTERNATIVE_COUNT + 1);
+      const pick = rerank
+        ? await this.rerankCandidates(candidates, {
+            contextFromMemory,
+            energyLevel: energy.level,
+            timeAvailable,
+          })
+        : null;
+      const selected =
+        candidates.find((candidate) => candidate.task.id === pick?.taskId) || ranked[0];
+      const rerankResult = pick && { ...pick, changed: selected !== ranked[0] };
+      const alternatives = ranked
+        .filter((candidate) => candidate !== selected)
+        .slice(0, ALTERNATIVE_COUNT);
+
+      const scheduled = await this.findScheduledBlock(projectId, today, selected.task);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: this.formatTaskResponse(
+              selected,
+              alternatives,
+              energy,
+              timeAvailable,
+              scheduled,
+              rerankResult,
+            ),
+          },
+        ],
+        selected_task: this.toTaskSummary(selected),
+        alternatives: alternatives.map((candidate) => this.toTaskSummary(candidate)),
+        energy_level: energy.level,
+        energy_basis: energy.basis,
+        reranked: Boolean(rerankResult?.changed),
+        scheduled_block_id: scheduled?.id || null,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError("getNextTask", error, {
+        contextFromMemory,
+        energyLevel,
+        timeAvailable,
+        rerank,
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error getting next task: ${error.message}`,
+          },
+        ],
+      };
+    }
   }
 
   async evolveStrategy(feedback = "") {
@@ -71,12 +214,15 @@ export class TaskIntelligence {
 
       // Update HTA tree with new tasks
       if (newTasks.length > 0) {
-        const htaData = (await this.loadPathHTA(projectId, activePath)) || {};
-        htaData.frontier_nodes = (htaData.frontier_nodes || []).concat(
-          newTasks,
-        );
-        htaData.last_evolution = new Date().toISOString();
-        await this.savePathHTA(projectId, activePath, htaData);
+        await this.updatePathHTA(projectId, activePath, (existing) => {
+          const htaData = existing || {};
+          htaData.frontierNodes = (htaData.frontierNodes || []).concat(
+            newTasks,
+          );
+          syncBranchCompletion(htaData);
+          htaData.lastUpdated = new Date().toISOString();
+          return htaData;
+        });
       }
 
       const responseText = this.formatStrategyEvolutionResponse(
@@ -111,13 +257,19 @@ export class TaskIntelligence {
     }
   }
 
-  selectOptimalTask(htaData, energyLevel, timeAvailable, contextFromMemory) {
-    const nodes = htaData.frontier_nodes || [];
+  /**
+   * Tasks that could be started today: not completed, prerequisites met and
+   * not deferred past the date.
+   * @param {any} htaData
+   * @param {string|null} [date]
+   */
+  getReadyTasks(htaData, date = null) {
+    const nodes = htaData.frontierNodes || [];
     const completedNodeIds = nodes.filter((n) => n.completed).map((n) => n.id);
 
-    // Filter available tasks (not completed, prerequisites met)
-    const availableTasks = nodes.filter((node) => {
+    return nodes.filter((/** @type {any} */ node) => {
       if (node.completed) return false;
+      if (date && node.deferredUntil && node.deferredUntil > date) return false;
 
       if (node.prerequisites && node.prerequisites.length > 0) {
         return node.prerequisites.every(
@@ -129,67 +281,273 @@ export class TaskIntelligence {
 
       return true;
     });
+  }
 
-    if (availableTasks.length === 0) return null;
-
-    // Parse time available
-    const timeInMinutes = this.parseTimeToMinutes(timeAvailable);
-
-    // Score tasks based on multiple factors
-    const scoredTasks = availableTasks.map((task) => ({
-      ...task,
-      score: this.calculateTaskScore(
-        task,
-        energyLevel,
-        timeInMinutes,
-        contextFromMemory,
-      ),
-    }));
-
-    // Sort by score (highest first)
-    scoredTasks.sort((a, b) => b.score - a.score);
-
-    return scoredTasks[0];
+  /**
+   * Ready tasks and due reviews, best first.
+   * @param {any} htaData
+   * @param {TaskSituation} situation
+   * @param {any[]} [reviews] - Due reviews as tasks (see spaced-repetition.js).
+   * @returns {ScoredTask[]}
+   */
+  rankTasks(htaData, situation, reviews = []) {
+    return [...this.getReadyTasks(htaData, situation.today), ...reviews]
+      .map((task) => this.calculateTaskScore(task, situation))
+      .sort(
+        (a, b) =>
+          b.score - a.score || (b.task.priority || 200) - (a.task.priority || 200),
+      );
   }
 
-  calculateTaskScore(task, energyLevel, timeInMinutes, contextFromMemory) {
-    let score = task.priority || 200;
+  /**
+   * @param {any} task
+   * @param {TaskSituation} situation
+   * @returns {ScoredTask}
+   */
+  calculateTaskScore(task, situation) {
+    /** @type {ScoreFactor[]} */
+    const factors = [];
+
+    // Priority, with a boost for tasks that build on a breakthrough
+    const priority = task.priority || 200;
+    const breakthrough = task.opportunityType === "breakthrough_amplification";
+    factors.push({
+      factor: "priority",
+      points: priority + (breakthrough ? 100 : 0),
+      reason: `priority ${priority}${breakthrough ? " + breakthrough opportunity" : ""}`,
+    });
 
     // Energy level matching
     const taskDifficulty = task.difficulty || 3;
-    const energyMatch = 5 - Math.abs(energyLevel - taskDifficulty);
-    score += energyMatch * 20;
+    const energyMatch = 5 - Math.abs(situation.energyLevel - taskDifficulty);
+    factors.push({
+      factor: "energy",
+      points: energyMatch * 20,
+      reason:
+        `difficulty ${taskDifficulty}/5 at energy ${situation.energyLevel}/5, ` +
+        this.getEnergyMatchText(taskDifficulty, situation.energyLevel).toLowerCase(),
+    });
 
-    // Time matching
-    const taskDuration = this.parseTimeToMinutes(task.duration || "30 minutes");
-    const timeMatch = timeInMinutes >= taskDuration ? 30 : -50;
-    score += timeMatch;
+    // Time matching, using how long this branch's tasks really take
+    const estimatedMinutes = this.estimateTaskMinutes(task, situation.durationEstimates);
+    let timePoints = -50;
+    if (estimatedMinutes <= situation.timeInMinutes) timePoints = 30;
+    else if (estimatedMinutes <= situation.timeInMinutes * 1.2) timePoints = 0;
+    factors.push({
+      factor: "time",
+      points: timePoints,
+      reason:
+        `~${estimatedMinutes} min of ${situation.timeInMinutes} available, ` +
+        this.getTimeMatchText(estimatedMinutes, situation.timeInMinutes).toLowerCase(),
+    });
 
     // Context relevance
-    if (contextFromMemory && this.isContextRelevant(task, contextFromMemory)) {
-      score += 50;
-    }
+    const matches = this.getContextMatches(task, situation.contextFromMemory);
+    factors.push({
+      factor: "context",
+      points: matches.length > 0 ? 50 : 0,
+      reason: !situation.contextFromMemory
+        ? "no context given"
+        : matches.length > 0
+          ? `mentions ${matches.map((word) => `"${word}"`).join(", ")}`
+          : "unrelated to the current context",
+    });
 
-    // Breakthrough potential
-    if (task.opportunityType === "breakthrough_amplification") {
-      score += 100;
+    // Recency: due reviews and deferrals, fresh tasks and neglected branches come forward
+    let recencyPoints = 0;
+    const recencyReasons = [];
+    if (task.review) {
+      recencyPoints += 40;
+      recencyReasons.push(
+        task.reviewDue < situation.today
+          ? `review overdue since ${task.reviewDue}`
+          : "review due today",
+      );
+    }
+    if (task.deferredUntil && task.deferredUntil <= situation.today) {
+      recencyPoints += 40;
+      recencyReasons.push(`deferred until ${task.deferredUntil}, now due`);
     }
-
-    // Recently generated tasks get boost
     if (task.generated) {
-      score += 25;
+      recencyPoints += 25;
+      recencyReasons.push("newly generated");
+    }
+    // Branch rotation applies to new work, not to reviews
+    const lastWorked = situation.branchLastWorked.get(task.branch);
+    if (!task.review && !lastWorked) {
+      recencyPoints += 20;
+      recencyReasons.push("branch not started yet");
+    } else if (!task.review && lastWorked) {
+      const idleDays = daysBetween(lastWorked, situation.today);
+      if (idleDays <= 0) {
+        recencyPoints -= 15;
+        recencyReasons.push("branch already worked on today");
+      } else if (idleDays >= STALE_BRANCH_DAYS) {
+        recencyPoints += 20;
+        recencyReasons.push(`branch untouched for ${idleDays} days`);
+      }
     }
+    factors.push({
+      factor: "recency",
+      points: recencyPoints,
+      reason: recencyReasons.join("; ") || "branch worked on recently",
+    });
 
-    return score;
+    return {
+      task,
+      score: factors.reduce((sum, factor) => sum + factor.points, 0),
+      factors,
+      estimatedMinutes,
+    };
   }
 
-  isContextRelevant(task, context) {
-    const taskText = (task.title + " " + task.description).toLowerCase();
-    const contextLower = context.toLowerCase();
+  /**
+   * Words from the context (longer than three letters) that appear in the
+   * task's title or description.
+   * @param {any} task
+   * @param {string} context
+   * @returns {string[]}
+   */
+  getContextMatches(task, context) {
+    if (!context) return [];
+    const taskText = `${task.title || ""} ${task.description || ""}`.toLowerCase();
 
     // Simple keyword matching - could be enhanced with NLP
-    const keywords = contextLower.split(" ").filter((word) => word.length > 3);
-    return keywords.some((keyword) => taskText.includes(keyword));
+    const keywords = context
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((word) => word.length > 3);
+    return [...new Set(keywords)].filter((keyword) => taskText.includes(keyword));
+  }
+
+  /**
+   * @param {any} task
+   * @param {string} context
+   */
+  isContextRelevant(task, context) {
+    return this.getContextMatches(task, context).length > 0;
+  }
+
+  /**
+   * @param {any} task
+   * @param {Record<string, any>} durationEstimates
+   */
+  estimateTaskMinutes(task, durationEstimates) {
+    const estimate = durationEstimates[task.branch];
+    const correction =
+      estimate && estimate.samples >= MIN_ESTIMATE_SAMPLES
+        ? Math.min(2, Math.max(0.5, estimate.ratio))
+        : 1;
+    return Math.round(this.parseTimeToMinutes(task.duration || "30 minutes") * correction);
+  }
+
+  /**
+   * Date of the most recent completion in each branch.
+   * @param {any[]} completedTopics
+   * @param {string} timeZone
+   * @returns {Map<string, string>}
+   */
+  getBranchLastWorked(completedTopics, timeZone) {
+    const lastWorked = new Map();
+    for (const topic of completedTopics) {
+      if (!topic.branch || Number.isNaN(Date.parse(topic.completedAt))) continue;
+      const date = getToday(timeZone, new Date(topic.completedAt));
+      if (!lastWorked.has(topic.branch) || lastWorked.get(topic.branch) < date) {
+        lastWorked.set(topic.branch, date);
+      }
+    }
+    return lastWorked;
+  }
+
+  /**
+   * Expected energy right now from past session ratings, or the middle of
+   * the scale until there is enough history.
+   * @param {any} learningHistory
+   * @param {string} timeZone
+   * @returns {{ level: number, basis: "history"|"default" }}
+   */
+  estimateCurrentEnergy(learningHistory, timeZone) {
+    const model = buildEnergyModel(learningHistory.completedTopics || [], timeZone);
+    if (model.samples < MIN_ENERGY_SAMPLES) {
+      return { level: 3, basis: "default" };
+    }
+    const predicted = predictEnergy(
+      model,
+      getWeekday(getToday(timeZone)),
+      getMinutesNow(timeZone),
+    );
+    return predicted === null
+      ? { level: 3, basis: "default" }
+      : { level: Math.round(predicted), basis: "history" };
+  }
+
+  /**
+   * Ask the intelligence provider to pick among the top-scored candidates.
+   * Returns null when it is unavailable or names a task that isn't one of them.
+   * @param {ScoredTask[]} candidates
+   * @param {{ contextFromMemory: string, energyLevel: number, timeAvailable: string }} situation
+   * @returns {Promise<{ taskId: string, reason: string }|null>}
+   */
+  async rerankCandidates(candidates, situation) {
+    if (!this.claude || typeof this.claude.requestIntelligence !== "function") {
+      return null;
+    }
+    try {
+      const response = await this.claude.requestIntelligence("next-task-selection", {
+        ...situation,
+        candidates: candidates.map(({ task, score, estimatedMinutes }) => ({
+          id: task.id,
+          title: task.title,
+          description: task.description || "",
+          branch: task.branch || "general",
+          difficulty: task.difficulty || 3,
+          estimatedMinutes,
+          score,
+        })),
+      });
+      const result = response?.data || response;
+      const taskId = result?.selected_task_id;
+      if (!candidates.some((candidate) => candidate.task.id === taskId)) {
+        return null;
+      }
+      return { taskId, reason: typeof result.reason === "string" ? result.reason : "" };
+    } catch (/** @type {any} */ err) {
+      console.error("⚠️ Claude next-task-selection failed, keeping the scored order:", err?.message || err);
+      return null;
+    }
+  }
+
+  /**
+   * The open block for a task (or its review) on a day's schedule, if there is one.
+   * @param {string} projectId
+   * @param {string} date
+   * @param {any} task
+   */
+  async findScheduledBlock(projectId, date, task) {
+    const schedule = await this.dataPersistence.loadProjectData(
+      projectId,
+      `day_${date}.json`,
+    );
+    return (
+      schedule?.blocks?.find(
+        (/** @type {any} */ block) =>
+          block.taskId === task.id &&
+          Boolean(block.review) === Boolean(task.review) &&
+          !block.completed &&
+          !block.skipped &&
+          !block.deferred,
+      ) || null
+    );
+  }
+
+  /** @param {ScoredTask} scored */
+  toTaskSummary(scored) {
+    return {
+      ...scored.task,
+      score: scored.score,
+      estimated_minutes: scored.estimatedMinutes,
+      score_breakdown: scored.factors,
+    };
   }
 
   async analyzeCurrentStrategy(projectId, pathName, feedback) {
@@ -199,8 +557,8 @@ export class TaskIntelligence {
 
     const analysis = {
       completedTasks:
-        htaData.frontier_nodes?.filter((n) => n.completed).length || 0,
-      totalTasks: htaData.frontier_nodes?.length || 0,
+        htaData.frontierNodes?.filter((/** @type {any} */ n) => n.completed).length || 0,
+      totalTasks: htaData.frontierNodes?.length || 0,
       availableTasks: this.getAvailableTasksCount(htaData),
       stuckIndicators: this.detectStuckIndicators(htaData, learningHistory),
       userFeedback: this.analyzeFeedback(feedback),
@@ -214,22 +572,7 @@ export class TaskIntelligence {
   }
 
   getAvailableTasksCount(htaData) {
-    const nodes = htaData.frontier_nodes || [];
-    const completedNodeIds = nodes.filter((n) => n.completed).map((n) => n.id);
-
-    return nodes.filter((node) => {
-      if (node.completed) return false;
-
-      if (node.prerequisites && node.prerequisites.length > 0) {
-        return node.prerequisites.every(
-          (prereq) =>
-            completedNodeIds.includes(prereq) ||
-            nodes.some((n) => n.title === prereq && n.completed),
-        );
-      }
-
-      return true;
-    }).length;
+    return this.getReadyTasks(htaData).length;
   }
 
   detectStuckIndicators(htaData, learningHistory) {
@@ -362,29 +705,73 @@ export class TaskIntelligence {
     ];
   }
 
-  formatTaskResponse(task, energyLevel, timeAvailable) {
+  /**
+   * @param {ScoredTask} selected
+   * @param {ScoredTask[]} alternatives
+   * @param {{ level: number, basis: string }} energy
+   * @param {string} timeAvailable
+   * @param {any} scheduledBlock - Today's open block for the task, if any.
+   * @param {{ taskId: string, reason: string, changed: boolean }|null} rerankResult
+   */
+  formatTaskResponse(selected, alternatives, energy, timeAvailable, scheduledBlock, rerankResult) {
+    const task = selected.task;
     const difficultyStars = "⭐".repeat(task.difficulty || 1);
     const duration = task.duration || "30 minutes";
 
     let response = `🎯 **Next Recommended Task**\n\n`;
     response += `**${task.title}**\n`;
     response += `${task.description || "No description available"}\n\n`;
-    response += `⏱️ **Duration**: ${duration}\n`;
-    response += `${difficultyStars} **Difficulty**: ${task.difficulty || 1}/5\n`;
+    response += `⏱️ **Duration**: ${duration}`;
+    if (selected.estimatedMinutes !== this.parseTimeToMinutes(duration)) {
+      response += ` (~${selected.estimatedMinutes} min at your usual pace)`;
+    }
+    response += `\n${difficultyStars} **Difficulty**: ${task.difficulty || 1}/5\n`;
     response += `🎯 **Branch**: ${task.branch || "general"}\n`;
 
     if (task.learningOutcome) {
       response += `📈 **Learning Outcome**: ${task.learningOutcome}\n`;
     }
 
-    response += `\n⚡ **Energy Match**: ${this.getEnergyMatchText(task.difficulty || 3, energyLevel)}\n`;
-    response += `⏰ **Time Match**: ${this.getTimeMatchText(duration, timeAvailable)}\n`;
+    response += `\n⚡ **Energy**: ${energy.level}/5`;
+    if (energy.basis === "history") response += " (predicted from past sessions at this time)";
+    if (energy.basis === "default") response += " (default — pass energy_level to refine)";
+    response += `\n⏰ **Time Available**: ${timeAvailable}\n`;
+
+    response += `\n📊 **Why This Task** (score ${selected.score}):\n`;
+    for (const { factor, points, reason } of selected.factors) {
+      response += `• ${FACTOR_LABELS[factor]}: ${points >= 0 ? "+" : ""}${points} — ${reason}\n`;
+    }
+
+    if (rerankResult) {
+      response += `\n🤖 **Re-rank**: ${
+        rerankResult.changed ? "moved this task to the top" : "kept the top-scored task"
+      }${rerankResult.reason ? ` — ${rerankResult.reason}` : ""}\n`;
+    }
+
+    if (alternatives.length > 0) {
+      response += `\n🔀 **Alternatives**:\n`;
+      alternatives.forEach((alternative, index) => {
+        const details = alternative.factors
+          .map(
+            (factor) =>
+              `${FACTOR_LABELS[factor.factor].toLowerCase()} ${factor.points >= 0 ? "+" : ""}${factor.points}`,
+          )
+          .join(", ");
+        response += `${index + 1}. **${alternative.task.title}** — score ${alternative.score} (${details})\n`;
+      });
+    }
 
-    response += `\n✅ Use \`complete_block\` with block_id: "${task.id}" when finished`;
+    response += scheduledBlock
+      ? `\n✅ It's on today's schedule at ${scheduledBlock.startTime} — use \`start_block\` and \`complete_block\` with block_id: "${scheduledBlock.id}"`
+      : `\n✅ Not on today's schedule yet — use \`generate_daily_schedule\` to plan it in`;
 
     return response;
   }
 
+  /**
+   * @param {number} taskDifficulty
+   * @param {number} energyLevel
+   */
   getEnergyMatchText(taskDifficulty, energyLevel) {
     const diff = Math.abs(taskDifficulty - energyLevel);
     if (diff <= 1) return "Excellent match";
@@ -392,10 +779,11 @@ export class TaskIntelligence {
     return "Consider adjusting energy or task difficulty";
   }
 
-  getTimeMatchText(taskDuration, timeAvailable) {
-    const taskMinutes = this.parseTimeToMinutes(taskDuration);
-    const availableMinutes = this.parseTimeToMinutes(timeAvailable);
-
+  /**
+   * @param {number} taskMinutes
+   * @param {number} availableMinutes
+   */
+  getTimeMatchText(taskMinutes, availableMinutes) {
     if (taskMinutes <= availableMinutes) return "Perfect fit";
     if (taskMinutes <= availableMinutes * 1.2) return "Close fit";
     return "May need more time";
@@ -435,7 +823,7 @@ export class TaskIntelligence {
   }
 
   parseTimeToMinutes(timeStr) {
-    const matches = timeStr.match(/(\d+)\s*(minute|hour|min|hr)/i);
+    const matches = String(timeStr).match(/(\d+)\s*(minute|hour|min|hr)/i);
     if (!matches) return 30;
 
     const value = parseInt(matches[1]);
@@ -465,19 +853,40 @@ export class TaskIntelligence {
     }
   }
 
-  async savePathHTA(projectId, pathName, htaData) {
+  /**
+   * @param {string} projectId
+   * @param {string} pathName
+   * @param {(data: any) => any} mutator
+   */
+  async updatePathHTA(projectId, pathName, mutator) {
     if (pathName === "general") {
-      return await this.dataPersistence.saveProjectData(
+      return await this.dataPersistence.updateProjectData(
         projectId,
         "hta.json",
-        htaData,
+        mutator,
       );
     } else {
-      return await this.dataPersistence.savePathData(
+      return await this.dataPersistence.updatePathData(
         projectId,
         pathName,
         "hta.json",
-        htaData,
+        mutator,
+      );
+    }
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {string} pathName
+   */
+  async loadPathReviews(projectId, pathName) {
+    if (pathName === "general") {
+      return await this.dataPersistence.loadProjectData(projectId, "reviews.json");
+    } else {
+      return await this.dataPersistence.loadPathData(
+        projectId,
+        pathName,
+        "reviews.json",
       );
     }
   }
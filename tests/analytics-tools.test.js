@@ -0,0 +1,70 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { AnalyticsTools } from "../analytics-tools.js";
+import { DataPersistence } from "../data-persistence.js";
+import { addDays, getToday } from "../date-utils.js";
+import { ProjectManagement } from "../project-management.js";
+import { FileStorageAdapter } from "../storage-adapters.js";
+
+/** @type {string} */
+let dataDir;
+/** @type {DataPersistence} */
+let persistence;
+/** @type {AnalyticsTools} */
+let analytics;
+
+beforeEach(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "forest-analytics-"));
+  persistence = new DataPersistence(dataDir, new FileStorageAdapter(dataDir));
+  analytics = new AnalyticsTools(persistence, new ProjectManagement(persistence, null));
+
+  await persistence.saveGlobalData("config.json", {
+    projects: ["guitar"],
+    activeProject: "guitar",
+  });
+  await persistence.saveProjectData("guitar", "config.json", {
+    id: "guitar",
+    goal: "Learn guitar",
+    timezone: "UTC",
+  });
+});
+
+afterEach(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe("reviewPeriod", () => {
+  test("summarizes the learning blocks scheduled in the period", async () => {
+    const today = getToday("UTC");
+    /** @param {string} date @param {any[]} blocks */
+    const saveDay = (date, blocks) =>
+      persistence.saveProjectData("guitar", `day_${date}.json`, { date, blocks });
+    await saveDay(today, [
+      { id: "task_1", type: "learning", completed: true },
+      { id: "task_2", type: "learning", skipped: true },
+      { id: "break_1", type: "break" },
+    ]);
+    await saveDay(addDays(today, -1), [
+      { id: "task_1", type: "learning", completed: true },
+      { id: "task_2", type: "learning", deferred: true },
+    ]);
+    // Outside the week, and a plan for a day that hasn't happened yet
+    await saveDay(addDays(today, -7), [{ id: "task_1", type: "learning" }]);
+    await saveDay(addDays(today, 1), [{ id: "task_1", type: "learning" }]);
+
+    const result = await analytics.reviewPeriod(7);
+
+    expect(result.period_review?.schedule).toEqual({
+      scheduledDays: 2,
+      plannedBlocks: 4,
+      completed: 2,
+      skipped: 1,
+      deferred: 1,
+      completionRate: 50,
+    });
+    expect(result.content[0].text).toContain(
+      "Scheduled blocks done: 2/4 (50%) — 1 skipped, 1 deferred",
+    );
+  });
+});
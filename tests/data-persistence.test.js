@@ -0,0 +1,138 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { DataPersistence } from "../data-persistence.js";
+import { FileStorageAdapter } from "../storage-adapters.js";
+
+/** @param {number} ms */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** @type {string} */
+let dataDir;
+/** @type {DataPersistence} */
+let persistence;
+
+beforeEach(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "forest-persistence-"));
+  persistence = new DataPersistence(dataDir, new FileStorageAdapter(dataDir));
+});
+
+afterEach(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe("withFileLock", () => {
+  test("runs operations on the same key one at a time in call order", async () => {
+    /** @type {string[]} */
+    const events = [];
+    /** @param {string} name @param {number} ms */
+    const op = (name, ms) =>
+      persistence.withFileLock("projects/p/config.json", async () => {
+        events.push(`${name}:start`);
+        await sleep(ms);
+        events.push(`${name}:end`);
+        return name;
+      });
+
+    const results = await Promise.all([op("a", 30), op("b", 0), op("c", 10)]);
+
+    expect(results).toEqual(["a", "b", "c"]);
+    expect(events).toEqual(["a:start", "a:end", "b:start", "b:end", "c:start", "c:end"]);
+  });
+
+  test("does not hold up other keys", async () => {
+    /** @type {string[]} */
+    const events = [];
+    const slow = persistence.withFileLock("one.json", async () => {
+      await sleep(30);
+      events.push("one");
+    });
+    const fast = persistence.withFileLock("two.json", async () => {
+      events.push("two");
+    });
+
+    await Promise.all([slow, fast]);
+    expect(events).toEqual(["two", "one"]);
+  });
+
+  test("releases the lock when an operation throws", async () => {
+    const failing = persistence.withFileLock("k.json", async () => {
+      throw new Error("boom");
+    });
+    await expect(failing).rejects.toThrow("boom");
+
+    await expect(persistence.withFileLock("k.json", async () => "next")).resolves.toBe("next");
+    expect(persistence.fileLocks.size).toBe(0);
+  });
+});
+
+describe("updateDocument", () => {
+  beforeEach(async () => {
+    await persistence.saveProjectData("p", "counter.json", { count: 0 });
+  });
+
+  test("applies concurrent updates without losing any", async () => {
+    await Promise.all(
+      Array.from({ length: 20 }, () =>
+        persistence.updateProjectData("p", "counter.json", (data) => {
+          data.count++;
+        }),
+      ),
+    );
+
+    expect((await persistence.loadProjectData("p", "counter.json")).count).toBe(20);
+  });
+
+  test("sees the result of the update queued before it", async () => {
+    /** @type {number[]} */
+    const seen = [];
+    await Promise.all([
+      persistence.updateProjectData("p", "counter.json", async (data) => {
+        await sleep(20);
+        data.count = 5;
+      }),
+      persistence.updateProjectData("p", "counter.json", (data) => {
+        seen.push(data.count);
+        data.count *= 2;
+      }),
+    ]);
+
+    expect(seen).toEqual([5]);
+    expect((await persistence.loadProjectData("p", "counter.json")).count).toBe(10);
+  });
+
+  test("writes nothing when the mutator returns null or throws", async () => {
+    const skipped = await persistence.updateProjectData("p", "counter.json", () => null);
+    expect(skipped).toBeNull();
+
+    await expect(
+      persistence.updateProjectData("p", "counter.json", (data) => {
+        data.count = 99;
+        throw new Error("abort");
+      }),
+    ).rejects.toThrow("abort");
+
+    expect((await persistence.loadProjectData("p", "counter.json")).count).toBe(0);
+  });
+});
+
+describe("loadDaySchedules", () => {
+  test("returns the project's day schedules within the date range, oldest first", async () => {
+    for (const date of ["2026-01-03", "2026-01-05", "2026-01-04", "2026-01-08"]) {
+      await persistence.saveProjectData("p", `day_${date}.json`, { date, blocks: [] });
+    }
+    await persistence.saveProjectData("other", "day_2026-01-04.json", {
+      date: "2026-01-04",
+      blocks: [],
+    });
+    await persistence.savePathData("p", "theory", "day_2026-01-04.json", {
+      date: "2026-01-04",
+      blocks: [],
+    });
+
+    const schedules = await persistence.loadDaySchedules("p", "2026-01-04", "2026-01-07");
+
+    expect(schedules.map(({ date }) => date)).toEqual(["2026-01-04", "2026-01-05"]);
+    expect(schedules[0].schedule.date).toBe("2026-01-04");
+  });
+});
@@ -0,0 +1,67 @@
+import {
+  addDays,
+  daysBetween,
+  getMinutesNow,
+  getToday,
+  getZonedParts,
+  resolveTimeZone,
+  zonedTimeToUtc,
+} from "../date-utils.js";
+
+describe("day boundaries in a time zone", () => {
+  // 03:30 UTC on 2026-10-19 is still the evening of the 18th in New York
+  const instant = new Date("2026-10-19T03:30:00Z");
+
+  test("gives each zone its own date for the same instant", () => {
+    expect(getToday("UTC", instant)).toBe("2026-10-19");
+    expect(getToday("America/New_York", instant)).toBe("2026-10-18");
+    expect(getToday("Asia/Tokyo", instant)).toBe("2026-10-19");
+    expect(getMinutesNow("America/New_York", instant)).toBe(23 * 60 + 30);
+  });
+
+  test("turns local midnight into the instant the zone's day starts", () => {
+    expect(zonedTimeToUtc("2026-10-19", 0, "America/New_York").toISOString()).toBe(
+      "2026-10-19T04:00:00.000Z",
+    );
+    expect(zonedTimeToUtc("2026-10-19", 0, "Asia/Kolkata").toISOString()).toBe(
+      "2026-10-18T18:30:00.000Z",
+    );
+  });
+
+  test("lets minutes past midnight run into the next day", () => {
+    const instant = zonedTimeToUtc("2026-10-19", 24 * 60 + 30, "Europe/Berlin");
+
+    expect(getZonedParts(instant, "Europe/Berlin")).toEqual({
+      date: "2026-10-20",
+      minutes: 30,
+      seconds: 0,
+    });
+  });
+
+  test("uses the right offset on both sides of a daylight-saving change", () => {
+    // New York moves its clocks back at 2:00 AM on 2026-11-01
+    expect(zonedTimeToUtc("2026-11-01", 60, "America/New_York").toISOString()).toBe(
+      "2026-11-01T05:00:00.000Z",
+    );
+    expect(zonedTimeToUtc("2026-11-01", 9 * 60, "America/New_York").toISOString()).toBe(
+      "2026-11-01T14:00:00.000Z",
+    );
+    // ... and forward at 2:00 AM on 2026-03-08
+    expect(zonedTimeToUtc("2026-03-08", 9 * 60, "America/New_York").toISOString()).toBe(
+      "2026-03-08T13:00:00.000Z",
+    );
+  });
+
+  test("falls back to the server's zone for unknown names", () => {
+    expect(resolveTimeZone("Mars/Olympus_Mons")).toBe(resolveTimeZone(null));
+  });
+});
+
+describe("calendar date arithmetic", () => {
+  test("crosses month, year and daylight-saving boundaries by whole days", () => {
+    expect(addDays("2026-12-31", 1)).toBe("2027-01-01");
+    expect(addDays("2026-03-01", -1)).toBe("2026-02-28");
+    expect(daysBetween("2026-03-07", "2026-03-09")).toBe(2);
+    expect(daysBetween("2026-11-02", "2026-10-31")).toBe(-2);
+  });
+});
@@ -0,0 +1,96 @@
+import { buildEnergyModel, predictEnergy, rankEnergyHours } from "../energy-model.js";
+
+const MONDAY = 1;
+
+/**
+ * A completion whose session started at the given UTC time.
+ * @param {string} startedAt - e.g. "2026-01-05T09:00"
+ * @param {number} energyAfter
+ */
+const session = (startedAt, energyAfter) => ({
+  completedAt: `${startedAt}:00Z`,
+  energyAfter,
+});
+
+/**
+ * @param {number} count
+ * @param {string} startedAt
+ * @param {number} energy
+ */
+const repeat = (count, startedAt, energy) =>
+  Array.from({ length: count }, () => session(startedAt, energy));
+
+describe("buildEnergyModel", () => {
+  test("files each rating under the local hour and weekday the session started", () => {
+    const model = buildEnergyModel(
+      [
+        // Finished 10:30 AM in New York after 30 minutes, so it started at 10:00
+        { completedAt: "2026-01-05T15:30:00Z", actualDuration: 30, energyAfter: 4 },
+        { completedAt: "2026-01-05T15:30:00Z", energyAfter: 9 },
+        { completedAt: "not a date", energyAfter: 3 },
+      ],
+      "America/New_York",
+    );
+
+    expect(model.samples).toBe(1);
+    expect(model.baseline).toBe(4);
+    expect(model.byHour[10]).toEqual({ count: 1, mean: 4 });
+    expect(model.byWeekday[MONDAY]).toEqual({ count: 1, mean: 4 });
+  });
+});
+
+describe("predictEnergy", () => {
+  const afternoons = repeat(6, "2026-01-05T14:00", 3);
+
+  test("pulls a sparse hour toward the overall average", () => {
+    const model = buildEnergyModel([...afternoons, session("2026-01-05T09:00", 5)], "UTC");
+
+    // A single 5 at 9 AM moves the 3.3 baseline a quarter of the way
+    expect(model.baseline).toBe(3.3);
+    expect(predictEnergy(model, MONDAY, 9 * 60)).toBe(3.7);
+  });
+
+  test("trusts an hour more as its samples add up", () => {
+    const model = buildEnergyModel([...afternoons, ...repeat(4, "2026-01-05T09:00", 5)], "UTC");
+
+    expect(model.baseline).toBe(3.8);
+    expect(predictEnergy(model, MONDAY, 9 * 60)).toBe(4.5);
+  });
+
+  test("lets an hour without data borrow half from its neighbours", () => {
+    const model = buildEnergyModel([...afternoons, session("2026-01-05T09:00", 5)], "UTC");
+
+    expect(predictEnergy(model, MONDAY, 10 * 60)).toBe(3.5);
+    expect(predictEnergy(model, MONDAY, 20 * 60)).toBe(3.3);
+  });
+
+  test("adds a shrunk weekday effect", () => {
+    const model = buildEnergyModel(
+      [...repeat(3, "2026-01-05T09:00", 4), ...repeat(3, "2026-01-06T09:00", 2)],
+      "UTC",
+    );
+
+    // Monday's 4 against a baseline of 3, with 3 samples: half the difference
+    expect(predictEnergy(model, MONDAY, 9 * 60)).toBe(3.5);
+    expect(predictEnergy(model, MONDAY + 1, 9 * 60)).toBe(2.5);
+  });
+
+  test("has no prediction without samples", () => {
+    expect(predictEnergy(buildEnergyModel([]), MONDAY, 9 * 60)).toBeNull();
+  });
+});
+
+describe("rankEnergyHours", () => {
+  test("lists hours with data from the most to the least energy", () => {
+    const model = buildEnergyModel(
+      [
+        ...repeat(2, "2026-01-05T14:00", 3),
+        session("2026-01-05T09:00", 5),
+        session("2026-01-05T20:00", 2),
+      ],
+      "UTC",
+    );
+
+    expect(rankEnergyHours(model).map((bucket) => bucket.hour)).toEqual([9, 14, 20]);
+  });
+});
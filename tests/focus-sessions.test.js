@@ -0,0 +1,185 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { DataPersistence } from "../data-persistence.js";
+import {
+  FocusSessions,
+  getFocusSettings,
+  planFocusIntervals,
+  summarizeFocusSession,
+} from "../focus-sessions.js";
+import { ProjectManagement } from "../project-management.js";
+import { FileStorageAdapter } from "../storage-adapters.js";
+import { TaskCompletion } from "../task-completion.js";
+
+const DATE = "2026-01-05";
+
+/** @type {string} */
+let dataDir;
+/** @type {DataPersistence} */
+let persistence;
+/** @type {FocusSessions} */
+let focus;
+
+/** @param {any[]} intervals */
+const shape = (intervals) =>
+  intervals.map((interval) => `${interval.type}:${interval.plannedMinutes}`);
+
+const loadBlock = async () =>
+  (await persistence.loadProjectData("guitar", `day_${DATE}.json`)).blocks[0];
+
+beforeEach(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "forest-focus-"));
+  persistence = new DataPersistence(dataDir, new FileStorageAdapter(dataDir));
+  const projects = new ProjectManagement(persistence, null);
+  focus = new FocusSessions(persistence, projects, new TaskCompletion(persistence, projects));
+
+  await persistence.saveGlobalData("config.json", {
+    projects: ["guitar"],
+    activeProject: "guitar",
+  });
+  await persistence.saveProjectData("guitar", "config.json", {
+    id: "guitar",
+    goal: "Learn guitar",
+    life_structure_preferences: { focus_duration: "25 minutes" },
+  });
+  await persistence.saveProjectData("guitar", `day_${DATE}.json`, {
+    date: DATE,
+    blocks: [
+      { id: "b1", type: "learning", title: "Scales", startTime: "9:00 AM", duration: 60 },
+      { id: "b2", type: "break", title: "Break", startTime: "10:00 AM", duration: 15 },
+    ],
+  });
+});
+
+afterEach(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe("getFocusSettings", () => {
+  test("reads interval lengths from the project's preferences", () => {
+    expect(getFocusSettings({ focus_duration: "50 minutes" })).toEqual({
+      focusMinutes: 50,
+      breakMinutes: 5,
+      longBreakMinutes: 15,
+      longBreakEvery: 4,
+    });
+    expect(
+      getFocusSettings({ break_preferences: "10 minute breaks every 1 hour" }),
+    ).toEqual(expect.objectContaining({ focusMinutes: 60, breakMinutes: 10 }));
+    expect(getFocusSettings({ focus_duration: "flexible" }).focusMinutes).toBe(25);
+  });
+
+  test("lets explicit lengths win and rejects impossible ones", () => {
+    expect(
+      getFocusSettings({ focus_duration: "50 minutes" }, { focusMinutes: 30, breakMinutes: 3 }),
+    ).toEqual(expect.objectContaining({ focusMinutes: 30, breakMinutes: 3 }));
+    expect(() => getFocusSettings({}, { focusMinutes: 5 })).toThrow(
+      "Focus intervals must be 10-180 minutes (got 5)",
+    );
+  });
+});
+
+describe("planFocusIntervals", () => {
+  const settings = getFocusSettings({});
+
+  test("alternates work and breaks, with a long break after every fourth interval", () => {
+    expect(shape(planFocusIntervals(150, settings))).toEqual([
+      "work:25",
+      "break:5",
+      "work:25",
+      "break:5",
+      "work:25",
+      "break:5",
+      "work:25",
+      "break:15",
+      "work:20",
+    ]);
+  });
+
+  test("shortens the last work interval and drops time too short for another", () => {
+    expect(shape(planFocusIntervals(50, settings))).toEqual(["work:25", "break:5", "work:20"]);
+    expect(shape(planFocusIntervals(60, settings))).toEqual(["work:25", "break:5", "work:25"]);
+    expect(shape(planFocusIntervals(30, settings))).toEqual(["work:25"]);
+  });
+});
+
+describe("focus sessions on a block", () => {
+  test("runs the block timer only during work intervals and summarizes the session", async () => {
+    const started = await focus.startFocusSession("b1", DATE);
+    expect(shape(started.focus_session?.intervals || [])).toEqual([
+      "work:25",
+      "break:5",
+      "work:25",
+    ]);
+    expect((await loadBlock()).timerState).toBe("running");
+
+    await focus.nextFocusInterval("b1", DATE);
+    expect((await loadBlock()).timerState).toBe("paused");
+    const duringBreak = await focus.logInterruption("b1", "Phone", "external", false, DATE);
+    expect(duringBreak.content[0].text).toContain(
+      "Interruptions are tracked during focus intervals, not breaks",
+    );
+
+    await focus.nextFocusInterval("b1", DATE);
+    expect((await loadBlock()).timerState).toBe("running");
+    await focus.logInterruption("b1", "Checked email", "internal", true, DATE);
+
+    const finished = await focus.nextFocusInterval("b1", DATE);
+    const block = await loadBlock();
+    expect(block.timerState).toBe("stopped");
+    expect(block.timeLog).toHaveLength(2);
+    expect(finished.focus_session).toEqual(
+      expect.objectContaining({
+        status: "finished",
+        plannedIntervals: 2,
+        completedIntervals: 1,
+        voidedIntervals: 1,
+        interruptions: 1,
+      }),
+    );
+  });
+
+  test("ending a session early cuts the current interval short", async () => {
+    await focus.startFocusSession("b1", DATE);
+
+    const result = await focus.endFocusSession("b1", DATE);
+
+    expect(result.focus_session).toEqual(
+      expect.objectContaining({ status: "ended", completedIntervals: 0, focusMinutes: 0 }),
+    );
+    expect((await loadBlock()).timerState).toBe("stopped");
+    expect((await focus.nextFocusInterval("b1", DATE)).content[0].text).toContain(
+      "Block b1 has no focus session running",
+    );
+  });
+
+  test("only splits learning blocks", async () => {
+    const result = await focus.startFocusSession("b2", DATE);
+
+    expect(result.content[0].text).toContain(
+      'Focus sessions are for learning blocks; "Break" is a break block',
+    );
+  });
+});
+
+describe("summarizeFocusSession", () => {
+  test("counts only work intervals that were started", () => {
+    expect(
+      summarizeFocusSession({
+        intervals: [
+          { type: "work", startedAt: "t", actualMinutes: 25, completed: true, interruptions: [] },
+          { type: "break", startedAt: "t", actualMinutes: 5 },
+          { type: "work", startedAt: "t", actualMinutes: 12, voided: true, interruptions: [{}] },
+          { type: "work" },
+        ],
+      }),
+    ).toEqual({
+      plannedIntervals: 3,
+      completedIntervals: 1,
+      voidedIntervals: 1,
+      focusMinutes: 37,
+      interruptions: 1,
+    });
+  });
+});
@@ -0,0 +1,173 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { AnalyticsTools } from "../analytics-tools.js";
+import { DataPersistence } from "../data-persistence.js";
+import { HtaEditor } from "../hta-editor.js";
+import { ProjectManagement } from "../project-management.js";
+import { FileStorageAdapter } from "../storage-adapters.js";
+
+/** @type {string} */
+let dataDir;
+/** @type {DataPersistence} */
+let persistence;
+/** @type {HtaEditor} */
+let editor;
+
+const loadHTA = () => persistence.loadProjectData("guitar", "hta.json");
+
+/** @param {any} hta */
+const prerequisites = (hta) =>
+  Object.fromEntries(
+    hta.frontierNodes.map((/** @type {any} */ n) => [n.id, n.prerequisites || []]),
+  );
+
+/**
+ * @param {string} id
+ * @param {string[]} [prereqs]
+ */
+const task = (id, prereqs = []) => ({
+  id,
+  title: `Task ${id}`,
+  branch: "chords",
+  duration: "30 minutes",
+  prerequisites: prereqs,
+  completed: false,
+});
+
+beforeEach(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "forest-hta-editor-"));
+  persistence = new DataPersistence(dataDir, new FileStorageAdapter(dataDir));
+  const projects = new ProjectManagement(persistence, null);
+  editor = new HtaEditor(persistence, projects, new AnalyticsTools(persistence, projects));
+
+  await persistence.saveGlobalData("config.json", {
+    projects: ["guitar"],
+    activeProject: "guitar",
+  });
+  await persistence.saveProjectData("guitar", "config.json", {
+    id: "guitar",
+    goal: "Learn guitar",
+  });
+  // t1 → t2 → t3
+  await persistence.saveProjectData("guitar", "hta.json", {
+    strategicBranches: [
+      { id: "technique", title: "Technique" },
+      { id: "chords", title: "Chords", parentId: "technique" },
+    ],
+    frontierNodes: [task("t1"), task("t2", ["t1"]), task("t3", ["t2"])],
+  });
+});
+
+afterEach(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe("prerequisite loop checks", () => {
+  test("rejects an edit that would make a task wait on its own dependents", async () => {
+    const before = await loadHTA();
+
+    const result = await editor.editHtaTask({ task_id: "t1", prerequisites: ["t3"] });
+
+    expect(result.content[0].text).toContain("That would create a prerequisite loop:");
+    expect(await loadHTA()).toEqual(before);
+  });
+
+  test("rejects a task waiting on itself or on unknown tasks", async () => {
+    const self = await editor.editHtaTask({ task_id: "t2", prerequisites: ["t2"] });
+    const unknown = await editor.addHtaTask({
+      title: "Songs",
+      branch: "chords",
+      prerequisites: ["t9"],
+    });
+
+    expect(self.content[0].text).toContain(`Task "t2" can't be its own prerequisite`);
+    expect(unknown.content[0].text).toContain("Unknown prerequisite task(s): t9");
+    expect((await loadHTA()).frontierNodes).toHaveLength(3);
+  });
+
+  test("rejects a merge that would close a loop", async () => {
+    // Merging t1 with t3 would make the merged task wait on t2, which waits on it
+    const result = await editor.mergeHtaTasks(["t1", "t3"]);
+
+    expect(result.content[0].text).toContain("That would create a prerequisite loop:");
+    expect((await loadHTA()).frontierNodes).toHaveLength(3);
+  });
+
+  test("accepts an edit that keeps the order acyclic", async () => {
+    const result = await editor.editHtaTask({ task_id: "t3", prerequisites: ["t1", "t2"] });
+
+    expect(result.changes).toEqual([
+      { field: "prerequisites", from: ["t2"], to: ["t1", "t2"] },
+    ]);
+  });
+});
+
+describe("splitting, merging and deleting tasks", () => {
+  test("a sequential split chains the subtasks and rewires what waited on the task", async () => {
+    const result = await editor.splitHtaTask("t2", [{ title: "Shape" }, { title: "Switch" }]);
+
+    expect(result.tasks_created?.map((/** @type {any} */ t) => [t.id, t.duration])).toEqual([
+      ["t2_1", "15 minutes"],
+      ["t2_2", "15 minutes"],
+    ]);
+    expect(prerequisites(await loadHTA())).toEqual({
+      t1: [],
+      t2_1: ["t1"],
+      t2_2: ["t2_1"],
+      t3: ["t2_2"],
+    });
+  });
+
+  test("merging points dependents of the duplicate at the kept task", async () => {
+    const result = await editor.mergeHtaTasks(["t2", "t3"], "Chord changes");
+
+    expect(result.task_updated).toEqual(
+      expect.objectContaining({ id: "t2", title: "Chord changes", mergedFrom: ["t3"] }),
+    );
+    expect(prerequisites(await loadHTA())).toEqual({ t1: [], t2: ["t1"] });
+  });
+
+  test("deleting a task frees its dependents and reopens a gap promoted to it", async () => {
+    await persistence.saveProjectData("guitar", "learning_history.json", {
+      knowledgeGaps: [
+        { id: "gap_1", question: "Why?", status: "promoted", promotedTaskId: "t2" },
+      ],
+    });
+
+    await editor.deleteHtaTask("t2");
+
+    expect(prerequisites(await loadHTA())).toEqual({ t1: [], t3: [] });
+    const history = await persistence.loadProjectData("guitar", "learning_history.json");
+    expect(history.knowledgeGaps[0]).toEqual({ id: "gap_1", question: "Why?", status: "open" });
+  });
+});
+
+describe("branch edits", () => {
+  test("refuses to nest a branch inside its own sub-branch", async () => {
+    const result = await editor.editHtaBranch({ branch_id: "technique", parent_id: "chords" });
+
+    expect(result.content[0].text).toContain(
+      "That would nest the branch inside itself: technique → chords → technique",
+    );
+    const hta = await loadHTA();
+    expect(hta.strategicBranches[0]).not.toHaveProperty("parentId");
+  });
+
+  test("moves a deleted branch's tasks and sub-branches to the branch above", async () => {
+    const refused = await editor.deleteHtaBranch("chords");
+    expect(refused.content[0].text).toContain('Branch "chords" has 3 task(s)');
+
+    await editor.addHtaBranch({ title: "Barre", id: "barre", parent_id: "chords" });
+    await editor.deleteHtaBranch("chords", "technique");
+
+    const hta = await loadHTA();
+    expect(hta.strategicBranches.map((/** @type {any} */ b) => [b.id, b.parentId])).toEqual([
+      ["technique", undefined],
+      ["barre", "technique"],
+    ]);
+    expect(hta.frontierNodes.every((/** @type {any} */ n) => n.branch === "technique")).toBe(
+      true,
+    );
+  });
+});
@@ -0,0 +1,124 @@
+import {
+  buildHierarchy,
+  listBranches,
+  parseDurationMinutes,
+  syncBranchCompletion,
+} from "../hta-hierarchy.js";
+
+/**
+ * @param {string} id
+ * @param {string} branch
+ * @param {boolean} completed
+ * @param {string} [duration]
+ */
+const task = (id, branch, completed, duration = "30 minutes") => ({
+  id,
+  branch,
+  completed,
+  duration,
+});
+
+const guitar = () => ({
+  goal: "Play a song",
+  strategicBranches: [
+    { id: "technique", title: "Technique" },
+    { id: "chords", title: "Chords", parentId: "technique" },
+    { id: "barre", title: "Barre chords", parentId: "chords" },
+    { id: "songs", title: "Songs" },
+  ],
+  frontierNodes: [
+    task("t1", "chords", true),
+    task("t2", "barre", true, "1 hour"),
+    task("t3", "barre", false),
+    task("t4", "songs", false, "90 min"),
+    task("t5", "unknown", true),
+  ],
+});
+
+describe("buildHierarchy", () => {
+  test("nests branches under their parents and rolls progress up to the goal", () => {
+    const root = buildHierarchy(guitar());
+
+    expect(root.title).toBe("Play a song");
+    expect(root.children.map((child) => child.id)).toEqual(["technique", "songs"]);
+    expect(root.tasks.map((t) => t.id)).toEqual(["t5"]);
+    expect(listBranches(root).map((node) => [node.id, node.depth])).toEqual([
+      ["technique", 1],
+      ["chords", 2],
+      ["barre", 3],
+      ["songs", 1],
+    ]);
+
+    const [technique] = root.children;
+    expect(technique.progress).toEqual({
+      tasks: 3,
+      completed: 2,
+      percent: 67,
+      effortMinutes: 120,
+      completedEffortMinutes: 90,
+      effortPercent: 75,
+    });
+    expect(root.progress).toEqual(
+      expect.objectContaining({ tasks: 5, completed: 3, percent: 60, effortMinutes: 240 }),
+    );
+  });
+
+  test("puts branches with unknown parents under the goal and breaks parent loops", () => {
+    const root = buildHierarchy({
+      strategicBranches: [
+        { id: "a", parentId: "b" },
+        { id: "b", parentId: "a" },
+        { id: "c", parentId: "missing" },
+        { id: "d", parentId: "d" },
+      ],
+      frontierNodes: [],
+    });
+
+    expect(root.children.map((child) => child.id)).toEqual(["a", "c", "d"]);
+    expect(root.children[0].children.map((child) => child.id)).toEqual(["b"]);
+  });
+});
+
+describe("syncBranchCompletion", () => {
+  test("completes a branch, and its parents, once every task below is done", () => {
+    const hta = guitar();
+    hta.frontierNodes[2].completed = true;
+
+    const completed = syncBranchCompletion(hta);
+
+    expect(completed.map((branch) => branch.id)).toEqual(["technique", "chords", "barre"]);
+    expect(hta.strategicBranches.find((branch) => branch.id === "songs")).not.toHaveProperty(
+      "completed",
+    );
+    expect(syncBranchCompletion(hta)).toEqual([]);
+  });
+
+  test("reopens a completed branch when new work is added below it", () => {
+    const hta = guitar();
+    hta.frontierNodes[2].completed = true;
+    syncBranchCompletion(hta);
+
+    hta.frontierNodes.push(task("t6", "barre", false));
+    syncBranchCompletion(hta);
+
+    const state = Object.fromEntries(
+      hta.strategicBranches.map((/** @type {any} */ branch) => [branch.id, branch.completed]),
+    );
+    expect(state).toEqual({ technique: false, chords: false, barre: false, songs: undefined });
+  });
+
+  test("leaves branches without tasks open", () => {
+    const hta = { strategicBranches: [{ id: "empty" }], frontierNodes: [] };
+
+    expect(syncBranchCompletion(hta)).toEqual([]);
+  });
+});
+
+describe("parseDurationMinutes", () => {
+  test("reads minutes and hours and falls back to half an hour", () => {
+    expect(parseDurationMinutes("45 minutes")).toBe(45);
+    expect(parseDurationMinutes("2 hours")).toBe(120);
+    expect(parseDurationMinutes(20)).toBe(20);
+    expect(parseDurationMinutes("a while")).toBe(30);
+  });
+});
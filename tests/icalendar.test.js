@@ -0,0 +1,153 @@
+import { getEventsForDate, parseICalendar, serializeICalendar } from "../icalendar.js";
+
+/** @param {string[]} lines */
+const calendar = (...lines) =>
+  ["BEGIN:VCALENDAR", "BEGIN:VEVENT", ...lines, "END:VEVENT", "END:VCALENDAR"].join("\r\n");
+
+describe("parseICalendar", () => {
+  test("reads timed events, converting UTC times to the project's zone", () => {
+    const events = parseICalendar(
+      calendar(
+        "SUMMARY:Lesson\\, room 2",
+        "DTSTART:20261019T130000Z",
+        "DTEND:20261019T140000Z",
+      ),
+      "ics",
+      "America/New_York",
+    );
+
+    expect(events).toEqual([
+      {
+        title: "Lesson, room 2",
+        start: { date: "2026-10-19", minutes: 540 },
+        end: { date: "2026-10-19", minutes: 600 },
+        allDay: false,
+        rrule: null,
+        exdates: [],
+        source: "ics",
+      },
+    ]);
+  });
+
+  test("skips cancelled and free events", () => {
+    const text = [
+      calendar("SUMMARY:Cancelled", "DTSTART:20261019T090000", "STATUS:CANCELLED"),
+      calendar("SUMMARY:Free", "DTSTART:20261019T100000", "TRANSP:TRANSPARENT"),
+      calendar("SUMMARY:Busy", "DTSTART:20261019T110000"),
+    ].join("\r\n");
+
+    expect(parseICalendar(text).map((event) => event.title)).toEqual(["Busy"]);
+  });
+});
+
+describe("getEventsForDate", () => {
+  test("expands a recurrence that started decades before the date", () => {
+    const events = parseICalendar(
+      calendar(
+        "SUMMARY:Standup",
+        "DTSTART:20000101T090000",
+        "DTEND:20000101T091500",
+        "RRULE:FREQ=DAILY",
+        "EXDATE:20261020T090000",
+      ),
+    );
+
+    expect(getEventsForDate(events, "2026-10-19")).toEqual([
+      { title: "Standup", start: 540, end: 555, source: "ics" },
+    ]);
+    expect(getEventsForDate(events, "2026-10-20")).toEqual([]);
+  });
+
+  test("keeps the interval's phase when skipping ahead", () => {
+    // Every other week on Monday and Wednesday, from Monday 2000-01-03
+    const events = parseICalendar(
+      calendar(
+        "SUMMARY:Lesson",
+        "DTSTART:20000103T180000",
+        "DTEND:20000103T190000",
+        "RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE",
+      ),
+    );
+    const onDates = ["2026-10-12", "2026-10-14", "2026-10-19", "2026-10-21"].filter(
+      (date) => getEventsForDate(events, date).length > 0,
+    );
+
+    // 2026-10-19 is 1398 weeks after the start, so that week is on
+    expect(onDates).toEqual(["2026-10-19", "2026-10-21"]);
+  });
+
+  test("counts the skipped occurrences towards COUNT", () => {
+    // Occurrence 10000 of a daily rule from 2000-01-01 falls on 2027-05-18
+    const events = parseICalendar(
+      calendar(
+        "SUMMARY:Habit",
+        "DTSTART:20000101T070000",
+        "DTEND:20000101T073000",
+        "RRULE:FREQ=DAILY;COUNT=10000",
+      ),
+    );
+
+    expect(getEventsForDate(events, "2027-05-18")).toHaveLength(1);
+    expect(getEventsForDate(events, "2027-05-19")).toEqual([]);
+  });
+
+  test("clips an old recurring overnight event to the queried day", () => {
+    const events = parseICalendar(
+      calendar(
+        "SUMMARY:Night shift",
+        "DTSTART:20000101T230000",
+        "DTEND:20000102T010000",
+        "RRULE:FREQ=DAILY",
+      ),
+    );
+
+    expect(getEventsForDate(events, "2026-10-19")).toEqual([
+      { title: "Night shift", start: 0, end: 60, source: "ics" },
+      { title: "Night shift", start: 1380, end: 1440, source: "ics" },
+    ]);
+  });
+});
+
+describe("serializeICalendar", () => {
+  const event = {
+    uid: "2026-10-19-task_1.guitar@forest",
+    start: { date: "2026-10-19", minutes: 570 },
+    end: { date: "2026-10-19", minutes: 630 },
+    summary: "Barre chords; F, B\u266d and a very long title that has to be folded onto a continuation line",
+    description: "Line one\nLine two",
+  };
+
+  test("writes a document that parses back to the same events", () => {
+    const text = serializeICalendar([event], { now: new Date("2026-10-19T08:00:00Z") });
+
+    expect(text.split("\r\n").every((line) => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(parseICalendar(text)).toEqual([
+      {
+        title: event.summary,
+        start: event.start,
+        end: event.end,
+        allDay: false,
+        rrule: null,
+        exdates: [],
+        source: "ics",
+      },
+    ]);
+  });
+
+  test("writes UTC times that parse back to the wall time in the same zone", () => {
+    const text = serializeICalendar([event], { timeZone: "Europe/Berlin" });
+
+    expect(text).toContain("DTSTART:20261019T073000Z");
+    const [parsed] = parseICalendar(text, "ics", "Europe/Berlin");
+    expect([parsed.start, parsed.end]).toEqual([event.start, event.end]);
+  });
+
+  test("keeps the UID it was given, so re-exports update the same event", () => {
+    const first = serializeICalendar([event], { now: new Date("2026-10-19T08:00:00Z") });
+    const second = serializeICalendar([event], { now: new Date("2026-10-20T08:00:00Z") });
+
+    const uids = (/** @type {string} */ text) => text.match(/^UID:.*$/gm);
+    expect(uids(first)).toEqual(["UID:2026-10-19-task_1.guitar@forest"]);
+    expect(uids(second)).toEqual(uids(first));
+  });
+});
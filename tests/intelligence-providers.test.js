@@ -0,0 +1,179 @@
+import http from "http";
+import {
+  HeuristicProvider,
+  OpenAiCompatibleProvider,
+  createIntelligenceProvider,
+  extractJson,
+} from "../intelligence-providers.js";
+
+/**
+ * Local stand-in for an OpenAI-compatible endpoint. `reply` decides the
+ * status and message content for each request; requests are recorded.
+ * @param {(body: any) => { status?: number, content?: string }} reply
+ */
+async function startStubServer(reply) {
+  /** @type {{ headers: http.IncomingHttpHeaders, body: any }[]} */
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      const body = JSON.parse(raw);
+      requests.push({ headers: req.headers, body });
+      const { status = 200, content = "" } = reply(body);
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ choices: [{ message: { role: "assistant", content } }] }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(undefined)));
+  const { port } = /** @type {import("net").AddressInfo} */ (server.address());
+  return {
+    baseUrl: `http://127.0.0.1:${port}/v1/`,
+    requests,
+    close: () => new Promise((resolve) => server.close(() => resolve(undefined))),
+  };
+}
+
+describe("HeuristicProvider", () => {
+  const provider = new HeuristicProvider();
+
+  test("is always available and accepts every request type", () => {
+    expect(provider.isAvailable()).toBe(true);
+    expect(provider.supports("anything")).toBe(true);
+  });
+
+  test("shapes branches from keywords in the goal", async () => {
+    const { branches } = await provider.request("branch-design", {
+      goal: "Build daily systems for crisis prevention",
+    });
+    const ids = branches.map((/** @type {any} */ b) => b.id);
+    expect(ids).toEqual(["crisis", "daily", "exploration", "mastery"]);
+    expect(branches[0]).toMatchObject({ priority: "critical", completed: false });
+  });
+
+  test("chains generated nodes through their prerequisites", async () => {
+    const { nodes } = await provider.request("branch-node-generation", {
+      branch: { id: "basics", title: "Basics" },
+      startNodeId: 4,
+    });
+    expect(nodes.map((/** @type {any} */ n) => n.id)).toEqual(["basics_4", "basics_5", "basics_6"]);
+    expect(nodes[0].prerequisites).toEqual([]);
+    expect(nodes[2].prerequisites).toEqual(["basics_5"]);
+  });
+
+  test("selects the top-ranked candidate", async () => {
+    const result = await provider.request("next-task-selection", {
+      candidates: [{ id: "best" }, { id: "second" }],
+    });
+    expect(result.selected_task_id).toBe("best");
+    await expect(provider.request("next-task-selection", {})).resolves.toMatchObject({
+      selected_task_id: null,
+    });
+  });
+
+  test("scores credential transfer at the generic fallback", async () => {
+    const result = await provider.request("credentials-to-skills-mapping", {
+      subjectArea: "Music theory",
+      goal: "Learn guitar",
+    });
+    expect(result).toEqual({ score: 0.1 });
+  });
+
+  test("rejects request types it has no heuristic for", async () => {
+    await expect(provider.request("unknown-request", {})).rejects.toThrow(
+      'No heuristic available for intelligence request "unknown-request"',
+    );
+  });
+});
+
+describe("OpenAiCompatibleProvider against a stub server", () => {
+  /** @type {Awaited<ReturnType<typeof startStubServer>>} */
+  let stub;
+  /** @type {{ status?: number, content?: string }} */
+  let nextReply;
+
+  beforeEach(async () => {
+    nextReply = {};
+    stub = await startStubServer(() => nextReply);
+  });
+
+  afterEach(async () => {
+    await stub.close();
+  });
+
+  test("sends the rendered prompt and returns the validated reply", async () => {
+    nextReply = {
+      content: 'Sure:\n```json\n{"selected_task_id": "t2", "reason": "Fits the energy"}\n```',
+    };
+    const provider = new OpenAiCompatibleProvider({
+      name: "local",
+      baseUrl: stub.baseUrl,
+      apiKey: "secret",
+      model: "stub-model",
+    });
+
+    const result = await provider.request("next-task-selection", {
+      energyLevel: 4,
+      timeAvailable: "30 minutes",
+      candidates: [{ id: "t1" }, { id: "t2" }],
+    });
+
+    expect(result).toEqual({ selected_task_id: "t2", reason: "Fits the energy" });
+    expect(stub.requests).toHaveLength(1);
+    const [{ headers, body }] = stub.requests;
+    expect(headers.authorization).toBe("Bearer secret");
+    expect(body.model).toBe("stub-model");
+    expect(body.messages[0].role).toBe("system");
+    expect(body.messages[1].content).toContain("Energy level: 4/5");
+  });
+
+  test("rejects replies that fail the template's schema", async () => {
+    nextReply = { content: '{"reason": "no id"}' };
+    const provider = new OpenAiCompatibleProvider({ baseUrl: stub.baseUrl, model: "m" });
+
+    await expect(provider.request("next-task-selection", { candidates: [] })).rejects.toThrow(
+      /failed validation/,
+    );
+  });
+
+  test("reports HTTP errors from the endpoint", async () => {
+    nextReply = { status: 500, content: "overloaded" };
+    const provider = new OpenAiCompatibleProvider({ baseUrl: stub.baseUrl, model: "m" });
+
+    await expect(provider.request("role-inference", { config: {} })).rejects.toThrow(
+      /returned HTTP 500/,
+    );
+  });
+});
+
+describe("createIntelligenceProvider", () => {
+  test("falls back to heuristics when sampling has no server", () => {
+    expect(createIntelligenceProvider({ provider: "sampling" })).toBeInstanceOf(
+      HeuristicProvider,
+    );
+  });
+
+  test("builds a local provider with its default endpoint", () => {
+    const provider = /** @type {OpenAiCompatibleProvider} */ (
+      createIntelligenceProvider({ provider: "local" })
+    );
+    expect(provider.name).toBe("local");
+    expect(provider.baseUrl).toBe("http://localhost:11434/v1");
+  });
+
+  test("rejects unknown providers", () => {
+    expect(() => createIntelligenceProvider({ provider: "nope" })).toThrow(
+      'Unknown intelligence provider "nope"',
+    );
+  });
+});
+
+describe("extractJson", () => {
+  test("finds the object inside surrounding prose", () => {
+    expect(extractJson('Here you go: {"a": 1} hope that helps')).toEqual({ a: 1 });
+  });
+
+  test("throws when there is no object", () => {
+    expect(() => extractJson("no json here")).toThrow("did not contain a JSON object");
+  });
+});
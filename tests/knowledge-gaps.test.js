@@ -0,0 +1,256 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { DataPersistence } from "../data-persistence.js";
+import {
+  analyzeGapClosure,
+  KnowledgeGaps,
+  recordKnowledgeGaps,
+  resolveGapsAnsweredBy,
+} from "../knowledge-gaps.js";
+import { ProjectManagement } from "../project-management.js";
+import { FileStorageAdapter } from "../storage-adapters.js";
+
+/** @type {string} */
+let dataDir;
+/** @type {DataPersistence} */
+let persistence;
+/** @type {KnowledgeGaps} */
+let gaps;
+
+const loadHistory = () => persistence.loadProjectData("guitar", "learning_history.json");
+const loadHTA = () => persistence.loadProjectData("guitar", "hta.json");
+
+beforeEach(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "forest-gaps-"));
+  persistence = new DataPersistence(dataDir, new FileStorageAdapter(dataDir));
+  gaps = new KnowledgeGaps(persistence, new ProjectManagement(persistence, null));
+
+  await persistence.saveGlobalData("config.json", {
+    projects: ["guitar"],
+    activeProject: "guitar",
+  });
+  await persistence.saveProjectData("guitar", "config.json", {
+    id: "guitar",
+    goal: "Learn guitar",
+  });
+  await persistence.saveProjectData("guitar", "learning_history.json", {
+    completedTopics: [],
+    insights: [],
+    knowledgeGaps: [
+      {
+        id: "gap_1",
+        question: "How do barre chords work?",
+        relatedTopic: "Chords",
+        identified: "2026-01-05T10:00:00.000Z",
+        priority: "medium",
+        status: "open",
+      },
+    ],
+    skillProgression: {},
+  });
+  await persistence.saveProjectData("guitar", "hta.json", {
+    frontierNodes: [],
+    strategicBranches: [],
+  });
+});
+
+afterEach(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe("recordKnowledgeGaps", () => {
+  /**
+   * @param {string} nextQuestions
+   * @param {any} [fields]
+   */
+  const block = (nextQuestions, fields = {}) => ({
+    title: "Chords",
+    taskId: "t1",
+    branch: "Chords",
+    completedAt: "2026-01-06T10:00:00.000Z",
+    nextQuestions,
+    ...fields,
+  });
+
+  test("counts a question close to a tracked gap against it instead of adding it", () => {
+    const history = { knowledgeGaps: [{ id: "gap_1", question: "How do barre chords work?" }] };
+
+    const { added, repeated } = recordKnowledgeGaps(
+      history,
+      block("How does a barre chord work? Why does my F buzz?"),
+    );
+
+    expect(repeated.map((gap) => gap.id)).toEqual(["gap_1"]);
+    expect(history.knowledgeGaps[0]).toEqual(
+      expect.objectContaining({ askedCount: 2, lastAsked: "2026-01-06T10:00:00.000Z" }),
+    );
+    expect(added).toEqual([
+      expect.objectContaining({
+        id: "gap_2",
+        question: "Why does my F buzz?",
+        relatedTaskId: "t1",
+        status: "open",
+        askedCount: 1,
+      }),
+    ]);
+  });
+
+  test("reopens a resolved gap that comes up again and raises it after a breakthrough", () => {
+    const history = {
+      knowledgeGaps: [
+        {
+          id: "gap_1",
+          question: "How do barre chords work?",
+          status: "resolved",
+          priority: "medium",
+        },
+      ],
+    };
+
+    recordKnowledgeGaps(history, block("How do barre chords work?", { breakthrough: true }));
+
+    expect(history.knowledgeGaps).toEqual([
+      expect.objectContaining({ status: "open", priority: "high", askedCount: 2 }),
+    ]);
+  });
+});
+
+describe("promoteGapToTask", () => {
+  test("adds a task for the gap and marks the gap as being worked on", async () => {
+    const result = await gaps.promoteGapToTask("gap_1", null, "Chords");
+
+    expect(result.task_created).toEqual(
+      expect.objectContaining({
+        id: "gap_1_task",
+        title: "Explore: How do barre chords work?",
+        branch: "Chords",
+        gapId: "gap_1",
+      }),
+    );
+    expect((await loadHTA()).frontierNodes.map((/** @type {any} */ n) => n.id)).toEqual([
+      "gap_1_task",
+    ]);
+    const [gap] = (await loadHistory()).knowledgeGaps;
+    expect(gap).toEqual(
+      expect.objectContaining({ status: "promoted", promotedTaskId: "gap_1_task" }),
+    );
+
+    const again = await gaps.promoteGapToTask("gap_1");
+    expect(again.content[0].text).toContain("Gap gap_1 is already task `gap_1_task`");
+    expect((await loadHTA()).frontierNodes).toHaveLength(1);
+  });
+
+  test("finishes a promotion whose task was added but whose gap wasn't marked", async () => {
+    const hta = await loadHTA();
+    hta.frontierNodes.push({ id: "gap_1_task", title: "Explore barre chords", gapId: "gap_1" });
+    await persistence.saveProjectData("guitar", "hta.json", hta);
+
+    const result = await gaps.promoteGapToTask("gap_1");
+
+    expect(result.task_created?.title).toBe("Explore barre chords");
+    expect((await loadHTA()).frontierNodes).toHaveLength(1);
+    const [gap] = (await loadHistory()).knowledgeGaps;
+    expect(gap.status).toBe("promoted");
+    expect(gap.promotedTaskId).toBe("gap_1_task");
+  });
+
+  test("refuses to reuse a task that belongs to something else", async () => {
+    const hta = await loadHTA();
+    hta.frontierNodes.push({ id: "gap_1_task", title: "Unrelated" });
+    await persistence.saveProjectData("guitar", "hta.json", hta);
+
+    const result = await gaps.promoteGapToTask("gap_1");
+
+    expect(result.content[0].text).toContain("Task gap_1_task already exists in the HTA tree");
+    expect((await loadHistory()).knowledgeGaps[0].status).toBe("open");
+  });
+});
+
+describe("resolveKnowledgeGap", () => {
+  test("resolves a gap and links the task that answered it", async () => {
+    await persistence.saveProjectData("guitar", "hta.json", {
+      frontierNodes: [{ id: "t1", title: "Chord shapes" }],
+    });
+
+    const result = await gaps.resolveKnowledgeGap(
+      "gap_1",
+      "Index finger across all strings",
+      "t1",
+    );
+
+    expect(result.knowledge_gap).toEqual(
+      expect.objectContaining({
+        status: "resolved",
+        resolution: "Index finger across all strings",
+        answeredBy: "t1",
+      }),
+    );
+    expect((await loadHTA()).frontierNodes[0].answersGaps).toEqual(["gap_1"]);
+
+    const again = await gaps.resolveKnowledgeGap("gap_1");
+    expect(again.content[0].text).toContain("Gap gap_1 is already resolved");
+  });
+
+  test("refuses to link a task that isn't in the tree", async () => {
+    const result = await gaps.resolveKnowledgeGap("gap_1", "", "t9");
+
+    expect(result.content[0].text).toContain('No task "t9" in the general HTA tree');
+    expect((await loadHistory()).knowledgeGaps[0].status).toBe("open");
+  });
+
+  test("resolves promoted gaps when their task is completed", () => {
+    const history = {
+      knowledgeGaps: [
+        { id: "gap_1", question: "Q1", status: "promoted", promotedTaskId: "gap_1_task" },
+        { id: "gap_2", question: "Q2", status: "open" },
+      ],
+    };
+
+    const resolved = resolveGapsAnsweredBy(history, {
+      taskId: "gap_1_task",
+      learned: "Roll the finger slightly",
+      completedAt: "2026-01-08T10:00:00.000Z",
+    });
+
+    expect(resolved.map((gap) => gap.id)).toEqual(["gap_1"]);
+    expect(history.knowledgeGaps.map((gap) => gap.status)).toEqual(["resolved", "open"]);
+  });
+});
+
+describe("analyzeGapClosure", () => {
+  /**
+   * @param {string} id
+   * @param {"open"|"promoted"|"resolved"} status
+   * @param {any} [fields]
+   */
+  const gap = (id, status, fields = {}) => ({
+    id,
+    question: `Question ${id}`,
+    relatedTopic: "Chords",
+    identified: "2026-01-01T00:00:00.000Z",
+    priority: "medium",
+    status,
+    ...fields,
+  });
+
+  test("reports the closure rate and how long closing takes", () => {
+    expect(
+      analyzeGapClosure([
+        gap("gap_1", "resolved", { resolvedAt: "2026-01-03T00:00:00.000Z", answeredBy: "t1" }),
+        gap("gap_2", "resolved", { resolvedAt: "2026-01-05T12:00:00.000Z" }),
+        gap("gap_3", "promoted"),
+        gap("gap_4", "open", { askedCount: 3 }),
+      ]),
+    ).toEqual({
+      total: 4,
+      open: 1,
+      promoted: 1,
+      resolved: 2,
+      closureRate: 50,
+      medianDaysToClose: 4.5,
+      answeredByTasks: 1,
+      repeatedQuestions: 1,
+    });
+  });
+});
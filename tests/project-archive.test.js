@@ -0,0 +1,156 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { DataPersistence } from "../data-persistence.js";
+import { ARCHIVE_FORMAT, ARCHIVE_VERSION, ProjectArchive } from "../project-archive.js";
+import { ProjectManagement } from "../project-management.js";
+import { FileStorageAdapter } from "../storage-adapters.js";
+
+/** @type {string} */
+let dataDir;
+/** @type {DataPersistence} */
+let persistence;
+/** @type {ProjectArchive} */
+let archives;
+
+/** @param {string} file */
+const exists = (file) =>
+  fs.access(path.join(dataDir, file)).then(
+    () => true,
+    () => false,
+  );
+
+/**
+ * @param {string} question
+ * @param {string} id
+ */
+const gap = (question, id) => ({
+  id,
+  question,
+  relatedTopic: "Chords",
+  identified: "2026-01-05T10:00:00.000Z",
+  priority: "medium",
+  status: "open",
+});
+
+/** @param {any[]} documents */
+const writeArchive = async (documents) => {
+  const archivePath = path.join(dataDir, "guitar-archive.json");
+  await fs.writeFile(
+    archivePath,
+    JSON.stringify({
+      format: ARCHIVE_FORMAT,
+      archive_version: ARCHIVE_VERSION,
+      project_id: "guitar",
+      documents,
+    }),
+  );
+  return archivePath;
+};
+
+beforeEach(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "forest-archive-"));
+  persistence = new DataPersistence(dataDir, new FileStorageAdapter(dataDir));
+  archives = new ProjectArchive(persistence, new ProjectManagement(persistence, null));
+
+  await persistence.saveGlobalData("config.json", {
+    projects: ["guitar"],
+    activeProject: "guitar",
+  });
+  await persistence.saveProjectData("guitar", "config.json", {
+    id: "guitar",
+    goal: "Play a song",
+  });
+  await persistence.saveProjectData("guitar", "learning_history.json", {
+    completedTopics: [],
+    insights: [],
+    knowledgeGaps: [gap("How do barre chords work?", "gap_1")],
+    skillProgression: {},
+  });
+  await persistence.saveProjectData("guitar", "day_2026-01-05.json", {
+    date: "2026-01-05",
+    blocks: [],
+  });
+});
+
+afterEach(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe("importProject with onConflict overwrite", () => {
+  const archived = () => [
+    { path_name: null, filename: "config.json", data: { id: "guitar", goal: "Play a concert" } },
+    {
+      path_name: null,
+      filename: "learning_history.json",
+      data: { completedTopics: [], insights: [], knowledgeGaps: [], skillProgression: {} },
+    },
+  ];
+
+  test("replaces the project's documents and removes the ones the archive lacks", async () => {
+    const result = await archives.importProject(await writeArchive(archived()), {
+      onConflict: "overwrite",
+    });
+
+    expect(result.import_summary).toEqual(
+      expect.objectContaining({ written: 2, conflict: "overwrite" }),
+    );
+    const config = await persistence.loadProjectData("guitar", "config.json");
+    expect(config.goal).toBe("Play a concert");
+    expect(await exists("projects/guitar/day_2026-01-05.json")).toBe(false);
+    expect((await fs.readdir(path.join(dataDir, "projects"))).sort()).toEqual(["guitar"]);
+  });
+
+  test("leaves the existing project untouched when a write fails", async () => {
+    const archivePath = await writeArchive(archived());
+    const storage = /** @type {any} */ (persistence.storage);
+    const write = storage.write.bind(storage);
+    storage.write = async (/** @type {string} */ key, /** @type {any} */ data) => {
+      if (key.endsWith("learning_history.json")) throw new Error("disk full");
+      return await write(key, data);
+    };
+
+    const result = await archives.importProject(archivePath, { onConflict: "overwrite" });
+
+    expect(result.imported_project).toBeUndefined();
+    const config = await persistence.loadProjectData("guitar", "config.json");
+    expect(config.goal).toBe("Play a song");
+    expect(await exists("projects/guitar/day_2026-01-05.json")).toBe(true);
+    expect((await fs.readdir(path.join(dataDir, "projects"))).sort()).toEqual(["guitar"]);
+  });
+});
+
+describe("importProject with onConflict merge", () => {
+  test("gives archived knowledge gaps fresh ids and skips questions already tracked", async () => {
+    const archivePath = await writeArchive([
+      { path_name: null, filename: "config.json", data: { id: "guitar", goal: "Play a song" } },
+      {
+        path_name: null,
+        filename: "learning_history.json",
+        data: {
+          completedTopics: [],
+          insights: [],
+          knowledgeGaps: [
+            gap("How do I tune to drop D?", "gap_1"),
+            gap("How do barre chords work?", "gap_2"),
+          ],
+          skillProgression: {},
+        },
+      },
+    ]);
+
+    await archives.importProject(archivePath, { onConflict: "merge" });
+    const history = await persistence.loadProjectData("guitar", "learning_history.json");
+
+    expect(
+      history.knowledgeGaps.map((/** @type {any} */ g) => [g.id, g.question]),
+    ).toEqual([
+      ["gap_1", "How do barre chords work?"],
+      ["gap_2", "How do I tune to drop D?"],
+    ]);
+
+    // Merging the same archive again adds nothing
+    const again = await archives.importProject(archivePath, { onConflict: "merge" });
+    expect(again.import_summary).toEqual(expect.objectContaining({ written: 0, unchanged: 2 }));
+  });
+});
@@ -0,0 +1,122 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { DataPersistence } from "../data-persistence.js";
+import { ProjectManagement } from "../project-management.js";
+import { FileStorageAdapter } from "../storage-adapters.js";
+
+/** @type {string} */
+let dataDir;
+/** @type {DataPersistence} */
+let persistence;
+/** @type {ProjectManagement} */
+let projects;
+
+/** @param {string} file */
+const exists = (file) =>
+  fs.access(path.join(dataDir, file)).then(
+    () => true,
+    () => false,
+  );
+
+beforeEach(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "forest-projects-"));
+  persistence = new DataPersistence(dataDir, new FileStorageAdapter(dataDir));
+  projects = new ProjectManagement(persistence, null);
+
+  await persistence.saveGlobalData("config.json", {
+    projects: ["guitar", "spanish"],
+    activeProject: "guitar",
+  });
+  for (const id of ["guitar", "spanish"]) {
+    await persistence.saveProjectData(id, "config.json", { id, goal: `Learn ${id}` });
+    await persistence.savePathData(id, "general", "hta.json", { frontierNodes: [] });
+  }
+});
+
+afterEach(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe("deleteProject", () => {
+  test("asks for confirmation before deleting anything", async () => {
+    const result = await projects.deleteProject("guitar");
+
+    expect(result.confirmation_required).toBe(true);
+    expect(result.confirmation_token).toMatch(/^[0-9a-f]{8}$/);
+    expect(await exists("projects/guitar/config.json")).toBe(true);
+  });
+
+  test("deletes the project's documents and unregisters it once confirmed", async () => {
+    const { confirmation_token } = await projects.deleteProject("guitar");
+    const result = await projects.deleteProject("guitar", confirmation_token);
+
+    expect(result.deleted_project).toBe("guitar");
+    expect(result.content[0].text).toContain("It was the active project");
+    expect(await exists("projects/guitar")).toBe(false);
+    expect(await exists("projects/spanish/config.json")).toBe(true);
+    expect(await persistence.loadGlobalData("config.json")).toEqual({
+      projects: ["spanish"],
+      activeProject: null,
+    });
+  });
+
+  test("rejects a wrong confirmation token and issues a new one", async () => {
+    const { confirmation_token } = await projects.deleteProject("guitar");
+    const result = await projects.deleteProject("guitar", "not-the-token");
+
+    expect(result.content[0].text).toContain("Confirmation token is invalid or expired");
+    expect(result.confirmation_token).not.toBe(confirmation_token);
+    expect(await exists("projects/guitar/config.json")).toBe(true);
+  });
+
+  test.each(["..", ".", "guitar/..", "../guitar"])(
+    'rejects the unsafe id "%s" without touching the data directory',
+    async (projectId) => {
+      // Even an id that made it into the global list must not be used as a path
+      await persistence.saveGlobalData("config.json", {
+        projects: ["guitar", "spanish", projectId],
+        activeProject: "guitar",
+      });
+
+      const first = await projects.deleteProject(projectId);
+      const second = await projects.deleteProject(projectId, first.confirmation_token);
+
+      for (const result of [first, second]) {
+        expect(result.content[0].text).toContain(`Invalid project id "${projectId}"`);
+        expect(result.confirmation_required).toBeUndefined();
+      }
+      expect(await exists("config.json")).toBe(true);
+      expect(await exists("projects/guitar/config.json")).toBe(true);
+      expect(await exists("projects/spanish/paths/general/hta.json")).toBe(true);
+    },
+  );
+
+  test("rejects projects that are not registered", async () => {
+    await persistence.saveProjectData("orphan", "config.json", { id: "orphan", goal: "x" });
+
+    const result = await projects.deleteProject("orphan");
+
+    expect(result.content[0].text).toContain('Project "orphan" not found');
+    expect(await exists("projects/orphan/config.json")).toBe(true);
+  });
+});
+
+describe("updateProject timezone", () => {
+  test("stores a valid IANA zone", async () => {
+    await projects.updateProject({ timezone: "America/Chicago" });
+
+    const config = await persistence.loadProjectData("guitar", "config.json");
+    expect(config.timezone).toBe("America/Chicago");
+  });
+
+  test("rejects a zone that isn't an IANA name", async () => {
+    const result = await projects.updateProject({ timezone: "Central Time" });
+
+    expect(result.content[0].text).toContain(
+      'update.timezone: "Central Time" is not an IANA time zone',
+    );
+    const config = await persistence.loadProjectData("guitar", "config.json");
+    expect(config.timezone).toBeUndefined();
+  });
+});
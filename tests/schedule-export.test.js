@@ -0,0 +1,140 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { DataPersistence } from "../data-persistence.js";
+import { ProjectManagement } from "../project-management.js";
+import { ScheduleExport } from "../schedule-export.js";
+import { FileStorageAdapter } from "../storage-adapters.js";
+
+/** @type {string} */
+let dataDir;
+/** @type {DataPersistence} */
+let persistence;
+/** @type {ScheduleExport} */
+let exporter;
+
+/** @param {string} text */
+const uids = (text) => text.match(/^UID:.*$/gm);
+
+beforeEach(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "forest-export-"));
+  persistence = new DataPersistence(dataDir, new FileStorageAdapter(dataDir));
+  exporter = new ScheduleExport(persistence, new ProjectManagement(persistence, null));
+
+  await persistence.saveGlobalData("config.json", {
+    projects: ["guitar"],
+    activeProject: "guitar",
+  });
+  await persistence.saveProjectData("guitar", "config.json", {
+    id: "guitar",
+    goal: "Learn guitar",
+    timezone: "UTC",
+  });
+  await persistence.saveProjectData("guitar", "day_2026-10-19.json", {
+    date: "2026-10-19",
+    generated: "2026-10-18T20:00:00.000Z",
+    blocks: [
+      { id: "task_1", type: "learning", title: "Barre chords", startTime: "9:00 AM", duration: 30 },
+      { id: "break_2", type: "break", title: "Break", startTime: "9:30 AM", duration: 15 },
+      {
+        id: "task_3",
+        type: "learning",
+        title: "Scales",
+        startTime: "9:45 AM",
+        duration: 30,
+        skipped: true,
+      },
+      {
+        id: "fixed_4",
+        type: "work",
+        title: "Work",
+        startTime: "10:15 AM",
+        duration: 60,
+        fixed: true,
+      },
+    ],
+  });
+});
+
+afterEach(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe("exportSchedule as iCalendar", () => {
+  test("exports the day's blocks, leaving out skipped blocks and fixed commitments", async () => {
+    const result = await exporter.exportSchedule("2026-10-19");
+
+    expect(result.block_count).toBe(2);
+    expect(uids(result.exported_content || "")).toEqual([
+      "UID:2026-10-19-task_1.guitar@forest",
+      "UID:2026-10-19-break_2.guitar@forest",
+    ]);
+    expect(await fs.readFile(result.export_path || "", "utf8")).toBe(result.exported_content);
+  });
+
+  test("gives blocks the same UIDs when the day is exported again after a change", async () => {
+    const first = await exporter.exportSchedule("2026-10-19");
+    const day = await persistence.loadProjectData("guitar", "day_2026-10-19.json");
+    day.blocks[0].completed = true;
+    day.blocks[0].completedAt = "2026-10-19T09:30:00.000Z";
+    await persistence.saveProjectData("guitar", "day_2026-10-19.json", day);
+
+    const second = await exporter.exportSchedule("2026-10-19");
+
+    expect(second.exported_content).toContain("SUMMARY:✅ Barre chords");
+    expect(uids(second.exported_content || "")).toEqual(uids(first.exported_content || ""));
+  });
+
+  test("reports when there is nothing saved to export", async () => {
+    const result = await exporter.exportSchedule("2026-10-20");
+
+    expect(result.content[0].text).toContain(
+      "No saved schedules between 2026-10-20 and 2026-10-20",
+    );
+  });
+});
+
+describe("exportSchedule in other formats", () => {
+  test("writes CSV rows with quoted fields and the csv extension", async () => {
+    const day = await persistence.loadProjectData("guitar", "day_2026-10-19.json");
+    day.blocks[0].description = 'Try "F", then "B"';
+    await persistence.saveProjectData("guitar", "day_2026-10-19.json", day);
+
+    const result = await exporter.exportSchedule("2026-10-19", null, null, true, false, "CSV");
+
+    expect(result.export_path?.endsWith("schedule-guitar-2026-10-19.csv")).toBe(true);
+    const [header, first, second] = (result.exported_content || "").trim().split("\r\n");
+    expect(header.split(",")[0]).toBe("date");
+    expect(first).toBe(
+      '2026-10-19,09:00,09:30,30,Barre chords,learning,,,no,"Try ""F"", then ""B""",,',
+    );
+    expect(second.startsWith("2026-10-19,09:30,09:45,15,Break,break")).toBe(true);
+  });
+
+  test("leaves breaks, meals and fixed commitments out of the task list", async () => {
+    const result = await exporter.exportSchedule("2026-10-19", null, null, true, true, "todo");
+    const tasks = JSON.parse(result.exported_content || "[]");
+
+    expect(tasks.map((/** @type {any} */ task) => [task.content, task.external_id])).toEqual([
+      ["Barre chords", "2026-10-19-task_1"],
+    ]);
+  });
+
+  test("marks actionable blocks as TODO with stable ids in Org-mode", async () => {
+    const result = await exporter.exportSchedule("2026-10-19", null, null, true, true, "org");
+    const text = result.exported_content || "";
+
+    expect(text).toContain("** TODO Barre chords :learning:");
+    expect(text).toContain("   SCHEDULED: <2026-10-19 Mon 09:00-09:30>");
+    expect(text).toContain(":FOREST_ID: 2026-10-19-task_1");
+    expect(text).toContain("** Work :work:\n   <2026-10-19 Mon 10:15-11:15>");
+  });
+
+  test("lists the registered formats for an unknown one", async () => {
+    const result = await exporter.exportSchedule("2026-10-19", null, null, true, false, "pdf");
+
+    expect(result.content[0].text).toContain(
+      'Unknown export format "pdf". Available formats: ics, tiimo, csv, json, org, todo',
+    );
+  });
+});
@@ -0,0 +1,46 @@
+import {
+  getScheduleExporter,
+  listScheduleExporters,
+  registerScheduleExporter,
+} from "../schedule-exporters.js";
+
+describe("schedule exporter registry", () => {
+  test("looks formats up case-insensitively", () => {
+    expect(getScheduleExporter("ICS").extension).toBe("ics");
+  });
+
+  test("makes a registered format available to export_schedule", () => {
+    registerScheduleExporter("Plain", {
+      label: "Plain text",
+      extension: "txt",
+      description: "One line per block",
+      render: (days) =>
+        days.flatMap((day) => day.blocks.map((block) => `${day.date} ${block.title}`)).join("\n"),
+    });
+
+    const exporter = getScheduleExporter("plain");
+    const text = exporter.render(
+      [
+        {
+          date: "2026-10-19",
+          schedule: {},
+          blocks: [
+            {
+              id: "task_1",
+              type: "learning",
+              title: "Barre chords",
+              startTime: "9:00 AM",
+              start: 540,
+              end: 570,
+              duration: 30,
+            },
+          ],
+        },
+      ],
+      { projectId: "guitar", exportedAt: new Date(), timeZone: "UTC" },
+    );
+
+    expect(text).toBe("2026-10-19 Barre chords");
+    expect(listScheduleExporters().map((entry) => entry.format)).toContain("plain");
+  });
+});
@@ -0,0 +1,250 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { DataPersistence } from "../data-persistence.js";
+import { ProjectManagement } from "../project-management.js";
+import { ScheduleGenerator } from "../schedule-generator.js";
+import { FileStorageAdapter } from "../storage-adapters.js";
+
+/** @type {string} */
+let dataDir;
+/** @type {DataPersistence} */
+let persistence;
+/** @type {ScheduleGenerator} */
+let scheduler;
+
+/** @param {any[]} blocks */
+const taskIds = (blocks) =>
+  blocks.filter((block) => block.type === "learning").map((block) => block.taskId);
+
+beforeEach(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "forest-schedule-"));
+  persistence = new DataPersistence(dataDir, new FileStorageAdapter(dataDir));
+  scheduler = new ScheduleGenerator(persistence, new ProjectManagement(persistence, null));
+
+  await persistence.saveGlobalData("config.json", {
+    projects: ["guitar"],
+    activeProject: "guitar",
+  });
+  await persistence.saveProjectData("guitar", "config.json", {
+    id: "guitar",
+    goal: "Learn guitar",
+    timezone: "UTC",
+  });
+  await persistence.saveProjectData("guitar", "hta.json", {
+    frontierNodes: ["t1", "t2", "t3", "t4", "t5", "t6"].map((id, index) => ({
+      id,
+      title: `Task ${index + 1}`,
+      branch: "Chords",
+      duration: "30 minutes",
+      difficulty: 2,
+      priority: 100 - index,
+    })),
+    strategicBranches: [],
+  });
+});
+
+afterEach(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe("generateWeeklySchedule", () => {
+  test("plans and saves each day, scheduling every task once", async () => {
+    const result = await scheduler.generateWeeklySchedule("2026-10-19", 3);
+
+    expect(result.weekly_schedule?.map((day) => day.date)).toEqual([
+      "2026-10-19",
+      "2026-10-20",
+      "2026-10-21",
+    ]);
+    const planned = (result.weekly_schedule || []).flatMap((day) => taskIds(day.blocks));
+    expect(planned.sort()).toEqual(["t1", "t2", "t3", "t4", "t5", "t6"]);
+    for (const day of result.weekly_schedule || []) {
+      expect(taskIds(day.blocks).length).toBeGreaterThan(0);
+      const saved = await persistence.loadProjectData("guitar", `day_${day.date}.json`);
+      expect(saved.blocks).toEqual(day.blocks);
+    }
+  });
+
+  test("keeps days that already have a schedule unless told to overwrite", async () => {
+    const existing = {
+      date: "2026-10-19",
+      blocks: [{ id: "b1", type: "learning", taskId: "t1", startTime: "9:00 AM", duration: 30 }],
+    };
+    await persistence.saveProjectData("guitar", "day_2026-10-19.json", existing);
+
+    const kept = await scheduler.generateWeeklySchedule("2026-10-19", 2);
+
+    expect(kept.weekly_schedule?.[0]).toEqual(
+      expect.objectContaining({ kept_existing: true, blocks: existing.blocks }),
+    );
+    expect(taskIds(kept.weekly_schedule?.[1].blocks || [])).not.toContain("t1");
+
+    const replanned = await scheduler.generateWeeklySchedule(
+      "2026-10-19",
+      2,
+      3,
+      "mixed",
+      true,
+    );
+
+    expect(replanned.weekly_schedule?.[0].kept_existing).toBe(false);
+    const saved = await persistence.loadProjectData("guitar", "day_2026-10-19.json");
+    expect(saved.blocks).not.toEqual(existing.blocks);
+  });
+
+  test("rejects a range outside 1 to 14 days", async () => {
+    const result = await scheduler.generateWeeklySchedule("2026-10-19", 15);
+
+    expect(result.content[0].text).toContain("days must be a whole number from 1 to 14");
+    expect(await persistence.loadProjectData("guitar", "day_2026-10-19.json")).toBeNull();
+  });
+});
+
+describe("generateWeeklySchedule with fixed events", () => {
+  /** @param {string} time */
+  const minutes = (time) => scheduler.parseTime(time);
+
+  test("plans around calendar events and fixed events without overlapping them", async () => {
+    const icsPath = path.join(dataDir, "calendar.ics");
+    await fs.writeFile(
+      icsPath,
+      [
+        "BEGIN:VCALENDAR",
+        "BEGIN:VEVENT",
+        "SUMMARY:Dentist",
+        "DTSTART:20261019T100000",
+        "DTEND:20261019T113000",
+        "END:VEVENT",
+        "END:VCALENDAR",
+      ].join("\r\n"),
+    );
+
+    const result = await scheduler.generateWeeklySchedule(
+      "2026-10-19",
+      2,
+      3,
+      "mixed",
+      false,
+      [{ title: "Band practice", start_time: "2:00 PM", end_time: "3:00 PM" }],
+      icsPath,
+    );
+    const [monday, tuesday] = result.weekly_schedule || [];
+
+    /** @param {any[]} blocks */
+    const fixed = (blocks) =>
+      blocks.filter((block) => block.fixed).map((block) => [block.title, block.startTime]);
+    expect(fixed(monday.blocks)).toEqual([
+      ["Dentist", "10:00 AM"],
+      ["Band practice", "2:00 PM"],
+    ]);
+    expect(fixed(tuesday.blocks)).toEqual([["Band practice", "2:00 PM"]]);
+
+    /** @param {any} block @returns {number[]} */
+    const span = (block) => [minutes(block.startTime), minutes(block.startTime) + block.duration];
+    for (const day of [monday, tuesday]) {
+      /** @type {number[][]} */
+      const busy = day.blocks.filter((/** @type {any} */ block) => block.fixed).map(span);
+      for (const block of day.blocks.filter((/** @type {any} */ block) => !block.fixed)) {
+        const [start, end] = span(block);
+        expect(busy.filter(([from, to]) => start < to && end > from)).toEqual([]);
+      }
+    }
+  });
+
+  test("rejects a fixed event that ends before it starts", async () => {
+    const result = await scheduler.generateWeeklySchedule("2026-10-19", 1, 3, "mixed", false, [
+      { title: "Backwards", start_time: "3:00 PM", end_time: "2:00 PM" },
+    ]);
+
+    expect(result.content[0].text).toContain("fixed_events[0]: end_time must be after start_time");
+  });
+});
+
+describe("rescheduleDay", () => {
+  /**
+   * @param {string} id
+   * @param {string} type
+   * @param {string} startTime
+   * @param {number} duration
+   * @param {number} [priority]
+   */
+  const block = (id, type, startTime, duration, priority) => ({
+    id,
+    type,
+    title: id,
+    startTime,
+    duration,
+    priority,
+    completed: false,
+  });
+
+  beforeEach(async () => {
+    await persistence.saveProjectData("guitar", "day_2026-01-05.json", {
+      date: "2026-01-05",
+      blocks: [
+        block("meal_1", "meal", "8:00 PM", 30),
+        block("task_2", "learning", "8:30 PM", 45, 200),
+        block("habit_3", "habit", "9:15 PM", 15),
+        block("break_4", "break", "9:30 PM", 15),
+        block("task_5", "learning", "9:45 PM", 30, 100),
+      ],
+    });
+  });
+
+  /** @param {any} result */
+  const remaining = (result) =>
+    result.daily_schedule.blocks.map((/** @type {any} */ b) => [b.id, b.startTime]);
+
+  test("drops habits, then breaks, then the lowest-priority learning until the day fits", async () => {
+    const result = await scheduler.rescheduleDay("2026-01-05", "8:00 PM");
+
+    expect(result.adjustment).toEqual(
+      expect.objectContaining({ dropped: ["habit_3", "break_4"], deferred: ["task_5"] }),
+    );
+    expect(remaining(result)).toEqual([
+      ["meal_1", "8:00 PM"],
+      ["task_2", "8:30 PM"],
+    ]);
+    const saved = await persistence.loadProjectData("guitar", "day_2026-01-05.json");
+    expect(saved.deferred.map((/** @type {any} */ b) => b.id)).toEqual(["task_5"]);
+  });
+
+  test("gives up meals last and never an unplanned block the user just added", async () => {
+    const result = await scheduler.rescheduleDay("2026-01-05", "8:00 PM", {
+      title: "Call home",
+      duration: 60,
+    });
+
+    expect(result.adjustment).toEqual(
+      expect.objectContaining({
+        inserted: "unplanned_6",
+        dropped: ["habit_3", "break_4"],
+        deferred: ["task_5", "task_2"],
+      }),
+    );
+    expect(remaining(result)).toEqual([
+      ["unplanned_6", "8:00 PM"],
+      ["meal_1", "9:00 PM"],
+    ]);
+  });
+});
+
+describe("generateWeeklySchedule after skips and deferrals", () => {
+  test("plans skipped and deferred tasks of kept days again", async () => {
+    await persistence.saveProjectData("guitar", "day_2026-10-19.json", {
+      date: "2026-10-19",
+      blocks: [
+        { id: "b1", type: "learning", taskId: "t1", startTime: "9:00 AM", skipped: true },
+        { id: "b2", type: "learning", taskId: "t2", startTime: "9:30 AM", deferred: true },
+        { id: "b3", type: "learning", taskId: "t3", startTime: "10:00 AM" },
+      ],
+    });
+
+    const result = await scheduler.generateWeeklySchedule("2026-10-19", 2);
+    const nextDay = taskIds(result.weekly_schedule?.[1].blocks || []);
+
+    expect(nextDay).toEqual(expect.arrayContaining(["t1", "t2"]));
+    expect(nextDay).not.toContain("t3");
+  });
+});
@@ -0,0 +1,117 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { DataPersistence } from "../data-persistence.js";
+import { getCurrentVersion, migrateFileData } from "../schema-migrations.js";
+import { FileStorageAdapter } from "../storage-adapters.js";
+
+const LEGACY_HTA = {
+  project_id: "p",
+  north_star: "Play guitar",
+  frontier_nodes: [{ id: "chords", title: "Learn chords" }],
+  completed_nodes: [{ id: "tuning", title: "Tune the guitar" }],
+  branches: [{ id: "basics", title: "Basics" }],
+};
+
+describe("migrateFileData", () => {
+  test("unifies the legacy HTA layout and stamps the version", () => {
+    const { data, fromVersion, toVersion, changes } = migrateFileData("hta.json", LEGACY_HTA);
+
+    expect(fromVersion).toBe(0);
+    expect(toVersion).toBe(getCurrentVersion("hta"));
+    expect(data.schema_version).toBe(toVersion);
+    expect(data.goal).toBe("Play guitar");
+    expect(data.frontierNodes).toEqual([
+      { id: "chords", title: "Learn chords" },
+      { id: "tuning", title: "Tune the guitar", completed: true },
+    ]);
+    expect(data.strategicBranches).toEqual([{ id: "basics", title: "Basics" }]);
+    for (const legacy of ["north_star", "frontier_nodes", "completed_nodes", "branches"]) {
+      expect(data).not.toHaveProperty(legacy);
+    }
+    expect(changes.length).toBeGreaterThan(0);
+  });
+
+  test("leaves current data and the input untouched", () => {
+    const current = migrateFileData("hta.json", LEGACY_HTA).data;
+    const again = migrateFileData("hta.json", current);
+
+    expect(again.changes).toEqual([]);
+    expect(LEGACY_HTA).toHaveProperty("frontier_nodes");
+  });
+
+  test("refuses data from a newer schema", () => {
+    expect(() => migrateFileData("hta.json", { schema_version: 999 })).toThrow(
+      /newer than supported/,
+    );
+  });
+});
+
+describe("runMigrations", () => {
+  /** @type {string} */
+  let dataDir;
+  /** @type {FileStorageAdapter} */
+  let storage;
+  /** @type {DataPersistence} */
+  let persistence;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "forest-migrations-"));
+    storage = new FileStorageAdapter(dataDir);
+    persistence = new DataPersistence(dataDir, storage);
+    // Written straight to storage, as an older version would have left them
+    await storage.write("projects/p/config.json", { id: "p", goal: "Play guitar" });
+    await storage.write("projects/p/paths/guitar/hta.json", LEGACY_HTA);
+    await storage.write("projects/p/notes.json", { free: "form" });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test("dry run reports pending changes without writing", async () => {
+    const report = await persistence.runMigrations({ dryRun: true });
+
+    expect(report.dryRun).toBe(true);
+    expect(report.scanned).toBe(2);
+    expect(report.errors).toEqual([]);
+    expect(
+      report.pending.map((/** @type {any} */ p) => [p.pathName, p.filename, p.fromVersion]),
+    ).toEqual(
+      expect.arrayContaining([
+        [null, "config.json", 0],
+        ["guitar", "hta.json", 0],
+      ]),
+    );
+    expect(await storage.read("projects/p/paths/guitar/hta.json")).toEqual(LEGACY_HTA);
+    expect(await storage.read("projects/p/config.json")).toEqual({ id: "p", goal: "Play guitar" });
+  });
+
+  test("apply upgrades the files so a second run finds nothing to do", async () => {
+    const report = await persistence.runMigrations({ dryRun: false });
+    expect(report.pending).toHaveLength(2);
+
+    const hta = await storage.read("projects/p/paths/guitar/hta.json");
+    expect(hta.schema_version).toBe(getCurrentVersion("hta"));
+    expect(hta.frontierNodes).toHaveLength(2);
+    expect(hta).not.toHaveProperty("frontier_nodes");
+    const config = await storage.read("projects/p/config.json");
+    expect(config.activePath).toBe("general");
+    expect(config.learning_paths).toEqual([{ path_name: "general", priority: "high" }]);
+
+    const rerun = await persistence.runMigrations({ dryRun: false });
+    expect(rerun.pending).toEqual([]);
+    expect(await storage.read("projects/p/notes.json")).toEqual({ free: "form" });
+  });
+
+  test("reports files it cannot migrate and carries on", async () => {
+    await storage.write("projects/p/paths/future/hta.json", { schema_version: 999 });
+
+    const report = await persistence.runMigrations({ dryRun: false });
+
+    expect(report.errors).toEqual([
+      expect.objectContaining({ pathName: "future", filename: "hta.json" }),
+    ]);
+    expect(report.pending).toHaveLength(2);
+  });
+});
@@ -0,0 +1,113 @@
+import {
+  applyReview,
+  createReviewItem,
+  getDueReviews,
+  getReviewQuality,
+  interleaveReviews,
+  toReviewTask,
+} from "../spaced-repetition.js";
+
+const newItem = () =>
+  createReviewItem({
+    taskId: "t1",
+    title: "Barre chords",
+    branch: "Chords",
+    difficulty: 3,
+    completedOnDate: "2026-01-01",
+  });
+
+describe("getReviewQuality", () => {
+  test("maps the difficulty rating to recall quality, lower after a struggle", () => {
+    expect(getReviewQuality(1)).toBe(5);
+    expect(getReviewQuality(5)).toBe(1);
+    expect(getReviewQuality(2, "I was confused by the fingering")).toBe(3);
+    expect(getReviewQuality(5, "Got stuck")).toBe(0);
+    expect(getReviewQuality(NaN)).toBe(3);
+  });
+});
+
+describe("applyReview", () => {
+  test("spaces successful reviews 1 day, 6 days, then by the easiness factor", () => {
+    const item = newItem();
+
+    applyReview(item, 5, "2026-01-01");
+    expect([item.interval, item.easiness, item.dueDate]).toEqual([1, 2.6, "2026-01-02"]);
+
+    applyReview(item, 4, "2026-01-02");
+    expect([item.interval, item.easiness, item.dueDate]).toEqual([6, 2.6, "2026-01-08"]);
+
+    applyReview(item, 5, "2026-01-08");
+    expect([item.interval, item.easiness, item.dueDate]).toEqual([16, 2.7, "2026-01-24"]);
+    expect(item.repetitions).toBe(3);
+  });
+
+  test("restarts the cycle after a failed review and lowers the easiness", () => {
+    const item = newItem();
+    applyReview(item, 5, "2026-01-01");
+    applyReview(item, 5, "2026-01-02");
+
+    applyReview(item, 2, "2026-01-08");
+
+    expect(item).toEqual(
+      expect.objectContaining({
+        repetitions: 0,
+        interval: 1,
+        easiness: 2.38,
+        dueDate: "2026-01-09",
+        lastReviewedOn: "2026-01-08",
+      }),
+    );
+    expect(item.history.map((entry) => entry.quality)).toEqual([5, 5, 2]);
+  });
+
+  test("never lets the easiness fall below 1.3", () => {
+    const item = newItem();
+    for (const date of ["2026-01-01", "2026-01-02", "2026-01-03"]) {
+      applyReview(item, 0, date);
+    }
+
+    expect(item.easiness).toBe(1.3);
+  });
+});
+
+describe("getDueReviews", () => {
+  test("returns reviews due by the date, most overdue first", () => {
+    const items = [
+      { taskId: "later", dueDate: "2026-01-10", priority: 200 },
+      { taskId: "today", dueDate: "2026-01-05", priority: 200 },
+      { taskId: "overdue", dueDate: "2026-01-03", priority: 200 },
+      { taskId: "today-urgent", dueDate: "2026-01-05", priority: 300 },
+    ];
+
+    expect(getDueReviews({ items }, "2026-01-05").map((item) => item.taskId)).toEqual([
+      "overdue",
+      "today-urgent",
+      "today",
+    ]);
+    expect(getDueReviews(null, "2026-01-05")).toEqual([]);
+  });
+});
+
+describe("toReviewTask", () => {
+  test("turns a review into a short, slightly easier task", () => {
+    const item = applyReview(newItem(), 5, "2026-01-01");
+
+    expect(toReviewTask(item)).toEqual(
+      expect.objectContaining({
+        id: "t1",
+        title: "Review: Barre chords",
+        difficulty: 2,
+        duration: "15 minutes",
+        review: true,
+        reviewDue: "2026-01-02",
+      }),
+    );
+    expect(createReviewItem({ taskId: "t1", title: "Review: Barre chords" }).title).toBe(
+      "Barre chords",
+    );
+  });
+
+  test("interleaves reviews with new work, new work first", () => {
+    expect(interleaveReviews(["a", "b", "c"], ["r1"])).toEqual(["a", "r1", "b", "c"]);
+  });
+});
@@ -0,0 +1,336 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { DataPersistence } from "../data-persistence.js";
+import { addDays, getProjectTimeZone, getToday } from "../date-utils.js";
+import { ProjectManagement } from "../project-management.js";
+import { ScheduleGenerator } from "../schedule-generator.js";
+import { FileStorageAdapter } from "../storage-adapters.js";
+import { TaskCompletion } from "../task-completion.js";
+
+const DATE = "2026-01-05";
+
+/** @type {string} */
+let dataDir;
+/** @type {DataPersistence} */
+let persistence;
+/** @type {TaskCompletion} */
+let completion;
+
+/** @param {string} blockId */
+const complete = (blockId) =>
+  completion.completeBlock(
+    blockId,
+    "Played every scale cleanly",
+    "Fingering patterns",
+    "",
+    4,
+    3,
+    false,
+    5,
+    [],
+    [],
+    [],
+    [],
+    false,
+    [],
+    [],
+    DATE,
+  );
+
+beforeEach(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "forest-completion-"));
+  persistence = new DataPersistence(dataDir, new FileStorageAdapter(dataDir));
+  completion = new TaskCompletion(persistence, new ProjectManagement(persistence, null));
+
+  await persistence.saveGlobalData("config.json", {
+    projects: ["guitar"],
+    activeProject: "guitar",
+  });
+  // The day was planned for the theory path; the project has since moved on
+  await persistence.saveProjectData("guitar", "config.json", {
+    id: "guitar",
+    goal: "Learn guitar",
+    activePath: "general",
+    learning_paths: [{ path_name: "general" }, { path_name: "theory" }],
+  });
+  await persistence.saveProjectData("guitar", `day_${DATE}.json`, {
+    date: DATE,
+    activePath: "theory",
+    blocks: [
+      {
+        id: "b1",
+        type: "learning",
+        title: "Scales",
+        taskId: "t1",
+        startTime: "9:00 AM",
+        duration: 30,
+      },
+      { id: "b2", type: "break", title: "Break", startTime: "9:30 AM", duration: 15 },
+    ],
+  });
+  await persistence.savePathData("guitar", "theory", "hta.json", {
+    frontierNodes: [{ id: "t1", title: "Scales", branch: "basics", completed: false }],
+  });
+});
+
+afterEach(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe("completeBlock", () => {
+  test("records a past day's block under the path it was scheduled for", async () => {
+    const result = await complete("b1");
+
+    expect(result.block_completed.completed).toBe(true);
+    const history = await persistence.loadPathData("guitar", "theory", "learning_history.json");
+    expect(history.completedTopics.map((/** @type {any} */ t) => t.topic)).toEqual(["Scales"]);
+    const reviews = await persistence.loadPathData("guitar", "theory", "reviews.json");
+    expect(reviews.items.map((/** @type {any} */ i) => i.taskId)).toEqual(["t1"]);
+    const hta = await persistence.loadPathData("guitar", "theory", "hta.json");
+    expect(hta.frontierNodes[0].completed).toBe(true);
+
+    expect(await persistence.loadProjectData("guitar", "learning_history.json")).toBeNull();
+    expect(await persistence.loadProjectData("guitar", "reviews.json")).toBeNull();
+  });
+
+  test("rejects a second completion without touching history or reviews", async () => {
+    await complete("b1");
+    const history = await persistence.loadPathData("guitar", "theory", "learning_history.json");
+    const reviews = await persistence.loadPathData("guitar", "theory", "reviews.json");
+    const schedule = await persistence.loadProjectData("guitar", `day_${DATE}.json`);
+
+    const result = await complete("b1");
+
+    expect(result.block_completed).toBeUndefined();
+    expect(result.content[0].text).toContain("Block b1 is already completed");
+    expect(
+      await persistence.loadPathData("guitar", "theory", "learning_history.json"),
+    ).toEqual(history);
+    expect(await persistence.loadPathData("guitar", "theory", "reviews.json")).toEqual(reviews);
+    expect(await persistence.loadProjectData("guitar", `day_${DATE}.json`)).toEqual(schedule);
+  });
+});
+
+describe("skipBlock and deferBlock", () => {
+  const loadTheoryHTA = () => persistence.loadPathData("guitar", "theory", "hta.json");
+  /** @param {string|null} date */
+  const readyTaskIds = async (date) =>
+    new ScheduleGenerator(persistence, null)
+      .getReadyTasks(await loadTheoryHTA(), date)
+      .map((/** @type {any} */ task) => task.id);
+
+  test("a skipped task stays open and is counted as avoided", async () => {
+    const result = await completion.skipBlock("b1", "Too tired", DATE);
+
+    expect(result.block_skipped).toEqual(
+      expect.objectContaining({ skipped: true, skipReason: "Too tired" }),
+    );
+    expect(result.avoidance_count).toBe(1);
+    const history = await persistence.loadPathData("guitar", "theory", "learning_history.json");
+    expect(history.taskAvoidance).toEqual([
+      expect.objectContaining({ action: "skipped", taskId: "t1", scheduledDate: DATE }),
+    ]);
+    const [node] = (await loadTheoryHTA()).frontierNodes;
+    expect(node).toEqual(expect.objectContaining({ completed: false, avoidanceCount: 1 }));
+    expect(await readyTaskIds("2026-01-06")).toEqual(["t1"]);
+
+    const again = await completion.skipBlock("b1", "", DATE);
+    expect(again.content[0].text).toContain("Block b1 was already skipped");
+  });
+
+  test("a deferred task is left out of plans until the day it was deferred to", async () => {
+    const result = await completion.deferBlock("b1", "2026-01-08", "Busy week", DATE);
+
+    expect(result.block_deferred).toEqual(
+      expect.objectContaining({ deferred: true, deferredTo: "2026-01-08" }),
+    );
+    expect((await loadTheoryHTA()).frontierNodes[0].deferredUntil).toBe("2026-01-08");
+    expect(await readyTaskIds("2026-01-07")).toEqual([]);
+    expect(await readyTaskIds("2026-01-08")).toEqual(["t1"]);
+  });
+
+  test("refuses to defer to the same day or to defer a block without a task", async () => {
+    const sameDay = await completion.deferBlock("b1", DATE, "", DATE);
+    const breakBlock = await completion.deferBlock("b2", "2026-01-08", "", DATE);
+
+    expect(sameDay.content[0].text).toContain(`to_date must be after ${DATE}`);
+    expect(breakBlock.content[0].text).toContain("Only learning tasks can be deferred");
+    const schedule = await persistence.loadProjectData("guitar", `day_${DATE}.json`);
+    expect(schedule.blocks.some((/** @type {any} */ b) => b.deferred)).toBe(false);
+  });
+
+  test("a partly done block stays open and remembers its progress", async () => {
+    const result = await completion.partiallyCompleteBlock(
+      "b1",
+      40,
+      "Got halfway",
+      "",
+      3,
+      DATE,
+    );
+
+    expect(result.block_progress?.percentComplete).toBe(40);
+    expect(result.block_progress?.completed).toBeFalsy();
+    expect((await loadTheoryHTA()).frontierNodes[0].progress).toBe(40);
+    expect((await complete("b1")).block_completed.completed).toBe(true);
+  });
+});
+
+describe("finding the schedule of a block without a date", () => {
+  /** @type {string} */
+  let today;
+
+  /**
+   * @param {number} daysAgo
+   * @param {string} title
+   */
+  const saveDay = (daysAgo, title) =>
+    persistence.saveProjectData("guitar", `day_${addDays(today, -daysAgo)}.json`, {
+      date: addDays(today, -daysAgo),
+      blocks: [{ id: "b1", type: "learning", title, startTime: "9:00 AM", duration: 30 }],
+    });
+
+  /** @param {number} daysAgo */
+  const loadBlock = async (daysAgo) =>
+    (await persistence.loadProjectData("guitar", `day_${addDays(today, -daysAgo)}.json`))
+      .blocks[0];
+
+  beforeEach(async () => {
+    const config = await persistence.loadProjectData("guitar", "config.json");
+    today = getToday(getProjectTimeZone(config));
+  });
+
+  test("uses the one recent schedule where the block is still open", async () => {
+    await saveDay(2, "Chords");
+
+    const result = await completion.skipBlock("b1");
+
+    expect(result.block_skipped?.title).toBe("Chords");
+    expect((await loadBlock(2)).skipped).toBe(true);
+  });
+
+  test("prefers today's open block over earlier ones", async () => {
+    await saveDay(0, "Today's chords");
+    await saveDay(1, "Yesterday's chords");
+
+    const result = await completion.skipBlock("b1");
+
+    expect(result.block_skipped?.title).toBe("Today's chords");
+    expect((await loadBlock(1)).skipped).toBeUndefined();
+  });
+
+  test("asks for a date when the block is open on several earlier days", async () => {
+    await saveDay(1, "Chords");
+    await saveDay(3, "Scales");
+
+    const result = await completion.skipBlock("b1");
+
+    expect(result.content[0].text).toContain(
+      `Block b1 is open in several schedules (${addDays(today, -1)}: "Chords", ` +
+        `${addDays(today, -3)}: "Scales"). Pass date to say which one`,
+    );
+    expect((await loadBlock(1)).skipped).toBeUndefined();
+    expect((await loadBlock(3)).skipped).toBeUndefined();
+  });
+});
+
+describe("getCompletionTiming", () => {
+  test("measures lateness against the planned end in the project's zone", () => {
+    const block = {
+      startTime: "9:00 AM",
+      duration: 30,
+      completedAt: "2026-01-06T15:00:00.000Z",
+    };
+
+    expect(completion.getCompletionTiming(DATE, block, "America/New_York")).toEqual({
+      scheduledDate: DATE,
+      scheduledEnd: "2026-01-05T14:30:00.000Z",
+      completedOnDate: "2026-01-06",
+      completionDelayMinutes: 24 * 60 + 30,
+    });
+  });
+});
+
+describe("block timers", () => {
+  /** @param {string} blockId */
+  const loadBlock = async (blockId) =>
+    (await persistence.loadProjectData("guitar", `day_${DATE}.json`)).blocks.find(
+      (/** @type {any} */ b) => b.id === blockId,
+    );
+
+  test("start, pause and stop move the timer through its states", async () => {
+    const started = await completion.startBlock("b1", DATE);
+    expect(started.block_started?.timerState).toBe("running");
+    expect((await completion.startBlock("b1", DATE)).content[0].text).toContain(
+      "Block b1 has been running since",
+    );
+
+    const paused = await completion.pauseBlock("b1", DATE);
+    expect(paused.block_paused?.timerState).toBe("paused");
+    expect((await completion.pauseBlock("b1", DATE)).content[0].text).toContain(
+      "Block b1 has no running timer",
+    );
+
+    await completion.startBlock("b1", DATE);
+    const stopped = await completion.stopBlock("b1", DATE);
+    expect(stopped.actual_duration).toBe(0);
+    const block = await loadBlock("b1");
+    expect(block.timerState).toBe("stopped");
+    expect(block.timeLog).toHaveLength(2);
+    expect(block.timeLog.every((/** @type {any} */ segment) => segment.end)).toBe(true);
+    expect((await completion.stopBlock("b1", DATE)).content[0].text).toContain(
+      "The timer of block b1 is already stopped (0 min)",
+    );
+  });
+
+  test("starting a block pauses the one already running that day", async () => {
+    await completion.startBlock("b1", DATE);
+
+    const result = await completion.startBlock("b2", DATE);
+
+    expect(result.paused_blocks).toEqual(["b1"]);
+    expect((await loadBlock("b1")).timerState).toBe("paused");
+    expect((await loadBlock("b2")).timerState).toBe("running");
+  });
+
+  test("stopping without a timer is refused", async () => {
+    const result = await completion.stopBlock("b1", DATE);
+
+    expect(result.content[0].text).toContain("Block b1 has no timer; use `start_block` first");
+  });
+
+  test("adds up every running segment and keeps counting after a restart", () => {
+    const block = { id: "b1", duration: 30 };
+    const day = { blocks: [block] };
+
+    completion.startTimer(block, day, "2026-01-05T09:00:00.000Z");
+    completion.pauseTimer(block, "2026-01-05T09:20:00.000Z");
+    completion.startTimer(block, day, "2026-01-05T09:30:00.000Z");
+    completion.stopTimer(block, "2026-01-05T09:45:00.000Z");
+    expect(block).toEqual(expect.objectContaining({ timerState: "stopped", actualDuration: 35 }));
+
+    completion.startTimer(block, day, "2026-01-05T10:00:00.000Z");
+    expect(block).not.toHaveProperty("actualDuration");
+    expect(completion.getTrackedMinutes(block, new Date("2026-01-05T10:05:00.000Z"))).toBe(40);
+  });
+
+  test("completing a timed block records the tracked time on its task", async () => {
+    const day = await persistence.loadProjectData("guitar", `day_${DATE}.json`);
+    Object.assign(day.blocks[0], {
+      timerState: "paused",
+      timeLog: [{ start: "2026-01-05T09:00:00.000Z", end: "2026-01-05T09:40:00.000Z" }],
+    });
+    await persistence.saveProjectData("guitar", `day_${DATE}.json`, day);
+
+    const result = await complete("b1");
+
+    expect(result.block_completed).toEqual(
+      expect.objectContaining({ timerState: "stopped", actualDuration: 40 }),
+    );
+    const hta = await persistence.loadPathData("guitar", "theory", "hta.json");
+    expect(hta.frontierNodes[0]).toEqual(
+      expect.objectContaining({ actualDuration: 40, plannedDuration: 30 }),
+    );
+  });
+});
@@ -0,0 +1,200 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { DataPersistence } from "../data-persistence.js";
+import { ProjectManagement } from "../project-management.js";
+import { FileStorageAdapter } from "../storage-adapters.js";
+import { TaskIntelligence } from "../task-intelligence.js";
+
+const TODAY = "2026-10-19";
+
+/** @type {string} */
+let dataDir;
+/** @type {DataPersistence} */
+let persistence;
+/** @type {ProjectManagement} */
+let projects;
+
+/**
+ * @param {string} id
+ * @param {any} [fields]
+ */
+const task = (id, fields = {}) => ({
+  id,
+  title: `Task ${id}`,
+  branch: "Chords",
+  difficulty: 3,
+  duration: "30 minutes",
+  priority: 200,
+  completed: false,
+  ...fields,
+});
+
+/** @param {any} [fields] */
+const situation = (fields = {}) => ({
+  energyLevel: 3,
+  timeInMinutes: 30,
+  contextFromMemory: "",
+  today: TODAY,
+  durationEstimates: {},
+  branchLastWorked: new Map(),
+  ...fields,
+});
+
+/** @param {any[]} ranked */
+const ids = (ranked) => ranked.map((scored) => scored.task.id);
+
+beforeEach(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "forest-next-task-"));
+  persistence = new DataPersistence(dataDir, new FileStorageAdapter(dataDir));
+  projects = new ProjectManagement(persistence, null);
+
+  await persistence.saveGlobalData("config.json", {
+    projects: ["guitar"],
+    activeProject: "guitar",
+  });
+  await persistence.saveProjectData("guitar", "config.json", {
+    id: "guitar",
+    goal: "Learn guitar",
+  });
+  await persistence.saveProjectData("guitar", "hta.json", {
+    frontierNodes: [
+      task("t1", { priority: 250 }),
+      task("t2"),
+      task("t3", { prerequisites: ["t1"] }),
+    ],
+  });
+});
+
+afterEach(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe("rankTasks", () => {
+  const intelligence = new TaskIntelligence(null, null);
+
+  test("leaves out tasks waiting on prerequisites or deferred past today", () => {
+    const ranked = intelligence.rankTasks(
+      {
+        frontierNodes: [
+          task("done", { completed: true }),
+          task("waiting", { prerequisites: ["t9"] }),
+          task("later", { deferredUntil: "2026-10-20" }),
+          task("ready", { prerequisites: ["done"] }),
+        ],
+      },
+      situation(),
+    );
+
+    expect(ids(ranked)).toEqual(["ready"]);
+  });
+
+  test("prefers tasks that fit the energy and time available", () => {
+    const ranked = intelligence.rankTasks(
+      {
+        frontierNodes: [
+          task("hard", { difficulty: 5 }),
+          task("long", { duration: "1 hour" }),
+          task("fits"),
+        ],
+      },
+      situation(),
+    );
+
+    expect(ids(ranked)).toEqual(["fits", "hard", "long"]);
+    const long = ranked[2].factors.find((factor) => factor.factor === "time");
+    expect(long).toEqual({
+      factor: "time",
+      points: -50,
+      reason: "~60 min of 30 available, may need more time",
+    });
+  });
+
+  test("brings forward due deferrals, context matches and neglected branches", () => {
+    const ranked = intelligence.rankTasks(
+      {
+        frontierNodes: [
+          task("plain"),
+          task("deferred", { deferredUntil: TODAY }),
+          task("stale", { branch: "Scales" }),
+          task("barre", { title: "Barre chords", branch: "Rhythm" }),
+        ],
+      },
+      situation({
+        contextFromMemory: "struggling with barre shapes",
+        branchLastWorked: new Map([
+          ["Chords", TODAY],
+          ["Scales", "2026-10-01"],
+          ["Rhythm", "2026-10-18"],
+        ]),
+      }),
+    );
+
+    expect(ids(ranked)).toEqual(["barre", "deferred", "stale", "plain"]);
+    /** @param {string} id */
+    const recency = (id) =>
+      ranked
+        .find((scored) => scored.task.id === id)
+        ?.factors.find((factor) => factor.factor === "recency");
+    expect(recency("plain")?.points).toBe(-15);
+    expect(recency("stale")?.reason).toBe("branch untouched for 18 days");
+  });
+});
+
+describe("estimateTaskMinutes", () => {
+  const intelligence = new TaskIntelligence(null, null);
+
+  test("corrects durations by the branch's tracked pace once there are enough samples", () => {
+    /**
+     * @param {number} ratio
+     * @param {number} samples
+     */
+    const estimate = (ratio, samples) =>
+      intelligence.estimateTaskMinutes(task("t1"), { Chords: { ratio, samples } });
+
+    expect(estimate(1.5, 3)).toBe(45);
+    expect(estimate(1.5, 2)).toBe(30);
+    expect(estimate(5, 9)).toBe(60);
+  });
+});
+
+describe("getNextTask", () => {
+  test("recommends the best scored task with the runners-up as alternatives", async () => {
+    const intelligence = new TaskIntelligence(persistence, projects);
+
+    const result = await intelligence.getNextTask("", 3, "30 minutes");
+
+    expect(result.selected_task?.id).toBe("t1");
+    expect(result.alternatives?.map((alternative) => alternative.id)).toEqual(["t2"]);
+    expect(result.energy_basis).toBe("reported");
+  });
+
+  test("lets the intelligence provider pick among the top candidates", async () => {
+    /** @type {any} */
+    let request = null;
+    const intelligence = new TaskIntelligence(persistence, projects, {
+      requestIntelligence: async (/** @type {string} */ type, /** @type {any} */ payload) => {
+        request = { type, payload };
+        return { selected_task_id: "t2", reason: "Warm up first" };
+      },
+    });
+
+    const result = await intelligence.getNextTask("", 3, "30 minutes", true);
+
+    expect(request?.type).toBe("next-task-selection");
+    expect(request?.payload.candidates.map((/** @type {any} */ c) => c.id)).toEqual(["t1", "t2"]);
+    expect(result.selected_task?.id).toBe("t2");
+    expect(result.reranked).toBe(true);
+  });
+
+  test("keeps the scored order when the provider names an unknown task", async () => {
+    const intelligence = new TaskIntelligence(persistence, projects, {
+      requestIntelligence: async () => ({ selected_task_id: "t3" }),
+    });
+
+    const result = await intelligence.getNextTask("", 3, "30 minutes", true);
+
+    expect(result.selected_task?.id).toBe("t1");
+    expect(result.reranked).toBe(false);
+  });
+});
@@ -22,9 +22,42 @@ export class ToolRouter {
           case "switch_project":
             return await this.forestServer.switchProject(args.project_id);
           case "list_projects":
-            return await this.forestServer.listProjects();
+            return await this.forestServer.listProjects(args.filter || "active");
           case "get_active_project":
             return await this.forestServer.getActiveProject();
+          case "update_project":
+            return await this.forestServer.updateProject(args);
+          case "archive_project":
+            return await this.forestServer.archiveProject(
+              args.project_id,
+              args.archived ?? true,
+            );
+          case "delete_project":
+            return await this.forestServer.deleteProject(
+              args.project_id,
+              args.confirmation_token || null,
+            );
+          case "rename_project":
+            return await this.forestServer.renameProject(
+              args.project_id,
+              args.new_project_id,
+            );
+          case "clone_project":
+            return await this.forestServer.cloneProject(
+              args.project_id,
+              args.new_project_id,
+            );
+          case "export_project":
+            return await this.forestServer.exportProject(
+              args.project_id || null,
+              args.output_path || null,
+            );
+          case "import_project":
+            return await this.forestServer.importProject(
+              args.archive_path,
+              args.project_id || null,
+              args.on_conflict || "rename",
+            );
           case "build_hta_tree":
             return await this.forestServer.buildHTATree(
               args.path_name,
@@ -33,24 +66,68 @@ export class ToolRouter {
             );
           case "get_hta_status":
             return await this.forestServer.getHTAStatus();
+          case "add_hta_task":
+            return await this.forestServer.addHtaTask(args);
+          case "edit_hta_task":
+            return await this.forestServer.editHtaTask(args);
+          case "split_hta_task":
+            return await this.forestServer.splitHtaTask(
+              args.task_id,
+              args.subtasks || [],
+              args.sequential ?? true,
+            );
+          case "merge_hta_tasks":
+            return await this.forestServer.mergeHtaTasks(
+              args.task_ids || [],
+              args.title || null,
+            );
+          case "delete_hta_task":
+            return await this.forestServer.deleteHtaTask(args.task_id);
+          case "add_hta_branch":
+            return await this.forestServer.addHtaBranch(args);
+          case "edit_hta_branch":
+            return await this.forestServer.editHtaBranch(args);
+          case "delete_hta_branch":
+            return await this.forestServer.deleteHtaBranch(
+              args.branch_id,
+              args.move_tasks_to || null,
+            );
           case "generate_daily_schedule":
             return await this.forestServer.generateDailySchedule(
               args.date || null,
-              args.energy_level ?? 3,
+              args.energy_level ?? null,
               args.available_hours || null,
               args.focus_type || "mixed",
               args.schedule_request_context || "User requested schedule",
+              args.fixed_events || [],
+              args.ics_path || null,
             );
-          case "complete_block":
-            return await this.forestServer.completeBlock(
-              args.block_id,
-              args.outcome,
-              args.learned || "",
-              args.next_questions || "",
-              args.energy_level,
-              args.difficulty_rating || 3,
-              args.breakthrough || false,
+          case "generate_weekly_schedule":
+            return await this.forestServer.generateWeeklySchedule(
+              args.start_date || null,
+              args.days ?? 7,
+              args.energy_level ?? 3,
+              args.focus_type || "mixed",
+              args.overwrite_existing ?? false,
+              args.fixed_events || [],
+              args.ics_path || null,
             );
+          case "reschedule_day":
+            return await this.forestServer.rescheduleDay(
+              args.date || null,
+              args.current_time || null,
+              args.insert_block || null,
+            );
+          case "export_schedule":
+            return await this.forestServer.exportSchedule(
+              args.start_date || null,
+              args.end_date || null,
+              args.output_path || null,
+              args.include_breaks ?? true,
+              args.include_fixed ?? false,
+              args.format || "ics",
+            );
+          case "complete_block":
           case "complete_with_opportunities":
             return await this.forestServer.completeBlock(
               args.block_id,
@@ -69,12 +146,80 @@ export class ToolRouter {
               args.viral_potential || false,
               args.industry_connections || [],
               args.serendipitous_events || [],
+              args.date || null,
             );
+          case "partially_complete_block":
+            return await this.forestServer.partiallyCompleteBlock(
+              args.block_id,
+              args.percent_complete,
+              args.outcome,
+              args.learned || "",
+              args.energy_level,
+              args.date || null,
+            );
+          case "skip_block":
+            return await this.forestServer.skipBlock(
+              args.block_id,
+              args.reason || "",
+              args.date || null,
+            );
+          case "defer_block":
+            return await this.forestServer.deferBlock(
+              args.block_id,
+              args.to_date,
+              args.reason || "",
+              args.date || null,
+            );
+          case "start_block":
+            return await this.forestServer.startBlock(args.block_id, args.date || null);
+          case "pause_block":
+            return await this.forestServer.pauseBlock(args.block_id, args.date || null);
+          case "stop_block":
+            return await this.forestServer.stopBlock(args.block_id, args.date || null);
+          case "start_focus_session":
+            return await this.forestServer.startFocusSession(
+              args.block_id,
+              args.date || null,
+              args.focus_minutes || null,
+              args.break_minutes || null,
+            );
+          case "next_focus_interval":
+            return await this.forestServer.nextFocusInterval(args.block_id, args.date || null);
+          case "log_interruption":
+            return await this.forestServer.logInterruption(
+              args.block_id,
+              args.note || "",
+              args.kind || "external",
+              args.void_interval || false,
+              args.date || null,
+            );
+          case "end_focus_session":
+            return await this.forestServer.endFocusSession(args.block_id, args.date || null);
           case "get_next_task":
             return await this.forestServer.getNextTask(
               args.context_from_memory || "",
-              args.energy_level || 3,
+              args.energy_level ?? null,
               args.time_available || "30 minutes",
+              args.rerank ?? false,
+            );
+          case "list_knowledge_gaps":
+            return await this.forestServer.listKnowledgeGaps(
+              args.status || "open",
+              args.limit || 20,
+            );
+          case "resolve_knowledge_gap":
+            return await this.forestServer.resolveKnowledgeGap(
+              args.gap_id,
+              args.resolution || "",
+              args.task_id || null,
+            );
+          case "promote_gap_to_task":
+            return await this.forestServer.promoteGapToTask(
+              args.gap_id,
+              args.title || null,
+              args.branch || null,
+              args.difficulty || 2,
+              args.duration || "30 minutes",
             );
           case "current_status":
             return await this.forestServer.currentStatus();
@@ -86,6 +231,8 @@ export class ToolRouter {
             );
           case "analyze_performance":
             return await this.forestServer.analyzePerformance();
+          case "get_energy_profile":
+            return await this.forestServer.getEnergyProfile();
           case "review_week":
             return await this.forestServer.reviewPeriod(7);
           case "review_month":
@@ -105,6 +252,22 @@ export class ToolRouter {
             );
           case "list_learning_paths":
             return await this.forestServer.listLearningPaths();
+          case "add_learning_path":
+            return await this.forestServer.addLearningPath(
+              args.path_name,
+              args.priority || "medium",
+              args.interests || [],
+            );
+          case "remove_learning_path":
+            return await this.forestServer.removeLearningPath(
+              args.path_name,
+              args.delete_data ?? false,
+            );
+          case "reprioritize_learning_path":
+            return await this.forestServer.reprioritizeLearningPath(
+              args.path_name,
+              args.priority,
+            );
           case "analyze_complexity_evolution":
             return await this.forestServer.analyzeComplexityEvolution();
           case "analyze_identity_transformation":
@@ -113,6 +276,10 @@ export class ToolRouter {
             return await this.forestServer.analyzeReasoning(
               args.include_detailed_analysis ?? true,
             );
+          case "migrate_data_files":
+            return await this.forestServer.migrateDataFiles(
+              args.dry_run ?? true,
+            );
           default:
             throw new Error(`Unknown tool: ${name}`);
         }